@@ -12,6 +12,7 @@ import Login from './pages/Login';
 import Register from './pages/Register';
 import Profile from './pages/Profile';
 import Settings from './pages/Settings';
+import Memory from './pages/Memory';
 import ErrorFallback from './components/ErrorFallback';
 
 // Hooks
@@ -96,6 +97,7 @@ function AppContent() {
         <Route path="chat/:conversationId" element={<Chat />} />
         <Route path="profile" element={<Profile />} />
         <Route path="settings" element={<Settings />} />
+        <Route path="memory" element={<Memory />} />
       </Route>
       
       {/* Catch all */}
@@ -0,0 +1,77 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Loader2, Pause, Volume2 } from 'lucide-react';
+
+// Utils
+import { cn } from '../utils/cn';
+
+// Play/pause control for a spoken AI reply. Without an audioUrl the first
+// click asks the server to synthesize one (onRequest) and plays it when ready.
+const AudioPlayer = ({ audioUrl, autoPlay = false, loading = false, error, onRequest }) => {
+  const audioRef = useRef(null);
+  const [playing, setPlaying] = useState(false);
+  const [pendingPlay, setPendingPlay] = useState(autoPlay);
+
+  useEffect(() => {
+    if (autoPlay) setPendingPlay(true);
+  }, [autoPlay]);
+
+  // Start playback once requested audio arrives; browsers may still block it
+  useEffect(() => {
+    if (!audioUrl || !pendingPlay || !audioRef.current) return;
+
+    setPendingPlay(false);
+    audioRef.current.play().catch(() => setPlaying(false));
+  }, [audioUrl, pendingPlay]);
+
+  const handleClick = () => {
+    if (!audioUrl) {
+      setPendingPlay(true);
+      if (onRequest) onRequest();
+      return;
+    }
+
+    if (playing) {
+      audioRef.current.pause();
+    } else {
+      audioRef.current.play().catch(() => setPlaying(false));
+    }
+  };
+
+  return (
+    <div className="inline-flex items-center space-x-1.5 text-xs text-gray-500">
+      <button
+        type="button"
+        onClick={handleClick}
+        disabled={loading}
+        title={playing ? 'Pause' : 'Read aloud'}
+        className={cn(
+          "flex items-center space-x-1 rounded px-2 py-0.5 hover:bg-gray-100 hover:text-gray-900",
+          "disabled:opacity-50",
+          playing && "text-purple-600"
+        )}
+      >
+        {loading ? (
+          <Loader2 className="h-3.5 w-3.5 animate-spin" />
+        ) : playing ? (
+          <Pause className="h-3.5 w-3.5" />
+        ) : (
+          <Volume2 className="h-3.5 w-3.5" />
+        )}
+        <span>{playing ? 'Pause' : 'Listen'}</span>
+      </button>
+      {error && <span className="text-red-500">{error}</span>}
+      {audioUrl && (
+        <audio
+          ref={audioRef}
+          src={audioUrl}
+          preload="none"
+          onPlay={() => setPlaying(true)}
+          onPause={() => setPlaying(false)}
+          onEnded={() => setPlaying(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default AudioPlayer;
\ No newline at end of file
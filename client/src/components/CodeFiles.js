@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
+import { oneDark } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import { Check, Copy, Download, FileCode, Loader2, Pencil, Play } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Utils
+import { cn } from '../utils/cn';
+
+// Languages the server sandbox can run
+const RUNNABLE_LANGUAGES = ['javascript', 'python'];
+
+// stdout/stderr of the latest run, streamed in while it is running
+const ExecutionOutput = ({ execution }) => {
+  const result = execution.result;
+
+  return (
+    <div className="border-t border-gray-700 bg-black px-3 py-2 font-mono text-xs">
+      <pre className="whitespace-pre-wrap text-gray-100">{execution.stdout}</pre>
+      <pre className="whitespace-pre-wrap text-red-400">{execution.stderr}</pre>
+      {execution.error && <div className="text-red-400">{execution.error}</div>}
+      {result && (
+        <div className={cn("mt-1", result.status === 'ok' ? "text-green-400" : "text-yellow-400")}>
+          {result.status === 'ok' ? 'Exited' : result.status} ({result.exitCode ?? '-'}) in {result.durationMs}ms
+          {result.truncated && ' - output truncated'}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Renders each file of a code reply (message.metadata.files) as its own
+// highlighted block with copy, edit and run actions, plus the explanation text
+const CodeFiles = ({ files = [], explanation, messageId, execution, onDownload, onRun }) => {
+  const [copiedPath, setCopiedPath] = useState(null);
+  const [edits, setEdits] = useState({});
+  const [editingPath, setEditingPath] = useState(null);
+
+  if (files.length === 0) return null;
+
+  const codeFor = (file) => edits[file.path] ?? file.content;
+
+  const handleRun = (file) => {
+    setEditingPath(null);
+    onRun(messageId, { path: file.path, language: file.language, code: codeFor(file) });
+  };
+
+  const handleCopy = async (file) => {
+    try {
+      await navigator.clipboard.writeText(codeFor(file));
+      setCopiedPath(file.path);
+      setTimeout(() => setCopiedPath(null), 2000);
+    } catch (error) {
+      console.error('Error copying code:', error);
+      toast.error('Failed to copy code');
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {files.map(file => (
+        <div key={file.path} className="overflow-hidden rounded-lg border border-gray-700 bg-gray-900">
+          <div className="flex items-center justify-between px-3 py-1.5 text-xs text-gray-300">
+            <div className="flex items-center space-x-2">
+              <FileCode className="h-4 w-4" />
+              <span className="font-mono">{file.path}</span>
+              <span className="text-gray-500">{file.language}</span>
+            </div>
+            <div className="flex items-center space-x-1">
+              {onRun && RUNNABLE_LANGUAGES.includes(file.language) && (
+                <>
+                  <button
+                    type="button"
+                    onClick={() => setEditingPath(editingPath === file.path ? null : file.path)}
+                    className="flex items-center space-x-1 rounded px-2 py-0.5 hover:bg-gray-700"
+                  >
+                    <Pencil className="h-3.5 w-3.5" />
+                    <span>{editingPath === file.path ? 'Done' : 'Edit'}</span>
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleRun(file)}
+                    disabled={execution && execution.running}
+                    className="flex items-center space-x-1 rounded px-2 py-0.5 hover:bg-gray-700 disabled:opacity-50"
+                  >
+                    {execution && execution.running && execution.path === file.path ? (
+                      <Loader2 className="h-3.5 w-3.5 animate-spin" />
+                    ) : (
+                      <Play className="h-3.5 w-3.5 text-green-400" />
+                    )}
+                    <span>Run</span>
+                  </button>
+                </>
+              )}
+              <button
+                type="button"
+                onClick={() => handleCopy(file)}
+                className="flex items-center space-x-1 rounded px-2 py-0.5 hover:bg-gray-700"
+              >
+                {copiedPath === file.path ? (
+                  <Check className="h-3.5 w-3.5 text-green-400" />
+                ) : (
+                  <Copy className="h-3.5 w-3.5" />
+                )}
+                <span>{copiedPath === file.path ? 'Copied' : 'Copy'}</span>
+              </button>
+            </div>
+          </div>
+          {editingPath === file.path ? (
+            <textarea
+              value={codeFor(file)}
+              onChange={(event) => setEdits(prev => ({ ...prev, [file.path]: event.target.value }))}
+              spellCheck={false}
+              rows={Math.min(codeFor(file).split('\n').length + 1, 30)}
+              className="block w-full resize-y bg-gray-900 px-3 py-2 font-mono text-xs text-gray-100 focus:outline-none"
+            />
+          ) : (
+            <SyntaxHighlighter
+              language={file.language}
+              style={oneDark}
+              customStyle={{ margin: 0, borderRadius: 0, fontSize: '0.8rem' }}
+            >
+              {codeFor(file)}
+            </SyntaxHighlighter>
+          )}
+          {execution && execution.path === file.path && (
+            <ExecutionOutput execution={execution} />
+          )}
+        </div>
+      ))}
+
+      {explanation && (
+        <p className="whitespace-pre-wrap text-sm text-gray-700">{explanation}</p>
+      )}
+
+      {onDownload && (
+        <button
+          type="button"
+          onClick={() => onDownload(messageId)}
+          className={cn(
+            "flex items-center space-x-1.5 rounded-md border border-gray-200 px-3 py-1.5 text-sm",
+            "text-gray-600 hover:bg-gray-50 hover:text-gray-900"
+          )}
+        >
+          <Download className="h-4 w-4" />
+          <span>Download {files.length > 1 ? `${files.length} files` : 'file'} (.zip)</span>
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default CodeFiles;
\ No newline at end of file
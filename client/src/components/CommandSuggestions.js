@@ -0,0 +1,120 @@
+import React from 'react';
+import { Terminal } from 'lucide-react';
+
+// Utils
+import { cn } from '../utils/cn';
+
+// Mirrors COMMANDS in server/services/commandParser.js
+export const SLASH_COMMANDS = [
+  {
+    name: 'image',
+    usage: '/image [--size 1024x1024] [--quality hd] [--style natural] <description>',
+    description: 'Generate an image from a description',
+    options: [
+      { flag: '--size', values: ['256x256', '512x512', '1024x1024', '1792x1024', '1024x1792', '1536x1024', '1024x1536'] },
+      { flag: '--quality', values: ['standard', 'hd', 'low', 'medium', 'high'] },
+      { flag: '--style', values: ['vivid', 'natural'] }
+    ]
+  },
+  {
+    name: 'code',
+    usage: '/code [--lang python] <task>',
+    description: 'Write code for a task',
+    options: [{ flag: '--lang', description: 'Programming language' }]
+  },
+  {
+    name: 'translate',
+    usage: '/translate <language> <text>',
+    description: 'Translate text into another language',
+    options: []
+  },
+  {
+    name: 'summarize',
+    usage: '/summarize [--length short|medium|long] [text]',
+    description: 'Summarize text, or this conversation when no text is given',
+    options: [{ flag: '--length', values: ['short', 'medium', 'long'] }]
+  },
+  {
+    name: 'search',
+    usage: '/search <query>',
+    description: 'Search the web and answer with citations',
+    options: []
+  },
+  {
+    name: 'remember',
+    usage: '/remember <fact>',
+    description: 'Remember a fact about you in future conversations',
+    options: []
+  },
+  {
+    name: 'help',
+    usage: '/help [command]',
+    description: 'List available commands',
+    options: []
+  }
+];
+
+// Commands whose name starts with what has been typed after "/", or the
+// fully typed command once a space follows it
+export const matchCommands = (value = '') => {
+  const match = /^\/(\w*)(\s?)/.exec(value);
+  if (!match) return [];
+
+  const [, name, space] = match;
+  if (space) {
+    return SLASH_COMMANDS.filter(command => command.name === name.toLowerCase());
+  }
+  return SLASH_COMMANDS.filter(command => command.name.startsWith(name.toLowerCase()));
+};
+
+// Autocomplete list shown above the message input while typing a slash
+// command, collapsing to inline help for the chosen command
+const CommandSuggestions = ({ value, activeIndex = 0, onSelect }) => {
+  const matches = matchCommands(value);
+  if (matches.length === 0) return null;
+
+  const typedName = /^\/\w*\s/.test(value);
+
+  if (typedName) {
+    const [command] = matches;
+    return (
+      <div className="mb-2 rounded-lg border border-gray-200 bg-white px-3 py-2 text-sm shadow-sm">
+        <div className="font-mono text-gray-900">{command.usage}</div>
+        <div className="text-gray-500">{command.description}</div>
+        {command.options.map(option => (
+          <div key={option.flag} className="mt-1 text-xs text-gray-500">
+            <span className="font-mono text-purple-600">{option.flag}</span>{' '}
+            {option.values ? option.values.join(' | ') : option.description}
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <ul className="mb-2 overflow-hidden rounded-lg border border-gray-200 bg-white text-sm shadow-sm">
+      {matches.map((command, index) => (
+        <li key={command.name}>
+          <button
+            type="button"
+            onMouseDown={(event) => {
+              // Keep focus in the input
+              event.preventDefault();
+              onSelect(`/${command.name} `);
+            }}
+            className={cn(
+              "flex w-full items-center space-x-2 px-3 py-1.5 text-left hover:bg-gray-50",
+              index === activeIndex && "bg-purple-50"
+            )}
+          >
+            <Terminal className="h-4 w-4 text-purple-500" />
+            <span className="font-mono text-gray-900">/{command.name}</span>
+            <span className="truncate text-gray-500">{command.description}</span>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default CommandSuggestions;
\ No newline at end of file
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { Download, Shuffle, X } from 'lucide-react';
+
+// Utils
+import { cn } from '../utils/cn';
+
+// Grid of the images in an image reply (message.metadata.images), opening
+// each one full size. onVariations asks for variations of the chosen image.
+const ImageGallery = ({ images = [], prompt, onVariations }) => {
+  const [selected, setSelected] = useState(null);
+
+  if (images.length === 0) return null;
+
+  return (
+    <>
+      <div className={cn("grid gap-2", images.length === 1 ? "grid-cols-1" : "grid-cols-2")}>
+        {images.map((image, index) => (
+          <button
+            key={image.url}
+            type="button"
+            onClick={() => setSelected(image)}
+            className="overflow-hidden rounded-lg border border-gray-200 hover:opacity-90"
+          >
+            <img
+              src={images.length === 1 ? image.url : image.thumbnailUrl || image.url}
+              alt={image.revisedPrompt || prompt || `Generated image ${index + 1}`}
+              loading="lazy"
+              className="h-full w-full object-cover"
+            />
+          </button>
+        ))}
+      </div>
+
+      {selected && (
+        <div
+          className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4"
+          onClick={() => setSelected(null)}
+        >
+          <div className="relative max-h-full max-w-4xl" onClick={(event) => event.stopPropagation()}>
+            <img src={selected.url} alt={selected.revisedPrompt || prompt} className="max-h-[80vh] rounded-lg" />
+            {selected.revisedPrompt && (
+              <p className="mt-2 text-sm text-gray-200">{selected.revisedPrompt}</p>
+            )}
+            <div className="absolute right-2 top-2 flex space-x-1">
+              {onVariations && (
+                <button
+                  type="button"
+                  onClick={() => {
+                    onVariations(selected.url);
+                    setSelected(null);
+                  }}
+                  title="Create variations"
+                  className="rounded-full bg-black/60 p-2 text-white hover:bg-black/80"
+                >
+                  <Shuffle className="h-4 w-4" />
+                </button>
+              )}
+              <a
+                href={selected.url}
+                download
+                title="Download"
+                className="rounded-full bg-black/60 p-2 text-white hover:bg-black/80"
+              >
+                <Download className="h-4 w-4" />
+              </a>
+              <button
+                type="button"
+                onClick={() => setSelected(null)}
+                title="Close"
+                className="rounded-full bg-black/60 p-2 text-white hover:bg-black/80"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default ImageGallery;
\ No newline at end of file
@@ -0,0 +1,117 @@
+import React, { forwardRef, useEffect, useRef, useState } from 'react';
+import { Send } from 'lucide-react';
+
+// Components
+import CommandSuggestions, { matchCommands } from './CommandSuggestions';
+
+// Utils
+import { cn } from '../utils/cn';
+
+// Idle time after the last keystroke before typing is reported as stopped
+const TYPING_TIMEOUT = 1500;
+
+// Message box with slash command autocomplete. Enter sends, Shift+Enter adds
+// a line; while commands are suggested, arrows pick one and Tab or Enter
+// completes it.
+const MessageInput = forwardRef(({ onSend, onTyping, disabled = false, placeholder }, ref) => {
+  const [value, setValue] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [dismissed, setDismissed] = useState(false);
+  const typingTimer = useRef(null);
+
+  // Suggestions are shown until the command name is typed out
+  const suggesting = !dismissed && !/^\/\w*\s/.test(value) && matchCommands(value).length > 0;
+  const matches = suggesting ? matchCommands(value) : [];
+
+  useEffect(() => () => clearTimeout(typingTimer.current), []);
+
+  const stopTyping = () => {
+    clearTimeout(typingTimer.current);
+    typingTimer.current = null;
+    if (onTyping) onTyping(false);
+  };
+
+  const handleChange = (event) => {
+    setValue(event.target.value);
+    setActiveIndex(0);
+    setDismissed(false);
+
+    if (!onTyping) return;
+    if (!typingTimer.current) onTyping(true);
+    clearTimeout(typingTimer.current);
+    typingTimer.current = setTimeout(stopTyping, TYPING_TIMEOUT);
+  };
+
+  const complete = (command) => {
+    setValue(command);
+    setActiveIndex(0);
+  };
+
+  const send = () => {
+    if (disabled || !value.trim()) return;
+
+    onSend(value);
+    setValue('');
+    stopTyping();
+  };
+
+  const handleKeyDown = (event) => {
+    if (suggesting) {
+      if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        event.preventDefault();
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+        setActiveIndex(index => (index + step + matches.length) % matches.length);
+        return;
+      }
+      if (event.key === 'Tab' || (event.key === 'Enter' && !event.shiftKey)) {
+        event.preventDefault();
+        complete(`/${matches[activeIndex].name} `);
+        return;
+      }
+      if (event.key === 'Escape') {
+        setDismissed(true);
+        return;
+      }
+    }
+
+    if (event.key === 'Enter' && !event.shiftKey) {
+      event.preventDefault();
+      send();
+    }
+  };
+
+  return (
+    <div>
+      {!dismissed && (
+        <CommandSuggestions value={value} activeIndex={activeIndex} onSelect={complete} />
+      )}
+      <div className="flex items-end space-x-2">
+        <textarea
+          ref={ref}
+          value={value}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          disabled={disabled}
+          placeholder={placeholder}
+          rows={Math.min(value.split('\n').length, 6)}
+          className={cn(
+            "flex-1 resize-none rounded-lg border border-gray-300 px-3 py-2 text-sm",
+            "focus:border-purple-500 focus:outline-none focus:ring-1 focus:ring-purple-500",
+            "disabled:bg-gray-100"
+          )}
+        />
+        <button
+          type="button"
+          onClick={send}
+          disabled={disabled || !value.trim()}
+          title="Send"
+          className="rounded-lg bg-purple-600 p-2.5 text-white hover:bg-purple-700 disabled:opacity-50"
+        >
+          <Send className="h-4 w-4" />
+        </button>
+      </div>
+    </div>
+  );
+});
+
+export default MessageInput;
\ No newline at end of file
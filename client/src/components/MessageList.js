@@ -0,0 +1,228 @@
+import React, { useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import { format } from 'date-fns';
+import { Bot, FileText, HelpCircle, User } from 'lucide-react';
+
+// Components
+import AudioPlayer from './AudioPlayer';
+import CodeFiles from './CodeFiles';
+import ImageGallery from './ImageGallery';
+import ToolSteps from './ToolSteps';
+
+// Utils
+import { cn } from '../utils/cn';
+
+// Mirrors INTENT_LABELS in server/services/intentRouter.js
+const INTENT_LABELS = {
+  text_response: 'Chat about it',
+  image_generation: 'Generate an image',
+  code_generation: 'Write code',
+  web_search: 'Search the web',
+  document_analysis: 'Analyze a document',
+  voice_command: 'Run a command'
+};
+
+// Images of an image reply: the gallery of a multi-image reply, or the
+// single image older replies stored
+const replyImages = (metadata = {}) => {
+  if (metadata.images && metadata.images.length > 0) return metadata.images;
+  if (!metadata.imageUrl) return [];
+  return [{ url: metadata.imageUrl, thumbnailUrl: metadata.thumbnailUrl, revisedPrompt: metadata.revisedPrompt }];
+};
+
+// Lets the user rerun a reply as another intent when the router guessed wrong
+const IntentCorrection = ({ message, onIntentCorrect }) => {
+  const [open, setOpen] = useState(false);
+  const current = message.metadata.intent;
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        title="Not what you meant?"
+        className="flex items-center space-x-1 rounded px-2 py-0.5 text-xs text-gray-500 hover:bg-gray-100 hover:text-gray-900"
+      >
+        <HelpCircle className="h-3.5 w-3.5" />
+        <span>Not what you meant?</span>
+      </button>
+      {open && (
+        <ul className="absolute bottom-full left-0 z-10 mb-1 w-48 overflow-hidden rounded-md border border-gray-200 bg-white text-sm shadow-lg">
+          {Object.entries(INTENT_LABELS)
+            .filter(([intent]) => intent !== current)
+            .map(([intent, label]) => (
+              <li key={intent}>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setOpen(false);
+                    onIntentCorrect(message.id, intent);
+                  }}
+                  className="w-full px-3 py-1.5 text-left hover:bg-purple-50"
+                >
+                  {label}
+                </button>
+              </li>
+            ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Images and documents sent with a user message
+const Attachments = ({ attachments }) => (
+  <div className="mb-2 flex flex-wrap gap-2">
+    {attachments.map(attachment => (
+      attachment.type === 'file' ? (
+        <div key={attachment.url} className="flex items-center space-x-1.5 rounded-md bg-white/20 px-2 py-1 text-xs">
+          <FileText className="h-4 w-4" />
+          <span className="max-w-[10rem] truncate">{attachment.name}</span>
+        </div>
+      ) : (
+        <img
+          key={attachment.url}
+          src={attachment.thumbnailUrl || attachment.url}
+          alt={attachment.name || 'Attached image'}
+          className="h-24 w-24 rounded-md object-cover"
+        />
+      )
+    ))}
+  </div>
+);
+
+const MessageBody = ({ message, onRunCode, onDownloadCode, onImageVariations }) => {
+  const metadata = message.metadata || {};
+
+  if (message.messageType === 'code' && metadata.files && metadata.files.length > 0) {
+    return (
+      <CodeFiles
+        files={metadata.files}
+        explanation={metadata.explanation}
+        messageId={message.id}
+        execution={message.execution}
+        onRun={onRunCode}
+        onDownload={onDownloadCode}
+      />
+    );
+  }
+
+  if (message.messageType === 'image' && replyImages(metadata).length > 0) {
+    return (
+      <div className="space-y-2">
+        {message.content && <p className="text-sm">{message.content}</p>}
+        <ImageGallery
+          images={replyImages(metadata)}
+          prompt={metadata.imagePrompt}
+          onVariations={onImageVariations}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div className="prose prose-sm max-w-none break-words">
+      <ReactMarkdown>{message.content}</ReactMarkdown>
+    </div>
+  );
+};
+
+const MessageItem = ({ message, onIntentCorrect, onRunCode, onDownloadCode, onSpeak, onImageVariations }) => {
+  const isUser = message.sender === 'user';
+  const metadata = message.metadata || {};
+  const speech = message.speech || {};
+  const streaming = message.status === 'streaming';
+
+  return (
+    <div className={cn("flex items-start space-x-3", isUser && "flex-row-reverse space-x-reverse")}>
+      <div className={cn(
+        "flex h-8 w-8 flex-shrink-0 items-center justify-center rounded-full",
+        isUser ? "bg-purple-600 text-white" : "bg-gray-200 text-gray-700"
+      )}>
+        {isUser ? <User className="h-4 w-4" /> : <Bot className="h-4 w-4" />}
+      </div>
+
+      <div className={cn("max-w-[80%] space-y-1", isUser && "items-end text-right")}>
+        <div className={cn(
+          "inline-block rounded-lg px-4 py-2 text-left",
+          isUser ? "bg-purple-600 text-white" : "bg-white text-gray-900 shadow-sm"
+        )}>
+          {isUser && metadata.attachments && metadata.attachments.length > 0 && (
+            <Attachments attachments={metadata.attachments} />
+          )}
+          {!isUser && <ToolSteps steps={metadata.toolCalls} />}
+
+          {isUser ? (
+            <p className="whitespace-pre-wrap text-sm">{message.content}</p>
+          ) : (
+            <MessageBody
+              message={message}
+              onRunCode={onRunCode}
+              onDownloadCode={onDownloadCode}
+              onImageVariations={onImageVariations}
+            />
+          )}
+          {streaming && <span className="ml-0.5 inline-block h-4 w-1.5 animate-pulse bg-gray-400 align-middle" />}
+        </div>
+
+        <div className={cn("flex items-center space-x-2 text-xs text-gray-400", isUser && "justify-end")}>
+          {message.timestamp && <span>{format(new Date(message.timestamp), 'HH:mm')}</span>}
+
+          {message.messageType === 'voice' && metadata.audioUrl && (
+            <AudioPlayer audioUrl={metadata.audioUrl} />
+          )}
+          {!isUser && !streaming && onSpeak && message.messageType === 'text' && (
+            <AudioPlayer
+              audioUrl={metadata.audioUrl}
+              autoPlay={speech.autoPlay}
+              loading={speech.loading}
+              error={speech.error}
+              onRequest={() => onSpeak(message.id)}
+            />
+          )}
+          {!isUser && !streaming && metadata.intent && onIntentCorrect && (
+            <IntentCorrection message={message} onIntentCorrect={onIntentCorrect} />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// The conversation's messages, oldest first. Replies render their tool
+// steps, code files, image galleries and audio controls.
+const MessageList = ({
+  messages = [],
+  isLoading = false,
+  onIntentCorrect,
+  onRunCode,
+  onDownloadCode,
+  onSpeak,
+  onImageVariations
+}) => {
+  if (!isLoading && messages.length === 0) {
+    return (
+      <div className="flex h-full items-center justify-center text-gray-500">
+        <p>Ask RAI anything, or type / for commands.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4 p-4">
+      {messages.map(message => (
+        <MessageItem
+          key={message.id}
+          message={message}
+          onIntentCorrect={onIntentCorrect}
+          onRunCode={onRunCode}
+          onDownloadCode={onDownloadCode}
+          onSpeak={onSpeak}
+          onImageVariations={onImageVariations}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default MessageList;
\ No newline at end of file
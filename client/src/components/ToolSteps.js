@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { ChevronRight, Wrench, AlertCircle } from 'lucide-react';
+
+// Utils
+import { cn } from '../utils/cn';
+
+// Collapsible list of the tool calls RAI made while answering a message
+// (message.metadata.toolCalls)
+const ToolSteps = ({ steps = [] }) => {
+  const [openSteps, setOpenSteps] = useState({});
+
+  if (steps.length === 0) return null;
+
+  const toggleStep = (index) => {
+    setOpenSteps(prev => ({ ...prev, [index]: !prev[index] }));
+  };
+
+  return (
+    <div className="mb-2 space-y-1">
+      {steps.map((step, index) => (
+        <div key={index} className="rounded-md border border-gray-200 bg-gray-50 text-sm">
+          <button
+            type="button"
+            onClick={() => toggleStep(index)}
+            className="flex w-full items-center space-x-2 px-3 py-1.5 text-left text-gray-600 hover:text-gray-900"
+          >
+            <ChevronRight
+              className={cn(
+                "h-4 w-4 transition-transform",
+                openSteps[index] && "rotate-90"
+              )}
+            />
+            {step.error ? (
+              <AlertCircle className="h-4 w-4 text-red-500" />
+            ) : (
+              <Wrench className="h-4 w-4 text-purple-500" />
+            )}
+            <span className="font-medium">{step.tool}</span>
+            {step.durationMs !== undefined && (
+              <span className="text-xs text-gray-400">{step.durationMs}ms</span>
+            )}
+          </button>
+
+          {openSteps[index] && (
+            <div className="space-y-2 border-t border-gray-200 px-3 py-2">
+              <div>
+                <div className="text-xs uppercase text-gray-400">Arguments</div>
+                <pre className="overflow-x-auto whitespace-pre-wrap text-xs text-gray-700">
+                  {JSON.stringify(step.arguments, null, 2)}
+                </pre>
+              </div>
+              <div>
+                <div className="text-xs uppercase text-gray-400">
+                  {step.error ? 'Error' : 'Result'}
+                </div>
+                <pre className={cn(
+                  "overflow-x-auto whitespace-pre-wrap text-xs",
+                  step.error ? "text-red-600" : "text-gray-700"
+                )}>
+                  {step.error || JSON.stringify(step.result, null, 2)}
+                </pre>
+              </div>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ToolSteps;
\ No newline at end of file
@@ -3,6 +3,7 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Helmet } from 'react-helmet-async';
 import toast from 'react-hot-toast';
+import { FileText } from 'lucide-react';
 
 // Components
 import ChatSidebar from '../components/ChatSidebar';
@@ -24,6 +25,9 @@ import { chatService } from '../services/chatService';
 // Utils
 import { cn } from '../utils/cn';
 
+// Documents the server parses for analysis (see utils/documents.js)
+const DOCUMENT_EXTENSIONS = ['pdf', 'docx', 'txt', 'csv', 'md', 'markdown'];
+
 const Chat = () => {
   const { conversationId } = useParams();
   const navigate = useNavigate();
@@ -39,6 +43,7 @@ const Chat = () => {
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [voiceRecording, setVoiceRecording] = useState(false);
   const [fileUploading, setFileUploading] = useState(false);
+  const [pendingAttachments, setPendingAttachments] = useState([]);
   
   // Refs
   const messagesEndRef = useRef(null);
@@ -69,8 +74,16 @@ const Chat = () => {
     // Join user room
     socket.emit('join', user.id);
 
-    // Listen for message responses
-    socket.on('message_response', handleMessageResponse);
+    // Listen for streamed replies
+    socket.on('message_chunk', handleMessageChunk);
+    socket.on('message_complete', handleMessageResponse);
+
+    // Listen for sandboxed code runs
+    socket.on('execution_output', handleExecutionOutput);
+    socket.on('execution_complete', handleExecutionComplete);
+
+    // Listen for spoken replies
+    socket.on('message_audio', handleMessageAudio);
     
     // Listen for voice responses
     socket.on('voice_response', handleVoiceResponse);
@@ -78,13 +91,27 @@ const Chat = () => {
     // Listen for typing indicators
     socket.on('user_typing', handleTypingIndicator);
     
+    // Listen for generated titles, topics and tags
+    socket.on('conversation_updated', handleConversationUpdated);
+    
+    // Listen for facts RAI offers to remember
+    socket.on('memory_suggestions', handleMemorySuggestions);
+    socket.on('memory_updated', handleMemoryUpdated);
+    
     // Listen for errors
     socket.on('error', handleSocketError);
 
     return () => {
-      socket.off('message_response');
+      socket.off('message_chunk');
+      socket.off('message_complete');
+      socket.off('execution_output');
+      socket.off('execution_complete');
+      socket.off('message_audio');
       socket.off('voice_response');
       socket.off('user_typing');
+      socket.off('conversation_updated');
+      socket.off('memory_suggestions');
+      socket.off('memory_updated');
       socket.off('error');
     };
   }, [socket, connected, user]);
@@ -119,27 +146,35 @@ const Chat = () => {
   };
 
   const handleSendMessage = async (message, type = 'text') => {
-    if (!message.trim() || sending) return;
+    const attachments = type === 'text' ? pendingAttachments : [];
+    if ((!message.trim() && attachments.length === 0) || sending) return;
 
     try {
       setSending(true);
       
+      // Attachments are sent with the next message, asking about them
+      const content = message.trim() || (attachments.some(attachment => attachment.type === 'file')
+        ? 'Analyze this document'
+        : 'What is in this image?');
       const messageData = {
         userId: user.id,
-        message: message.trim(),
+        message: content,
         conversationId: conversationId,
-        messageType: type
+        messageType: type,
+        attachments
       };
 
       // Add user message to UI immediately
       const userMessage = {
         id: Date.now(),
         sender: 'user',
-        content: message.trim(),
+        content,
         messageType: type,
+        metadata: { attachments },
         timestamp: new Date(),
         status: 'sending'
       };
+      setPendingAttachments([]);
 
       setMessages(prev => [...prev, userMessage]);
 
@@ -159,23 +194,58 @@ const Chat = () => {
     }
   };
 
+  const handleMessageChunk = (chunk) => {
+    setMessages(prev => {
+      const existing = prev.find(msg => msg.id === chunk.messageId);
+
+      // Start a new AI message on the first chunk
+      if (!existing) {
+        return [...prev, {
+          id: chunk.messageId,
+          sender: 'ai',
+          content: chunk.content,
+          messageType: 'text',
+          timestamp: new Date(),
+          status: 'streaming',
+          sequence: chunk.sequence
+        }];
+      }
+
+      // Ignore chunks we've already applied
+      if (chunk.sequence <= existing.sequence) return prev;
+
+      return prev.map(msg =>
+        msg.id === chunk.messageId
+          ? { ...msg, content: msg.content + chunk.content, sequence: chunk.sequence }
+          : msg
+      );
+    });
+  };
+
   const handleMessageResponse = (response) => {
     setMessages(prev => {
+      // Intent corrections only resend the AI message
       const updated = prev.map(msg => 
-        msg.id === response.userMessage.id 
+        response.userMessage && msg.id === response.userMessage.id 
           ? { ...msg, status: 'sent' }
           : msg
       );
-      
-      // Add AI response
-      return [...updated, {
+
+      const aiMessage = {
         id: response.aiMessage.id,
         sender: 'ai',
         content: response.aiMessage.content,
         messageType: response.aiMessage.type,
         metadata: response.aiMessage.metadata,
-        timestamp: response.aiMessage.timestamp
-      }];
+        timestamp: response.aiMessage.timestamp,
+        status: 'sent'
+      };
+
+      // Replace the streamed message in place, or add it if nothing streamed
+      if (updated.some(msg => msg.id === aiMessage.id)) {
+        return updated.map(msg => msg.id === aiMessage.id ? aiMessage : msg);
+      }
+      return [...updated, aiMessage];
     });
 
     // Update conversation
@@ -186,6 +256,27 @@ const Chat = () => {
   };
 
   const handleVoiceResponse = (response) => {
+    // Show the transcription as the user's message, ahead of the streamed reply
+    const voiceMessage = {
+      id: response.userMessage.id,
+      sender: 'user',
+      content: response.userMessage.content,
+      messageType: 'voice',
+      metadata: {
+        audioUrl: response.userMessage.audioUrl,
+        duration: response.userMessage.duration,
+        transcribedText: response.userMessage.transcribedText
+      },
+      timestamp: response.userMessage.timestamp,
+      status: 'sent'
+    };
+
+    setMessages(prev => {
+      const replyIndex = prev.findIndex(msg => msg.id === response.aiMessage.id);
+      if (replyIndex === -1) return [...prev, voiceMessage];
+      return [...prev.slice(0, replyIndex), voiceMessage, ...prev.slice(replyIndex)];
+    });
+
     // Handle voice response similar to message response
     handleMessageResponse(response);
   };
@@ -194,6 +285,59 @@ const Chat = () => {
     setIsTyping(data.isTyping);
   };
 
+  // A conversation was titled and tagged after its first exchange
+  const handleConversationUpdated = (updated) => {
+    setConversation(prev => (prev && prev.id === updated.id ? { ...prev, ...updated } : prev));
+    refreshConversations();
+  };
+
+  // Each suggested memory waits in a toast until the user keeps or dismisses it
+  const handleMemorySuggestions = (data) => {
+    data.memories.forEach(memory => {
+      toast((t) => (
+        <div className="flex flex-col gap-2">
+          <span className="text-sm">Remember that "{memory.content}"?</span>
+          <div className="flex gap-2">
+            <button
+              className="px-2 py-1 rounded bg-purple-600 text-white text-xs"
+              onClick={() => {
+                confirmMemory(memory.id, true);
+                toast.dismiss(t.id);
+              }}
+            >
+              Remember
+            </button>
+            <button
+              className="px-2 py-1 rounded bg-gray-600 text-white text-xs"
+              onClick={() => {
+                confirmMemory(memory.id, false);
+                toast.dismiss(t.id);
+              }}
+            >
+              Dismiss
+            </button>
+          </div>
+        </div>
+      ), { id: `memory-${memory.id}`, duration: 15000 });
+    });
+  };
+
+  const confirmMemory = (memoryId, accept) => {
+    if (!socket || !connected) return;
+
+    socket.emit('confirm_memory', {
+      userId: user.id,
+      memoryId,
+      accept
+    });
+  };
+
+  const handleMemoryUpdated = (data) => {
+    if (data.memory) {
+      toast.success('RAI will remember that');
+    }
+  };
+
   const handleSocketError = (error) => {
     console.error('Socket error:', error);
     toast.error(error.message || 'Connection error');
@@ -211,6 +355,7 @@ const Chat = () => {
         const messageData = {
           userId: user.id,
           audioData,
+          mimeType: audioBlob.type,
           conversationId: conversationId
         };
 
@@ -231,6 +376,15 @@ const Chat = () => {
       for (const file of files) {
         const formData = new FormData();
         formData.append('file', file);
+
+        // Images and documents wait for the question the user asks about them
+        const extension = file.name.split('.').pop().toLowerCase();
+        if (file.type.startsWith('image/') || DOCUMENT_EXTENSIONS.includes(extension)) {
+          const attachment = await chatService.uploadAttachment(formData);
+          setPendingAttachments(prev => [...prev, attachment].slice(-4));
+          continue;
+        }
+
         formData.append('conversationId', conversationId);
 
         const uploadedFile = await chatService.uploadFile(formData);
@@ -248,6 +402,129 @@ const Chat = () => {
     }
   };
 
+  const handleIntentCorrection = (messageId, intent) => {
+    if (!socket || !connected) return;
+
+    // Clear the reply so the regenerated one streams into its place
+    setMessages(prev => prev.map(msg =>
+      msg.id === messageId
+        ? { ...msg, content: '', status: 'streaming', sequence: -1 }
+        : msg
+    ));
+
+    socket.emit('correct_intent', {
+      userId: user.id,
+      messageId,
+      intent
+    });
+  };
+
+  const updateExecution = (messageId, update) => {
+    setMessages(prev => prev.map(msg =>
+      msg.id === messageId
+        ? { ...msg, execution: update(msg.execution || {}) }
+        : msg
+    ));
+  };
+
+  const handleRunCode = (messageId, { path, language, code }) => {
+    if (!socket || !connected) return;
+
+    updateExecution(messageId, () => ({ running: true, path, stdout: '', stderr: '' }));
+    socket.emit('run_code', {
+      userId: user.id,
+      messageId,
+      path,
+      language,
+      code
+    });
+  };
+
+  const handleExecutionOutput = ({ messageId, stream, data }) => {
+    updateExecution(messageId, execution => ({
+      ...execution,
+      [stream]: (execution[stream] || '') + data
+    }));
+  };
+
+  const handleExecutionComplete = ({ messageId, executionResult, error }) => {
+    updateExecution(messageId, execution => ({
+      ...execution,
+      running: false,
+      result: executionResult,
+      error
+    }));
+  };
+
+  // The zip needs the auth header, so it is fetched and saved from a blob URL
+  const handleDownloadCode = async (messageId) => {
+    try {
+      const blob = await chatService.downloadCode(messageId);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `rai-code-${messageId}.zip`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading code:', error);
+      toast.error('Failed to download code');
+    }
+  };
+
+  const updateSpeech = (messageId, speech, audioUrl) => {
+    setMessages(prev => prev.map(msg =>
+      msg.id === messageId
+        ? {
+            ...msg,
+            speech,
+            metadata: audioUrl ? { ...msg.metadata, audioUrl } : msg.metadata
+          }
+        : msg
+    ));
+  };
+
+  const handleSpeakMessage = (messageId) => {
+    if (!socket || !connected) return;
+
+    updateSpeech(messageId, { loading: true });
+    socket.emit('synthesize_speech', {
+      userId: user.id,
+      messageId
+    });
+  };
+
+  const handleMessageAudio = ({ messageId, audioUrl, autoPlay, error }) => {
+    if (error) {
+      toast.error('Failed to read the reply aloud');
+    }
+    updateSpeech(messageId, { loading: false, autoPlay: Boolean(autoPlay), error }, audioUrl);
+  };
+
+  const handleImageVariations = async (imageUrl) => {
+    try {
+      const result = await chatService.generateImages({
+        mode: 'variation',
+        imageUrl,
+        n: 2,
+        conversationId
+      });
+
+      setMessages(prev => [...prev, {
+        id: result.messageId,
+        sender: 'ai',
+        content: result.content,
+        messageType: 'image',
+        metadata: result.metadata,
+        timestamp: new Date(),
+        status: 'sent'
+      }]);
+    } catch (error) {
+      console.error('Error creating image variations:', error);
+      toast.error(error.response?.data?.error || 'Failed to create variations');
+    }
+  };
+
   const handleTyping = (isTyping) => {
     if (socket && connected) {
       socket.emit('typing', {
@@ -304,7 +581,7 @@ const Chat = () => {
           />
 
           {/* Messages */}
-          <div className="flex-1 overflow-hidden">
+          <div className="flex-1 overflow-y-auto">
             <MessageList
               messages={messages}
               isLoading={loading}
@@ -312,6 +589,11 @@ const Chat = () => {
                 // Handle message reactions
                 console.log('Message reaction:', messageId, reaction);
               }}
+              onIntentCorrect={handleIntentCorrection}
+              onRunCode={handleRunCode}
+              onDownloadCode={handleDownloadCode}
+              onSpeak={handleSpeakMessage}
+              onImageVariations={handleImageVariations}
             />
             
             {/* Typing Indicator */}
@@ -333,6 +615,39 @@ const Chat = () => {
 
           {/* Input Area */}
           <div className="border-t bg-white p-4">
+            {pendingAttachments.length > 0 && (
+              <div className="mb-2 flex space-x-2">
+                {pendingAttachments.map(attachment => (
+                  <div key={attachment.url} className="relative">
+                    {attachment.type === 'file' ? (
+                      <div className="flex h-16 max-w-[12rem] items-center space-x-2 rounded-md border border-gray-200 px-3 text-sm text-gray-700">
+                        <FileText className="h-5 w-5 flex-shrink-0 text-purple-600" />
+                        <div className="min-w-0">
+                          <p className="truncate">{attachment.name}</p>
+                          {attachment.pageCount && (
+                            <p className="text-xs text-gray-500">{attachment.pageCount} pages</p>
+                          )}
+                        </div>
+                      </div>
+                    ) : (
+                      <img
+                        src={attachment.thumbnailUrl || attachment.url}
+                        alt={attachment.name}
+                        className="h-16 w-16 rounded-md border border-gray-200 object-cover"
+                      />
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => setPendingAttachments(prev => prev.filter(item => item.url !== attachment.url))}
+                      className="absolute -right-1.5 -top-1.5 h-5 w-5 rounded-full bg-gray-700 text-xs text-white hover:bg-gray-900"
+                      title="Remove attachment"
+                    >
+                      ×
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
             <div className="flex items-end space-x-2">
               {/* File Upload */}
               <FileUpload
@@ -0,0 +1,259 @@
+import React, { useState, useEffect } from 'react';
+import { Helmet } from 'react-helmet-async';
+import toast from 'react-hot-toast';
+import { Brain, Check, Pencil, Trash2, X } from 'lucide-react';
+
+// Services
+import { chatService } from '../services/chatService';
+
+// Utils
+import { cn } from '../utils/cn';
+
+// Mirrors the category enum in server/models/memory.js
+const CATEGORIES = ['preference', 'personal', 'work', 'interest', 'other'];
+
+const Memory = () => {
+  // State
+  const [memories, setMemories] = useState([]);
+  const [enabled, setEnabled] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [newContent, setNewContent] = useState('');
+  const [newCategory, setNewCategory] = useState('other');
+  const [editing, setEditing] = useState(null);
+
+  const pending = memories.filter(memory => memory.status === 'pending');
+  const confirmed = memories.filter(memory => memory.status === 'confirmed');
+
+  useEffect(() => {
+    loadMemories();
+  }, []);
+
+  const loadMemories = async () => {
+    try {
+      setLoading(true);
+      const data = await chatService.getMemories();
+      setMemories(data.memories);
+      setEnabled(data.enabled);
+    } catch (error) {
+      console.error('Error loading memories:', error);
+      toast.error('Failed to load memories');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const replaceMemory = (memory) => {
+    setMemories(prev => prev.map(item => (item.id === memory.id ? memory : item)));
+  };
+
+  const handleToggle = async () => {
+    try {
+      const data = await chatService.updateMemorySettings({ enabled: !enabled });
+      setEnabled(data.enabled);
+    } catch (error) {
+      toast.error('Failed to update memory settings');
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newContent.trim()) return;
+
+    try {
+      const memory = await chatService.addMemory({ content: newContent.trim(), category: newCategory });
+      setMemories(prev => [memory, ...prev]);
+      setNewContent('');
+      setNewCategory('other');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to add memory');
+    }
+  };
+
+  const handleConfirm = async (memory) => {
+    try {
+      replaceMemory(await chatService.updateMemory(memory.id, { status: 'confirmed' }));
+    } catch (error) {
+      toast.error('Failed to confirm memory');
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      replaceMemory(await chatService.updateMemory(editing.id, {
+        content: editing.content,
+        category: editing.category
+      }));
+      setEditing(null);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update memory');
+    }
+  };
+
+  const handleDelete = async (memoryId) => {
+    try {
+      await chatService.deleteMemory(memoryId);
+      setMemories(prev => prev.filter(memory => memory.id !== memoryId));
+    } catch (error) {
+      toast.error('Failed to delete memory');
+    }
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('Forget everything RAI remembers about you?')) return;
+
+    try {
+      await chatService.clearMemories();
+      setMemories([]);
+      toast.success('All memories deleted');
+    } catch (error) {
+      toast.error('Failed to delete memories');
+    }
+  };
+
+  const renderMemory = (memory) => {
+    if (editing && editing.id === memory.id) {
+      return (
+        <li key={memory.id} className="flex items-center space-x-2 py-3">
+          <input
+            value={editing.content}
+            maxLength={300}
+            onChange={(e) => setEditing({ ...editing, content: e.target.value })}
+            className="flex-1 rounded-md border border-gray-300 px-3 py-1.5 text-sm"
+          />
+          <select
+            value={editing.category}
+            onChange={(e) => setEditing({ ...editing, category: e.target.value })}
+            className="rounded-md border border-gray-300 px-2 py-1.5 text-sm"
+          >
+            {CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
+          </select>
+          <button onClick={handleSave} className="p-1.5 text-green-600 hover:text-green-800" title="Save">
+            <Check className="h-4 w-4" />
+          </button>
+          <button onClick={() => setEditing(null)} className="p-1.5 text-gray-500 hover:text-gray-700" title="Cancel">
+            <X className="h-4 w-4" />
+          </button>
+        </li>
+      );
+    }
+
+    return (
+      <li key={memory.id} className="flex items-center space-x-3 py-3">
+        <div className="min-w-0 flex-1">
+          <p className="text-sm text-gray-900">{memory.content}</p>
+          <p className="text-xs text-gray-500">{memory.category}</p>
+        </div>
+        {memory.status === 'pending' && (
+          <button onClick={() => handleConfirm(memory)} className="p-1.5 text-green-600 hover:text-green-800" title="Remember">
+            <Check className="h-4 w-4" />
+          </button>
+        )}
+        <button
+          onClick={() => setEditing({ id: memory.id, content: memory.content, category: memory.category })}
+          className="p-1.5 text-gray-500 hover:text-gray-700"
+          title="Edit"
+        >
+          <Pencil className="h-4 w-4" />
+        </button>
+        <button onClick={() => handleDelete(memory.id)} className="p-1.5 text-red-500 hover:text-red-700" title="Forget">
+          <Trash2 className="h-4 w-4" />
+        </button>
+      </li>
+    );
+  };
+
+  return (
+    <>
+      <Helmet>
+        <title>Memory - RAI</title>
+      </Helmet>
+
+      <div className="mx-auto max-w-3xl p-6">
+        <div className="mb-6 flex items-center justify-between">
+          <div className="flex items-center space-x-2">
+            <Brain className="h-6 w-6 text-purple-600" />
+            <h1 className="text-2xl font-semibold text-gray-900">Memory</h1>
+          </div>
+          <div className="flex items-center space-x-2 text-sm text-gray-700">
+            <span>Remember things about me</span>
+            <button
+              onClick={handleToggle}
+              className={cn(
+                'relative h-6 w-11 rounded-full transition-colors',
+                enabled ? 'bg-purple-600' : 'bg-gray-300'
+              )}
+            >
+              <span
+                className={cn(
+                  'absolute top-0.5 h-5 w-5 rounded-full bg-white transition-transform',
+                  enabled ? 'translate-x-5' : 'translate-x-0.5'
+                )}
+              />
+            </button>
+          </div>
+        </div>
+
+        <p className="mb-6 text-sm text-gray-600">
+          RAI uses what it remembers to personalize replies in every conversation. It suggests
+          facts you share in chat and only uses them once you confirm. You can also type
+          /remember followed by a fact in any chat.
+        </p>
+
+        <form onSubmit={handleAdd} className="mb-8 flex space-x-2">
+          <input
+            value={newContent}
+            maxLength={300}
+            onChange={(e) => setNewContent(e.target.value)}
+            placeholder="Add something for RAI to remember"
+            className="flex-1 rounded-md border border-gray-300 px-3 py-2 text-sm"
+          />
+          <select
+            value={newCategory}
+            onChange={(e) => setNewCategory(e.target.value)}
+            className="rounded-md border border-gray-300 px-2 py-2 text-sm"
+          >
+            {CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
+          </select>
+          <button type="submit" className="rounded-md bg-purple-600 px-4 py-2 text-sm text-white hover:bg-purple-700">
+            Add
+          </button>
+        </form>
+
+        {loading ? (
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-500 mx-auto"></div>
+        ) : (
+          <>
+            {pending.length > 0 && (
+              <section className="mb-8">
+                <h2 className="mb-2 text-sm font-medium uppercase text-gray-500">Suggested</h2>
+                <ul className="divide-y divide-gray-200 rounded-md border border-gray-200 bg-white px-4">
+                  {pending.map(renderMemory)}
+                </ul>
+              </section>
+            )}
+
+            <section>
+              <div className="mb-2 flex items-center justify-between">
+                <h2 className="text-sm font-medium uppercase text-gray-500">Remembered</h2>
+                {memories.length > 0 && (
+                  <button onClick={handleClear} className="text-sm text-red-600 hover:text-red-800">
+                    Forget everything
+                  </button>
+                )}
+              </div>
+              {confirmed.length > 0 ? (
+                <ul className="divide-y divide-gray-200 rounded-md border border-gray-200 bg-white px-4">
+                  {confirmed.map(renderMemory)}
+                </ul>
+              ) : (
+                <p className="text-sm text-gray-500">RAI doesn't remember anything about you yet.</p>
+              )}
+            </section>
+          </>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default Memory;
\ No newline at end of file
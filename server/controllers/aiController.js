@@ -1,27 +1,625 @@
+const archiver = require('archiver');
+const mongoose = require('mongoose');
+const multer = require('multer');
 const AIService = require('../services/aiService');
+const ContextBuilder = require('../services/contextBuilder');
+const Conversation = require('../models/conversation');
+const Document = require('../models/document');
+const Image = require('../models/image');
+const Message = require('../models/message');
+const { DOCUMENT_FORMATS, documentFormat, documentHash, storeDocument } = require('../utils/documents');
+const { storeImage } = require('../utils/images');
+
 const aiService = new AIService();
+const contextBuilder = new ContextBuilder(aiService);
+
+// Voice uploads stay in memory; AIService stores the original after transcription
+const audioUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: parseInt(process.env.STT_MAX_BYTES) || 25 * 1024 * 1024 }
+}).single('audio');
+
+// Source images and masks for variations and edits
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: parseInt(process.env.IMAGE_MAX_BYTES) || 20 * 1024 * 1024 }
+}).fields([{ name: 'image', maxCount: 1 }, { name: 'mask', maxCount: 1 }]);
+
+// Images attached to chat messages for vision models, and documents to analyze
+const ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: Math.max(
+      parseInt(process.env.IMAGE_MAX_BYTES) || 20 * 1024 * 1024,
+      parseInt(process.env.DOCUMENT_MAX_BYTES) || 20 * 1024 * 1024
+    )
+  },
+  fileFilter: (req, file, callback) => callback(null,
+    ATTACHMENT_TYPES.includes(file.mimetype) || Boolean(documentFormat(file.originalname, file.mimetype))
+  )
+}).single('file');
+
+const MESSAGE_ROLES = ['system', 'user', 'assistant'];
+const IMAGE_MODES = ['generate', 'variation', 'edit'];
+const MAX_IMAGES_PER_REQUEST = 10;
+const MAX_TOKENS_LIMIT = parseInt(process.env.AI_MAX_TOKENS_LIMIT, 10) || 8192;
+
+// Stored images that can be the source of a variation or edit
+const IMAGE_SOURCE_URL = /^\/uploads\/images\/[0-9a-f]{64}\.webp$/;
+
+// Validates a /generate request body. Returns an error message or null.
+function validateGenerateRequest(body) {
+  const { messages, prompt, model, temperature, maxTokens, systemPrompt } = body;
+
+  if (messages === undefined && prompt === undefined) {
+    return 'Either messages or prompt is required.';
+  }
+  if (messages !== undefined) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+      return 'messages must be a non-empty array.';
+    }
+    const invalid = messages.find(msg =>
+      !msg || !MESSAGE_ROLES.includes(msg.role) || typeof msg.content !== 'string' || !msg.content.trim()
+    );
+    if (invalid) {
+      return `Each message needs a role (${MESSAGE_ROLES.join(', ')}) and non-empty string content.`;
+    }
+    if (!messages.some(msg => msg.role === 'user')) {
+      return 'messages must include at least one user message.';
+    }
+  }
+  if (prompt !== undefined && (typeof prompt !== 'string' || !prompt.trim())) {
+    return 'prompt must be a non-empty string.';
+  }
+  if (model !== undefined && (typeof model !== 'string' || !aiService.resolveModel(model).provider)) {
+    return 'model must be "<provider>:<model>" for a registered provider, e.g. "openai:gpt-4o-mini".';
+  }
+  if (temperature !== undefined && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+    return 'temperature must be a number between 0 and 2.';
+  }
+  if (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > MAX_TOKENS_LIMIT)) {
+    return `maxTokens must be an integer between 1 and ${MAX_TOKENS_LIMIT}.`;
+  }
+  if (systemPrompt !== undefined && typeof systemPrompt !== 'string') {
+    return 'systemPrompt must be a string.';
+  }
+
+  return null;
+}
+
+// Validates an /image request. Model-specific limits are checked by
+// AIService once the model is known. Returns an error message or null.
+function validateImageRequest({ prompt, mode, n, size, quality, style, model, image, mask }) {
+  if (!IMAGE_MODES.includes(mode)) {
+    return `mode must be one of ${IMAGE_MODES.join(', ')}.`;
+  }
+  if (mode !== 'variation' && (typeof prompt !== 'string' || !prompt.trim())) {
+    return 'Prompt is required.';
+  }
+  if (!Number.isInteger(n) || n < 1 || n > MAX_IMAGES_PER_REQUEST) {
+    return `n must be an integer between 1 and ${MAX_IMAGES_PER_REQUEST}.`;
+  }
+  if ([size, quality, style].some(value => value !== undefined && typeof value !== 'string')) {
+    return 'size, quality and style must be strings.';
+  }
+  if (model !== undefined && (typeof model !== 'string' || !aiService.resolveModel(model).provider)) {
+    return 'model must be "<provider>:<model>" for a registered provider.';
+  }
+  if (mode !== 'generate' && !image) {
+    return 'An image is required: upload an "image" file or send imageUrl.';
+  }
+  // Only stored images and inline data, never other uploads or arbitrary URLs
+  const invalidSource = [image, mask].find(source =>
+    typeof source === 'string' && !IMAGE_SOURCE_URL.test(source) && !source.startsWith('data:image/')
+  );
+  if (invalidSource) {
+    return 'imageUrl and maskUrl must be /uploads/images URLs or data:image URLs.';
+  }
+
+  return null;
+}
+
+// Builds the message list for a prompt, prefixed with the conversation's
+// history when the reply is persisted into one
+async function promptMessages(prompt, conversation, model) {
+  if (!conversation) {
+    return [{ role: 'user', content: prompt }];
+  }
+
+  const context = await contextBuilder.build(conversation, prompt, { model });
+  const messages = context.summary
+    ? [{ role: 'system', content: `Summary of the earlier conversation:\n${context.summary}` }]
+    : [];
+
+  context.history.forEach(msg => {
+    messages.push({ role: msg.sender === 'user' ? 'user' : 'assistant', content: msg.content });
+  });
+  messages.push({ role: 'user', content: prompt });
+
+  return messages;
+}
+
+// Saves the exchange into the conversation and returns the AI message
+async function persistExchange(conversation, userContent, result, responseTime) {
+  const usage = result.usage ? { tokens: result.usage.totalTokens } : {};
+
+  await new Message({
+    conversationId: conversation._id,
+    sender: 'user',
+    content: userContent,
+    messageType: 'text',
+    timestamp: new Date()
+  }).save();
+
+  const aiMessage = new Message({
+    conversationId: conversation._id,
+    sender: 'ai',
+    content: result.content,
+    messageType: result.type || 'text',
+    metadata: {
+      ...result.metadata,
+      ...usage,
+      responseTime
+    },
+    timestamp: new Date()
+  });
+  await aiMessage.save();
+
+  conversation.lastMessage = result.content;
+  conversation.updatedAt = new Date();
+  await conversation.save();
+
+  return aiMessage;
+}
+
+// Parses a document once per user and file contents. Uploading the same
+// file again reuses the stored document and its analysis.
+async function saveDocument(user, file) {
+  const existing = await Document.findOne({ userId: user._id, hash: documentHash(file.buffer) });
+  if (existing) {
+    return existing;
+  }
+
+  const stored = await storeDocument(file.buffer, { name: file.originalname, mimeType: file.mimetype });
+  const document = new Document({
+    userId: user._id,
+    name: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    ...stored
+  });
+  await document.save();
+  return document;
+}
 
+// Streams generated files to the client as a zip archive
+function sendZip(res, files, name) {
+  res.attachment(`${name}.zip`);
+
+  const archive = archiver('zip');
+  archive.on('error', (error) => {
+    console.error('Error creating zip:', error);
+    res.destroy(error);
+  });
+  archive.pipe(res);
+
+  files.forEach(file => archive.append(file.content, { name: file.path }));
+  return archive.finalize();
+}
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  // compression buffers the body unless flushed explicitly
+  if (res.flush) res.flush();
+}
+
+// Accepts multipart uploads in the "image" and "mask" fields
+exports.uploadImages = (req, res, next) => {
+  imageUpload(req, res, (error) => {
+    if (error) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: error.message });
+    }
+    next();
+  });
+};
+
+// Generates images from a prompt, variations of an image, or edits of an
+// image within a mask. With a conversationId the images are saved to the
+// conversation as one gallery message.
 exports.generateImage = async (req, res) => {
+  const { prompt, mode = 'generate', size, quality, style, model, conversationId } = req.body;
+  const n = req.body.n === undefined ? 1 : Number(req.body.n);
+  const files = req.files || {};
+  const image = files.image ? files.image[0].buffer : req.body.imageUrl;
+  const mask = files.mask ? files.mask[0].buffer : req.body.maskUrl;
+
+  const validationError = validateImageRequest({ prompt, mode, n, size, quality, style, model, image, mask });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  if (!req.user.checkLimits('images', n)) {
+    return res.status(403).json({ error: `This request would exceed the image limit of your ${req.user.subscription.plan} plan.` });
+  }
+
+  let conversation = null;
   try {
-    const { prompt } = req.body;
-    if (!prompt || typeof prompt !== 'string') {
-      return res.status(400).json({ error: 'Prompt is required.' });
+    // Stored sources must be images the user uploaded or generated
+    for (const source of [image, mask]) {
+      if (typeof source === 'string' && IMAGE_SOURCE_URL.test(source) && !await Image.ownedBy(req.user._id, source)) {
+        return res.status(404).json({ error: 'Image not found.' });
+      }
     }
-    const result = await aiService.generateImage(prompt);
-    res.json(result);
+
+    if (conversationId) {
+      conversation = await Conversation.findOne({ _id: conversationId, userId: req.user._id });
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found.' });
+      }
+    }
+  } catch (error) {
+    console.error('Error loading conversation:', error);
+    return res.status(400).json({ error: 'Invalid conversationId.' });
+  }
+
+  try {
+    const startedAt = Date.now();
+    const result = await aiService.generateImage(prompt, {
+      ...aiService.resolveModel(model),
+      mode,
+      n,
+      size,
+      quality,
+      style,
+      image,
+      mask
+    });
+    await req.user.updateUsage('image', result.metadata.images.length);
+    await Image.record(req.user._id, result.metadata.images, 'generated');
+
+    let aiMessage = null;
+    if (conversation) {
+      const request = mode === 'variation' ? 'Variations of an image' : mode === 'edit' ? `Edit an image: ${prompt}` : prompt;
+      aiMessage = await persistExchange(conversation, request, result, Date.now() - startedAt);
+    }
+
+    res.json({
+      ...result,
+      conversationId: conversation ? conversation._id : undefined,
+      messageId: aiMessage ? aiMessage._id : undefined
+    });
   } catch (error) {
     console.error('Error generating image:', error);
-    res.status(500).json({ error: 'Failed to generate image.' });
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(502).json({
+      error: error.status === 502 ? error.message : 'Failed to generate image.',
+      providerAttempts: error.attempts || []
+    });
+  }
+};
+
+exports.listModels = async (req, res) => {
+  try {
+    const models = await aiService.listModels();
+    res.json({ models });
+  } catch (error) {
+    console.error('Error listing models:', error);
+    res.status(500).json({ error: 'Failed to list models.' });
   }
 };
 
-// Placeholder for other AI endpoints
+// Completion with full parameter control. Set stream: true to receive
+// Server-Sent Events (token, done, error) instead of a single JSON body.
 exports.generateText = async (req, res) => {
-  res.status(501).json({ error: 'Not implemented' });
+  const validationError = validateGenerateRequest(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const { messages, prompt, model, temperature, maxTokens, systemPrompt, conversationId, stream } = req.body;
+  const startedAt = Date.now();
+
+  let conversation = null;
+  try {
+    if (conversationId) {
+      conversation = await Conversation.findOne({ _id: conversationId, userId: req.user._id });
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found.' });
+      }
+    }
+  } catch (error) {
+    console.error('Error loading conversation:', error);
+    return res.status(400).json({ error: 'Invalid conversationId.' });
+  }
+
+  // A client that disconnects mid-stream cancels the provider call
+  let closed = false;
+  const cancel = new AbortController();
+  if (stream) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    // req has already closed once the body was read, so a disconnect only
+    // shows as res closing before the reply ended
+    res.on('close', () => {
+      closed = true;
+      if (!res.writableEnded) cancel.abort();
+    });
+  }
+
+  try {
+    const modelOptions = aiService.resolveModel(model);
+    const chatMessages = messages || await promptMessages(prompt, conversation, modelOptions.model);
+
+    const result = await aiService.generateCompletion(chatMessages, {
+      ...modelOptions,
+      temperature,
+      maxTokens,
+      systemPrompt,
+      user: req.user,
+      conversation,
+      signal: stream ? cancel.signal : undefined,
+      onToken: stream ? (token) => {
+        if (!closed) writeEvent(res, 'token', { content: token });
+      } : undefined
+    });
+
+    const responseTime = Date.now() - startedAt;
+    let messageId;
+    if (conversation) {
+      const lastUser = [...chatMessages].reverse().find(msg => msg.role === 'user');
+      const aiMessage = await persistExchange(conversation, lastUser.content, result, responseTime);
+      messageId = aiMessage._id;
+    }
+    await req.user.updateUsage('message');
+
+    const response = {
+      content: result.content,
+      usage: result.usage,
+      metadata: { ...result.metadata, responseTime },
+      conversationId: conversation ? conversation._id : undefined,
+      messageId
+    };
+
+    if (!stream) {
+      return res.json(response);
+    }
+    if (!closed) {
+      writeEvent(res, 'done', response);
+    }
+    res.end();
+  } catch (error) {
+    console.error('Error generating text:', error);
+    const body = { error: 'Failed to generate text.', providerAttempts: error.attempts || [] };
+
+    if (!stream) {
+      return res.status(502).json(body);
+    }
+    if (!closed) {
+      writeEvent(res, 'error', body);
+    }
+    res.end();
+  }
 };
+
+// Generates code split into files. Send format: "zip" to download the
+// files as an archive instead of JSON.
 exports.generateCode = async (req, res) => {
-  res.status(501).json({ error: 'Not implemented' });
+  try {
+    const { prompt, language, model, format } = req.body;
+    if (!prompt || typeof prompt !== 'string') {
+      return res.status(400).json({ error: 'Prompt is required.' });
+    }
+    if (language !== undefined && typeof language !== 'string') {
+      return res.status(400).json({ error: 'language must be a string.' });
+    }
+    if (model !== undefined && (typeof model !== 'string' || !aiService.resolveModel(model).provider)) {
+      return res.status(400).json({ error: 'model must be "<provider>:<model>" for a registered provider.' });
+    }
+    if (!req.user.checkLimits('code')) {
+      return res.status(403).json({ error: `You have reached the code generation limit of your ${req.user.subscription.plan} plan.` });
+    }
+
+    const result = await aiService.generateCode(prompt, {
+      ...aiService.resolveModel(model),
+      language,
+      user: req.user
+    });
+    await req.user.updateUsage('code');
+
+    const { files, explanation, ...metadata } = result.metadata;
+    if (format === 'zip') {
+      if (files.length === 0) {
+        return res.status(422).json({ error: 'The response did not contain any code files.' });
+      }
+      return sendZip(res, files, 'rai-code');
+    }
+
+    res.json({
+      content: result.content,
+      files,
+      explanation,
+      metadata
+    });
+  } catch (error) {
+    console.error('Error generating code:', error);
+    res.status(500).json({ error: 'Failed to generate code.' });
+  }
+};
+
+// Downloads the files of a code reply saved in one of the user's conversations
+exports.downloadCode = async (req, res) => {
+  try {
+    const message = mongoose.isValidObjectId(req.params.messageId) && await Message.findById(req.params.messageId);
+    const conversation = message && await Conversation.findOne({
+      _id: message.conversationId,
+      userId: req.user._id
+    });
+    if (!conversation) {
+      return res.status(404).json({ error: 'Message not found.' });
+    }
+
+    const files = (message.metadata && message.metadata.files) || [];
+    if (files.length === 0) {
+      return res.status(404).json({ error: 'This message has no code files.' });
+    }
+
+    return sendZip(res, files, `rai-code-${message._id}`);
+  } catch (error) {
+    console.error('Error downloading code:', error);
+    res.status(500).json({ error: 'Failed to download code.' });
+  }
+};
+
+// Accepts multipart uploads in the "audio" field
+exports.uploadAudio = (req, res, next) => {
+  audioUpload(req, res, (error) => {
+    if (error) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: error.message });
+    }
+    next();
+  });
 };
+
+// Transcribes an uploaded recording (multipart "audio" field, or JSON with
+// base64 audioData and mimeType). language is an optional ISO 639-1 hint.
 exports.processVoice = async (req, res) => {
-  res.status(501).json({ error: 'Not implemented' });
-}; 
\ No newline at end of file
+  try {
+    const audio = req.file ? req.file.buffer : req.body.audioData;
+    const mimeType = req.file ? req.file.mimetype : req.body.mimeType;
+    if (!audio || (!req.file && typeof audio !== 'string')) {
+      return res.status(400).json({ error: 'Audio is required.' });
+    }
+
+    const result = await aiService.speechToText(audio, {
+      mimeType,
+      language: req.body.language || undefined
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('Error processing voice:', error);
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(502).json({ error: 'Failed to transcribe audio.', providerAttempts: error.attempts || [] });
+  }
+};
+
+// Reads text aloud. Returns the URL of the stored audio; language is an
+// optional ISO 639-1 code and voice a provider-specific voice name.
+exports.synthesizeSpeech = async (req, res) => {
+  try {
+    const { text, language, voice } = req.body;
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ error: 'Text is required.' });
+    }
+
+    const result = await aiService.textToSpeech(text, {
+      language: language || (req.user.preferences && req.user.preferences.language),
+      voice
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('Error synthesizing speech:', error);
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(502).json({ error: 'Failed to synthesize speech.', providerAttempts: error.attempts || [] });
+  }
+};
+
+// Accepts a multipart image or document upload in the "file" field
+exports.uploadAttachment = (req, res, next) => {
+  attachmentUpload(req, res, (error) => {
+    if (error) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: error.message });
+    }
+    next();
+  });
+};
+
+// Stores an image or document for a chat message and returns the attachment
+// to send with it in send_message's attachments
+exports.saveAttachment = async (req, res) => {
+  try {
+    if (!req.file) {
+      const formats = Object.keys(DOCUMENT_FORMATS).map(format => format.toUpperCase()).join(', ');
+      return res.status(400).json({ error: `An image (${ATTACHMENT_TYPES.join(', ')}) or a document (${formats}) is required.` });
+    }
+
+    if (!ATTACHMENT_TYPES.includes(req.file.mimetype)) {
+      const document = await saveDocument(req.user, req.file);
+      return res.json({
+        type: 'file',
+        url: document.url,
+        name: document.name,
+        size: document.size,
+        mimeType: document.mimeType,
+        documentId: document._id,
+        pageCount: document.pageCount
+      });
+    }
+
+    const stored = await storeImage(req.file.buffer);
+    await Image.record(req.user._id, [stored], 'upload');
+    res.json({
+      type: 'image',
+      url: stored.url,
+      thumbnailUrl: stored.thumbnailUrl,
+      name: req.file.originalname,
+      size: req.file.size,
+      mimeType: 'image/webp',
+      width: stored.width,
+      height: stored.height
+    });
+  } catch (error) {
+    console.error('Error saving attachment:', error);
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to save attachment.' });
+  }
+};
+
+// Documents the user uploaded, newest first
+exports.listDocuments = async (req, res) => {
+  try {
+    const documents = await Document.find({ userId: req.user._id })
+      .select('-chunks.text')
+      .sort({ createdAt: -1 });
+
+    res.json({ documents: documents.map(document => document.getSummary()) });
+  } catch (error) {
+    console.error('Error listing documents:', error);
+    res.status(500).json({ error: 'Failed to list documents.' });
+  }
+};
+
+// A parsed document with its chunks and latest analysis, as stored at upload
+exports.getDocument = async (req, res) => {
+  try {
+    const document = mongoose.isValidObjectId(req.params.documentId) &&
+      await Document.findOne({ _id: req.params.documentId, userId: req.user._id });
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found.' });
+    }
+
+    res.json({
+      ...document.getSummary(),
+      chunks: document.chunks,
+      analysis: document.analysis
+    });
+  } catch (error) {
+    console.error('Error getting document:', error);
+    res.status(500).json({ error: 'Failed to get document.' });
+  }
+};
\ No newline at end of file
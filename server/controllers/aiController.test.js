@@ -0,0 +1,225 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const Image = require('../models/image');
+const { parseEventStream } = require('../utils/sse');
+
+// The controller's AIService loads sharp for image handling, so these only
+// run where sharp is installed
+let sharp = null;
+try {
+  sharp = require('sharp');
+} catch (error) {
+  sharp = null;
+}
+const skip = !sharp && 'sharp is not installed';
+
+let server;
+let baseURL;
+const usage = [];
+const plan = { limitReached: false };
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rai-ai-controller-'));
+
+test.before(async () => {
+  if (skip) return;
+  process.env.AI_MOCK = 'true';
+  process.env.UPLOAD_PATH = uploadDir;
+  const aiController = require('./aiController');
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = {
+      _id: 'user-1',
+      subscription: { plan: 'free' },
+      checkLimits: () => !plan.limitReached,
+      updateUsage: async (type, count) => { usage.push(count === undefined ? type : [type, count]); }
+    };
+    next();
+  });
+  app.post('/generate', aiController.generateText);
+  app.post('/code', aiController.generateCode);
+  app.post('/image', aiController.uploadImages, aiController.generateImage);
+
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+  if (server) await new Promise(resolve => server.close(resolve));
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+  usage.length = 0;
+  plan.limitReached = false;
+});
+
+const post = (path, body) => fetch(`${baseURL}${path}`, {
+  method: 'POST',
+  headers: { 'content-type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+test('rejects malformed /generate requests with 400', { skip }, async () => {
+  const cases = [
+    [{}, 'Either messages or prompt is required.'],
+    [{ messages: [] }, 'messages must be a non-empty array.'],
+    [{ messages: [{ role: 'robot', content: 'hi' }] }, /Each message needs a role/],
+    [{ messages: [{ role: 'system', content: 'Be brief.' }] }, 'messages must include at least one user message.'],
+    [{ prompt: '  ' }, 'prompt must be a non-empty string.'],
+    [{ prompt: 'hi', model: 'nobody:model-x' }, /model must be "<provider>:<model>"/],
+    [{ prompt: 'hi', temperature: 3 }, 'temperature must be a number between 0 and 2.'],
+    [{ prompt: 'hi', maxTokens: 1.5 }, /maxTokens must be an integer/],
+    [{ prompt: 'hi', systemPrompt: 42 }, 'systemPrompt must be a string.']
+  ];
+
+  for (const [body, message] of cases) {
+    const response = await post('/generate', body);
+    assert.strictEqual(response.status, 400);
+    const { error } = await response.json();
+    if (message instanceof RegExp) {
+      assert.match(error, message);
+    } else {
+      assert.strictEqual(error, message);
+    }
+  }
+  assert.deepStrictEqual(usage, []);
+});
+
+test('answers with JSON by default', { skip }, async () => {
+  const response = await post('/generate', { prompt: 'Hello', model: 'mock:mock-chat', temperature: 0.2, maxTokens: 50 });
+
+  assert.strictEqual(response.status, 200);
+  const body = await response.json();
+  assert.strictEqual(body.content, 'Mock reply to: Hello');
+  assert.strictEqual(body.metadata.provider, 'mock');
+  assert.strictEqual(typeof body.metadata.responseTime, 'number');
+  assert.deepStrictEqual(usage, ['message']);
+});
+
+test('streams tokens and a done event over SSE', { skip }, async () => {
+  const response = await post('/generate', { messages: [{ role: 'user', content: 'Stream this' }], stream: true });
+
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+  const events = [];
+  for await (const event of parseEventStream(response.body)) {
+    events.push(event);
+  }
+
+  const tokens = events.filter(event => event.event === 'token').map(event => JSON.parse(event.data).content);
+  const done = events[events.length - 1];
+  assert.strictEqual(done.event, 'done');
+  assert.strictEqual(tokens.join(''), JSON.parse(done.data).content);
+  assert.strictEqual(JSON.parse(done.data).content, 'Mock reply to: Stream this');
+});
+
+test('code generation respects the plan limit', { skip }, async () => {
+  plan.limitReached = true;
+
+  const response = await post('/code', { prompt: 'A hello world script' });
+
+  assert.strictEqual(response.status, 403);
+  assert.match((await response.json()).error, /code generation limit of your free plan/);
+  assert.deepStrictEqual(usage, []);
+});
+
+const STORED_URL = `/uploads/images/${'a'.repeat(64)}.webp`;
+
+const png = (width, height) =>
+  sharp({ create: { width, height, channels: 3, background: '#cc8844' } }).png().toBuffer();
+
+const postForm = async (path, fields, files) => {
+  const form = new FormData();
+  Object.entries(fields).forEach(([name, value]) => form.append(name, String(value)));
+  for (const [name, buffer] of Object.entries(files)) {
+    form.append(name, new Blob([buffer], { type: 'image/png' }), `${name}.png`);
+  }
+  return fetch(`${baseURL}${path}`, { method: 'POST', body: form });
+};
+
+test('rejects malformed image requests with 400', { skip }, async () => {
+  const cases = [
+    [{ prompt: 'A fox', mode: 'sketch' }, 'mode must be one of generate, variation, edit.'],
+    [{ mode: 'edit', imageUrl: STORED_URL }, 'Prompt is required.'],
+    [{ prompt: 'A fox', n: 11 }, 'n must be an integer between 1 and 10.'],
+    [{ prompt: 'A fox', size: 512 }, 'size, quality and style must be strings.'],
+    [{ mode: 'variation' }, 'An image is required: upload an "image" file or send imageUrl.'],
+    [{ mode: 'variation', imageUrl: '/uploads/documents/report.pdf' }, 'imageUrl and maskUrl must be /uploads/images URLs or data:image URLs.'],
+    [{ mode: 'variation', imageUrl: 'https://example.com/cat.png' }, 'imageUrl and maskUrl must be /uploads/images URLs or data:image URLs.']
+  ];
+
+  for (const [body, message] of cases) {
+    const response = await post('/image', body);
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual((await response.json()).error, message);
+  }
+});
+
+test('generates, stores and records the requested images', { skip }, async (t) => {
+  const record = t.mock.method(Image, 'record', async () => {});
+
+  const response = await post('/image', { prompt: 'A red fox', n: 2, size: '512x512', quality: 'hd' });
+
+  assert.strictEqual(response.status, 200);
+  const { metadata } = await response.json();
+  assert.strictEqual(metadata.images.length, 2);
+  assert.strictEqual(metadata.imageMode, 'generate');
+  assert.strictEqual(metadata.imageQuality, 'hd');
+  metadata.images.forEach(image => {
+    assert.match(image.url, /^\/uploads\/images\/[0-9a-f]{64}\.webp$/);
+    assert.ok(fs.existsSync(path.join(uploadDir, 'images', path.basename(image.url))));
+  });
+  assert.deepStrictEqual(usage, [['image', 2]]);
+  assert.deepStrictEqual(record.mock.calls[0].arguments, ['user-1', metadata.images, 'generated']);
+});
+
+test('model limits are reported as 400', { skip }, async () => {
+  const tooMany = await post('/image', { prompt: 'A red fox', n: 5 });
+  const badSize = await post('/image', { prompt: 'A red fox', size: '100x100' });
+
+  assert.strictEqual(tooMany.status, 400);
+  assert.strictEqual((await tooMany.json()).error, 'mock-image returns at most 4 images per request');
+  assert.strictEqual(badSize.status, 400);
+  assert.match((await badSize.json()).error, /^Size for mock-image must be one of 256x256/);
+  assert.deepStrictEqual(usage, []);
+});
+
+test('uploaded images can be varied and edited within a mask', { skip }, async (t) => {
+  t.mock.method(Image, 'record', async () => {});
+  const image = await png(300, 200);
+  const mask = await png(50, 50);
+
+  const variation = await postForm('/image', { mode: 'variation' }, { image });
+  const edit = await postForm('/image', { mode: 'edit', prompt: 'Add a hat', n: 1 }, { image, mask });
+
+  assert.strictEqual(variation.status, 200);
+  assert.strictEqual((await variation.json()).metadata.imageMode, 'variation');
+  assert.strictEqual(edit.status, 200);
+  const { metadata } = await edit.json();
+  assert.strictEqual(metadata.imageMode, 'edit');
+  assert.strictEqual(metadata.revisedPrompt, 'Mock rendering of: edit: Add a hat');
+});
+
+test('stored images can only be edited by the user they belong to', { skip }, async (t) => {
+  const ownedBy = t.mock.method(Image, 'ownedBy', async () => false);
+
+  const response = await post('/image', { mode: 'variation', imageUrl: STORED_URL });
+
+  assert.strictEqual(response.status, 404);
+  assert.deepStrictEqual(ownedBy.mock.calls[0].arguments, ['user-1', STORED_URL]);
+  assert.deepStrictEqual(usage, []);
+});
+
+test('image requests respect the plan limit', { skip }, async () => {
+  plan.limitReached = true;
+
+  const response = await post('/image', { prompt: 'A red fox', n: 3 });
+
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual((await response.json()).error, 'This request would exceed the image limit of your free plan.');
+});
\ No newline at end of file
@@ -1,17 +1,75 @@
 const AIService = require('../services/aiService');
+const ContextBuilder = require('../services/contextBuilder');
+const ConversationTagger = require('../services/conversationTagger');
+const IntentRouter = require('../services/intentRouter');
+const KnowledgeService = require('../services/knowledgeService');
+const MemoryService = require('../services/memoryService');
+const { CommandError, commandHelp, parseCommand } = require('../services/commandParser');
+const { getCodeRunner } = require('../services/sandbox');
 const Conversation = require('../models/conversation');
+const Document = require('../models/document');
+const Image = require('../models/image');
+const IntentCorrection = require('../models/intentCorrection');
+const Memory = require('../models/memory');
 const Message = require('../models/message');
 const User = require('../models/user');
 
+// How often a reply that is still streaming is written to the database
+const STREAM_PERSIST_INTERVAL = 500;
+
+// Most recent messages included when /summarize is used without text
+const SUMMARIZE_MESSAGE_LIMIT = 50;
+
+// Largest snippet accepted by run_code
+const MAX_CODE_LENGTH = 100000;
+
+// Images and documents per message, each uploaded first through
+// POST /api/ai/attachments
+const MAX_ATTACHMENTS = 4;
+const ATTACHMENT_URLS = {
+  image: /^\/uploads\/images\/[0-9a-f]{64}\.webp$/,
+  file: /^\/uploads\/documents\/[0-9a-f]{64}\.(pdf|docx|txt|csv|md)$/
+};
+
+// A document_analysis message without an attachment shorter than this is
+// taken as a request, not as pasted document text
+const MIN_PASTED_DOCUMENT_LENGTH = 1000;
+
+// Keeps the attachment fields we store, rejecting anything not uploaded here
+function validateAttachments(attachments) {
+  if (attachments === undefined) return [];
+  if (!Array.isArray(attachments) || attachments.length > MAX_ATTACHMENTS) {
+    throw new Error(`Attach at most ${MAX_ATTACHMENTS} files per message`);
+  }
+
+  return attachments.map(attachment => {
+    const pattern = attachment && ATTACHMENT_URLS[attachment.type];
+    if (!pattern || !pattern.test(attachment.url) || (attachment.type === 'file' && !attachment.documentId)) {
+      throw new Error('Invalid attachment');
+    }
+    const { type, url, thumbnailUrl, name, size, mimeType, width, height, documentId, pageCount } = attachment;
+    return { type, url, thumbnailUrl, name, size, mimeType, width, height, documentId, pageCount };
+  });
+}
+
 class ChatController {
   constructor(io) {
     this.io = io;
     this.aiService = new AIService();
+    this.contextBuilder = new ContextBuilder(this.aiService);
+    this.intentRouter = new IntentRouter(this.aiService);
+    this.knowledgeService = new KnowledgeService(this.aiService);
+    this.memoryService = new MemoryService(this.aiService);
+    this.conversationTagger = new ConversationTagger(this.aiService);
+    this.codeRunner = getCodeRunner();
+    this.runningCode = new Set();
   }
 
-  async handleMessage(socket, data) {
+  // options.metadata is stored on the user message, e.g. voice transcription details
+  async handleMessage(socket, data, options = {}) {
     try {
       const { userId, message, conversationId, messageType = 'text' } = data;
+      const attachments = validateAttachments(data.attachments);
 
       // Validate user
       const user = await User.findById(userId);
@@ -29,39 +87,90 @@ class ChatController {
       } else {
         conversation = new Conversation({
           userId,
-          title: message.substring(0, 50) + '...',
+          title: ConversationTagger.provisionalTitle(message),
           createdAt: new Date()
         });
         await conversation.save();
       }
 
+      // The first exchange names the conversation once the reply is out
+      const firstExchange = conversation.messageCount === 0;
+
+      // Slash commands pick the capability explicitly, e.g. "/translate fr hello"
+      let command = null;
+      try {
+        command = parseCommand(message);
+      } catch (error) {
+        if (!(error instanceof CommandError)) {
+          throw error;
+        }
+        command = { name: error.command, error: error.message };
+      }
+
+      // Attached documents must be the user's own uploads
+      const documents = await this.loadDocuments(userId, attachments);
+      if (documents.length < attachments.filter(attachment => attachment.type === 'file').length) {
+        throw new Error('Document not found');
+      }
+
+      // ...and attached images the user's own uploads or generated images
+      for (const attachment of attachments) {
+        if (attachment.type === 'image' && !await Image.ownedBy(userId, attachment.url)) {
+          throw new Error('Image not found');
+        }
+      }
+
       // Save user message
       const userMessage = new Message({
         conversationId: conversation._id,
         sender: 'user',
         content: message,
         messageType,
+        metadata: { ...options.metadata, ...(command ? { command: command.name } : {}) },
         timestamp: new Date()
       });
       await userMessage.save();
+      for (const attachment of attachments) {
+        await userMessage.addAttachment(attachment);
+      }
+      for (const document of documents) {
+        document.conversationId = conversation._id;
+        document.messageId = userMessage._id;
+        await document.save();
+      }
 
       // Update conversation
       conversation.lastMessage = message;
       conversation.updatedAt = new Date();
       await conversation.save();
 
-      // Generate AI response
-      const aiResponse = await this.generateAIResponse(message, conversation._id, user);
-
-      // Save AI response
+      // Generate AI response, streaming tokens to the client as they arrive
       const aiMessage = new Message({
         conversationId: conversation._id,
         sender: 'ai',
-        content: aiResponse.content,
-        messageType: aiResponse.type || 'text',
-        metadata: aiResponse.metadata || {},
+        content: '',
+        messageType: 'text',
+        status: 'streaming',
         timestamp: new Date()
       });
+      const stream = this.createStream(socket, aiMessage);
+
+      const aiResponse = await this.generateAIResponse(message, conversation._id, user, {
+        command,
+        images: attachments.filter(attachment => attachment.type === 'image'),
+        documents,
+        onToken: stream.onToken,
+        aiModel: conversation.metadata && conversation.metadata.aiModel,
+        conversation,
+        excludeIds: [userMessage._id]
+      });
+      await stream.flush();
+
+      // Save AI response
+      aiMessage.content = aiResponse.content;
+      aiMessage.messageType = aiResponse.type || 'text';
+      aiMessage.metadata = aiResponse.metadata || {};
+      aiMessage.status = 'sent';
       await aiMessage.save();
 
       // Update conversation with AI response
@@ -69,6 +178,21 @@ class ChatController {
       conversation.updatedAt = new Date();
       await conversation.save();
 
+      if (firstExchange && !aiResponse.metadata.error) {
+        this.tagConversation(conversation, { message, reply: aiResponse.content });
+      }
+
+      // Facts about the user in ordinary replies are suggested for memory
+      // once the reply is out, without holding it up
+      if (aiMessage.messageType === 'text' && !command && !aiResponse.metadata.error) {
+        this.suggestMemories(socket, user, {
+          message,
+          reply: aiResponse.content,
+          conversationId: conversation._id,
+          messageId: userMessage._id
+        });
+      }
+
       // Emit response to user
       const response = {
         conversationId: conversation._id,
@@ -76,6 +200,7 @@ class ChatController {
           id: userMessage._id,
           content: message,
           type: messageType,
+          attachments,
           timestamp: userMessage.timestamp
         },
         aiMessage: {
@@ -100,26 +225,83 @@ class ChatController {
     }
   }
 
+  // Emits message_chunk events for each token and periodically persists the
+  // partial reply so a reload mid-stream shows what has arrived so far.
+  createStream(socket, aiMessage) {
+    let sequence = 0;
+    let lastPersist = 0;
+    let pending = Promise.resolve();
+
+    const persist = () => {
+      pending = pending
+        .then(() => aiMessage.save())
+        .catch(error => console.error('Error persisting partial message:', error));
+    };
+
+    return {
+      onToken: (token) => {
+        if (!token) return;
+
+        aiMessage.content += token;
+        socket.emit('message_chunk', {
+          conversationId: aiMessage.conversationId,
+          messageId: aiMessage._id,
+          sequence: sequence++,
+          content: token
+        });
+
+        const now = Date.now();
+        if (now - lastPersist >= STREAM_PERSIST_INTERVAL) {
+          lastPersist = now;
+          persist();
+        }
+      },
+      flush: () => pending
+    };
+  }
+
   async handleVoiceMessage(socket, data) {
     try {
-      const { userId, audioData, conversationId } = data;
+      const { userId, audioData, mimeType, language, conversationId } = data;
+
+      // Validate user before paying for a transcription
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
 
       // Convert speech to text
-      const transcribedText = await this.aiService.speechToText(audioData);
+      const transcription = await this.aiService.speechToText(audioData, { mimeType, language });
+      const voiceMetadata = {
+        audioUrl: transcription.audioUrl,
+        duration: transcription.duration,
+        transcribedText: transcription.text,
+        detectedLanguage: transcription.language
+      };
 
       // Handle as regular message
       const messageData = {
         userId,
-        message: transcribedText,
+        message: transcription.text,
         conversationId,
         messageType: 'voice'
       };
 
-      const response = await this.handleMessage(socket, messageData);
+      const response = await this.handleMessage(socket, messageData, { metadata: voiceMetadata });
 
       // Add voice-specific metadata
-      response.userMessage.originalAudio = audioData;
-      response.userMessage.transcribedText = transcribedText;
+      Object.assign(response.userMessage, voiceMetadata);
+
+      // Speak the reply in the background; message_audio follows the response
+      const voiceReplies = (user.preferences && user.preferences.voiceReplies) || {};
+      if (voiceReplies.enabled !== false && !response.aiMessage.metadata.error) {
+        this.speakMessage(response.aiMessage.id, {
+          language: transcription.language || user.preferences.language,
+          voice: voiceReplies.voice
+        })
+          .then(speech => socket.emit('message_audio', { ...speech, autoPlay: voiceReplies.autoPlay !== false }))
+          .catch(error => console.error('Error speaking voice reply:', error));
+      }
 
       return response;
 
@@ -129,37 +311,90 @@ class ChatController {
     }
   }
 
-  async generateAIResponse(message, conversationId, user) {
+  async generateAIResponse(message, conversationId, user, options = {}) {
     try {
-      // Get conversation history for context
-      const history = await Message.find({ conversationId })
-        .sort({ timestamp: 1 })
-        .limit(10)
-        .select('content sender messageType');
+      // Analyze message intent unless the user already chose one
+      let intent;
+      if (options.command) {
+        intent = { type: options.command.intent || 'command', confidence: 1, candidates: [] };
+      } else if (options.intent) {
+        intent = { type: options.intent, confidence: 1, candidates: [] };
+      } else if (options.documents && options.documents.length > 0) {
+        // Attached documents are analyzed for the request that came with them
+        intent = { type: 'document_analysis', confidence: 1, candidates: [] };
+      } else if (options.images && options.images.length > 0) {
+        // A question about attached images is answered by a vision model
+        intent = { type: 'text_response', confidence: 1, candidates: [] };
+      } else {
+        intent = await this.analyzeIntent(message, conversationId);
+      }
+
+      // Conversation-selected model, e.g. "selfhosted:llama3"
+      const modelOptions = this.aiService.resolveModel(options.aiModel);
 
-      // Analyze message intent
-      const intent = await this.analyzeIntent(message);
+      // User and conversation shape the system prompt of every capability
+      const conversation = options.conversation || await Conversation.findById(conversationId);
+      const promptOptions = { user, conversation };
 
       // Route to appropriate AI service based on intent
       let response;
-      switch (intent.type) {
+      const route = options.command ? 'command' : intent.clarification ? 'clarification' : intent.type;
+      switch (route) {
+        case 'command':
+          response = await this.runCommand(options.command, conversation, {
+            ...promptOptions,
+            modelOptions,
+            excludeIds: options.excludeIds
+          });
+          break;
+        case 'clarification':
+          response = { content: intent.clarification, type: 'text', metadata: { clarification: true } };
+          break;
         case 'image_generation':
-          response = await this.aiService.generateImage(message);
+          response = await this.generateImage(user, message);
           break;
         case 'code_generation':
-          response = await this.aiService.generateCode(message);
+          response = await this.aiService.generateCode(message, { ...modelOptions, ...promptOptions });
           break;
         case 'web_search':
-          response = await this.aiService.webSearch(message);
+          response = await this.aiService.webSearch(message, promptOptions);
           break;
         case 'document_analysis':
-          response = await this.aiService.analyzeDocument(message);
+          response = await this.analyzeDocuments(message, options.documents, {
+            ...modelOptions,
+            ...promptOptions,
+            onToken: options.onToken
+          });
           break;
         case 'voice_command':
-          response = await this.aiService.processVoiceCommand(message);
+          response = await this.aiService.processVoiceCommand(message, promptOptions);
           break;
-        default:
-          response = await this.aiService.generateTextResponse(message, history, user);
+        default: {
+          // Fill the context window from the most recent turns backwards
+          const context = await this.contextBuilder.build(conversation, message, {
+            model: modelOptions.model || options.aiModel,
+            excludeIds: options.excludeIds
+          });
+
+          // Chunks from the user's knowledge bases relevant to the question
+          // and what RAI remembers about the user
+          const knowledge = await this.knowledgeService.retrieve(message, user);
+          const memories = await this.memoryService.relevant(user, message);
+
+          response = await this.aiService.generateTextResponse(message, context.history, user, {
+            ...modelOptions,
+            conversation,
+            summary: context.summary,
+            knowledge,
+            memories,
+            cache: false,
+            tools: process.env.AI_TOOLS_ENABLED !== 'false',
+            toolContext: { userId: user._id, conversationId: conversation._id },
+            images: options.images,
+            onToken: options.onToken
+          });
+          response.metadata = { ...response.metadata, context: context.window };
+        }
       }
 
       return {
@@ -168,6 +403,7 @@ class ChatController {
         metadata: {
           intent: intent.type,
           confidence: intent.confidence,
+          intentCandidates: intent.candidates,
           ...response.metadata
         }
       };
@@ -177,47 +413,450 @@ class ChatController {
       return {
         content: "I apologize, but I'm having trouble processing your request right now. Please try again in a moment.",
         type: 'text',
-        metadata: { error: true }
+        metadata: {
+          error: true,
+          provider: 'none',
+          providerAttempts: error.attempts || []
+        }
+      };
+    }
+  }
+
+  // Image replies count against the user's plan; limits and invalid
+  // options are answered in the chat instead of failing the reply
+  async generateImage(user, prompt, options = {}) {
+    if (!user.checkLimits('images')) {
+      return {
+        content: `You've reached the image limit of your ${user.subscription.plan} plan.`,
+        type: 'system',
+        metadata: {}
+      };
+    }
+
+    try {
+      const response = await this.aiService.generateImage(prompt, options);
+      await user.updateUsage('image', response.metadata.images.length);
+      await Image.record(user._id, response.metadata.images, 'generated');
+      return response;
+    } catch (error) {
+      if (error.status !== 400) {
+        throw error;
+      }
+      return { content: error.message, type: 'system', metadata: {} };
+    }
+  }
+
+  // The user's documents among a message's attachments
+  async loadDocuments(userId, attachments) {
+    const ids = attachments
+      .filter(attachment => attachment.type === 'file' && attachment.documentId)
+      .map(attachment => attachment.documentId);
+    if (ids.length === 0) return [];
+
+    return Document.find({ _id: { $in: ids }, userId });
+  }
+
+  // Analyzes the attached documents, or for follow-up questions the document
+  // last attached to the conversation. Long text without an attachment is
+  // analyzed as a pasted document. Each document keeps its latest analysis.
+  async analyzeDocuments(message, attached = [], options = {}) {
+    let documents = attached;
+    if (documents.length === 0 && options.conversation) {
+      const recent = await Document.findOne({
+        userId: options.user._id,
+        conversationId: options.conversation._id
+      }).sort({ updatedAt: -1 });
+      documents = recent ? [recent] : [];
+    }
+
+    if (documents.length === 0) {
+      if (message.length < MIN_PASTED_DOCUMENT_LENGTH) {
+        return {
+          content: 'Attach a PDF, DOCX, TXT, CSV or Markdown file and I will analyze it.',
+          type: 'system',
+          metadata: {}
+        };
+      }
+      return this.aiService.analyzeDocument(message, options);
+    }
+
+    const response = await this.aiService.analyzeDocument(documents, { ...options, instruction: message });
+    for (const document of documents) {
+      document.analysis = {
+        content: response.content,
+        instruction: message,
+        model: response.metadata.model,
+        provider: response.metadata.provider,
+        mapReduce: response.metadata.mapReduce,
+        analyzedAt: new Date()
+      };
+      await document.save();
+    }
+
+    return response;
+  }
+
+  async runCommand(command, conversation, options = {}) {
+    const { modelOptions, excludeIds, ...promptOptions } = options;
+
+    // Parse errors are answered with usage help instead of an AI call
+    if (command.error) {
+      return {
+        content: command.error,
+        type: 'system',
+        metadata: { command: command.name, commandError: true }
       };
     }
+
+    let response;
+    switch (command.name) {
+      case 'image':
+        response = await this.generateImage(promptOptions.user, command.text, {
+          size: command.options.size,
+          quality: command.options.quality,
+          style: command.options.style
+        });
+        break;
+      case 'code':
+        response = await this.aiService.generateCode(command.text, {
+          ...modelOptions,
+          ...promptOptions,
+          language: command.options.lang
+        });
+        break;
+      case 'translate':
+        response = await this.aiService.translateText(command.text, command.args.language, promptOptions);
+        break;
+      case 'summarize': {
+        const text = command.text || await this.conversationTranscript(conversation._id, excludeIds);
+        if (!text) {
+          response = { content: 'There is nothing in this conversation to summarize yet.', type: 'system' };
+          break;
+        }
+        response = await this.aiService.summarizeText(text, { ...promptOptions, length: command.options.length });
+        break;
+      }
+      case 'search':
+        response = await this.aiService.webSearch(command.text, promptOptions);
+        break;
+      case 'remember': {
+        if (!this.memoryService.isEnabled(promptOptions.user)) {
+          response = { content: 'Memory is turned off. Turn it on from the Memory page to use /remember.', type: 'system' };
+          break;
+        }
+        const memory = await this.memoryService.remember(promptOptions.user, command.text.slice(0, 300));
+        response = { content: `I'll remember that: ${memory.content}`, type: 'system', metadata: { memoryId: memory._id } };
+        break;
+      }
+      default:
+        response = { content: commandHelp(command.text), type: 'system' };
+    }
+
+    response.metadata = { ...response.metadata, command: command.name };
+    return response;
+  }
+
+  // Titles, topics and tags a conversation from its first exchange, then
+  // emits conversation_updated to the user's room so every open client
+  // refreshes its conversation list
+  async tagConversation(conversation, exchange) {
+    try {
+      const changed = await this.conversationTagger.tag(conversation, exchange);
+      if (changed) {
+        this.io.to(`user_${conversation.userId}`).emit('conversation_updated', conversation.getSummary());
+      }
+    } catch (error) {
+      console.error('Error tagging conversation:', error);
+    }
+  }
+
+  // Extracts memory suggestions from an exchange and emits them as
+  // memory_suggestions for the user to confirm or dismiss
+  async suggestMemories(socket, user, exchange) {
+    try {
+      const memories = await this.memoryService.extract(user, exchange);
+      if (memories.length > 0) {
+        socket.emit('memory_suggestions', {
+          conversationId: exchange.conversationId,
+          memories: memories.map(memory => memory.getSummary())
+        });
+      }
+    } catch (error) {
+      console.error('Error suggesting memories:', error);
+    }
+  }
+
+  // Confirms a suggested memory, or deletes it when the user dismisses it
+  async confirmMemory(socket, data) {
+    try {
+      const { memoryId, accept } = data;
+      const userId = socket.data.userId;
+
+      if (!userId) {
+        throw new Error('Sign in to manage memories');
+      }
+
+      const memory = await Memory.findOne({ _id: memoryId, userId });
+      if (!memory) {
+        throw new Error('Memory not found');
+      }
+
+      if (!accept) {
+        await memory.deleteOne();
+        return { memoryId, deleted: true };
+      }
+
+      await this.memoryService.confirm(memory);
+      return { memoryId, memory: memory.getSummary() };
+
+    } catch (error) {
+      console.error('Error confirming memory:', error);
+      throw error;
+    }
+  }
+
+  async conversationTranscript(conversationId, excludeIds = []) {
+    const messages = await Message.find({
+      conversationId,
+      _id: { $nin: excludeIds },
+      content: { $ne: '' }
+    })
+      .sort({ timestamp: -1 })
+      .limit(SUMMARIZE_MESSAGE_LIMIT)
+      .select('sender content');
+
+    return messages
+      .reverse()
+      .map(msg => `${msg.sender === 'user' ? 'User' : 'RAI'}: ${msg.content}`)
+      .join('\n');
   }
 
-  async analyzeIntent(message) {
-    const lowerMessage = message.toLowerCase();
-    
-    // Image generation patterns
-    if (lowerMessage.includes('generate') && (lowerMessage.includes('image') || lowerMessage.includes('picture'))) {
-      return { type: 'image_generation', confidence: 0.9 };
+  async analyzeIntent(message, conversationId) {
+    // The previous reply's intent lets follow-ups like "make it darker" stay on track
+    let previousIntent;
+    if (conversationId) {
+      const previous = await Message.findOne({ conversationId, sender: 'ai' })
+        .sort({ timestamp: -1 })
+        .select('metadata.intent');
+      previousIntent = previous && previous.metadata && previous.metadata.intent;
     }
-    if (lowerMessage.includes('create') && (lowerMessage.includes('image') || lowerMessage.includes('picture'))) {
-      return { type: 'image_generation', confidence: 0.9 };
+
+    return this.intentRouter.route(message, { previousIntent });
+  }
+
+  // Regenerates a reply with the intent the user picked and records the
+  // misroute so the routing rules can be tuned
+  async correctIntent(socket, data) {
+    try {
+      const { messageId, intent } = data;
+      const userId = socket.data.userId;
+
+      if (!userId) {
+        throw new Error('Sign in to correct a reply');
+      }
+      if (!IntentRouter.INTENTS.includes(intent)) {
+        throw new Error('Unknown intent');
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const aiMessage = await Message.findById(messageId);
+      if (!aiMessage || aiMessage.sender !== 'ai') {
+        throw new Error('Message not found');
+      }
+
+      const conversation = await Conversation.findById(aiMessage.conversationId);
+      if (!conversation || conversation.userId.toString() !== userId) {
+        throw new Error('Conversation not found or access denied');
+      }
+
+      const userMessage = await Message.findOne({
+        conversationId: conversation._id,
+        sender: 'user',
+        timestamp: { $lte: aiMessage.timestamp }
+      }).sort({ timestamp: -1 });
+      if (!userMessage) {
+        throw new Error('Original message not found');
+      }
+
+      const metadata = aiMessage.metadata || {};
+      await IntentCorrection.create({
+        userId,
+        conversationId: conversation._id,
+        messageId: aiMessage._id,
+        message: userMessage.content,
+        predictedIntent: metadata.intent || 'text_response',
+        predictedConfidence: metadata.confidence,
+        correctedIntent: intent,
+        candidates: metadata.intentCandidates || []
+      });
+
+      const stream = this.createStream(socket, aiMessage);
+      aiMessage.content = '';
+      aiMessage.status = 'streaming';
+
+      const attachments = (userMessage.metadata && userMessage.metadata.attachments) || [];
+      const aiResponse = await this.generateAIResponse(userMessage.content, conversation._id, user, {
+        intent,
+        images: attachments.filter(attachment => attachment.type === 'image'),
+        documents: await this.loadDocuments(userId, attachments),
+        onToken: stream.onToken,
+        aiModel: conversation.metadata && conversation.metadata.aiModel,
+        conversation,
+        excludeIds: [userMessage._id, aiMessage._id]
+      });
+      await stream.flush();
+
+      aiMessage.content = aiResponse.content;
+      aiMessage.messageType = aiResponse.type || 'text';
+      aiMessage.metadata = aiResponse.metadata || {};
+      aiMessage.status = 'sent';
+      await aiMessage.save();
+
+      return {
+        conversationId: conversation._id,
+        aiMessage: {
+          id: aiMessage._id,
+          content: aiResponse.content,
+          type: aiResponse.type || 'text',
+          metadata: aiResponse.metadata || {},
+          timestamp: aiMessage.timestamp
+        }
+      };
+
+    } catch (error) {
+      console.error('Error correcting intent:', error);
+      throw error;
     }
+  }
+
+  // Runs a file from a code message in the sandbox, streaming its output as
+  // execution_output events. `code` replaces the file's content so edited
+  // snippets can be re-run. Only the user verified on connect may run code,
+  // whatever userId the event carries.
+  async runCode(socket, data) {
+    const { messageId, path, language, code } = data;
+    const userId = socket.data.userId;
 
-    // Code generation patterns
-    if (lowerMessage.includes('code') || lowerMessage.includes('program') || lowerMessage.includes('function')) {
-      return { type: 'code_generation', confidence: 0.8 };
+    if (process.env.CODE_EXECUTION_ENABLED !== 'true') {
+      throw new Error('Code execution is disabled');
     }
-    if (lowerMessage.includes('write') && (lowerMessage.includes('code') || lowerMessage.includes('script'))) {
-      return { type: 'code_generation', confidence: 0.9 };
+    if (!userId) {
+      throw new Error('Sign in to run code');
+    }
+    if (this.runningCode.has(userId)) {
+      throw new Error('Wait for the current run to finish');
+    }
+
+    this.runningCode.add(userId);
+    try {
+      const message = await Message.findById(messageId);
+      if (!message || message.sender !== 'ai') {
+        throw new Error('Message not found');
+      }
+
+      const conversation = await Conversation.findById(message.conversationId);
+      if (!conversation || conversation.userId.toString() !== userId) {
+        throw new Error('Conversation not found or access denied');
+      }
+
+      // The requested file, or the first one the sandbox can run
+      const files = (message.metadata && message.metadata.files) || [];
+      let file;
+      if (path) {
+        file = files.find(candidate => candidate.path === path);
+      } else {
+        for (const candidate of files) {
+          if (await this.codeRunner.supports(candidate.language)) {
+            file = candidate;
+            break;
+          }
+        }
+      }
+      if (!file && typeof code !== 'string') {
+        throw new Error('No runnable code in this message');
+      }
+
+      const source = typeof code === 'string' ? code : file.content;
+      if (source.length > MAX_CODE_LENGTH) {
+        throw new Error('Code is too long to run');
+      }
+
+      const result = await this.codeRunner.run(language || (file && file.language), source, {
+        onOutput: (stream, output) => {
+          socket.emit('execution_output', { messageId, stream, data: output });
+        }
+      });
+
+      const executionResult = {
+        ...result,
+        path: file ? file.path : undefined,
+        edited: Boolean(file) && source !== file.content
+      };
+      message.set('metadata.executionResult', executionResult);
+      await message.save();
+
+      return { messageId, executionResult };
+
+    } catch (error) {
+      console.error('Error running code:', error);
+      throw error;
+    } finally {
+      this.runningCode.delete(userId);
     }
+  }
+
+  // Synthesizes an AI message on demand, e.g. from the reply's play button
+  async synthesizeMessage(socket, data) {
+    try {
+      const { messageId } = data;
+      const userId = socket.data.userId;
 
-    // Web search patterns
-    if (lowerMessage.includes('search') || lowerMessage.includes('find') || lowerMessage.includes('latest')) {
-      return { type: 'web_search', confidence: 0.7 };
+      if (!userId) {
+        throw new Error('Sign in to play replies');
+      }
+
+      const message = await Message.findById(messageId);
+      if (!message || message.sender !== 'ai') {
+        throw new Error('Message not found');
+      }
+
+      const conversation = await Conversation.findById(message.conversationId);
+      if (!conversation || conversation.userId.toString() !== userId) {
+        throw new Error('Conversation not found or access denied');
+      }
+
+      const user = await User.findById(userId);
+      const preferences = (user && user.preferences) || {};
+
+      const speech = await this.speakMessage(message, {
+        language: preferences.language,
+        voice: preferences.voiceReplies && preferences.voiceReplies.voice
+      });
+      return { ...speech, autoPlay: true };
+
+    } catch (error) {
+      console.error('Error synthesizing message:', error);
+      throw error;
     }
+  }
 
-    // Voice command patterns
-    if (lowerMessage.includes('voice') || lowerMessage.includes('speak') || lowerMessage.includes('audio')) {
-      return { type: 'voice_command', confidence: 0.8 };
+  // Stores the synthesized audio URL on the message (a Message or its id)
+  async speakMessage(message, options = {}) {
+    if (!(message instanceof Message)) {
+      message = await Message.findById(message);
     }
 
-    // Document analysis patterns
-    if (lowerMessage.includes('analyze') || lowerMessage.includes('document') || lowerMessage.includes('file')) {
-      return { type: 'document_analysis', confidence: 0.7 };
+    const speech = await this.aiService.textToSpeech(message.content, options);
+    if (message.metadata.audioUrl !== speech.audioUrl) {
+      message.set('metadata.audioUrl', speech.audioUrl);
+      await message.save();
     }
 
-    // Default to text response
-    return { type: 'text_response', confidence: 0.9 };
+    return { messageId: message._id, audioUrl: speech.audioUrl, format: speech.format };
   }
 
   async getConversationHistory(userId, conversationId) {
@@ -0,0 +1,427 @@
+const mongoose = require('mongoose');
+const AIService = require('../services/aiService');
+const KnowledgeService = require('../services/knowledgeService');
+const Document = require('../models/document');
+const KnowledgeBase = require('../models/knowledgeBase');
+const KnowledgeEntry = require('../models/knowledgeEntry');
+const User = require('../models/user');
+
+const aiService = new AIService();
+const knowledgeService = new KnowledgeService(aiService);
+
+// Longest pasted text accepted as one entry
+const MAX_ENTRY_TEXT = parseInt(process.env.KNOWLEDGE_MAX_TEXT) || 200000;
+const MAX_SEARCH_RESULTS = 20;
+
+// The knowledge base if the user owns it or is a member, otherwise null
+async function findKnowledgeBase(user, knowledgeBaseId) {
+  if (!mongoose.isValidObjectId(knowledgeBaseId)) {
+    return null;
+  }
+  const knowledgeBase = await KnowledgeBase.findById(knowledgeBaseId);
+  return knowledgeBase && knowledgeBase.hasAccess(user._id) ? knowledgeBase : null;
+}
+
+// The entry if it is in the knowledge base, otherwise null
+async function findEntry(knowledgeBase, entryId) {
+  if (!knowledgeBase || !mongoose.isValidObjectId(entryId)) {
+    return null;
+  }
+  return KnowledgeEntry.findOne({ _id: entryId, knowledgeBaseId: knowledgeBase._id });
+}
+
+// Members may read every entry but change only the ones they added
+function canChangeEntry(knowledgeBase, entry, user) {
+  return knowledgeBase.userId.equals(user._id) || entry.userId.equals(user._id);
+}
+
+// Member emails to user ids. Returns an error message or the ids. The
+// message does not say which emails are unknown, so it cannot be used to
+// find out who has an account.
+async function resolveMembers(emails, owner) {
+  if (!Array.isArray(emails) || emails.some(email => typeof email !== 'string')) {
+    return { error: 'members must be an array of email addresses.' };
+  }
+
+  const normalized = [...new Set(emails.map(email => email.trim().toLowerCase()))];
+  const users = await User.find({ email: { $in: normalized } }).select('_id email');
+  if (users.length < normalized.length) {
+    return { error: 'members must be email addresses of registered users.' };
+  }
+
+  return { ids: users.map(user => user._id).filter(id => !id.equals(owner)) };
+}
+
+// Validates a knowledge base body. Returns an error message or null.
+function validateKnowledgeBase({ name, description, enabled }, partial = false) {
+  if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim() || name.length > 100)) {
+    return 'name must be a non-empty string of at most 100 characters.';
+  }
+  if (description !== undefined && (typeof description !== 'string' || description.length > 500)) {
+    return 'description must be a string of at most 500 characters.';
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'enabled must be a boolean.';
+  }
+  return null;
+}
+
+// Validates an entry body: a documentId from POST /api/ai/attachments, or a
+// title and text. Returns an error message or null.
+function validateEntry({ documentId, title, text }, partial = false) {
+  if (documentId !== undefined && text !== undefined) {
+    return 'Send either documentId or text, not both.';
+  }
+  if (!partial && documentId === undefined && text === undefined) {
+    return 'Either documentId or text is required.';
+  }
+  if (documentId !== undefined && (typeof documentId !== 'string' || !mongoose.isValidObjectId(documentId))) {
+    return 'documentId must be a document id.';
+  }
+  if (text !== undefined && (typeof text !== 'string' || !text.trim() || text.length > MAX_ENTRY_TEXT)) {
+    return `text must be a non-empty string of at most ${MAX_ENTRY_TEXT} characters.`;
+  }
+  if (title !== undefined && (typeof title !== 'string' || !title.trim() || title.length > 200)) {
+    return 'title must be a non-empty string of at most 200 characters.';
+  }
+  if (!partial && text !== undefined && title === undefined) {
+    return 'title is required with text.';
+  }
+  return null;
+}
+
+function entrySummary(entry) {
+  return {
+    id: entry._id,
+    title: entry.title,
+    type: entry.type,
+    documentId: entry.documentId,
+    status: entry.status,
+    error: entry.error,
+    chunkCount: entry.chunkCount,
+    embeddingModel: entry.embeddingModel,
+    indexedAt: entry.indexedAt,
+    addedBy: entry.userId,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt
+  };
+}
+
+function knowledgeBaseSummary(knowledgeBase, user) {
+  return {
+    id: knowledgeBase._id,
+    name: knowledgeBase.name,
+    description: knowledgeBase.description,
+    enabled: knowledgeBase.enabled,
+    owner: knowledgeBase.userId.equals(user._id),
+    members: knowledgeBase.members,
+    createdAt: knowledgeBase.createdAt,
+    updatedAt: knowledgeBase.updatedAt
+  };
+}
+
+// Indexes an entry and answers with it; failures leave it marked failed so
+// it can be re-indexed later
+async function indexAndRespond(res, entry, status) {
+  try {
+    await knowledgeService.indexEntry(entry, { force: true });
+    res.status(status).json(entrySummary(entry));
+  } catch (error) {
+    res.status(502).json({ error: 'Failed to index entry.', entry: entrySummary(entry) });
+  }
+}
+
+// Knowledge bases the user owns or is a member of
+exports.listKnowledgeBases = async (req, res) => {
+  try {
+    const knowledgeBases = await KnowledgeBase.accessibleBy(req.user._id).sort({ updatedAt: -1 });
+    const counts = await KnowledgeEntry.aggregate([
+      { $match: { knowledgeBaseId: { $in: knowledgeBases.map(knowledgeBase => knowledgeBase._id) } } },
+      { $group: { _id: '$knowledgeBaseId', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      knowledgeBases: knowledgeBases.map(knowledgeBase => ({
+        ...knowledgeBaseSummary(knowledgeBase, req.user),
+        entryCount: (counts.find(count => count._id.equals(knowledgeBase._id)) || { count: 0 }).count
+      }))
+    });
+  } catch (error) {
+    console.error('Error listing knowledge bases:', error);
+    res.status(500).json({ error: 'Failed to list knowledge bases.' });
+  }
+};
+
+// Creates a knowledge base. members is an optional list of emails to share it with.
+exports.createKnowledgeBase = async (req, res) => {
+  try {
+    const validationError = validateKnowledgeBase(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const members = await resolveMembers(req.body.members || [], req.user._id);
+    if (members.error) {
+      return res.status(400).json({ error: members.error });
+    }
+
+    const knowledgeBase = new KnowledgeBase({
+      userId: req.user._id,
+      name: req.body.name,
+      description: req.body.description,
+      members: members.ids,
+      enabled: req.body.enabled
+    });
+    await knowledgeBase.save();
+
+    res.status(201).json(knowledgeBaseSummary(knowledgeBase, req.user));
+  } catch (error) {
+    console.error('Error creating knowledge base:', error);
+    res.status(500).json({ error: 'Failed to create knowledge base.' });
+  }
+};
+
+exports.getKnowledgeBase = async (req, res) => {
+  try {
+    const knowledgeBase = await findKnowledgeBase(req.user, req.params.knowledgeBaseId);
+    if (!knowledgeBase) {
+      return res.status(404).json({ error: 'Knowledge base not found.' });
+    }
+
+    const entries = await KnowledgeEntry.find({ knowledgeBaseId: knowledgeBase._id })
+      .select('-text')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      ...knowledgeBaseSummary(knowledgeBase, req.user),
+      entries: entries.map(entrySummary)
+    });
+  } catch (error) {
+    console.error('Error getting knowledge base:', error);
+    res.status(500).json({ error: 'Failed to get knowledge base.' });
+  }
+};
+
+// Renames, describes, shares or switches off a knowledge base (owner only)
+exports.updateKnowledgeBase = async (req, res) => {
+  try {
+    const knowledgeBase = await findKnowledgeBase(req.user, req.params.knowledgeBaseId);
+    if (!knowledgeBase) {
+      return res.status(404).json({ error: 'Knowledge base not found.' });
+    }
+    if (!knowledgeBase.userId.equals(req.user._id)) {
+      return res.status(403).json({ error: 'Only the owner can change a knowledge base.' });
+    }
+
+    const validationError = validateKnowledgeBase(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (req.body.members !== undefined) {
+      const members = await resolveMembers(req.body.members, req.user._id);
+      if (members.error) {
+        return res.status(400).json({ error: members.error });
+      }
+      knowledgeBase.members = members.ids;
+    }
+    ['name', 'description', 'enabled'].forEach(field => {
+      if (req.body[field] !== undefined) knowledgeBase[field] = req.body[field];
+    });
+    await knowledgeBase.save();
+
+    res.json(knowledgeBaseSummary(knowledgeBase, req.user));
+  } catch (error) {
+    console.error('Error updating knowledge base:', error);
+    res.status(500).json({ error: 'Failed to update knowledge base.' });
+  }
+};
+
+// Deletes a knowledge base with its entries and indexed chunks (owner only)
+exports.deleteKnowledgeBase = async (req, res) => {
+  try {
+    const knowledgeBase = await findKnowledgeBase(req.user, req.params.knowledgeBaseId);
+    if (!knowledgeBase) {
+      return res.status(404).json({ error: 'Knowledge base not found.' });
+    }
+    if (!knowledgeBase.userId.equals(req.user._id)) {
+      return res.status(403).json({ error: 'Only the owner can delete a knowledge base.' });
+    }
+
+    await knowledgeService.removeKnowledgeBase(knowledgeBase);
+    res.json({ message: 'Knowledge base deleted.' });
+  } catch (error) {
+    console.error('Error deleting knowledge base:', error);
+    res.status(500).json({ error: 'Failed to delete knowledge base.' });
+  }
+};
+
+// Adds a document uploaded through POST /api/ai/attachments, or pasted
+// text, and indexes it
+exports.addEntry = async (req, res) => {
+  try {
+    const knowledgeBase = await findKnowledgeBase(req.user, req.params.knowledgeBaseId);
+    if (!knowledgeBase) {
+      return res.status(404).json({ error: 'Knowledge base not found.' });
+    }
+
+    const validationError = validateEntry(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const entry = new KnowledgeEntry({
+      knowledgeBaseId: knowledgeBase._id,
+      userId: req.user._id,
+      title: req.body.title
+    });
+
+    if (req.body.documentId) {
+      const document = await Document.findOne({ _id: req.body.documentId, userId: req.user._id });
+      if (!document) {
+        return res.status(404).json({ error: 'Document not found.' });
+      }
+      entry.type = 'document';
+      entry.documentId = document._id;
+      entry.title = req.body.title || document.name;
+    } else {
+      entry.type = 'text';
+      entry.text = req.body.text;
+    }
+    await entry.save();
+
+    await indexAndRespond(res, entry, 201);
+  } catch (error) {
+    console.error('Error adding knowledge entry:', error);
+    res.status(500).json({ error: 'Failed to add entry.' });
+  }
+};
+
+exports.getEntry = async (req, res) => {
+  try {
+    const knowledgeBase = await findKnowledgeBase(req.user, req.params.knowledgeBaseId);
+    const entry = await findEntry(knowledgeBase, req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({ error: 'Entry not found.' });
+    }
+
+    res.json({ ...entrySummary(entry), text: entry.text });
+  } catch (error) {
+    console.error('Error getting knowledge entry:', error);
+    res.status(500).json({ error: 'Failed to get entry.' });
+  }
+};
+
+// Changes an entry's title, text or document and re-indexes it
+exports.updateEntry = async (req, res) => {
+  try {
+    const knowledgeBase = await findKnowledgeBase(req.user, req.params.knowledgeBaseId);
+    const entry = await findEntry(knowledgeBase, req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({ error: 'Entry not found.' });
+    }
+    if (!canChangeEntry(knowledgeBase, entry, req.user)) {
+      return res.status(403).json({ error: 'Only the owner or the member who added an entry can change it.' });
+    }
+
+    const validationError = validateEntry(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (req.body.documentId !== undefined) {
+      const document = await Document.findOne({ _id: req.body.documentId, userId: req.user._id });
+      if (!document) {
+        return res.status(404).json({ error: 'Document not found.' });
+      }
+      entry.type = 'document';
+      entry.documentId = document._id;
+      entry.text = undefined;
+    }
+    if (req.body.text !== undefined) {
+      entry.type = 'text';
+      entry.text = req.body.text;
+      entry.documentId = undefined;
+    }
+    if (req.body.title !== undefined) {
+      entry.title = req.body.title;
+    }
+    entry.status = 'pending';
+    await entry.save();
+
+    await indexAndRespond(res, entry, 200);
+  } catch (error) {
+    console.error('Error updating knowledge entry:', error);
+    res.status(500).json({ error: 'Failed to update entry.' });
+  }
+};
+
+exports.deleteEntry = async (req, res) => {
+  try {
+    const knowledgeBase = await findKnowledgeBase(req.user, req.params.knowledgeBaseId);
+    const entry = await findEntry(knowledgeBase, req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({ error: 'Entry not found.' });
+    }
+    if (!canChangeEntry(knowledgeBase, entry, req.user)) {
+      return res.status(403).json({ error: 'Only the owner or the member who added an entry can delete it.' });
+    }
+
+    await knowledgeService.removeEntry(entry);
+    res.json({ message: 'Entry deleted.' });
+  } catch (error) {
+    console.error('Error deleting knowledge entry:', error);
+    res.status(500).json({ error: 'Failed to delete entry.' });
+  }
+};
+
+// Re-indexes entries whose content changed or failed before. force: true
+// re-embeds everything, e.g. after changing the embedding model.
+exports.reindexKnowledgeBase = async (req, res) => {
+  try {
+    const knowledgeBase = await findKnowledgeBase(req.user, req.params.knowledgeBaseId);
+    if (!knowledgeBase) {
+      return res.status(404).json({ error: 'Knowledge base not found.' });
+    }
+
+    const report = await knowledgeService.reindex(knowledgeBase, { force: req.body.force === true });
+    res.json(report);
+  } catch (error) {
+    console.error('Error re-indexing knowledge base:', error);
+    res.status(500).json({ error: 'Failed to re-index knowledge base.' });
+  }
+};
+
+// The chunks a chat question would retrieve, with their similarity scores
+exports.searchKnowledgeBase = async (req, res) => {
+  try {
+    const knowledgeBase = await findKnowledgeBase(req.user, req.params.knowledgeBaseId);
+    if (!knowledgeBase) {
+      return res.status(404).json({ error: 'Knowledge base not found.' });
+    }
+
+    const { query, limit } = req.body;
+    if (typeof query !== 'string' || !query.trim()) {
+      return res.status(400).json({ error: 'query must be a non-empty string.' });
+    }
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_RESULTS)) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_SEARCH_RESULTS}.` });
+    }
+
+    const results = await knowledgeService.search(query, [knowledgeBase._id], { limit, minScore: 0 });
+    res.json({
+      results: results.map(result => ({
+        entryId: result.entryId,
+        chunk: result.index,
+        title: result.title,
+        label: result.label,
+        url: result.url,
+        text: result.text,
+        score: result.score
+      }))
+    });
+  } catch (error) {
+    console.error('Error searching knowledge base:', error);
+    res.status(500).json({ error: 'Failed to search knowledge base.' });
+  }
+};
\ No newline at end of file
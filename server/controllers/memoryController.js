@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const AIService = require('../services/aiService');
+const MemoryService = require('../services/memoryService');
+const Memory = require('../models/memory');
+
+const aiService = new AIService();
+const memoryService = new MemoryService(aiService);
+
+// Validates a memory body. Returns an error message or null.
+function validateMemory({ content, category, status }, partial = false) {
+  if ((!partial || content !== undefined) && (typeof content !== 'string' || !content.trim() || content.length > 300)) {
+    return 'content must be a non-empty string of at most 300 characters.';
+  }
+  if (category !== undefined && !Memory.CATEGORIES.includes(category)) {
+    return `category must be one of ${Memory.CATEGORIES.join(', ')}.`;
+  }
+  if (status !== undefined && status !== 'confirmed') {
+    return 'status can only be set to confirmed.';
+  }
+  return null;
+}
+
+// What RAI remembers about the user, newest first. ?status=pending lists
+// suggestions waiting for confirmation.
+exports.listMemories = async (req, res) => {
+  try {
+    const query = { userId: req.user._id };
+    if (['pending', 'confirmed'].includes(req.query.status)) {
+      query.status = req.query.status;
+    }
+
+    const memories = await Memory.find(query).sort({ updatedAt: -1 });
+
+    res.json({
+      enabled: memoryService.isEnabled(req.user),
+      memories: memories.map(memory => memory.getSummary())
+    });
+  } catch (error) {
+    console.error('Error listing memories:', error);
+    res.status(500).json({ error: 'Failed to list memories.' });
+  }
+};
+
+// Adds a memory directly, confirmed
+exports.createMemory = async (req, res) => {
+  try {
+    const validationError = validateMemory(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const memory = await memoryService.remember(req.user, req.body.content.trim(), req.body.category);
+
+    res.status(201).json(memory.getSummary());
+  } catch (error) {
+    console.error('Error creating memory:', error);
+    res.status(500).json({ error: 'Failed to create memory.' });
+  }
+};
+
+// Edits a memory, or confirms a suggestion with status: 'confirmed'
+exports.updateMemory = async (req, res) => {
+  try {
+    const memory = mongoose.isValidObjectId(req.params.memoryId) &&
+      await Memory.findOne({ _id: req.params.memoryId, userId: req.user._id });
+    if (!memory) {
+      return res.status(404).json({ error: 'Memory not found.' });
+    }
+
+    const validationError = validateMemory(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const changed = req.body.content !== undefined && req.body.content.trim() !== memory.content;
+    if (req.body.content !== undefined) memory.content = req.body.content.trim();
+    if (req.body.category !== undefined) memory.category = req.body.category;
+
+    if (req.body.status === 'confirmed' || (changed && memory.status === 'confirmed')) {
+      await memoryService.confirm(memory);
+    } else {
+      await memory.save();
+    }
+
+    res.json(memory.getSummary());
+  } catch (error) {
+    console.error('Error updating memory:', error);
+    res.status(500).json({ error: 'Failed to update memory.' });
+  }
+};
+
+exports.deleteMemory = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.memoryId)) {
+      return res.status(404).json({ error: 'Memory not found.' });
+    }
+
+    const result = await Memory.deleteOne({ _id: req.params.memoryId, userId: req.user._id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Memory not found.' });
+    }
+
+    res.json({ message: 'Memory deleted.' });
+  } catch (error) {
+    console.error('Error deleting memory:', error);
+    res.status(500).json({ error: 'Failed to delete memory.' });
+  }
+};
+
+// Forgets everything RAI remembers about the user
+exports.clearMemories = async (req, res) => {
+  try {
+    const result = await Memory.deleteMany({ userId: req.user._id });
+
+    res.json({ message: 'Memories deleted.', deleted: result.deletedCount });
+  } catch (error) {
+    console.error('Error deleting memories:', error);
+    res.status(500).json({ error: 'Failed to delete memories.' });
+  }
+};
+
+// Turns memory on or off for the user. Turning it off keeps what is stored
+// but stops suggestions and leaves memories out of replies.
+exports.updateSettings = async (req, res) => {
+  try {
+    if (typeof req.body.enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be a boolean.' });
+    }
+
+    req.user.preferences.memory.enabled = req.body.enabled;
+    await req.user.save();
+
+    res.json({ enabled: memoryService.isEnabled(req.user) });
+  } catch (error) {
+    console.error('Error updating memory settings:', error);
+    res.status(500).json({ error: 'Failed to update memory settings.' });
+  }
+};
\ No newline at end of file
@@ -9,6 +9,9 @@ const rateLimit = require('express-rate-limit');
 const path = require('path');
 require('dotenv').config();
 
+const { authenticateSocket } = require('./middleware/authenticate');
+const { UPLOAD_DIR } = require('./utils/uploads');
+
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
@@ -39,7 +42,7 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Static files
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+app.use('/uploads', express.static(UPLOAD_DIR));
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
@@ -47,10 +50,13 @@ app.use('/api/chat', require('./routes/chat'));
 app.use('/api/ai', require('./routes/ai'));
 app.use('/api/user', require('./routes/user'));
 app.use('/api/files', require('./routes/files'));
+app.use('/api/knowledge', require('./routes/knowledge'));
+app.use('/api/memories', require('./routes/memory'));
 
 // Socket.IO connection handling
 const ChatController = require('./controllers/chatController');
 const chatController = new ChatController(io);
+io.use(authenticateSocket);
 
 io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
@@ -61,11 +67,12 @@ io.on('connection', (socket) => {
     console.log(`User ${userId} joined their room`);
   });
 
-  // Handle chat messages
+  // Handle chat messages. The reply streams as message_chunk events and
+  // message_complete carries the final saved messages.
   socket.on('send_message', async (data) => {
     try {
       const response = await chatController.handleMessage(socket, data);
-      socket.emit('message_response', response);
+      socket.emit('message_complete', response);
     } catch (error) {
       socket.emit('error', { message: error.message });
     }
@@ -81,6 +88,46 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Run a code message's file in the sandbox
+  socket.on('run_code', async (data) => {
+    try {
+      const response = await chatController.runCode(socket, data);
+      socket.emit('execution_complete', response);
+    } catch (error) {
+      socket.emit('execution_complete', { messageId: data.messageId, error: error.message });
+    }
+  });
+
+  // Read an AI reply aloud
+  socket.on('synthesize_speech', async (data) => {
+    try {
+      const response = await chatController.synthesizeMessage(socket, data);
+      socket.emit('message_audio', response);
+    } catch (error) {
+      socket.emit('message_audio', { messageId: data.messageId, error: error.message });
+    }
+  });
+
+  // Re-run a misrouted message with the intent the user picked
+  socket.on('correct_intent', async (data) => {
+    try {
+      const response = await chatController.correctIntent(socket, data);
+      socket.emit('message_complete', response);
+    } catch (error) {
+      socket.emit('error', { message: error.message });
+    }
+  });
+
+  // Keep or dismiss a memory suggested after a reply
+  socket.on('confirm_memory', async (data) => {
+    try {
+      const response = await chatController.confirmMemory(socket, data);
+      socket.emit('memory_updated', response);
+    } catch (error) {
+      socket.emit('error', { message: error.message });
+    }
+  });
+
   // Handle typing indicators
   socket.on('typing', (data) => {
     socket.broadcast.to(`user_${data.userId}`).emit('user_typing', data);
@@ -93,11 +140,19 @@ io.on('connection', (socket) => {
 });
 
 // Health check endpoint
+const { getProviderRegistry } = require('./services/providers');
+const { getResponseCache } = require('./services/cache');
+
 app.get('/health', (req, res) => {
+  const providers = getProviderRegistry().health();
+  const available = providers.some(p => p.configured && p.breaker.state !== 'open');
+
   res.json({ 
-    status: 'OK', 
+    status: available ? 'OK' : 'DEGRADED', 
     timestamp: new Date().toISOString(),
-    service: 'RAI AI Assistant'
+    service: 'RAI AI Assistant',
+    providers,
+    cache: getResponseCache() ? getResponseCache().report() : null
   });
 });
 
@@ -18,4 +18,19 @@ exports.authenticate = async (req, res, next) => {
   } catch (error) {
     return res.status(401).json({ error: 'Invalid token' });
   }
-}; 
\ No newline at end of file
+}; 
+
+// Socket.IO middleware: a JWT sent as `auth: { token }` on connect sets
+// socket.data.userId. Connections without one are still accepted; events
+// that need a verified user check socket.data.userId themselves.
+exports.authenticateSocket = (socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  if (token) {
+    try {
+      socket.data.userId = String(jwt.verify(token, process.env.JWT_SECRET).id);
+    } catch (error) {
+      return next(new Error('Invalid token'));
+    }
+  }
+  next();
+};
\ No newline at end of file
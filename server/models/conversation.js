@@ -51,8 +51,22 @@ const conversationSchema = new mongoose.Schema({
       type: String,
       enum: ['beginner', 'intermediate', 'advanced'],
       default: 'intermediate'
+    },
+    customInstruction: {
+      type: String,
+      trim: true,
+      maxlength: 2000
     }
   },
+  contextSummary: {
+    content: String,
+    summarizedUntil: Date,
+    messageCount: {
+      type: Number,
+      default: 0
+    },
+    updatedAt: Date
+  },
   settings: {
     autoSave: {
       type: Boolean,
@@ -125,11 +139,13 @@ conversationSchema.methods.incrementMessageCount = function() {
   return this.save();
 };
 
-// Method to add tag
-conversationSchema.methods.addTag = function(tag) {
-  if (!this.tags.includes(tag)) {
-    this.tags.push(tag);
-  }
+// Method to add a tag, or several with one save
+conversationSchema.methods.addTag = function(tags) {
+  [].concat(tags).forEach(tag => {
+    if (!this.tags.includes(tag)) {
+      this.tags.push(tag);
+    }
+  });
   return this.save();
 };
 
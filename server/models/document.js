@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// An uploaded document, parsed once into chunks that keep their page, row
+// and section references. The latest analysis is stored with it.
+const documentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Conversation and user message the document was last attached to
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  name: {
+    type: String,
+    required: true,
+    maxlength: 255
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['pdf', 'docx', 'txt', 'csv', 'md'],
+    required: true
+  },
+  mimeType: String,
+  size: Number,
+  hash: {
+    type: String,
+    required: true
+  },
+  pageCount: Number,
+  characters: Number,
+  sections: [String],
+  chunks: [{
+    index: Number,
+    text: String,
+    tokens: Number,
+    section: String,
+    pageStart: Number,
+    pageEnd: Number,
+    rowStart: Number,
+    rowEnd: Number
+  }],
+  analysis: {
+    content: String,
+    instruction: String,
+    model: String,
+    provider: String,
+    mapReduce: Boolean,
+    analyzedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+documentSchema.index({ userId: 1, hash: 1 });
+documentSchema.index({ userId: 1, createdAt: -1 });
+documentSchema.index({ conversationId: 1, updatedAt: -1 });
+
+// Method to get document summary, without its chunks
+documentSchema.methods.getSummary = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    url: this.url,
+    format: this.format,
+    size: this.size,
+    pageCount: this.pageCount,
+    characters: this.characters,
+    sections: this.sections,
+    chunkCount: this.chunks.length,
+    conversationId: this.conversationId,
+    analyzedAt: this.analysis && this.analysis.analyzedAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Document', documentSchema);
\ No newline at end of file
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// An image a user uploaded or generated. Stored files are shared between
+// users whose images have the same bytes, so these records decide whose
+// image a URL is, e.g. before it is used as the source of an edit.
+const imageSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['upload', 'generated'],
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+imageSchema.index({ userId: 1, url: 1 }, { unique: true });
+
+// Records stored images ({ url }) as the user's; images already recorded are left as they are
+imageSchema.statics.record = function(userId, images, source) {
+  if (images.length === 0) {
+    return Promise.resolve();
+  }
+
+  return this.bulkWrite(images.map(image => ({
+    updateOne: {
+      filter: { userId, url: image.url },
+      update: { $setOnInsert: { source } },
+      upsert: true
+    }
+  })));
+};
+
+imageSchema.statics.ownedBy = async function(userId, url) {
+  return Boolean(await this.exists({ userId, url }));
+};
+
+module.exports = mongoose.model('Image', imageSchema);
\ No newline at end of file
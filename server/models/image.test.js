@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Image = require('./image');
+
+test('records images with one upsert each, keeping existing records', async (t) => {
+  const bulkWrite = t.mock.method(Image, 'bulkWrite', async () => ({}));
+
+  await Image.record('user-1', [{ url: '/uploads/images/a.webp' }, { url: '/uploads/images/b.webp' }], 'generated');
+  await Image.record('user-1', [], 'upload');
+
+  assert.strictEqual(bulkWrite.mock.callCount(), 1);
+  assert.deepStrictEqual(bulkWrite.mock.calls[0].arguments[0], ['a', 'b'].map(name => ({
+    updateOne: {
+      filter: { userId: 'user-1', url: `/uploads/images/${name}.webp` },
+      update: { $setOnInsert: { source: 'generated' } },
+      upsert: true
+    }
+  })));
+});
+
+test('an image belongs to a user only if it was recorded for them', async (t) => {
+  const exists = t.mock.method(Image, 'exists', async (filter) => filter.userId === 'owner' ? { _id: 'image-1' } : null);
+
+  assert.strictEqual(await Image.ownedBy('owner', '/uploads/images/a.webp'), true);
+  assert.strictEqual(await Image.ownedBy('someone-else', '/uploads/images/a.webp'), false);
+  assert.deepStrictEqual(exists.mock.calls[0].arguments[0], { userId: 'owner', url: '/uploads/images/a.webp' });
+});
\ No newline at end of file
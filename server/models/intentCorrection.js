@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// A user's correction of a misrouted message, kept so intent rules can be tuned
+const intentCorrectionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: 10000
+  },
+  predictedIntent: {
+    type: String,
+    required: true
+  },
+  predictedConfidence: Number,
+  correctedIntent: {
+    type: String,
+    required: true
+  },
+  candidates: [{
+    intent: String,
+    confidence: Number
+  }]
+}, {
+  timestamps: true
+});
+
+intentCorrectionSchema.index({ predictedIntent: 1, correctedIntent: 1 });
+intentCorrectionSchema.index({ createdAt: -1 });
+
+// Static method to count misroutes by predicted and corrected intent
+intentCorrectionSchema.statics.getConfusionStats = function() {
+  return this.aggregate([
+    {
+      $group: {
+        _id: { predicted: '$predictedIntent', corrected: '$correctedIntent' },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { count: -1 } }
+  ]);
+};
+
+module.exports = mongoose.model('IntentCorrection', intentCorrectionSchema);
\ No newline at end of file
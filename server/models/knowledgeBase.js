@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// A collection of files and notes the assistant retrieves from when
+// answering. The owner can share it with members for team use.
+const knowledgeBaseSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Switched off knowledge bases are kept but not searched in chat
+  enabled: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+knowledgeBaseSchema.index({ userId: 1 });
+knowledgeBaseSchema.index({ members: 1 });
+
+// Static method to find the knowledge bases a user owns or is a member of
+knowledgeBaseSchema.statics.accessibleBy = function(userId) {
+  return this.find({ $or: [{ userId }, { members: userId }] });
+};
+
+// Method to check whether a user can read and add to the knowledge base
+knowledgeBaseSchema.methods.hasAccess = function(userId) {
+  return this.userId.equals(userId) || this.members.some(member => member.equals(userId));
+};
+
+module.exports = mongoose.model('KnowledgeBase', knowledgeBaseSchema);
\ No newline at end of file
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// An embedded chunk of a knowledge entry, as kept by the Mongo vector store.
+// Title and url are copied from the entry so search results can be cited.
+const knowledgeChunkSchema = new mongoose.Schema({
+  knowledgeBaseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KnowledgeBase',
+    required: true
+  },
+  entryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KnowledgeEntry',
+    required: true
+  },
+  index: Number,
+  text: {
+    type: String,
+    required: true
+  },
+  // Page, row or section reference, e.g. "p. 4"
+  label: String,
+  title: String,
+  url: String,
+  embedding: {
+    type: [Number],
+    select: false
+  },
+  // Only chunks embedded with the query's model are compared with it
+  model: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+knowledgeChunkSchema.index({ knowledgeBaseId: 1, model: 1 });
+knowledgeChunkSchema.index({ entryId: 1 });
+
+module.exports = mongoose.model('KnowledgeChunk', knowledgeChunkSchema);
\ No newline at end of file
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A file (an uploaded Document) or pasted text in a knowledge base. Its
+// embedded chunks live in the vector store.
+const knowledgeEntrySchema = new mongoose.Schema({
+  knowledgeBaseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KnowledgeBase',
+    required: true
+  },
+  // User who added the entry
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  type: {
+    type: String,
+    enum: ['document', 'text'],
+    required: true
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  },
+  text: String,
+  status: {
+    type: String,
+    enum: ['pending', 'indexed', 'failed'],
+    default: 'pending'
+  },
+  error: String,
+  // Hash of the indexed content, so re-indexing skips unchanged entries
+  contentHash: String,
+  chunkCount: Number,
+  // "<provider>:<model>" the chunks were embedded with
+  embeddingModel: String,
+  indexedAt: Date
+}, {
+  timestamps: true
+});
+
+knowledgeEntrySchema.index({ knowledgeBaseId: 1, createdAt: -1 });
+knowledgeEntrySchema.index({ documentId: 1 });
+
+module.exports = mongoose.model('KnowledgeEntry', knowledgeEntrySchema);
\ No newline at end of file
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// A durable fact or preference RAI remembers about a user across
+// conversations. Suggested memories stay pending until the user confirms
+// them; only confirmed ones are used in replies.
+const memorySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 300
+  },
+  category: {
+    type: String,
+    enum: ['preference', 'personal', 'work', 'interest', 'other'],
+    default: 'other'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed'],
+    default: 'pending'
+  },
+  // Exchange the memory was suggested from
+  source: {
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Conversation'
+    },
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    }
+  },
+  embedding: {
+    type: [Number],
+    select: false
+  },
+  // "<provider>:<model>" the embedding was made with
+  embeddingModel: String,
+  lastUsedAt: Date
+}, {
+  timestamps: true
+});
+
+memorySchema.index({ userId: 1, status: 1, updatedAt: -1 });
+
+// Method to get memory summary, without its embedding
+memorySchema.methods.getSummary = function() {
+  return {
+    id: this._id,
+    content: this.content,
+    category: this.category,
+    status: this.status,
+    source: this.source,
+    lastUsedAt: this.lastUsedAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('Memory', memorySchema);
+module.exports.CATEGORIES = memorySchema.path('category').enumValues;
\ No newline at end of file
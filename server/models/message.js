@@ -18,7 +18,7 @@ const messageSchema = new mongoose.Schema({
   },
   messageType: {
     type: String,
-    enum: ['text', 'image', 'code', 'voice', 'file', 'system'],
+    enum: ['text', 'image', 'code', 'voice', 'file', 'system', 'search_result', 'document_analysis', 'voice_command', 'translation', 'summary'],
     default: 'text'
   },
   metadata: {
@@ -29,27 +29,113 @@ const messageSchema = new mongoose.Schema({
     responseTime: Number,
     intent: String,
     confidence: Number,
+    intentCandidates: [{
+      intent: String,
+      confidence: Number
+    }],
+    clarification: Boolean,
+    command: String,
+    commandError: Boolean,
+    providerAttempts: [{
+      provider: String,
+      reason: String
+    }],
+    cached: Boolean,
+    toolCalls: [{
+      tool: String,
+      arguments: mongoose.Schema.Types.Mixed,
+      result: mongoose.Schema.Types.Mixed,
+      error: String,
+      durationMs: Number
+    }],
+    context: {
+      messageIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+      }],
+      tokens: Number,
+      budget: Number,
+      summaryUsed: Boolean,
+      droppedMessages: Number
+    },
     
     // Image-specific metadata
     imageUrl: String,
     imagePrompt: String,
     imageSize: String,
+    thumbnailUrl: String,
+    revisedPrompt: String,
+    imageMode: {
+      type: String,
+      enum: ['generate', 'variation', 'edit']
+    },
+    imageQuality: String,
+    imageStyle: String,
+    // Every image of a multi-image reply, shown as a gallery
+    images: [{
+      url: String,
+      thumbnailUrl: String,
+      width: Number,
+      height: Number,
+      revisedPrompt: String
+    }],
     
     // Code-specific metadata
     language: String,
+    files: [{
+      path: String,
+      language: String,
+      content: String
+    }],
+    explanation: String,
     syntaxHighlighting: String,
-    executionResult: String,
+    executionResult: {
+      language: String,
+      path: String,
+      stdout: String,
+      stderr: String,
+      exitCode: Number,
+      status: String,
+      durationMs: Number,
+      truncated: Boolean,
+      edited: Boolean,
+      ranAt: Date
+    },
     
     // Voice-specific metadata
     audioUrl: String,
     duration: Number,
     transcribedText: String,
+    detectedLanguage: String,
     
     // File-specific metadata
     fileName: String,
     fileSize: Number,
     fileType: String,
     downloadUrl: String,
+
+    // Document analysis metadata
+    documents: [{
+      documentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document'
+      },
+      name: String,
+      url: String,
+      format: String,
+      pageCount: Number
+    }],
+    // Chunks the analysis cites, e.g. label "p. 4"
+    documentReferences: [{
+      documentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document'
+      },
+      chunk: Number,
+      label: String
+    }],
+    chunkCount: Number,
+    mapReduce: Boolean,
     
     // General metadata
     isEdited: {
@@ -87,16 +173,41 @@ const messageSchema = new mongoose.Schema({
       description: String,
       image: String
     }],
+    // Numbers of the links cited in the content, e.g. [1] -> links[0]
+    citations: [Number],
+    // Knowledge base chunks behind the links of a reply, in the same order
+    knowledgeSources: [{
+      knowledgeBaseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'KnowledgeBase'
+      },
+      entryId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'KnowledgeEntry'
+      },
+      chunk: Number,
+      score: Number
+    }],
+    // `type` is wrapped so mongoose reads it as a field, not the array's type
     attachments: [{
-      type: String,
+      type: { type: String },
       url: String,
+      thumbnailUrl: String,
       name: String,
-      size: Number
+      size: Number,
+      mimeType: String,
+      width: Number,
+      height: Number,
+      documentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document'
+      },
+      pageCount: Number
     }]
   },
   status: {
     type: String,
-    enum: ['sent', 'delivered', 'read', 'failed'],
+    enum: ['streaming', 'sent', 'delivered', 'read', 'failed'],
     default: 'sent'
   },
   isDeleted: {
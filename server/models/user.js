@@ -61,6 +61,25 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: true
       }
+    },
+    // Spoken replies to voice messages
+    voiceReplies: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      autoPlay: {
+        type: Boolean,
+        default: true
+      },
+      voice: String
+    },
+    // Long-term memory: facts RAI suggests remembering and uses in replies
+    memory: {
+      enabled: {
+        type: Boolean,
+        default: true
+      }
     }
   },
   subscription: {
@@ -189,8 +208,16 @@ userSchema.methods.updateUsage = function(type, count = 1) {
   return this.save();
 };
 
-// Method to check subscription limits
-userSchema.methods.checkLimits = function(type) {
+// Usage counter each limit type is measured against
+const USAGE_FIELDS = {
+  messages: 'messagesSent',
+  images: 'imagesGenerated',
+  code: 'codeGenerated'
+};
+
+// Method to check subscription limits. count is how many more the caller
+// is about to use, e.g. the number of images requested.
+userSchema.methods.checkLimits = function(type, count = 1) {
   const limits = {
     free: { messages: 100, images: 10, code: 50 },
     basic: { messages: 1000, images: 100, code: 500 },
@@ -203,8 +230,8 @@ userSchema.methods.checkLimits = function(type) {
   
   if (limit === -1) return true; // Unlimited
   
-  const current = this.usage[`${type}sSent`] || this.usage[`${type}sGenerated`] || this.usage[`${type}sGenerated`];
-  return current < limit;
+  const current = this.usage[USAGE_FIELDS[type]] || 0;
+  return current + count <= limit;
 };
 
 // Static method to find by email
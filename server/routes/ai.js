@@ -3,16 +3,32 @@ const router = express.Router();
 const aiController = require('../controllers/aiController');
 const { authenticate } = require('../middleware/authenticate');
 
-// Generate AI text response
+// List models available for per-conversation selection
+router.get('/models', authenticate, aiController.listModels);
+
+// Generate AI text response (JSON, or Server-Sent Events with stream: true)
 router.post('/generate', authenticate, aiController.generateText);
 
-// Generate image from prompt
-router.post('/image', authenticate, aiController.generateImage);
+// Generate images from a prompt, or variations and edits of an image
+router.post('/image', authenticate, aiController.uploadImages, aiController.generateImage);
 
 // Generate code
 router.post('/code', authenticate, aiController.generateCode);
 
+// Download the files of a saved code reply as a zip
+router.get('/code/:messageId/zip', authenticate, aiController.downloadCode);
+
 // Voice processing
-router.post('/voice', authenticate, aiController.processVoice);
+router.post('/voice', authenticate, aiController.uploadAudio, aiController.processVoice);
+
+// Image and document attachments for chat messages
+router.post('/attachments', authenticate, aiController.uploadAttachment, aiController.saveAttachment);
+
+// Parsed documents and their latest analysis
+router.get('/documents', authenticate, aiController.listDocuments);
+router.get('/documents/:documentId', authenticate, aiController.getDocument);
+
+// Text-to-speech
+router.post('/speech', authenticate, aiController.synthesizeSpeech);
 
 module.exports = router; 
\ No newline at end of file
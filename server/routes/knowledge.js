@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const knowledgeController = require('../controllers/knowledgeController');
+const { authenticate } = require('../middleware/authenticate');
+
+// Knowledge bases the user owns or is a member of
+router.get('/', authenticate, knowledgeController.listKnowledgeBases);
+router.post('/', authenticate, knowledgeController.createKnowledgeBase);
+router.get('/:knowledgeBaseId', authenticate, knowledgeController.getKnowledgeBase);
+router.put('/:knowledgeBaseId', authenticate, knowledgeController.updateKnowledgeBase);
+router.delete('/:knowledgeBaseId', authenticate, knowledgeController.deleteKnowledgeBase);
+
+// Documents and pasted text, indexed as embedded chunks
+router.post('/:knowledgeBaseId/entries', authenticate, knowledgeController.addEntry);
+router.get('/:knowledgeBaseId/entries/:entryId', authenticate, knowledgeController.getEntry);
+router.put('/:knowledgeBaseId/entries/:entryId', authenticate, knowledgeController.updateEntry);
+router.delete('/:knowledgeBaseId/entries/:entryId', authenticate, knowledgeController.deleteEntry);
+
+// Re-index changed entries (or all with force: true)
+router.post('/:knowledgeBaseId/reindex', authenticate, knowledgeController.reindexKnowledgeBase);
+
+// Preview the chunks retrieval finds for a query
+router.post('/:knowledgeBaseId/search', authenticate, knowledgeController.searchKnowledgeBase);
+
+module.exports = router;
\ No newline at end of file
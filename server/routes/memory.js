@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const memoryController = require('../controllers/memoryController');
+const { authenticate } = require('../middleware/authenticate');
+
+// What RAI remembers about the user, and suggestions waiting for confirmation
+router.get('/', authenticate, memoryController.listMemories);
+router.post('/', authenticate, memoryController.createMemory);
+router.delete('/', authenticate, memoryController.clearMemories);
+
+// Turn memory on or off
+router.put('/settings', authenticate, memoryController.updateSettings);
+
+router.put('/:memoryId', authenticate, memoryController.updateMemory);
+router.delete('/:memoryId', authenticate, memoryController.deleteMemory);
+
+module.exports = router;
\ No newline at end of file
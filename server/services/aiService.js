@@ -1,26 +1,415 @@
-const OpenAI = require('openai');
-const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getProviderRegistry } = require('./providers');
+const { getResponseCache } = require('./cache');
+const { getToolRegistry } = require('./tools');
+const { getSearchBackend, rankResults } = require('./search');
+const { buildSystemPrompt, languageCode, languageName } = require('./promptBuilder');
+const { countTokens, normalizeUsage } = require('../utils/tokens');
+const { chunkReference, chunkText } = require('../utils/documents');
+const { audioDuration, concatWav, detectAudioFormat, toWav } = require('../utils/audio');
+const { imageError, storeImage, toPng, toVisionInput } = require('../utils/images');
+const { speakableText, splitForSpeech } = require('../utils/speech');
+const { saveUpload, UPLOAD_DIR } = require('../utils/uploads');
+const { normalizeLanguage, parseCodeResponse } = require('./codeParser');
+
+// Upper bound on model -> tool -> model round trips for a single reply
+const MAX_TOOL_ROUNDS = 5;
+
+// Voice input limits. 25 MB is also the Whisper API's upload limit.
+const MAX_AUDIO_BYTES = parseInt(process.env.STT_MAX_BYTES) || 25 * 1024 * 1024;
+const MAX_AUDIO_SECONDS = parseInt(process.env.STT_MAX_DURATION) || 300;
+
+// Longest text synthesized in one request, after markdown is stripped
+const MAX_SPEECH_CHARS = parseInt(process.env.TTS_MAX_CHARS) || 10000;
+const SPEECH_FORMATS = ['mp3', 'wav'];
+
+// Variation and edit inputs are square PNGs no larger than this
+const IMAGE_INPUT_SIZE = 1024;
+
+// Documents longer than this are condensed chunk by chunk (map-reduce)
+// before the final analysis
+const DOCUMENT_CONTEXT_TOKENS = parseInt(process.env.DOCUMENT_CONTEXT_TOKENS) || 6000;
+const DOCUMENT_SUMMARY_TOKENS = 500;
+const DOCUMENT_MAP_CONCURRENCY = 3;
+const MAX_REDUCE_ROUNDS = 5;
+
+const IMAGE_MODE_LABELS = {
+  generate: 'image generation',
+  variation: 'image variations',
+  edit: 'image edits'
+};
+
+function audioError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Checks count, size, quality and style against a provider's imageSpec()
+function validateImageOptions(spec, mode, options) {
+  if (!spec) return;
+
+  const oneOf = (values) => values.length ? `one of ${values.join(', ')}` : 'left out';
+  if (!spec.modes.includes(mode)) {
+    throw imageError(`${spec.model} does not support ${IMAGE_MODE_LABELS[mode]}`);
+  }
+  if (options.n && options.n > spec.maxImages) {
+    throw imageError(`${spec.model} returns at most ${spec.maxImages} image${spec.maxImages === 1 ? '' : 's'} per request`);
+  }
+  if (options.size && !spec.sizes.includes(options.size)) {
+    throw imageError(`Size for ${spec.model} must be ${oneOf(spec.sizes)}`);
+  }
+  if (options.quality && !spec.qualities.includes(options.quality)) {
+    throw imageError(`Quality for ${spec.model} must be ${oneOf(spec.qualities)}`);
+  }
+  if (options.style && !spec.styles.includes(options.style)) {
+    throw imageError(`Style for ${spec.model} must be ${oneOf(spec.styles)}`);
+  }
+}
+
+// Links and citations for the knowledge base chunks a reply was given, as
+// for web search results
+function knowledgeMetadata(content, knowledge) {
+  const citations = [...new Set(
+    (content.match(/\[(\d+)\]/g) || []).map(match => parseInt(match.slice(1, -1)))
+  )].filter(number => number >= 1 && number <= knowledge.length);
+
+  return {
+    links: knowledge.map(chunk => ({
+      url: chunk.url,
+      title: chunk.label ? `${chunk.title} (${chunk.label})` : chunk.title,
+      description: chunk.text.slice(0, 200)
+    })),
+    citations,
+    knowledgeSources: knowledge.map(chunk => ({
+      knowledgeBaseId: chunk.knowledgeBaseId,
+      entryId: chunk.entryId,
+      chunk: chunk.index,
+      score: chunk.score
+    }))
+  };
+}
+
+const SUMMARY_PROMPTS = {
+  short: 'Summarize the following text in one or two sentences',
+  medium: 'Provide a concise summary of the following text',
+  long: 'Provide a detailed summary of the following text, organized by its main points'
+};
 
 class AIService {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
+  constructor(options = {}) {
+    this.providers = options.providers || getProviderRegistry();
+    this.cache = options.cache !== undefined ? options.cache : getResponseCache();
+    this.tools = options.tools || getToolRegistry();
+    this.search = options.search !== undefined ? options.search : getSearchBackend();
+  }
+
+  // Run a capability through the provider registry, falling back in policy order
+  async runProvider(capability, invoke, options = {}) {
+    return this.providers.run(capability, invoke, options);
+  }
+
+  // Metadata describing which provider answered and which were passed over
+  providerMetadata(result) {
+    return {
+      model: result.model,
+      provider: result.provider,
+      providerAttempts: result.attempts,
+      cached: Boolean(result.cached)
+    };
+  }
+
+  // Resolve a conversation's metadata.aiModel into provider options. Models
+  // are referenced as "<provider>:<model>", e.g. "selfhosted:llama3:8b".
+  // Anything else leaves the default fallback policy in charge.
+  resolveModel(aiModel) {
+    if (!aiModel || !aiModel.includes(':')) {
+      return {};
+    }
+
+    const separator = aiModel.indexOf(':');
+    const provider = aiModel.slice(0, separator);
+    if (!this.providers.get(provider)) {
+      return {};
+    }
+
+    return { provider, model: aiModel.slice(separator + 1) };
+  }
+
+  // A requested model only applies to the provider it was chosen for
+  optionsFor(provider, options) {
+    if (options.provider && options.provider !== provider.name) {
+      return { ...options, model: undefined };
+    }
+    return options;
+  }
+
+  // Models exposed by every configured provider, for per-conversation selection
+  async listModels() {
+    const models = [];
+
+    for (const provider of this.providers.list()) {
+      if (!provider.isConfigured() || !provider.supports('chat')) continue;
+
+      try {
+        const ids = await provider.listModels();
+        ids.forEach(model => {
+          models.push({ id: `${provider.name}:${model}`, provider: provider.name, model });
+        });
+      } catch (error) {
+        console.error(`Error listing ${provider.name} models:`, error.message);
+      }
+    }
+
+    return models;
+  }
+
+  // Completions for cacheable tasks (translate, summarize, code) are served
+  // from the response cache. Pass options.cache = false to bypass it.
+  async complete(messages, options = {}) {
+    const task = options.task || 'chat';
+    if (!this.cache || options.cache === false || !this.cache.enabledFor(task)) {
+      return this.completeWithProviders(messages, options);
+    }
+
+    const key = this.cache.key(task, {
+      provider: options.provider,
+      model: options.model,
+      params: { maxTokens: options.maxTokens, temperature: options.temperature },
+      messages
     });
-    
-    this.geminiApiKey = process.env.GEMINI_API_KEY;
-    this.anthropicApiKey = process.env.ANTHROPIC_API_KEY;
+
+    const cached = await this.cache.get(task, key);
+    if (cached) {
+      if (options.onToken) {
+        options.onToken(cached.content);
+      }
+      return { ...cached, attempts: [], cached: true };
+    }
+
+    const result = await this.completeWithProviders(messages, options);
+    await this.cache.set(task, key, {
+      content: result.content,
+      model: result.model,
+      provider: result.provider,
+      usage: result.usage
+    });
+
+    return result;
   }
 
-  async generateTextResponse(message, history = [], user = null) {
+  // Pass options.onToken to stream the reply as it is generated
+  async completeWithProviders(messages, options = {}) {
+    const { onToken } = options;
+
+    if (!onToken) {
+      return this.runProvider(
+        'chat',
+        (provider, signal) => provider.chat(messages, { ...this.optionsFor(provider, options), signal }),
+        options
+      );
+    }
+
+    return this.runProvider('chat', async (provider, signal, onChunk) => {
+      let streamed = false;
+      try {
+        return await provider.chatStream(messages, { ...this.optionsFor(provider, options), signal }, token => {
+          streamed = true;
+          onChunk();
+          onToken(token);
+        });
+      } catch (error) {
+        error.noFallback = streamed;
+        throw error;
+      }
+    }, options);
+  }
+
+  // Let the model call registered tools until it produces a final answer.
+  // Each invocation is returned in toolSteps. With options.onToken every
+  // round streams its text, so a reply that needs no tools streams like a
+  // plain completion; the content is then everything that was streamed.
+  async completeWithTools(messages, options = {}) {
+    const definitions = this.tools.definitions();
+    const context = options.toolContext || {};
+    const { onToken } = options;
+
+    return this.runProvider('tools', async (provider, signal, onChunk) => {
+      const transcript = [...messages];
+      const toolSteps = [];
+      let streamedText = '';
+      let separate = false;
+
+      // Text from a round after tool calls starts a new paragraph
+      const emit = (token) => {
+        const text = separate ? `\n\n${token}` : token;
+        separate = false;
+        streamedText += text;
+        onChunk();
+        onToken(text);
+      };
+
+      try {
+        for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+          const roundOptions = { ...this.optionsFor(provider, options), signal };
+          const result = onToken
+            ? await provider.chatStreamWithTools(transcript, definitions, roundOptions, emit)
+            : await provider.chatWithTools(transcript, definitions, roundOptions);
+
+          if (!result.toolCalls || result.toolCalls.length === 0) {
+            return { ...result, content: onToken ? streamedText : result.content, toolSteps };
+          }
+
+          separate = streamedText.length > 0;
+          transcript.push({ role: 'assistant', content: result.content, toolCalls: result.toolCalls });
+
+          for (const call of result.toolCalls) {
+            const started = Date.now();
+            const output = await this.tools.execute(call.name, call.arguments, context);
+
+            toolSteps.push({
+              tool: call.name,
+              arguments: call.arguments,
+              result: output.result,
+              error: output.error,
+              durationMs: Date.now() - started
+            });
+            transcript.push({
+              role: 'tool',
+              toolCallId: call.id,
+              name: call.name,
+              content: JSON.stringify(output.error ? { error: output.error } : output.result)
+            });
+          }
+        }
+
+        throw new Error(`Tool calling did not finish within ${MAX_TOOL_ROUNDS} rounds`);
+      } catch (error) {
+        error.noFallback = error.noFallback || streamedText.length > 0;
+        throw error;
+      }
+    }, options);
+  }
+
+  // Completion whose last message carries images ({ url } attachments).
+  // Only vision providers are tried, each with its vision model and the
+  // images downscaled to its limit. Tools are not offered alongside images.
+  async completeWithImages(messages, images, options = {}) {
+    const encoded = new Map();
+    const encode = (maxDimension) => {
+      if (!encoded.has(maxDimension)) {
+        // An unreadable attachment fails the same way for every provider
+        encoded.set(maxDimension, Promise.all(images.map(image => toVisionInput(image.url, maxDimension)))
+          .catch(error => {
+            error.noFallback = true;
+            throw error;
+          }));
+      }
+      return encoded.get(maxDimension);
+    };
+
+    return this.runProvider('vision', async (provider, signal, onChunk) => {
+      const model = provider.resolveVisionModel(this.optionsFor(provider, options).model);
+      if (!model) {
+        throw new Error(`${provider.name} has no model that reads images`);
+      }
+
+      const last = messages[messages.length - 1];
+      const visionMessages = [...messages.slice(0, -1), { ...last, images: await encode(provider.maxImageDimension) }];
+      const chatOptions = { ...options, model, signal };
+
+      if (!options.onToken) {
+        return provider.chat(visionMessages, chatOptions);
+      }
+
+      let streamed = false;
+      try {
+        return await provider.chatStream(visionMessages, chatOptions, token => {
+          streamed = true;
+          onChunk();
+          options.onToken(token);
+        });
+      } catch (error) {
+        error.noFallback = streamed;
+        throw error;
+      }
+    }, options);
+  }
+
+  // Why images can't be answered, or null when a vision model is available.
+  // A model the user selected is never swapped for another one.
+  visionUnavailable(options = {}) {
+    const provider = options.provider && this.providers.get(options.provider);
+    if (provider) {
+      if (!provider.supports('vision') || !provider.resolveVisionModel(options.model)) {
+        const model = options.model || provider.chatModel;
+        return `The selected model (${options.provider}:${model}) only reads text, so I can't see the attached image. Switch this conversation to a vision model, for example openai:gpt-4o, and send it again.`;
+      }
+      return null;
+    }
+
+    const available = this.providers.resolve('vision').some(provider => provider.isConfigured());
+    return available ? null : "None of the configured AI models can read images, so I can't see the attached image.";
+  }
+
+  // Tool calling when requested and available, otherwise a plain completion
+  async completeChat(messages, options = {}) {
+    if (!options.tools) {
+      return this.complete(messages, options);
+    }
+
+    try {
+      return await this.completeWithTools(messages, options);
+    } catch (error) {
+      if (!error.attempts || error.noFallback) throw error;
+      console.log('Tool calling unavailable, answering without tools');
+      return this.complete(messages, options);
+    }
+  }
+
+  // options.images: image attachments ({ url }) of the current message
+  // options.memories: remembered facts about the user for the system prompt
+  async generateTextResponse(message, history = [], user = null, options = {}) {
     try {
+      const { summary, conversation, images, knowledge, memories, ...completionOptions } = options;
+
+      if (images && images.length > 0) {
+        const unavailable = this.visionUnavailable(completionOptions);
+        if (unavailable) {
+          if (completionOptions.onToken) completionOptions.onToken(unavailable);
+          return { content: unavailable, type: 'text', metadata: { visionUnavailable: true } };
+        }
+      }
+
       // Build conversation context
       const messages = [
         {
           role: 'system',
-          content: `You are RAI (Revolutionary AI Assistant), a comprehensive AI that combines the best features from Gemini, Siri, ChatGPT, and other leading AI platforms. You are helpful, creative, and can assist with any task. You have access to real-time information, can generate code, create images, and much more. Always be friendly and professional.`
+          content: buildSystemPrompt({ task: options.task, user, conversation, memories })
         }
       ];
 
+      // Rolling summary of turns that no longer fit the context window
+      if (summary) {
+        messages.push({
+          role: 'system',
+          content: `Summary of the earlier conversation:\n${summary}`
+        });
+      }
+
+      // Knowledge base chunks retrieved for this question, numbered for citation
+      if (knowledge && knowledge.length > 0) {
+        const excerpts = knowledge
+          .map((chunk, index) => `[${index + 1}] ${chunk.title}${chunk.label ? ` (${chunk.label})` : ''}\n${chunk.text}`)
+          .join('\n\n');
+        messages.push({
+          role: 'system',
+          content: `Excerpts from the user's knowledge base that may help with the next message. Use them when relevant and cite them inline with their numbers in square brackets, e.g. [1].\n\n${excerpts}`
+        });
+      }
+
       // Add conversation history
       history.forEach(msg => {
         messages.push({
@@ -35,104 +424,170 @@ class AIService {
         content: message
       });
 
-      // Try OpenAI first, fallback to other services
-      try {
-        const completion = await this.openai.chat.completions.create({
-          model: 'gpt-4',
-          messages: messages,
-          max_tokens: 1000,
-          temperature: 0.7
-        });
+      const chatOptions = { maxTokens: 1000, temperature: 0.7, ...completionOptions };
+      const result = images && images.length > 0
+        ? await this.completeWithImages(messages, images, chatOptions)
+        : await this.completeChat(messages, chatOptions);
 
-        return {
-          content: completion.choices[0].message.content,
-          type: 'text',
-          metadata: {
-            model: 'gpt-4',
-            provider: 'openai'
-          }
-        };
-      } catch (openaiError) {
-        console.log('OpenAI failed, trying Gemini...');
-        return await this.generateWithGemini(message, history);
+      const metadata = this.providerMetadata(result);
+      if (result.toolSteps && result.toolSteps.length > 0) {
+        metadata.toolCalls = result.toolSteps;
+      }
+      if (knowledge && knowledge.length > 0) {
+        Object.assign(metadata, knowledgeMetadata(result.content, knowledge));
       }
 
+      return {
+        content: result.content,
+        type: 'text',
+        metadata
+      };
+
     } catch (error) {
       console.error('Error generating text response:', error);
       throw error;
     }
   }
 
-  async generateWithGemini(message, history = []) {
+  // Completion over a caller-supplied message list, used by the REST API.
+  // systemPrompt replaces the prompt built from the user's settings.
+  async generateCompletion(messages, options = {}) {
     try {
-      const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent?key=${this.geminiApiKey}`;
-      
-      const prompt = this.buildGeminiPrompt(message, history);
-      
-      const response = await axios.post(url, {
-        contents: [{
-          parts: [{
-            text: prompt
-          }]
-        }]
+      const { systemPrompt, ...completionOptions } = options;
+
+      const system = systemPrompt || buildSystemPrompt({
+        task: 'chat',
+        user: options.user,
+        conversation: options.conversation
+      });
+      const fullMessages = [{ role: 'system', content: system }, ...messages];
+
+      const result = await this.complete(fullMessages, {
+        maxTokens: 1000,
+        temperature: 0.7,
+        ...this.completionOptions(completionOptions),
+        cache: false
       });
 
-      const content = response.data.candidates[0].content.parts[0].text;
-      
       return {
-        content: content,
-        type: 'text',
-        metadata: {
-          model: 'gemini-pro',
-          provider: 'google'
-        }
+        content: result.content,
+        usage: normalizeUsage(result.usage, {
+          messages: fullMessages,
+          content: result.content,
+          model: result.model
+        }),
+        metadata: this.providerMetadata(result)
       };
     } catch (error) {
-      console.error('Gemini failed:', error);
-      // Fallback to simple response
-      return {
-        content: "I'm here to help! I can assist you with various tasks including text generation, code creation, image generation, and more. What would you like to work on?",
-        type: 'text',
-        metadata: {
-          model: 'fallback',
-          provider: 'rai'
-        }
-      };
+      console.error('Error generating completion:', error);
+      throw error;
     }
   }
 
-  buildGeminiPrompt(message, history) {
-    let prompt = `You are RAI (Revolutionary AI Assistant), a comprehensive AI that combines the best features from Gemini, Siri, ChatGPT, and other leading AI platforms. You are helpful, creative, and can assist with any task.\n\n`;
-    
-    if (history.length > 0) {
-      prompt += `Previous conversation:\n`;
-      history.forEach(msg => {
-        prompt += `${msg.sender === 'user' ? 'User' : 'RAI'}: ${msg.content}\n`;
-      });
-      prompt += '\n';
-    }
-    
-    prompt += `User: ${message}\nRAI:`;
-    
-    return prompt;
+  // Drop prompt context that shouldn't reach the providers
+  completionOptions(options) {
+    const { user, conversation, ...rest } = options;
+    return rest;
   }
 
-  async generateImage(prompt) {
+  // Fold older messages into a running summary of the conversation
+  async summarizeConversation(previousSummary, messages) {
+    const transcript = messages
+      .map(msg => `${msg.sender === 'user' ? 'User' : 'RAI'}: ${msg.content}`)
+      .join('\n');
+
+    const prompt = previousSummary
+      ? `Here is a summary of a conversation so far:\n${previousSummary}\n\nUpdate it to also cover these later messages:\n${transcript}`
+      : `Summarize this conversation:\n${transcript}`;
+
+    const result = await this.complete([
+      {
+        role: 'system',
+        content: 'You keep concise running summaries of conversations. Preserve facts, decisions, names and open questions. Reply with the summary only.'
+      },
+      {
+        role: 'user',
+        content: prompt
+      }
+    ], {
+      maxTokens: 400,
+      temperature: 0.3,
+      task: 'summary'
+    });
+
+    return result.content;
+  }
+
+  // options.mode is 'generate' (default), 'variation' of options.image, or
+  // 'edit' of options.image where options.mask is transparent. Images are
+  // Buffers, data: URLs or /uploads URLs. n, size, quality and style are
+  // checked against the first available provider's model before calling it.
+  async generateImage(prompt, options = {}) {
     try {
-      const response = await this.openai.images.generate({
-        model: "dall-e-3",
-        prompt: prompt,
-        n: 1,
-        size: "1024x1024",
-      });
+      const mode = options.mode || 'generate';
+      const primary = this.providers.resolve('image', options.provider).find(provider => provider.isConfigured());
+      if (primary) {
+        validateImageOptions(primary.imageSpec(mode, this.optionsFor(primary, options).model), mode, options);
+      }
+
+      let source;
+      let mask;
+      if (mode !== 'generate') {
+        if (!options.image) {
+          throw imageError(`An image is required for ${IMAGE_MODE_LABELS[mode]}`);
+        }
+        source = await toPng(options.image, { square: true, maxSize: IMAGE_INPUT_SIZE });
+        if (options.mask) {
+          mask = await toPng(options.mask, { width: source.width, height: source.height });
+        }
+      }
+
+      const result = await this.runProvider('image', (provider, signal) => {
+        const imageOptions = {
+          model: this.optionsFor(provider, options).model,
+          n: options.n,
+          size: options.size,
+          quality: options.quality,
+          style: options.style,
+          signal
+        };
+
+        if (mode === 'variation') {
+          return provider.createImageVariation(source.buffer, imageOptions);
+        }
+        if (mode === 'edit') {
+          return provider.editImage(prompt, source.buffer, { ...imageOptions, mask: mask && mask.buffer });
+        }
+        return provider.generateImage(prompt, imageOptions);
+      }, options);
+      if (!result.images || result.images.length === 0) {
+        const error = new Error('The image provider returned no images');
+        error.status = 502;
+        error.attempts = result.attempts;
+        throw error;
+      }
+
+      // Provider URLs expire, so keep our own copy of every image
+      const images = await Promise.all(result.images.map(async image => ({
+        ...await storeImage(image.url),
+        revisedPrompt: image.revisedPrompt
+      })));
+      const [image] = images;
 
       return {
-        content: response.data[0].url,
+        content: image.url,
         type: 'image',
         metadata: {
-          model: 'dall-e-3',
-          provider: 'openai',
-          prompt: prompt
+          ...this.providerMetadata(result),
+          imageUrl: image.url,
+          thumbnailUrl: image.thumbnailUrl,
+          imagePrompt: prompt,
+          imageSize: `${image.width}x${image.height}`,
+          imageMode: mode,
+          imageQuality: options.quality,
+          imageStyle: options.style,
+          revisedPrompt: image.revisedPrompt,
+          images
         }
       };
     } catch (error) {
@@ -141,33 +596,55 @@ class AIService {
     }
   }
 
-  async generateCode(message) {
+  async generateEmbeddings(input, options = {}) {
     try {
-      const codePrompt = `Generate code based on the following request. Provide only the code with brief comments explaining key parts. If it's a complete application, provide all necessary files. Request: ${message}`;
+      const result = await this.runProvider(
+        'embeddings',
+        (provider, signal) => provider.embed(input, { ...options, signal }),
+        options
+      );
+
+      return {
+        embeddings: result.embeddings,
+        metadata: this.providerMetadata(result)
+      };
+    } catch (error) {
+      console.error('Error generating embeddings:', error);
+      throw error;
+    }
+  }
+
+  async generateCode(message, options = {}) {
+    try {
+      const language = options.language ? ` Use ${options.language}.` : '';
+      const codePrompt = `Generate code based on the following request. Put each file in its own fenced code block whose info string is the language followed by the file path, e.g. \`\`\`javascript src/index.js. If it's a complete application, provide all necessary files. After the code, briefly explain how it works and how to run it.${language} Request: ${message}`;
       
-      const completion = await this.openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an expert programmer. Generate clean, working code with appropriate comments. Always specify the programming language.'
-          },
-          {
-            role: 'user',
-            content: codePrompt
-          }
-        ],
-        max_tokens: 2000,
-        temperature: 0.3
+      const result = await this.complete([
+        {
+          role: 'system',
+          content: buildSystemPrompt({ task: 'code', user: options.user, conversation: options.conversation })
+        },
+        {
+          role: 'user',
+          content: codePrompt
+        }
+      ], {
+        maxTokens: 2000,
+        temperature: 0.3,
+        ...this.completionOptions(options),
+        task: 'code'
       });
 
+      const { files, explanation } = parseCodeResponse(result.content);
+
       return {
-        content: completion.choices[0].message.content,
+        content: result.content,
         type: 'code',
         metadata: {
-          model: 'gpt-4',
-          provider: 'openai',
-          language: this.detectLanguage(completion.choices[0].message.content)
+          ...this.providerMetadata(result),
+          language: normalizeLanguage(options.language) || (files[0] ? files[0].language : 'text'),
+          files,
+          explanation
         }
       };
     } catch (error) {
@@ -176,34 +653,77 @@ class AIService {
     }
   }
 
-  detectLanguage(code) {
-    const lowerCode = code.toLowerCase();
-    if (lowerCode.includes('function') && lowerCode.includes('const') && lowerCode.includes('=>')) return 'javascript';
-    if (lowerCode.includes('def ') || lowerCode.includes('import ')) return 'python';
-    if (lowerCode.includes('public class') || lowerCode.includes('public static')) return 'java';
-    if (lowerCode.includes('#include') || lowerCode.includes('int main')) return 'cpp';
-    if (lowerCode.includes('<?php')) return 'php';
-    if (lowerCode.includes('html') || lowerCode.includes('<!DOCTYPE')) return 'html';
-    if (lowerCode.includes('css') || lowerCode.includes('{') && lowerCode.includes(':')) return 'css';
-    return 'unknown';
+  // Fetch and rank results from the configured search backend. Failures
+  // return no sources so the caller can answer without them.
+  async searchWeb(query, options = {}) {
+    if (!this.search || !this.search.isConfigured()) {
+      return [];
+    }
+
+    try {
+      const language = options.user && options.user.preferences ? options.user.preferences.language : undefined;
+      const results = await this.search.search(query, { language });
+      return rankResults(query, results, options.limit || 5);
+    } catch (error) {
+      console.error('Error querying search backend:', error.message);
+      return [];
+    }
   }
 
-  async webSearch(query) {
+  async webSearch(query, options = {}) {
     try {
-      // This would integrate with a search API like Google Custom Search
-      // For now, we'll simulate a search response
+      const sources = await this.searchWeb(query, options);
+
+      if (sources.length === 0) {
+        const fallback = await this.generateTextResponse(
+          `Web search is unavailable right now. Answer from your own knowledge and clearly say that the information may be out of date: ${query}`,
+          [],
+          options.user || null,
+          { conversation: options.conversation }
+        );
+
+        return {
+          content: fallback.content,
+          type: 'search_result',
+          metadata: {
+            ...fallback.metadata,
+            query: query,
+            source: 'model_knowledge',
+            timestamp: new Date().toISOString()
+          }
+        };
+      }
+
+      const results = sources
+        .map((source, index) => `[${index + 1}] ${source.title}\nURL: ${source.url}\n${source.description}`)
+        .join('\n\n');
+
       const searchResponse = await this.generateTextResponse(
-        `Search for the latest information about: ${query}. Provide current and accurate information.`,
+        `Answer the question using the numbered search results below. Cite the results you use inline with their numbers in square brackets, e.g. [1]. If the results don't answer the question, say so.\n\nSearch results:\n${results}\n\nQuestion: ${query}`,
         [],
-        null
+        options.user || null,
+        { conversation: options.conversation, task: 'search' }
       );
 
+      // Numbers the answer actually cited; links keep the numbering of the sources
+      const citations = [...new Set(
+        (searchResponse.content.match(/\[(\d+)\]/g) || []).map(match => parseInt(match.slice(1, -1)))
+      )].filter(number => number >= 1 && number <= sources.length);
+
       return {
         content: searchResponse.content,
         type: 'search_result',
         metadata: {
+          ...searchResponse.metadata,
           query: query,
-          source: 'web_search',
+          source: this.search.name,
+          links: sources.map(source => ({
+            url: source.url,
+            title: source.title,
+            description: source.description,
+            image: source.image
+          })),
+          citations,
           timestamp: new Date().toISOString()
         }
       };
@@ -213,28 +733,122 @@ class AIService {
     }
   }
 
-  async speechToText(audioData) {
+  // Transcribe a voice recording (Buffer or base64) and keep the original
+  // under uploads/voice. Resolves to { text, language, duration, audioUrl, metadata }.
+  async speechToText(audio, options = {}) {
     try {
-      // This would integrate with speech-to-text services
-      // For now, we'll return a placeholder
-      return "Speech-to-text conversion would happen here. Please provide your message in text format for now.";
+      const buffer = Buffer.isBuffer(audio) ? audio : Buffer.from(audio || '', 'base64');
+      if (buffer.length === 0) {
+        throw audioError('No audio received');
+      }
+      if (buffer.length > MAX_AUDIO_BYTES) {
+        throw audioError(`Audio is larger than ${Math.round(MAX_AUDIO_BYTES / 1024 / 1024)} MB`);
+      }
+
+      const format = detectAudioFormat(buffer, options.mimeType);
+      if (!format) {
+        throw audioError('Unsupported audio format');
+      }
+
+      // Reject long recordings before paying for them when the length is known
+      const measured = await audioDuration(buffer, format);
+      if (measured && measured > MAX_AUDIO_SECONDS) {
+        throw audioError(`Recordings are limited to ${MAX_AUDIO_SECONDS} seconds`);
+      }
+
+      let normalized;
+      const result = await this.runProvider('transcription', async (provider, signal) => {
+        let input = { buffer, format };
+        if (!provider.audioFormats.includes(format)) {
+          normalized = normalized || toWav(buffer, format);
+          input = { buffer: await normalized, format: 'wav' };
+        }
+
+        return provider.transcribe(input, { language: options.language, signal });
+      }, options);
+
+      const duration = result.duration || measured || undefined;
+      if (duration && duration > MAX_AUDIO_SECONDS) {
+        throw audioError(`Recordings are limited to ${MAX_AUDIO_SECONDS} seconds`);
+      }
+
+      const text = (result.text || '').trim();
+      if (!text) {
+        throw audioError('No speech was detected in the recording');
+      }
+
+      const stored = await saveUpload('voice', `${crypto.randomUUID()}.${format}`, buffer);
+
+      return {
+        text,
+        language: languageCode(result.language),
+        duration,
+        audioUrl: stored.url,
+        metadata: this.providerMetadata(result)
+      };
     } catch (error) {
       console.error('Error converting speech to text:', error);
       throw error;
     }
   }
 
-  async textToSpeech(text) {
+  // Synthesize a reply and store it under uploads/speech, named by a hash of
+  // the spoken text, voice and language so repeated requests reuse the file.
+  // Resolves to { audioUrl, format, cached, chunks, metadata }.
+  async textToSpeech(text, options = {}) {
     try {
-      // This would integrate with text-to-speech services
-      // For now, we'll return a placeholder
-      return {
-        audioUrl: null,
-        text: text,
-        metadata: {
-          service: 'text-to-speech',
-          status: 'not_implemented'
+      const spoken = speakableText(text);
+      if (!spoken) {
+        throw audioError('Nothing to read aloud');
+      }
+      if (spoken.length > MAX_SPEECH_CHARS) {
+        throw audioError(`Text to speak is limited to ${MAX_SPEECH_CHARS} characters`);
+      }
+
+      const hash = crypto.createHash('sha256')
+        .update(JSON.stringify([spoken, options.voice || '', options.language || '']))
+        .digest('hex');
+
+      for (const format of SPEECH_FORMATS) {
+        const filePath = path.join(UPLOAD_DIR, 'speech', `${hash}.${format}`);
+        if (fs.existsSync(filePath)) {
+          return {
+            audioUrl: `/uploads/speech/${hash}.${format}`,
+            format,
+            cached: true,
+            metadata: { cached: true }
+          };
+        }
+      }
+
+      // Every chunk comes from the same provider so the pieces can be joined
+      const result = await this.runProvider('speech', async (provider, signal) => {
+        const chunks = splitForSpeech(spoken, provider.maxSpeechChars);
+        const parts = [];
+        for (const chunk of chunks) {
+          parts.push(await provider.synthesize(chunk, {
+            ...this.optionsFor(provider, options),
+            signal
+          }));
         }
+
+        const format = parts[0].format;
+        return {
+          audio: format === 'wav' ? concatWav(parts.map(part => part.audio)) : Buffer.concat(parts.map(part => part.audio)),
+          format,
+          model: parts[0].model,
+          chunks: chunks.length
+        };
+      }, options);
+
+      const stored = await saveUpload('speech', `${hash}.${result.format}`, result.audio);
+
+      return {
+        audioUrl: stored.url,
+        format: result.format,
+        cached: false,
+        chunks: result.chunks,
+        metadata: this.providerMetadata(result)
       };
     } catch (error) {
       console.error('Error converting text to speech:', error);
@@ -242,18 +856,20 @@ class AIService {
     }
   }
 
-  async processVoiceCommand(command) {
+  async processVoiceCommand(command, options = {}) {
     try {
       const response = await this.generateTextResponse(
         `Process this voice command: ${command}. Provide a helpful response and suggest any actions that could be taken.`,
         [],
-        null
+        options.user || null,
+        { conversation: options.conversation, task: 'voice' }
       );
 
       return {
         content: response.content,
         type: 'voice_command',
         metadata: {
+          ...response.metadata,
           originalCommand: command,
           processed: true
         }
@@ -264,17 +880,68 @@ class AIService {
     }
   }
 
-  async analyzeDocument(documentContent) {
+  // Analyzes uploaded documents (or text pasted into a message) for
+  // options.instruction. Every excerpt is labelled with its page, row or
+  // section reference so the analysis can cite it.
+  async analyzeDocument(source, options = {}) {
     try {
-      const analysisPrompt = `Analyze the following document and provide a comprehensive summary with key insights: ${documentContent}`;
-      
-      const response = await this.generateTextResponse(analysisPrompt, [], null);
+      const documents = typeof source === 'string'
+        ? [{ name: 'Pasted text', chunks: chunkText(source) }]
+        : [].concat(source);
+      const instruction = options.instruction || 'Provide a comprehensive summary with key insights';
+      const names = documents.map(document => document.name).join(', ');
+
+      const references = [];
+      let excerpts = documents.flatMap(document => document.chunks.map(chunk => {
+        const label = documents.length > 1 ? `${document.name}, ${chunkReference(chunk)}` : chunkReference(chunk);
+        references.push({ documentId: document._id, chunk: chunk.index, label });
+        return `[${label}]\n${chunk.text}`;
+      }));
+
+      // Condense excerpts that do not fit one prompt, then the condensed
+      // summaries in turn, until everything fits
+      let rounds = 0;
+      while (excerpts.length > 1 && countTokens(excerpts.join('\n\n')) > DOCUMENT_CONTEXT_TOKENS) {
+        if (rounds++ === MAX_REDUCE_ROUNDS) {
+          throw new Error('Document is too long to analyze');
+        }
+        excerpts = await this.condenseExcerpts(excerpts, { ...options, instruction, names });
+      }
+
+      const analysisPrompt = `${instruction}\n\n` +
+        `Base your answer on the document${documents.length > 1 ? 's' : ''} below${rounds > 0 ? ', condensed into summaries of its parts' : ''}. ` +
+        'Cite the bracketed page, row or section reference of each point you make, e.g. [p. 4].\n\n' +
+        `Document: ${names}\n\n${excerpts.join('\n\n')}`;
+
+      const response = await this.generateTextResponse(analysisPrompt, [], options.user || null, {
+        conversation: options.conversation,
+        provider: options.provider,
+        model: options.model,
+        maxTokens: 1500,
+        onToken: options.onToken,
+        task: 'document_analysis'
+      });
+
+      // References the analysis cites, linking back to their chunks
+      const cited = references.filter(reference => response.content.includes(`[${reference.label}]`));
 
       return {
         content: response.content,
         type: 'document_analysis',
         metadata: {
-          documentLength: documentContent.length,
+          ...response.metadata,
+          documents: documents.filter(document => document._id).map(document => ({
+            documentId: document._id,
+            name: document.name,
+            url: document.url,
+            format: document.format,
+            pageCount: document.pageCount
+          })),
+          documentReferences: cited.filter(reference => reference.documentId),
+          chunkCount: references.length,
+          mapReduce: rounds > 0,
+          documentLength: documents.reduce((sum, document) =>
+            sum + document.chunks.reduce((total, chunk) => total + chunk.text.length, 0), 0),
           analysisType: 'comprehensive',
           timestamp: new Date().toISOString()
         }
@@ -285,18 +952,72 @@ class AIService {
     }
   }
 
-  async translateText(text, targetLanguage) {
+  // One map-reduce step: packs excerpts into groups that fit a prompt and
+  // summarizes each group, keeping the references of what it summarizes
+  async condenseExcerpts(excerpts, options) {
+    const groups = [];
+    let group = [];
+    let tokens = 0;
+    for (const excerpt of excerpts) {
+      const excerptTokens = countTokens(excerpt);
+      if (group.length > 0 && tokens + excerptTokens > DOCUMENT_CONTEXT_TOKENS) {
+        groups.push(group);
+        group = [];
+        tokens = 0;
+      }
+      group.push(excerpt);
+      tokens += excerptTokens;
+    }
+    groups.push(group);
+
+    const summarize = async (excerptGroup) => {
+      const prompt = `Summarize these excerpts from ${options.names}, keeping the facts, figures and conclusions ` +
+        `relevant to this request: ${options.instruction}\n` +
+        'Keep the bracketed reference of each excerpt next to the points taken from it.\n\n' +
+        excerptGroup.join('\n\n');
+
+      const response = await this.generateTextResponse(prompt, [], options.user || null, {
+        conversation: options.conversation,
+        provider: options.provider,
+        model: options.model,
+        maxTokens: DOCUMENT_SUMMARY_TOKENS,
+        task: 'summarize'
+      });
+
+      // The first and last references tell the next round what this covers
+      const labels = excerptGroup.map(excerpt => /^\[([^\]]+)\]/.exec(excerpt)[1]);
+      const first = labels[0].split(' to ')[0];
+      const last = labels[labels.length - 1].split(' to ').pop();
+      const label = first === last ? first : `${first} to ${last}`;
+      return `[${label}]\n${response.content}`;
+    };
+
+    const summaries = [];
+    for (let start = 0; start < groups.length; start += DOCUMENT_MAP_CONCURRENCY) {
+      const batch = groups.slice(start, start + DOCUMENT_MAP_CONCURRENCY);
+      summaries.push(...await Promise.all(batch.map(summarize)));
+    }
+    return summaries;
+  }
+
+  async translateText(text, targetLanguage, options = {}) {
     try {
-      const translationPrompt = `Translate the following text to ${targetLanguage}: ${text}`;
+      // Accept language codes such as "fr" as well as names
+      const language = /^[a-z]{2,3}(-[a-z]{2})?$/i.test(targetLanguage) ? languageName(targetLanguage) : targetLanguage;
+      const translationPrompt = `Translate the following text to ${language}: ${text}`;
       
-      const response = await this.generateTextResponse(translationPrompt, [], null);
+      const response = await this.generateTextResponse(translationPrompt, [], options.user || null, {
+        conversation: options.conversation,
+        task: 'translate'
+      });
 
       return {
         content: response.content,
         type: 'translation',
         metadata: {
+          ...response.metadata,
           originalText: text,
-          targetLanguage: targetLanguage,
+          targetLanguage: language,
           sourceLanguage: 'auto-detected'
         }
       };
@@ -306,18 +1027,23 @@ class AIService {
     }
   }
 
-  async summarizeText(text) {
+  async summarizeText(text, options = {}) {
     try {
-      const summaryPrompt = `Provide a concise summary of the following text: ${text}`;
+      const length = SUMMARY_PROMPTS[options.length] ? options.length : 'medium';
+      const summaryPrompt = `${SUMMARY_PROMPTS[length]}: ${text}`;
       
-      const response = await this.generateTextResponse(summaryPrompt, [], null);
+      const response = await this.generateTextResponse(summaryPrompt, [], options.user || null, {
+        conversation: options.conversation,
+        task: 'summarize'
+      });
 
       return {
         content: response.content,
         type: 'summary',
         metadata: {
+          ...response.metadata,
           originalLength: text.length,
-          summaryType: 'concise'
+          summaryType: length
         }
       };
     } catch (error) {
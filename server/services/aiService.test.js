@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createProviderRegistry } = require('./providers');
+
+// AIService loads sharp for image handling, so these only run where it is
+// installed
+let sharp = null;
+try {
+  sharp = require('sharp');
+} catch (error) {
+  sharp = null;
+}
+const skip = !sharp && 'sharp is not installed';
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rai-ai-service-'));
+process.env.UPLOAD_PATH = uploadDir;
+
+let AIService;
+test.before(() => {
+  if (!skip) AIService = require('./aiService');
+});
+
+test.after(() => fs.rmSync(uploadDir, { recursive: true, force: true }));
+
+// An AIService backed only by the mock provider
+function mockService() {
+  const providers = createProviderRegistry({ AI_MOCK: 'true' });
+  return { aiService: new AIService({ providers, cache: null, search: null }), mock: providers.get('mock') };
+}
+
+test('an image provider that returns no images fails with a 502', { skip }, async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { aiService, mock } = mockService();
+  t.mock.method(mock, 'generateImage', async () => ({ images: [], model: 'mock-image' }));
+
+  await assert.rejects(aiService.generateImage('A red fox'), error =>
+    error.status === 502 &&
+    error.message === 'The image provider returned no images' &&
+    Array.isArray(error.attempts)
+  );
+});
+
+const png = (width, height) =>
+  sharp({ create: { width, height, channels: 4, background: { r: 20, g: 120, b: 200, alpha: 0.5 } } }).png().toBuffer();
+
+test('images are sent to a vision model as downscaled JPEGs', { skip }, async (t) => {
+  const { aiService, mock } = mockService();
+  mock.maxImageDimension = 64;
+  const chat = t.mock.method(mock, 'chat');
+  const url = `data:image/png;base64,${(await png(400, 200)).toString('base64')}`;
+
+  const result = await aiService.generateTextResponse('What is in this picture?', [], null, { images: [{ url }] });
+
+  const [messages, options] = chat.mock.calls[0].arguments;
+  const [image] = messages[messages.length - 1].images;
+  const metadata = await sharp(Buffer.from(image.data, 'base64')).metadata();
+  assert.strictEqual(options.model, 'mock-chat');
+  assert.strictEqual(image.mimeType, 'image/jpeg');
+  assert.deepStrictEqual([metadata.format, metadata.width, metadata.height], ['jpeg', 64, 32]);
+  assert.match(result.content, /^\(I see 1 image: image\/jpeg, \d+ bytes\) Mock reply to: What is in this picture\?$/);
+  assert.strictEqual(result.metadata.provider, 'mock');
+});
+
+test('a text-only model selected by the user explains it cannot see images', { skip }, async () => {
+  const SelfHostedProvider = require('./providers/selfHostedProvider');
+  const ProviderRegistry = require('./providers/providerRegistry');
+  const providers = new ProviderRegistry().register(new SelfHostedProvider({ baseURL: 'http://127.0.0.1:9/v1', chatModel: 'llama3' }));
+  const aiService = new AIService({ providers, cache: null, search: null });
+  const tokens = [];
+
+  const selected = await aiService.generateTextResponse('What is this?', [], null, {
+    images: [{ url: 'data:image/png;base64,AAAA' }],
+    provider: 'selfhosted',
+    onToken: token => tokens.push(token)
+  });
+  const fallback = await aiService.generateTextResponse('What is this?', [], null, { images: [{ url: 'data:image/png;base64,AAAA' }] });
+
+  assert.match(selected.content, /^The selected model \(selfhosted:llama3\) only reads text/);
+  assert.deepStrictEqual(selected.metadata, { visionUnavailable: true });
+  assert.deepStrictEqual(tokens, [selected.content]);
+  assert.strictEqual(fallback.content, "None of the configured AI models can read images, so I can't see the attached image.");
+});
+
+test('an unreadable image fails without trying other providers', { skip }, async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { aiService } = mockService();
+
+  await assert.rejects(
+    aiService.generateTextResponse('What is this?', [], null, { images: [{ url: 'data:image/png;base64,AAAA' }] }),
+    error => error.status === 400 && error.message === 'The image could not be read' && error.attempts.length === 1
+  );
+});
\ No newline at end of file
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const MemoryStore = require('./memoryStore');
+
+// Default TTLs in seconds per task. Tasks without a TTL are never cached,
+// which keeps personalized chat turns out of the cache.
+const DEFAULT_TTLS = {
+  translate: 7 * 24 * 60 * 60,
+  summarize: 24 * 60 * 60,
+  code: 24 * 60 * 60
+};
+
+// Caches provider responses keyed by provider, model, parameters and the
+// normalized prompt. Store failures are treated as misses.
+class ResponseCache {
+  constructor(store, ttls = {}) {
+    this.store = store;
+    this.ttls = { ...DEFAULT_TTLS, ...ttls };
+    this.stats = {};
+  }
+
+  ttlFor(task) {
+    return this.ttls[task] || 0;
+  }
+
+  enabledFor(task) {
+    return this.ttlFor(task) > 0;
+  }
+
+  normalize(text) {
+    return String(text).normalize('NFC').replace(/\s+/g, ' ').trim();
+  }
+
+  key(task, { provider, model, params, messages }) {
+    const payload = JSON.stringify({
+      task,
+      provider: provider || 'auto',
+      model: model || 'default',
+      params,
+      messages: messages.map(msg => [msg.role, this.normalize(msg.content)])
+    });
+
+    return `${task}:${crypto.createHash('sha256').update(payload).digest('hex')}`;
+  }
+
+  async get(task, key) {
+    try {
+      const value = await this.store.get(key);
+      this.track(task, value ? 'hits' : 'misses');
+      return value;
+    } catch (error) {
+      console.error('Error reading response cache:', error.message);
+      this.track(task, 'errors');
+      return null;
+    }
+  }
+
+  async set(task, key, value) {
+    try {
+      await this.store.set(key, value, this.ttlFor(task));
+      this.track(task, 'sets');
+    } catch (error) {
+      console.error('Error writing response cache:', error.message);
+      this.track(task, 'errors');
+    }
+  }
+
+  track(task, outcome) {
+    if (!this.stats[task]) {
+      this.stats[task] = { hits: 0, misses: 0, sets: 0, errors: 0 };
+    }
+    this.stats[task][outcome] += 1;
+  }
+
+  report() {
+    return {
+      store: this.store.name,
+      ttls: this.ttls,
+      tasks: this.stats
+    };
+  }
+}
+
+// TTL overrides come from AI_CACHE_TTL_<TASK> in seconds; 0 disables a task
+function loadTtls(env = process.env) {
+  const ttls = {};
+
+  Object.keys(env)
+    .filter(name => name.startsWith('AI_CACHE_TTL_'))
+    .forEach(name => {
+      ttls[name.slice('AI_CACHE_TTL_'.length).toLowerCase()] = parseInt(env[name]) || 0;
+    });
+
+  return ttls;
+}
+
+function createResponseCache(env = process.env) {
+  if (env.AI_CACHE_STORE === 'none') {
+    return null;
+  }
+
+  const store = env.AI_CACHE_STORE === 'redis'
+    ? new (require('./redisStore'))({ url: env.REDIS_URL })
+    : new MemoryStore({ maxEntries: parseInt(env.AI_CACHE_MAX_ENTRIES) || 1000 });
+
+  return new ResponseCache(store, loadTtls(env));
+}
+
+// Cache shared by every AIService in the process
+let sharedCache;
+
+function getResponseCache() {
+  if (sharedCache === undefined) {
+    sharedCache = createResponseCache();
+  }
+  return sharedCache;
+}
+
+module.exports = {
+  createResponseCache,
+  getResponseCache,
+  MemoryStore,
+  ResponseCache
+};
\ No newline at end of file
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createResponseCache, MemoryStore, ResponseCache } = require('./index');
+
+const request = (content, extra = {}) => ({
+  provider: 'openai',
+  model: 'gpt-4',
+  params: { maxTokens: 100, temperature: 0 },
+  messages: [{ role: 'user', content }],
+  ...extra
+});
+
+test('keys ignore whitespace differences but not the model or parameters', () => {
+  const cache = new ResponseCache(new MemoryStore());
+  const key = cache.key('translate', request('Hello  world'));
+
+  assert.match(key, /^translate:[0-9a-f]{64}$/);
+  assert.strictEqual(cache.key('translate', request(' Hello\nworld ')), key);
+  assert.notStrictEqual(cache.key('translate', request('Hello world', { model: 'gpt-4o' })), key);
+  assert.notStrictEqual(cache.key('translate', request('Hello world', { params: { maxTokens: 200, temperature: 0 } })), key);
+  assert.notStrictEqual(cache.key('summarize', request('Hello world')), key);
+});
+
+test('only tasks with a TTL are cached, and overrides can switch them', () => {
+  const cache = new ResponseCache(new MemoryStore(), { code: 0, chat: 60 });
+
+  assert.strictEqual(cache.enabledFor('translate'), true);
+  assert.strictEqual(cache.enabledFor('code'), false);
+  assert.strictEqual(cache.enabledFor('chat'), true);
+  assert.strictEqual(cache.enabledFor('title'), false);
+});
+
+test('counts hits, misses and sets per task', async () => {
+  const cache = new ResponseCache(new MemoryStore());
+
+  assert.strictEqual(await cache.get('translate', 'k'), null);
+  await cache.set('translate', 'k', { content: 'Bonjour' });
+  assert.deepStrictEqual(await cache.get('translate', 'k'), { content: 'Bonjour' });
+
+  assert.deepStrictEqual(cache.report().tasks, { translate: { hits: 1, misses: 1, sets: 1, errors: 0 } });
+  assert.strictEqual(cache.report().store, 'memory');
+});
+
+test('store failures count as misses', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const broken = {
+    name: 'broken',
+    get: async () => { throw new Error('connection refused'); },
+    set: async () => { throw new Error('connection refused'); }
+  };
+  const cache = new ResponseCache(broken);
+
+  await cache.set('code', 'k', { content: 'x' });
+  assert.strictEqual(await cache.get('code', 'k'), null);
+  assert.deepStrictEqual(cache.report().tasks.code, { hits: 0, misses: 0, sets: 0, errors: 2 });
+});
+
+test('the memory store expires entries and evicts the least recently used', async (t) => {
+  const store = new MemoryStore({ maxEntries: 2 });
+  await store.set('a', 1, 60);
+  await store.set('b', 2, 60);
+  await store.get('a');
+  await store.set('c', 3, 60);
+
+  assert.strictEqual(await store.get('b'), null);
+  assert.strictEqual(await store.get('a'), 1);
+  assert.strictEqual(await store.get('c'), 3);
+
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 61 * 1000);
+  assert.strictEqual(await store.get('a'), null);
+  assert.strictEqual(store.size(), 1);
+});
+
+test('AI_CACHE_STORE and AI_CACHE_TTL_<TASK> configure the cache', () => {
+  assert.strictEqual(createResponseCache({ AI_CACHE_STORE: 'none' }), null);
+
+  const cache = createResponseCache({ AI_CACHE_MAX_ENTRIES: '5', AI_CACHE_TTL_TRANSLATE: '0', AI_CACHE_TTL_CHAT: '30' });
+  assert.strictEqual(cache.store.maxEntries, 5);
+  assert.strictEqual(cache.enabledFor('translate'), false);
+  assert.strictEqual(cache.ttlFor('chat'), 30);
+  assert.strictEqual(cache.ttlFor('summarize'), 24 * 60 * 60);
+});
\ No newline at end of file
@@ -0,0 +1,43 @@
+// In-process cache store. Entries expire after their TTL and the oldest
+// entries are evicted once `maxEntries` is reached.
+class MemoryStore {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Re-insert so recently used entries are evicted last
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = MemoryStore;
\ No newline at end of file
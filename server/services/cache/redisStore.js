@@ -0,0 +1,45 @@
+const { createClient } = require('redis');
+
+// Cache store backed by any server speaking the Redis protocol
+class RedisStore {
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.prefix = options.prefix || 'rai:cache:';
+    this.client = createClient({
+      url: options.url || process.env.REDIS_URL,
+      // Fail fast while disconnected; the cache treats errors as misses
+      disableOfflineQueue: true
+    });
+    this.client.on('error', error => console.error('Redis cache error:', error.message));
+  }
+
+  // Start connecting on first use without blocking requests on it
+  async connect() {
+    if (!this.client.isOpen) {
+      this.client.connect().catch(error => console.error('Redis cache connection failed:', error.message));
+    }
+    if (!this.client.isReady) {
+      throw new Error('Redis cache is not connected');
+    }
+  }
+
+  async get(key) {
+    await this.connect();
+    const value = await this.client.get(this.prefix + key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(key, value, ttlSeconds) {
+    await this.connect();
+    await this.client.set(this.prefix + key, JSON.stringify(value), { EX: ttlSeconds });
+  }
+
+  async clear() {
+    await this.connect();
+    for await (const key of this.client.scanIterator({ MATCH: `${this.prefix}*` })) {
+      await this.client.del(key);
+    }
+  }
+}
+
+module.exports = RedisStore;
\ No newline at end of file
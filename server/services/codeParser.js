@@ -0,0 +1,189 @@
+const path = require('path');
+
+// Info-string aliases mapped to one canonical language name
+const LANGUAGE_ALIASES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  node: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  py: 'python',
+  python3: 'python',
+  rb: 'ruby',
+  rs: 'rust',
+  golang: 'go',
+  kt: 'kotlin',
+  cs: 'csharp',
+  'c#': 'csharp',
+  'c++': 'cpp',
+  cc: 'cpp',
+  hpp: 'cpp',
+  h: 'c',
+  sh: 'bash',
+  shell: 'bash',
+  zsh: 'bash',
+  console: 'bash',
+  yml: 'yaml',
+  md: 'markdown',
+  htm: 'html',
+  dockerfile: 'docker',
+  ps1: 'powershell',
+  txt: 'text',
+  plaintext: 'text'
+};
+
+const EXTENSIONS = {
+  javascript: 'js',
+  typescript: 'ts',
+  python: 'py',
+  ruby: 'rb',
+  rust: 'rs',
+  go: 'go',
+  java: 'java',
+  kotlin: 'kt',
+  swift: 'swift',
+  csharp: 'cs',
+  cpp: 'cpp',
+  c: 'c',
+  php: 'php',
+  bash: 'sh',
+  powershell: 'ps1',
+  sql: 'sql',
+  html: 'html',
+  css: 'css',
+  scss: 'scss',
+  json: 'json',
+  yaml: 'yaml',
+  xml: 'xml',
+  markdown: 'md',
+  text: 'txt'
+};
+
+// Files without an extension that are still recognisable by name
+const KNOWN_FILES = {
+  dockerfile: 'docker',
+  makefile: 'makefile'
+};
+
+const FENCE = /^(`{3,}|~{3,})[ \t]*([^\n]*)\n([\s\S]*?)\n\1[ \t]*$/gm;
+
+// A line naming the file that follows, e.g. "**src/app.js**", "### `app.py`"
+// or "File: index.html"
+const FILE_HEADING = /^(?:#{1,6}\s*)?(?:(?:file(?:name)?|path)\s*:\s*)?[*_`"]*([\w.\-/]+\.[\w]+|Dockerfile|Makefile)[*_`"]*:?\s*$/i;
+
+function normalizeLanguage(language) {
+  if (!language) return null;
+  const lower = language.toLowerCase();
+  return LANGUAGE_ALIASES[lower] || lower;
+}
+
+function languageFromPath(filePath) {
+  const base = path.posix.basename(filePath).toLowerCase();
+  if (KNOWN_FILES[base]) {
+    return KNOWN_FILES[base];
+  }
+
+  const extension = path.posix.extname(base).slice(1);
+  if (!extension) return null;
+
+  const byExtension = Object.keys(EXTENSIONS).find(language => EXTENSIONS[language] === extension);
+  return byExtension || normalizeLanguage(extension);
+}
+
+// Keeps generated paths relative and inside the project, e.g. for zipping
+function safePath(filePath) {
+  const normalized = path.posix.normalize(filePath.replace(/\\/g, '/')).replace(/^(\.\/|\/)+/, '');
+  if (!normalized || normalized === '.' || normalized.split('/').includes('..')) {
+    return null;
+  }
+  return normalized;
+}
+
+// Reads a language and file path from an info string such as
+// "javascript src/app.js", "js:src/app.js", "python title=\"main.py\"" or
+// "src/app.js"
+function parseInfoString(info) {
+  const words = info.trim().split(/\s+/).filter(Boolean);
+  let language = null;
+  let filePath = null;
+
+  words.forEach((word, index) => {
+    const attribute = /^(?:title|file(?:name)?|path)=["']?([^"']+)["']?$/i.exec(word);
+    if (attribute) {
+      filePath = attribute[1];
+      return;
+    }
+
+    const [head, tail] = word.split(/:(.+)/);
+    if (index === 0 && tail) {
+      language = head;
+      filePath = tail;
+    } else if (index === 0 && !/[./]/.test(word)) {
+      language = word;
+    } else if (!filePath && /[./]/.test(word)) {
+      filePath = word;
+    }
+  });
+
+  return { language, filePath };
+}
+
+// Splits a model's markdown answer into the files it contains and the
+// surrounding explanation
+function parseCodeResponse(content = '') {
+  const files = [];
+  const explanation = [];
+  const usedPaths = new Set();
+  let lastIndex = 0;
+  let match;
+
+  FENCE.lastIndex = 0;
+  while ((match = FENCE.exec(content)) !== null) {
+    const before = content.slice(lastIndex, match.index);
+    const beforeLines = before.trimEnd().split('\n');
+    lastIndex = FENCE.lastIndex;
+
+    const info = parseInfoString(match[2]);
+    let filePath = info.filePath;
+
+    // A heading directly above the block names the file
+    const heading = FILE_HEADING.exec(beforeLines[beforeLines.length - 1].trim());
+    if (!filePath && heading) {
+      filePath = heading[1];
+      beforeLines.pop();
+    }
+    explanation.push(beforeLines.join('\n'));
+
+    const language = normalizeLanguage(info.language) || (filePath && languageFromPath(filePath)) || 'text';
+    filePath = (filePath && safePath(filePath)) || `${files.length === 0 ? 'main' : `file${files.length + 1}`}.${EXTENSIONS[language] || 'txt'}`;
+
+    // Keep paths unique so zipped files don't overwrite each other
+    let uniquePath = filePath;
+    for (let suffix = 2; usedPaths.has(uniquePath); suffix++) {
+      const extension = path.posix.extname(filePath);
+      uniquePath = `${filePath.slice(0, filePath.length - extension.length)}-${suffix}${extension}`;
+    }
+    usedPaths.add(uniquePath);
+
+    files.push({
+      path: uniquePath,
+      language,
+      content: match[3]
+    });
+  }
+  explanation.push(content.slice(lastIndex));
+
+  return {
+    files,
+    explanation: explanation.map(part => part.trim()).filter(Boolean).join('\n\n')
+  };
+}
+
+module.exports = {
+  languageFromPath,
+  normalizeLanguage,
+  parseCodeResponse,
+  safePath
+};
\ No newline at end of file
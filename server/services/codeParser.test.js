@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { languageFromPath, normalizeLanguage, parseCodeResponse, safePath } = require('./codeParser');
+
+test('splits files from the explanation around them', () => {
+  const content = [
+    'Here is a small server.',
+    '',
+    '```js server.js',
+    "const http = require('http');",
+    '```',
+    '',
+    '**public/index.html**',
+    '```html',
+    '<h1>Hi</h1>',
+    '```',
+    '',
+    'Run it with `node server.js`.'
+  ].join('\n');
+
+  const { files, explanation } = parseCodeResponse(content);
+
+  assert.deepStrictEqual(files, [
+    { path: 'server.js', language: 'javascript', content: "const http = require('http');" },
+    { path: 'public/index.html', language: 'html', content: '<h1>Hi</h1>' }
+  ]);
+  assert.strictEqual(explanation, 'Here is a small server.\n\nRun it with `node server.js`.');
+});
+
+test('reads paths from the different info string styles', () => {
+  const content = [
+    '```python title="app/main.py"', 'print(1)', '```',
+    '```ts:src/index.ts', 'export {};', '```',
+    'File: Dockerfile', '~~~docker', 'FROM node:20', '~~~'
+  ].join('\n');
+
+  const { files } = parseCodeResponse(content);
+
+  assert.deepStrictEqual(files.map(file => [file.path, file.language]), [
+    ['app/main.py', 'python'],
+    ['src/index.ts', 'typescript'],
+    ['Dockerfile', 'docker']
+  ]);
+});
+
+test('names unnamed blocks and keeps paths unique', () => {
+  const content = [
+    '```python', 'a = 1', '```',
+    '```', 'notes', '```',
+    '```js util.js', '1', '```',
+    '```js util.js', '2', '```'
+  ].join('\n');
+
+  const { files, explanation } = parseCodeResponse(content);
+
+  assert.deepStrictEqual(files.map(file => file.path), ['main.py', 'file2.txt', 'util.js', 'util-2.js']);
+  assert.strictEqual(explanation, '');
+});
+
+test('paths that would escape the project are replaced', () => {
+  const content = [
+    '```js ../../etc/passwd.js', 'x', '```',
+    '```js /root/.ssh/key.js', 'y', '```',
+    '```js ..\\..\\win.js', 'z', '```'
+  ].join('\n');
+
+  const { files } = parseCodeResponse(content);
+
+  assert.deepStrictEqual(files.map(file => file.path), ['main.js', 'root/.ssh/key.js', 'file3.js']);
+});
+
+test('safePath keeps paths relative and inside the project', () => {
+  assert.strictEqual(safePath('src/app.js'), 'src/app.js');
+  assert.strictEqual(safePath('./src/../lib/app.js'), 'lib/app.js');
+  assert.strictEqual(safePath('/etc/passwd'), 'etc/passwd');
+  assert.strictEqual(safePath('src\\app.js'), 'src/app.js');
+  assert.strictEqual(safePath('../secret'), null);
+  assert.strictEqual(safePath('src/../../secret'), null);
+  assert.strictEqual(safePath('..\\secret'), null);
+  assert.strictEqual(safePath('.'), null);
+});
+
+test('maps aliases and file names to languages', () => {
+  assert.strictEqual(normalizeLanguage('PY'), 'python');
+  assert.strictEqual(normalizeLanguage('elixir'), 'elixir');
+  assert.strictEqual(normalizeLanguage(''), null);
+
+  assert.strictEqual(languageFromPath('src/App.tsx'), 'typescript');
+  assert.strictEqual(languageFromPath('Makefile'), 'makefile');
+  assert.strictEqual(languageFromPath('README'), null);
+});
\ No newline at end of file
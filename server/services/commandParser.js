@@ -0,0 +1,158 @@
+const IMAGE_SIZES = ['256x256', '512x512', '1024x1024', '1792x1024', '1024x1792', '1536x1024', '1024x1536'];
+const IMAGE_QUALITIES = ['standard', 'hd', 'low', 'medium', 'high'];
+const IMAGE_STYLES = ['vivid', 'natural'];
+const SUMMARY_LENGTHS = ['short', 'medium', 'long'];
+
+// Slash commands available in chat. `args` are positional words that come
+// before the free text; `options` are --name value flags.
+const COMMANDS = {
+  image: {
+    description: 'Generate an image from a description',
+    usage: '/image [--size 1024x1024] [--quality hd] [--style natural] <description>',
+    intent: 'image_generation',
+    options: {
+      size: { description: 'Image size', values: IMAGE_SIZES },
+      quality: { description: 'Image quality', values: IMAGE_QUALITIES },
+      style: { description: 'Image style', values: IMAGE_STYLES }
+    },
+    requiresText: true
+  },
+  code: {
+    description: 'Write code for a task',
+    usage: '/code [--lang python] <task>',
+    intent: 'code_generation',
+    options: {
+      lang: { description: 'Programming language' }
+    },
+    requiresText: true
+  },
+  translate: {
+    description: 'Translate text into another language',
+    usage: '/translate <language> <text>',
+    intent: 'translation',
+    args: ['language'],
+    requiresText: true
+  },
+  summarize: {
+    description: 'Summarize text, or this conversation when no text is given',
+    usage: '/summarize [--length short|medium|long] [text]',
+    intent: 'summary',
+    options: {
+      length: { description: 'Summary length', values: SUMMARY_LENGTHS }
+    }
+  },
+  search: {
+    description: 'Search the web and answer with citations',
+    usage: '/search <query>',
+    intent: 'web_search',
+    requiresText: true
+  },
+  remember: {
+    description: 'Remember a fact about you in future conversations',
+    usage: '/remember <fact>',
+    intent: 'memory',
+    requiresText: true
+  },
+  help: {
+    description: 'List available commands',
+    usage: '/help [command]',
+    intent: 'help'
+  }
+};
+
+class CommandError extends Error {
+  constructor(message, command) {
+    super(message);
+    this.name = 'CommandError';
+    this.command = command;
+  }
+}
+
+// Parses "/name [args] [--option value] text". Returns null for ordinary
+// messages and throws CommandError for unknown commands or bad options.
+function parseCommand(message) {
+  const match = /^\/([a-z]+)(?:\s+([\s\S]*))?$/i.exec(message.trim());
+  if (!match) {
+    return null;
+  }
+
+  const name = match[1].toLowerCase();
+  const command = COMMANDS[name];
+  if (!command) {
+    throw new CommandError(`Unknown command /${name}. Type /help to see available commands.`, name);
+  }
+
+  let rest = (match[2] || '').trim();
+  const options = {};
+  const args = {};
+
+  const nextWord = () => {
+    const word = /^(\S+)\s*/.exec(rest);
+    if (!word) return null;
+    rest = rest.slice(word[0].length);
+    return word[1];
+  };
+
+  // Options and positional arguments may appear in any order before the text
+  const expected = [...(command.args || [])];
+  while (rest.startsWith('--') || (expected.length > 0 && rest)) {
+    if (rest.startsWith('--')) {
+      const [flag, inlineValue] = nextWord().slice(2).split(/=(.*)/s);
+      const spec = (command.options || {})[flag];
+      if (!spec) {
+        throw new CommandError(`/${name} has no --${flag} option. Usage: ${command.usage}`, name);
+      }
+
+      const value = inlineValue !== undefined ? inlineValue : nextWord();
+      if (!value) {
+        throw new CommandError(`--${flag} needs a value. Usage: ${command.usage}`, name);
+      }
+      if (spec.values && !spec.values.includes(value.toLowerCase())) {
+        throw new CommandError(`--${flag} must be one of ${spec.values.join(', ')}.`, name);
+      }
+
+      options[flag] = spec.values ? value.toLowerCase() : value;
+    } else {
+      args[expected.shift()] = nextWord();
+    }
+  }
+
+  if (expected.length > 0 || (command.requiresText && !rest)) {
+    throw new CommandError(`Usage: ${command.usage}`, name);
+  }
+
+  return {
+    name,
+    intent: command.intent,
+    args,
+    options,
+    text: rest
+  };
+}
+
+// Plain-text help for /help and /help <command>
+function commandHelp(name) {
+  if (name) {
+    const command = COMMANDS[name.replace(/^\//, '').toLowerCase()];
+    if (!command) {
+      return `Unknown command ${name}. Type /help to see available commands.`;
+    }
+
+    const options = Object.entries(command.options || {}).map(([flag, spec]) =>
+      `  --${flag}: ${spec.description}${spec.values ? ` (${spec.values.join(', ')})` : ''}`
+    );
+    return [`${command.usage}`, command.description, ...options].join('\n');
+  }
+
+  return [
+    'Available commands:',
+    ...Object.values(COMMANDS).map(command => `${command.usage} - ${command.description}`)
+  ].join('\n');
+}
+
+module.exports = {
+  COMMANDS,
+  CommandError,
+  commandHelp,
+  parseCommand
+};
\ No newline at end of file
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CommandError, commandHelp, parseCommand } = require('./commandParser');
+
+test('ordinary messages are not commands', () => {
+  assert.strictEqual(parseCommand('hello /image'), null);
+  assert.strictEqual(parseCommand('/ not a command'), null);
+});
+
+test('parses options before the text in any order', () => {
+  assert.deepStrictEqual(parseCommand('/image --size 512x512 --style=Natural a red fox'), {
+    name: 'image',
+    intent: 'image_generation',
+    args: {},
+    options: { size: '512x512', style: 'natural' },
+    text: 'a red fox'
+  });
+});
+
+test('positional arguments come before the text', () => {
+  const command = parseCommand('/translate fr Good morning,\nhow are you?');
+  assert.deepStrictEqual(command.args, { language: 'fr' });
+  assert.strictEqual(command.text, 'Good morning,\nhow are you?');
+});
+
+test('command names are case-insensitive and text is optional where allowed', () => {
+  const command = parseCommand('/SUMMARIZE --length short');
+  assert.strictEqual(command.name, 'summarize');
+  assert.deepStrictEqual(command.options, { length: 'short' });
+  assert.strictEqual(command.text, '');
+});
+
+test('errors carry the command name', () => {
+  const cases = [
+    ['/frobnicate now', 'frobnicate', /Unknown command \/frobnicate/],
+    ['/image', 'image', /Usage: \/image/],
+    ['/translate', 'translate', /Usage: \/translate/],
+    ['/image --size 3x3 a cat', 'image', /--size must be one of/],
+    ['/image --mood happy a cat', 'image', /has no --mood option/],
+    ['/image --size', 'image', /--size needs a value/]
+  ];
+
+  for (const [message, name, pattern] of cases) {
+    assert.throws(() => parseCommand(message), error => (
+      error instanceof CommandError && error.command === name && pattern.test(error.message)
+    ), message);
+  }
+});
+
+test('help lists every command or describes one', () => {
+  assert.match(commandHelp(), /\/remember <fact>/);
+  assert.match(commandHelp('/image'), /--quality: Image quality/);
+  assert.match(commandHelp('nope'), /Unknown command nope/);
+});
\ No newline at end of file
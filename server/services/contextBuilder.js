@@ -0,0 +1,138 @@
+const Message = require('../models/message');
+const { contextWindow, countMessageTokens, countTokens } = require('../utils/tokens');
+
+// Most recent messages considered when filling the window
+const MAX_HISTORY = 200;
+
+// Tokens set aside for the rolling summary of older turns
+const SUMMARY_TOKENS = 500;
+
+// Older messages are folded into the summary oldest first, in batches of at
+// most this many messages and tokens, so no summary prompt grows with the
+// conversation. A long backlog is caught up over several turns.
+const SUMMARY_BATCH_MESSAGES = 50;
+const SUMMARY_BATCH_TOKENS = 3000;
+const MAX_SUMMARY_BATCHES = 4;
+
+// Builds the conversation history sent to the model. Recent turns are added
+// newest first until the token budget is spent; anything older is folded into
+// a rolling summary stored on the conversation.
+class ContextBuilder {
+  constructor(aiService, options = {}) {
+    this.aiService = aiService;
+    this.budget = options.budget || parseInt(process.env.AI_CONTEXT_TOKENS) || 3000;
+    this.replyTokens = options.replyTokens || 1000;
+  }
+
+  budgetFor(model) {
+    return Math.min(this.budget, contextWindow(model) - this.replyTokens);
+  }
+
+  async build(conversation, message, options = {}) {
+    const model = options.model;
+    const budget = this.budgetFor(model);
+    const available = budget - countMessageTokens(message, model);
+
+    const query = { conversationId: conversation._id, isDeleted: false };
+    if (options.excludeIds) {
+      query._id = { $nin: options.excludeIds };
+    }
+
+    // Newest first
+    const recent = await Message.find(query)
+      .sort({ createdAt: -1 })
+      .limit(MAX_HISTORY)
+      .select('content sender messageType createdAt');
+
+    const costs = recent.map(msg => countMessageTokens(msg.content, model));
+    const total = costs.reduce((sum, cost) => sum + cost, 0);
+    // A full page of history may have older messages behind it
+    const needsSummary = total > available || recent.length === MAX_HISTORY;
+    const windowBudget = needsSummary ? available - SUMMARY_TOKENS : available;
+
+    let tokens = 0;
+    let count = 0;
+    while (count < recent.length && tokens + costs[count] <= windowBudget) {
+      tokens += costs[count];
+      count++;
+    }
+
+    const history = recent.slice(0, count).reverse();
+    const dropped = recent.slice(count).reverse();
+
+    let summary = null;
+    if (needsSummary) {
+      const windowStart = count > 0 ? recent[count - 1].createdAt : null;
+      summary = await this.updateSummary(conversation, query, windowStart, model);
+      if (summary) {
+        tokens += countTokens(summary, model);
+      }
+    }
+
+    return {
+      history,
+      summary,
+      window: {
+        messageIds: history.map(msg => msg._id),
+        tokens: tokens + countMessageTokens(message, model),
+        budget,
+        summaryUsed: Boolean(summary),
+        droppedMessages: dropped.length
+      }
+    };
+  }
+
+  // Fold messages older than the window (all of them when windowStart is
+  // null) into the conversation's rolling summary. Only messages newer than
+  // the last summary are sent, oldest first and in bounded batches.
+  async updateSummary(conversation, query, windowStart, model) {
+    try {
+      for (let batches = 0; batches < MAX_SUMMARY_BATCHES; batches++) {
+        const current = conversation.contextSummary || {};
+        const pending = await this.pendingBatch(query, current.summarizedUntil, windowStart, model);
+        if (pending.length === 0) {
+          break;
+        }
+
+        const content = await this.aiService.summarizeConversation(current.content, pending);
+
+        conversation.contextSummary = {
+          content,
+          summarizedUntil: pending[pending.length - 1].createdAt,
+          messageCount: (current.messageCount || 0) + pending.length,
+          updatedAt: new Date()
+        };
+        await conversation.save();
+      }
+    } catch (error) {
+      console.error('Error updating conversation summary:', error);
+    }
+
+    return (conversation.contextSummary && conversation.contextSummary.content) || null;
+  }
+
+  // The oldest messages not yet summarized, up to one batch. A single
+  // message over the token limit still makes a batch of its own.
+  async pendingBatch(query, summarizedUntil, windowStart, model) {
+    const range = {};
+    if (summarizedUntil) range.$gt = summarizedUntil;
+    if (windowStart) range.$lt = windowStart;
+    const batchQuery = Object.keys(range).length > 0 ? { ...query, createdAt: range } : query;
+
+    const messages = await Message.find(batchQuery)
+      .sort({ createdAt: 1 })
+      .limit(SUMMARY_BATCH_MESSAGES)
+      .select('content sender messageType createdAt');
+
+    let tokens = 0;
+    let count = 0;
+    while (count < messages.length) {
+      tokens += countMessageTokens(messages[count].content, model);
+      if (count > 0 && tokens > SUMMARY_BATCH_TOKENS) break;
+      count++;
+    }
+    return messages.slice(0, count);
+  }
+}
+
+module.exports = ContextBuilder;
\ No newline at end of file
@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Message = require('../models/message');
+const ContextBuilder = require('./contextBuilder');
+
+// gpt-4 counts 4 characters per token, plus 4 tokens per message, so each
+// of these messages costs 13 tokens and the new message "hi" costs 5
+const MODEL = 'gpt-4';
+const conversationMessages = count => Array.from({ length: count }, (_, index) => ({
+  _id: `m${index}`,
+  content: `${String(index).padStart(3, '0')}${'x'.repeat(33)}`,
+  createdAt: new Date(index * 1000)
+}));
+
+// Serves the conversation's messages for the createdAt range, sort order and
+// limit of each query
+function useMessages(t, messages) {
+  t.mock.method(Message, 'find', (query) => {
+    const range = query.createdAt || {};
+    let result = messages.filter(msg =>
+      (!range.$gt || msg.createdAt > range.$gt) && (!range.$lt || msg.createdAt < range.$lt)
+    );
+    const chain = {
+      sort: (order) => {
+        if (order.createdAt < 0) result = [...result].reverse();
+        return chain;
+      },
+      limit: (limit) => {
+        result = result.slice(0, limit);
+        return chain;
+      },
+      select: () => Promise.resolve(result)
+    };
+    return chain;
+  });
+}
+
+const fakeConversation = (contextSummary) => ({
+  _id: 'c1',
+  contextSummary,
+  saves: 0,
+  save() {
+    this.saves++;
+    return Promise.resolve(this);
+  }
+});
+
+const summarizer = (reply = 'Summary') => {
+  const calls = [];
+  return {
+    calls,
+    summarizeConversation: async (previous, messages) => {
+      calls.push({ previous, ids: messages.map(msg => msg._id) });
+      if (reply instanceof Error) throw reply;
+      return reply;
+    }
+  };
+};
+
+test('sends the whole history oldest first when it fits the budget', async (t) => {
+  useMessages(t, conversationMessages(3));
+  const aiService = summarizer();
+  const builder = new ContextBuilder(aiService, { budget: 600 });
+
+  const { history, summary, window } = await builder.build(fakeConversation(), 'hi', { model: MODEL });
+
+  assert.deepStrictEqual(history.map(msg => msg._id), ['m0', 'm1', 'm2']);
+  assert.strictEqual(summary, null);
+  assert.deepStrictEqual(window, {
+    messageIds: ['m0', 'm1', 'm2'],
+    tokens: 3 * 13 + 5,
+    budget: 600,
+    summaryUsed: false,
+    droppedMessages: 0
+  });
+  assert.strictEqual(aiService.calls.length, 0);
+});
+
+test('keeps the newest turns that fit beside the summary and summarizes the rest', async (t) => {
+  useMessages(t, conversationMessages(50));
+  const aiService = summarizer('Earlier: greetings');
+  const conversation = fakeConversation();
+  const builder = new ContextBuilder(aiService, { budget: 600 });
+
+  const { history, summary, window } = await builder.build(conversation, 'hi', { model: MODEL });
+
+  // 600 - 5 for the new message - 500 for the summary leaves room for 7 turns
+  assert.deepStrictEqual(history.map(msg => msg._id), ['m43', 'm44', 'm45', 'm46', 'm47', 'm48', 'm49']);
+  assert.strictEqual(summary, 'Earlier: greetings');
+  assert.strictEqual(window.summaryUsed, true);
+  assert.strictEqual(window.droppedMessages, 43);
+  assert.strictEqual(window.tokens, 7 * 13 + Math.ceil('Earlier: greetings'.length / 4) + 5);
+  assert.ok(window.tokens <= window.budget);
+
+  assert.deepStrictEqual(aiService.calls, [{ previous: undefined, ids: conversationMessages(43).map(msg => msg._id) }]);
+  assert.strictEqual(conversation.saves, 1);
+  assert.deepStrictEqual(
+    { ...conversation.contextSummary, updatedAt: undefined },
+    { content: 'Earlier: greetings', summarizedUntil: new Date(42000), messageCount: 43, updatedAt: undefined }
+  );
+});
+
+test('only folds messages newer than the stored summary into it', async (t) => {
+  useMessages(t, conversationMessages(50));
+  const aiService = summarizer('Updated');
+  const conversation = fakeConversation({ content: 'Old', summarizedUntil: new Date(39000), messageCount: 40 });
+  const builder = new ContextBuilder(aiService, { budget: 600 });
+
+  const { summary } = await builder.build(conversation, 'hi', { model: MODEL });
+
+  assert.strictEqual(summary, 'Updated');
+  assert.deepStrictEqual(aiService.calls, [{ previous: 'Old', ids: ['m40', 'm41', 'm42'] }]);
+  assert.strictEqual(conversation.contextSummary.messageCount, 43);
+});
+
+test('reuses the stored summary when nothing new fell out of the window', async (t) => {
+  useMessages(t, conversationMessages(50));
+  const aiService = summarizer();
+  const conversation = fakeConversation({ content: 'Old', summarizedUntil: new Date(42000), messageCount: 43 });
+  const builder = new ContextBuilder(aiService, { budget: 600 });
+
+  const { summary } = await builder.build(conversation, 'hi', { model: MODEL });
+
+  assert.strictEqual(summary, 'Old');
+  assert.strictEqual(aiService.calls.length, 0);
+  assert.strictEqual(conversation.saves, 0);
+});
+
+test('summarizes a long backlog oldest first in batches', async (t) => {
+  useMessages(t, conversationMessages(120));
+  const aiService = summarizer('Batched');
+  const conversation = fakeConversation();
+  const builder = new ContextBuilder(aiService, { budget: 600 });
+
+  const { history, summary } = await builder.build(conversation, 'hi', { model: MODEL });
+
+  // 113 messages fell out of the window: batches of 50, 50 and 13
+  assert.strictEqual(history[0]._id, 'm113');
+  assert.strictEqual(summary, 'Batched');
+  assert.deepStrictEqual(aiService.calls.map(call => [call.previous, call.ids[0], call.ids.length]), [
+    [undefined, 'm0', 50],
+    ['Batched', 'm50', 50],
+    ['Batched', 'm100', 13]
+  ]);
+  assert.strictEqual(conversation.saves, 3);
+  assert.strictEqual(conversation.contextSummary.messageCount, 113);
+  assert.deepStrictEqual(conversation.contextSummary.summarizedUntil, new Date(112000));
+});
+
+test('summarizes messages older than the history page, catching up over turns', async (t) => {
+  useMessages(t, conversationMessages(300));
+  const aiService = summarizer('Long');
+  const conversation = fakeConversation();
+  const builder = new ContextBuilder(aiService, { budget: 600 });
+
+  await builder.build(conversation, 'hi', { model: MODEL });
+
+  // Only the newest 200 are loaded for the window, but the summary starts
+  // at the first message; one turn folds in at most 4 batches
+  assert.strictEqual(aiService.calls[0].ids[0], 'm0');
+  assert.strictEqual(aiService.calls.length, 4);
+  assert.deepStrictEqual(conversation.contextSummary.summarizedUntil, new Date(199000));
+
+  await builder.build(conversation, 'hi', { model: MODEL });
+
+  assert.deepStrictEqual(aiService.calls.slice(4).map(call => [call.ids[0], call.ids.length]), [['m200', 50], ['m250', 43]]);
+  assert.strictEqual(conversation.contextSummary.messageCount, 293);
+});
+
+test('keeps the previous summary when summarizing fails', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  useMessages(t, conversationMessages(50));
+  const conversation = fakeConversation({ content: 'Old', summarizedUntil: new Date(10000), messageCount: 11 });
+  const builder = new ContextBuilder(summarizer(new Error('provider down')), { budget: 600 });
+
+  const { summary, history } = await builder.build(conversation, 'hi', { model: MODEL });
+
+  assert.strictEqual(summary, 'Old');
+  assert.strictEqual(history.length, 7);
+  assert.strictEqual(conversation.saves, 0);
+});
+
+test('caps the budget at the model context window less the reply tokens', () => {
+  const builder = new ContextBuilder(summarizer(), { budget: 100000, replyTokens: 1000 });
+
+  assert.strictEqual(builder.budgetFor('gpt-4'), 8192 - 1000);
+  assert.strictEqual(builder.budgetFor('unknown-model'), 4096 - 1000);
+  assert.strictEqual(builder.budgetFor('gpt-4o'), 100000);
+});
\ No newline at end of file
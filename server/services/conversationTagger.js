@@ -0,0 +1,112 @@
+const Conversation = require('../models/conversation');
+
+// Longest title kept from the model, and the most tags added to a conversation
+const MAX_TITLE_LENGTH = 60;
+const MAX_TAGS = 5;
+
+// Reply text sent along with the first message; the opening is enough to
+// tell what a conversation is about
+const MAX_REPLY_CHARS = 1000;
+
+// Title for a conversation before its first exchange has been classified:
+// the message itself, cut at a word boundary when it is too long
+function provisionalTitle(message) {
+  const text = message.replace(/\s+/g, ' ').trim();
+  if (text.length <= 50) {
+    return text || 'New Conversation';
+  }
+
+  const cut = text.slice(0, 50);
+  const boundary = cut.lastIndexOf(' ');
+  return `${boundary > 20 ? cut.slice(0, boundary) : cut}...`;
+}
+
+function normalizeTag(tag) {
+  return tag.toLowerCase().trim().replace(/^#/, '').replace(/\s+/g, '-').slice(0, 50);
+}
+
+// Names a conversation after its first exchange and files it under a topic
+// and tags, so conversations can be found in the sidebar and by tag.
+class ConversationTagger {
+  constructor(aiService, options = {}) {
+    this.aiService = aiService;
+    this.model = options.model || process.env.CONVERSATION_TITLE_MODEL;
+  }
+
+  // Single-shot classification, e.g. CONVERSATION_TITLE_MODEL=openai:gpt-4o-mini.
+  // Returns { title, topic, tags } or null when the reply can't be used.
+  async classify(message, reply) {
+    try {
+      const result = await this.aiService.complete([
+        {
+          role: 'system',
+          content: 'You name and file chat conversations. From the first exchange, write a concise title of at most six words without quotes or a final period, ' +
+            'a one- or two-word topic such as "programming", "travel" or "cooking", and up to three lowercase tags. ' +
+            'Reply with JSON only, like {"title": "Planning a week in Lisbon", "topic": "travel", "tags": ["portugal", "itinerary"]}.'
+        },
+        {
+          role: 'user',
+          content: `User: ${message}\nRAI: ${(reply || '').slice(0, MAX_REPLY_CHARS)}`
+        }
+      ], {
+        ...this.aiService.resolveModel(this.model),
+        maxTokens: 100,
+        temperature: 0,
+        task: 'title'
+      });
+
+      const json = result.content.match(/\{[\s\S]*\}/);
+      const parsed = JSON.parse(json ? json[0] : result.content);
+      const title = typeof parsed.title === 'string' && parsed.title.replace(/^["'\s]+|["'.\s]+$/g, '');
+      if (!title) {
+        return null;
+      }
+
+      return {
+        title: title.slice(0, MAX_TITLE_LENGTH),
+        topic: typeof parsed.topic === 'string' ? parsed.topic.toLowerCase().trim().slice(0, 50) : undefined,
+        tags: (Array.isArray(parsed.tags) ? parsed.tags : [])
+          .filter(tag => typeof tag === 'string')
+          .map(normalizeTag)
+          .filter(Boolean)
+      };
+    } catch (error) {
+      console.error('Conversation classification failed:', error.message);
+      return null;
+    }
+  }
+
+  // Classifies the first exchange and saves the title, topic and tags on the
+  // conversation. Tags the user already added are kept, and so is a title the
+  // user gave it while the reply was classified. Resolves to whether the
+  // conversation changed.
+  async tag(conversation, { message, reply }) {
+    const result = await this.classify(message, reply);
+    if (!result) {
+      return false;
+    }
+
+    if (result.topic) {
+      conversation.metadata.topic = result.topic;
+    }
+
+    const tags = [...new Set([result.topic, ...result.tags].filter(Boolean).map(normalizeTag))]
+      .filter(tag => !conversation.tags.includes(tag));
+    const room = Math.max(MAX_TAGS - conversation.tags.length, 0);
+    await conversation.addTag(tags.slice(0, room));
+
+    // Only replaces the provisional title the conversation was created with
+    const renamed = await Conversation.updateOne(
+      { _id: conversation._id, title: conversation.title },
+      { $set: { title: result.title } }
+    );
+    if (renamed.modifiedCount > 0) {
+      conversation.title = result.title;
+    }
+
+    return true;
+  }
+}
+
+module.exports = ConversationTagger;
+module.exports.provisionalTitle = provisionalTitle;
\ No newline at end of file
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Conversation = require('../models/conversation');
+const ConversationTagger = require('./conversationTagger');
+const { provisionalTitle } = require('./conversationTagger');
+
+// Classifies with a fixed reply and records each completion request
+function fakeAIService(reply) {
+  return {
+    reply,
+    completions: [],
+    resolveModel: (aiModel) => (aiModel ? { provider: 'openai', model: aiModel.split(':')[1] } : {}),
+    async complete(messages, options) {
+      this.completions.push({ messages, options });
+      if (this.reply instanceof Error) throw this.reply;
+      return { content: this.reply };
+    }
+  };
+}
+
+// A conversation whose saves are counted instead of written
+function conversation(t, fields = {}) {
+  const save = t.mock.method(Conversation.prototype, 'save', async function() { return this; });
+  const doc = new Conversation({ userId: '507f1f77bcf86cd799439011', title: 'Plan a trip to Lisbon', ...fields });
+  return { doc, save };
+}
+
+test('provisional titles are the message, cut at a word boundary', () => {
+  assert.strictEqual(provisionalTitle('  Plan a   trip\nto Lisbon '), 'Plan a trip to Lisbon');
+  assert.strictEqual(provisionalTitle(''), 'New Conversation');
+  assert.strictEqual(
+    provisionalTitle('How do I configure a reverse proxy in front of a Node application?'),
+    'How do I configure a reverse proxy in front of a...'
+  );
+  assert.strictEqual(provisionalTitle('x'.repeat(80)), `${'x'.repeat(50)}...`);
+});
+
+test('classify reads the title, topic and tags from the JSON reply', async () => {
+  const aiService = fakeAIService('Here you go: {"title": "\\"Planning a week in Lisbon.\\"", "topic": " Travel ", "tags": ["#Portugal", "day trips", 3, ""]}');
+  const tagger = new ConversationTagger(aiService, { model: 'openai:gpt-4o-mini' });
+
+  const result = await tagger.classify('Plan a trip to Lisbon', 'x'.repeat(2000));
+
+  assert.deepStrictEqual(result, { title: 'Planning a week in Lisbon', topic: 'travel', tags: ['portugal', 'day-trips'] });
+  const [{ messages, options }] = aiService.completions;
+  assert.strictEqual(messages[1].content.length, 'User: Plan a trip to Lisbon\nRAI: '.length + 1000);
+  assert.deepStrictEqual(options, { provider: 'openai', model: 'gpt-4o-mini', maxTokens: 100, temperature: 0, task: 'title' });
+});
+
+test('classify gives up on replies without a usable title', async (t) => {
+  t.mock.method(console, 'error', () => {});
+
+  assert.strictEqual(await new ConversationTagger(fakeAIService('{"topic": "travel"}')).classify('hi', 'hello'), null);
+  assert.strictEqual(await new ConversationTagger(fakeAIService('Lisbon trip')).classify('hi', 'hello'), null);
+  assert.strictEqual(await new ConversationTagger(fakeAIService(new Error('timeout'))).classify('hi', 'hello'), null);
+});
+
+test('tag saves the topic and new tags in one write and renames the conversation', async (t) => {
+  const { doc, save } = conversation(t, { tags: ['travel', 'mine'] });
+  const updateOne = t.mock.method(Conversation, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const tagger = new ConversationTagger(fakeAIService('{"title": "Planning a week in Lisbon", "topic": "travel", "tags": ["portugal", "itinerary", "budget", "food"]}'));
+
+  const changed = await tagger.tag(doc, { message: 'Plan a trip to Lisbon', reply: 'Sure!' });
+
+  assert.strictEqual(changed, true);
+  assert.strictEqual(doc.metadata.topic, 'travel');
+  assert.deepStrictEqual([...doc.tags], ['travel', 'mine', 'portugal', 'itinerary', 'budget']);
+  assert.strictEqual(save.mock.callCount(), 1);
+  assert.deepStrictEqual(updateOne.mock.calls[0].arguments, [
+    { _id: doc._id, title: 'Plan a trip to Lisbon' },
+    { $set: { title: 'Planning a week in Lisbon' } }
+  ]);
+  assert.strictEqual(doc.title, 'Planning a week in Lisbon');
+});
+
+test('tag keeps a title the user gave the conversation meanwhile', async (t) => {
+  const { doc } = conversation(t);
+  t.mock.method(Conversation, 'updateOne', async () => ({ modifiedCount: 0 }));
+  const tagger = new ConversationTagger(fakeAIService('{"title": "Planning a week in Lisbon", "tags": []}'));
+
+  assert.strictEqual(await tagger.tag(doc, { message: 'Plan a trip to Lisbon', reply: 'Sure!' }), true);
+  assert.strictEqual(doc.title, 'Plan a trip to Lisbon');
+});
+
+test('tag leaves the conversation alone when classification fails', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { doc, save } = conversation(t);
+  const updateOne = t.mock.method(Conversation, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const tagger = new ConversationTagger(fakeAIService('not json'));
+
+  assert.strictEqual(await tagger.tag(doc, { message: 'hi', reply: 'hello' }), false);
+  assert.strictEqual(save.mock.callCount(), 0);
+  assert.strictEqual(updateOne.mock.callCount(), 0);
+});
\ No newline at end of file
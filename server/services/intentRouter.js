@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+
+const INTENTS = [
+  'text_response',
+  'image_generation',
+  'code_generation',
+  'web_search',
+  'document_analysis',
+  'voice_command'
+];
+
+const INTENT_LABELS = {
+  text_response: 'chat about it',
+  image_generation: 'generate an image',
+  code_generation: 'write code',
+  web_search: 'search the web',
+  document_analysis: 'analyze a document',
+  voice_command: 'run a command'
+};
+
+// Messages that lean on the previous turn, e.g. "make it bigger"
+const FOLLOW_UP = /^(and|also|now|then|again|more|another|make it|do it|try|same|what about|how about)\b/i;
+const FOLLOW_UP_BOOST = 0.6;
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '../config/intentRules.json');
+
+// Routes chat messages to an intent by combining weighted regex rules from a
+// config file, an optional LLM classification and the previous turn's
+// intent. Scores are normalized into confidences; when the best candidate
+// isn't clearly ahead the router asks a clarifying question instead.
+class IntentRouter {
+  constructor(aiService, options = {}) {
+    this.aiService = aiService;
+    this.config = options.config || this.loadConfig(options.rulesPath || process.env.INTENT_RULES_PATH || DEFAULT_RULES_PATH);
+    this.rules = this.config.rules.map(rule => ({ ...rule, regex: new RegExp(rule.pattern, 'i') }));
+    this.useClassifier = options.useClassifier ?? process.env.INTENT_LLM_CLASSIFIER === 'true';
+    this.classifierModel = options.classifierModel || process.env.INTENT_CLASSIFIER_MODEL;
+    this.clarifyBelow = options.clarifyBelow ?? this.config.clarifyBelow ?? 0.5;
+    this.clarifyMargin = options.clarifyMargin ?? this.config.clarifyMargin ?? 0.15;
+  }
+
+  loadConfig(rulesPath) {
+    return JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+  }
+
+  async route(message, context = {}) {
+    const scores = {};
+    const add = (intent, score) => {
+      scores[intent] = (scores[intent] || 0) + score;
+    };
+
+    add(this.config.prior.intent, this.config.prior.score);
+
+    // Strongest matching rule per intent
+    const ruleScores = {};
+    this.rules.forEach(rule => {
+      if (rule.regex.test(message)) {
+        ruleScores[rule.intent] = Math.max(ruleScores[rule.intent] || 0, rule.weight);
+      }
+    });
+    Object.entries(ruleScores).forEach(([intent, score]) => add(intent, score));
+
+    if (this.useClassifier) {
+      const classified = await this.classify(message);
+      if (classified) {
+        add(classified.intent, classified.confidence);
+      }
+    }
+
+    // Replies to slash commands store the command's intent (e.g. "summary"),
+    // which the router can't pick, so they give follow-ups no boost
+    if (INTENTS.includes(context.previousIntent) && FOLLOW_UP.test(message.trim())) {
+      add(context.previousIntent, FOLLOW_UP_BOOST);
+    }
+
+    const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+    const candidates = Object.entries(scores)
+      .map(([intent, score]) => ({ intent, confidence: Number((score / total).toFixed(3)) }))
+      .sort((a, b) => b.confidence - a.confidence);
+
+    const [best, runnerUp] = candidates;
+    const result = {
+      type: best.intent,
+      confidence: best.confidence,
+      candidates
+    };
+
+    // Ask rather than guess when the top two candidates are close
+    if (runnerUp && best.confidence < this.clarifyBelow && best.confidence - runnerUp.confidence < this.clarifyMargin) {
+      result.clarification = `Just to check, do you want me to ${INTENT_LABELS[best.intent]} or ${INTENT_LABELS[runnerUp.intent]}?`;
+    }
+
+    return result;
+  }
+
+  // Cheap single-shot classification, e.g. INTENT_CLASSIFIER_MODEL=openai:gpt-4o-mini
+  async classify(message) {
+    try {
+      const result = await this.aiService.complete([
+        {
+          role: 'system',
+          content: `Classify the user's message into exactly one intent: ${INTENTS.join(', ')}. Reply with JSON only, like {"intent": "text_response", "confidence": 0.8}.`
+        },
+        {
+          role: 'user',
+          content: message
+        }
+      ], {
+        ...this.aiService.resolveModel(this.classifierModel),
+        maxTokens: 50,
+        temperature: 0,
+        task: 'classify'
+      });
+
+      const json = result.content.match(/\{[\s\S]*\}/);
+      const parsed = JSON.parse(json ? json[0] : result.content);
+      if (!INTENTS.includes(parsed.intent)) {
+        return null;
+      }
+
+      return {
+        intent: parsed.intent,
+        confidence: Math.min(Math.max(Number(parsed.confidence) || 0, 0), 1)
+      };
+    } catch (error) {
+      console.error('Intent classification failed:', error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = IntentRouter;
+module.exports.INTENTS = INTENTS;
\ No newline at end of file
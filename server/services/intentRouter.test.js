@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const IntentRouter = require('./intentRouter');
+
+const router = new IntentRouter(null, { useClassifier: false });
+
+test('routes by the strongest matching rule', async () => {
+  const result = await router.route('Draw a picture of a fox in the snow');
+  assert.strictEqual(result.type, 'image_generation');
+});
+
+test('follow-ups lean on the previous intent', async () => {
+  const result = await router.route('make it bigger', { previousIntent: 'image_generation' });
+  assert.strictEqual(result.type, 'image_generation');
+});
+
+test('command intents the router does not know give no follow-up boost', async () => {
+  for (const previousIntent of ['summary', 'translation', 'memory', 'help']) {
+    const result = await router.route('and again please', { previousIntent });
+    assert.ok(result.candidates.every(candidate => IntentRouter.INTENTS.includes(candidate.intent)));
+    assert.ok(!/undefined/.test(result.clarification || ''));
+  }
+});
\ No newline at end of file
@@ -0,0 +1,30 @@
+const MongoVectorStore = require('./mongoVectorStore');
+
+// Vector stores implement replaceEntry, removeEntry, removeKnowledgeBase and
+// search; see MongoVectorStore
+const STORES = {
+  mongo: MongoVectorStore
+};
+
+function createVectorStore(env = process.env) {
+  const Store = STORES[env.KNOWLEDGE_VECTOR_STORE || 'mongo'];
+  if (!Store) {
+    throw new Error(`Unknown vector store: ${env.KNOWLEDGE_VECTOR_STORE}`);
+  }
+  return new Store();
+}
+
+let sharedStore = null;
+
+function getVectorStore() {
+  if (!sharedStore) {
+    sharedStore = createVectorStore();
+  }
+  return sharedStore;
+}
+
+module.exports = {
+  createVectorStore,
+  getVectorStore,
+  MongoVectorStore
+};
\ No newline at end of file
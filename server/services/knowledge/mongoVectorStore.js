@@ -0,0 +1,55 @@
+const KnowledgeChunk = require('../../models/knowledgeChunk');
+const { cosineSimilarity } = require('../../utils/vectors');
+
+// Keeps chunks and their embeddings in MongoDB and ranks them in process
+// with cosine similarity. Every search reads the embeddings of the
+// knowledge bases searched, which suits collections of up to tens of
+// thousands of chunks.
+class MongoVectorStore {
+  constructor() {
+    this.name = 'mongo';
+  }
+
+  // Replaces the chunks indexed for an entry
+  async replaceEntry(entry, chunks) {
+    await KnowledgeChunk.deleteMany({ entryId: entry._id });
+    await KnowledgeChunk.insertMany(chunks.map(chunk => ({
+      ...chunk,
+      knowledgeBaseId: entry.knowledgeBaseId,
+      entryId: entry._id
+    })));
+  }
+
+  async removeEntry(entryId) {
+    await KnowledgeChunk.deleteMany({ entryId });
+  }
+
+  async removeKnowledgeBase(knowledgeBaseId) {
+    await KnowledgeChunk.deleteMany({ knowledgeBaseId });
+  }
+
+  // Up to limit chunks scoring at least minScore, best first
+  async search(vector, { knowledgeBaseIds, model, limit = 4, minScore = 0 }) {
+    const matches = [];
+    const cursor = KnowledgeChunk.find({ knowledgeBaseId: { $in: knowledgeBaseIds }, model })
+      .select('+embedding')
+      .lean()
+      .cursor();
+
+    for await (const chunk of cursor) {
+      const score = cosineSimilarity(vector, chunk.embedding);
+      if (score < minScore) continue;
+
+      const { embedding, ...match } = chunk;
+      matches.push({ ...match, score });
+      if (matches.length > limit) {
+        matches.sort((a, b) => b.score - a.score);
+        matches.pop();
+      }
+    }
+
+    return matches.sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = MongoVectorStore;
\ No newline at end of file
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const Document = require('../models/document');
+const KnowledgeBase = require('../models/knowledgeBase');
+const KnowledgeEntry = require('../models/knowledgeEntry');
+const { getVectorStore } = require('./knowledge');
+const { chunkReference, chunkText } = require('../utils/documents');
+const { embeddingModelKey } = require('../utils/vectors');
+
+// Chunks embedded per provider request
+const EMBEDDING_BATCH_SIZE = 64;
+
+// Chunks added to a chat turn, and the similarity they need to qualify
+const TOP_K = parseInt(process.env.KNOWLEDGE_TOP_K) || 4;
+const MIN_SCORE = parseFloat(process.env.KNOWLEDGE_MIN_SCORE) || 0.3;
+
+// Indexes knowledge entries as embedded chunks in the vector store and
+// retrieves the chunks most relevant to a question.
+class KnowledgeService {
+  constructor(aiService, options = {}) {
+    this.aiService = aiService;
+    this.store = options.store || getVectorStore();
+  }
+
+  // An entry's chunks with citation labels and links to their source.
+  // Documents reuse the chunks parsed at upload.
+  async entryChunks(entry) {
+    if (entry.type === 'document') {
+      const document = await Document.findById(entry.documentId);
+      if (!document) {
+        throw new Error('Document not found');
+      }
+
+      return {
+        hash: document.hash,
+        chunks: document.chunks.map(chunk => ({
+          index: chunk.index,
+          text: chunk.text,
+          label: chunkReference(chunk),
+          url: document.format === 'pdf' && chunk.pageStart ? `${document.url}#page=${chunk.pageStart}` : document.url
+        }))
+      };
+    }
+
+    return {
+      hash: crypto.createHash('sha256').update(entry.text).digest('hex'),
+      chunks: chunkText(entry.text).map(chunk => ({
+        index: chunk.index,
+        text: chunk.text,
+        label: chunkReference(chunk),
+        url: `/api/knowledge/${entry.knowledgeBaseId}/entries/${entry._id}`
+      }))
+    };
+  }
+
+  // Embeds an entry's chunks, replacing what was indexed for it before.
+  // Entries already indexed from the same content are skipped unless
+  // options.force is set, e.g. after switching embedding models.
+  async indexEntry(entry, options = {}) {
+    try {
+      const { hash, chunks } = await this.entryChunks(entry);
+      if (!options.force && entry.status === 'indexed' && entry.contentHash === hash) {
+        return { entry, skipped: true };
+      }
+
+      const embedded = [];
+      let model;
+      for (let start = 0; start < chunks.length; start += EMBEDDING_BATCH_SIZE) {
+        const batch = chunks.slice(start, start + EMBEDDING_BATCH_SIZE);
+        const result = await this.aiService.generateEmbeddings(batch.map(chunk => chunk.text));
+        model = embeddingModelKey(result.metadata);
+
+        batch.forEach((chunk, index) => {
+          embedded.push({ ...chunk, title: entry.title, embedding: result.embeddings[index], model });
+        });
+      }
+
+      await this.store.replaceEntry(entry, embedded);
+
+      entry.status = 'indexed';
+      entry.error = undefined;
+      entry.contentHash = hash;
+      entry.chunkCount = embedded.length;
+      entry.embeddingModel = model;
+      entry.indexedAt = new Date();
+      await entry.save();
+
+      return { entry, skipped: false };
+    } catch (error) {
+      console.error('Error indexing knowledge entry:', error);
+      entry.status = 'failed';
+      entry.error = error.message;
+      await entry.save();
+      throw error;
+    }
+  }
+
+  // Re-indexes every entry of a knowledge base. Failures are counted rather
+  // than stopping the run and stay visible on the failed entries.
+  async reindex(knowledgeBase, options = {}) {
+    const entries = await KnowledgeEntry.find({ knowledgeBaseId: knowledgeBase._id });
+    const report = { indexed: 0, skipped: 0, failed: 0 };
+
+    for (const entry of entries) {
+      try {
+        const { skipped } = await this.indexEntry(entry, options);
+        report[skipped ? 'skipped' : 'indexed'] += 1;
+      } catch (error) {
+        report.failed += 1;
+      }
+    }
+
+    return report;
+  }
+
+  async removeEntry(entry) {
+    await this.store.removeEntry(entry._id);
+    await entry.deleteOne();
+  }
+
+  async removeKnowledgeBase(knowledgeBase) {
+    await this.store.removeKnowledgeBase(knowledgeBase._id);
+    await KnowledgeEntry.deleteMany({ knowledgeBaseId: knowledgeBase._id });
+    await knowledgeBase.deleteOne();
+  }
+
+  // Chunks of the given knowledge bases most similar to the query. Entries
+  // indexed with another model than the query's, e.g. while a fallback
+  // provider answers, are re-embedded first so they can still be found.
+  async search(query, knowledgeBaseIds, options = {}) {
+    const result = await this.aiService.generateEmbeddings(query);
+    const model = embeddingModelKey(result.metadata);
+
+    const stale = await KnowledgeEntry.find({
+      knowledgeBaseId: { $in: knowledgeBaseIds },
+      status: 'indexed',
+      embeddingModel: { $ne: model }
+    });
+    for (const entry of stale) {
+      try {
+        await this.indexEntry(entry, { force: true });
+      } catch (error) {
+        // Left marked failed; the other entries are still searched
+      }
+    }
+
+    return this.store.search(result.embeddings[0], {
+      knowledgeBaseIds,
+      model,
+      limit: options.limit || TOP_K,
+      minScore: options.minScore !== undefined ? options.minScore : MIN_SCORE
+    });
+  }
+
+  // Chunks for a chat turn from the enabled knowledge bases the user can
+  // read. Failures return no chunks so the reply goes ahead without them.
+  async retrieve(question, user) {
+    try {
+      const knowledgeBases = await KnowledgeBase.accessibleBy(user._id).where({ enabled: true }).select('_id');
+      if (knowledgeBases.length === 0) {
+        return [];
+      }
+
+      return await this.search(question, knowledgeBases.map(knowledgeBase => knowledgeBase._id));
+    } catch (error) {
+      console.error('Error retrieving knowledge:', error.message);
+      return [];
+    }
+  }
+}
+
+module.exports = KnowledgeService;
\ No newline at end of file
@@ -0,0 +1,194 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Document = require('../models/document');
+const KnowledgeBase = require('../models/knowledgeBase');
+const KnowledgeChunk = require('../models/knowledgeChunk');
+const KnowledgeEntry = require('../models/knowledgeEntry');
+const KnowledgeService = require('./knowledgeService');
+const { MongoVectorStore } = require('./knowledge');
+const MockProvider = require('./providers/mockProvider');
+
+// Keeps the vector store's chunks in an array in place of MongoDB
+function useChunks(t) {
+  let chunks = [];
+  const matches = (chunk, filter) => Object.entries(filter).every(([key, value]) =>
+    value && value.$in ? value.$in.includes(chunk[key]) : chunk[key] === value
+  );
+
+  t.mock.method(KnowledgeChunk, 'deleteMany', async (filter) => {
+    chunks = chunks.filter(chunk => !matches(chunk, filter));
+  });
+  t.mock.method(KnowledgeChunk, 'insertMany', async (docs) => {
+    chunks.push(...docs);
+  });
+  t.mock.method(KnowledgeChunk, 'find', (filter) => {
+    const chain = {
+      select: () => chain,
+      lean: () => chain,
+      cursor: async function* () {
+        yield* chunks.filter(chunk => matches(chunk, filter));
+      }
+    };
+    return chain;
+  });
+
+  return () => chunks;
+}
+
+// Embeds with the mock provider's deterministic vectors, reported under
+// whichever model is set, e.g. to stand in for a fallback provider
+function embedder() {
+  const provider = new MockProvider();
+  return {
+    model: 'mock-embedding',
+    calls: [],
+    async generateEmbeddings(input) {
+      this.calls.push(input);
+      const { embeddings } = await provider.embed(input);
+      return { embeddings, metadata: { provider: 'mock', model: this.model } };
+    }
+  };
+}
+
+const textEntry = (id, text, extra = {}) => ({
+  _id: id,
+  knowledgeBaseId: 'kb1',
+  type: 'text',
+  title: `Entry ${id}`,
+  text,
+  status: 'pending',
+  saves: 0,
+  save() {
+    this.saves++;
+    return Promise.resolve(this);
+  },
+  ...extra
+});
+
+test('indexes a text entry as embedded chunks linking back to it', async (t) => {
+  const chunks = useChunks(t);
+  const aiService = embedder();
+  const service = new KnowledgeService(aiService, { store: new MongoVectorStore() });
+  const entry = textEntry('e1', 'Our office is in Oslo.\n\nWe open at nine.');
+
+  const { skipped } = await service.indexEntry(entry);
+
+  assert.strictEqual(skipped, false);
+  assert.deepStrictEqual(aiService.calls, [['Our office is in Oslo.\n\nWe open at nine.']]);
+  assert.strictEqual(entry.status, 'indexed');
+  assert.strictEqual(entry.chunkCount, 1);
+  assert.strictEqual(entry.embeddingModel, 'mock:mock-embedding');
+  assert.match(entry.contentHash, /^[0-9a-f]{64}$/);
+  assert.strictEqual(entry.saves, 1);
+
+  const [chunk] = chunks();
+  assert.strictEqual(chunk.entryId, 'e1');
+  assert.strictEqual(chunk.knowledgeBaseId, 'kb1');
+  assert.strictEqual(chunk.title, 'Entry e1');
+  assert.strictEqual(chunk.label, 'part 1');
+  assert.strictEqual(chunk.url, '/api/knowledge/kb1/entries/e1');
+  assert.strictEqual(chunk.model, 'mock:mock-embedding');
+});
+
+test('skips unchanged entries unless forced', async (t) => {
+  const chunks = useChunks(t);
+  const aiService = embedder();
+  const service = new KnowledgeService(aiService, { store: new MongoVectorStore() });
+  const entry = textEntry('e1', 'Unchanged text.');
+  await service.indexEntry(entry);
+
+  assert.strictEqual((await service.indexEntry(entry)).skipped, true);
+  assert.strictEqual((await service.indexEntry(entry, { force: true })).skipped, false);
+  assert.strictEqual(aiService.calls.length, 2);
+  assert.strictEqual(chunks().length, 1);
+});
+
+test('document entries reuse the parsed chunks with page links', async (t) => {
+  useChunks(t);
+  t.mock.method(Document, 'findById', async () => ({
+    hash: 'abc',
+    format: 'pdf',
+    url: '/uploads/documents/abc.pdf',
+    chunks: [{ index: 0, text: 'Scope of the contract', pageStart: 2, pageEnd: 3, section: 'Scope' }]
+  }));
+  const service = new KnowledgeService(embedder(), { store: new MongoVectorStore() });
+
+  const { chunks } = await service.entryChunks({ type: 'document', documentId: 'd1' });
+
+  assert.deepStrictEqual(chunks, [{ index: 0, text: 'Scope of the contract', label: 'pp. 2-3, Scope', url: '/uploads/documents/abc.pdf#page=2' }]);
+});
+
+test('a failed index marks the entry failed', async (t) => {
+  useChunks(t);
+  t.mock.method(console, 'error', () => {});
+  const aiService = { generateEmbeddings: async () => { throw new Error('No AI provider available for embeddings'); } };
+  const service = new KnowledgeService(aiService, { store: new MongoVectorStore() });
+  const entry = textEntry('e1', 'Some text.');
+
+  await assert.rejects(service.indexEntry(entry), /No AI provider available/);
+  assert.strictEqual(entry.status, 'failed');
+  assert.strictEqual(entry.error, 'No AI provider available for embeddings');
+  assert.strictEqual(entry.saves, 1);
+});
+
+test('search ranks chunks of the given knowledge bases by similarity', async (t) => {
+  useChunks(t);
+  t.mock.method(KnowledgeEntry, 'find', async () => []);
+  const service = new KnowledgeService(embedder(), { store: new MongoVectorStore() });
+  await service.indexEntry(textEntry('e1', 'the cat sat on the mat'));
+  await service.indexEntry(textEntry('e2', 'quarterly stock market report'));
+  await service.indexEntry(textEntry('e3', 'the cat sat on the mat', { knowledgeBaseId: 'kb2' }));
+
+  const results = await service.search('the cat sat', ['kb1'], { minScore: 0 });
+
+  assert.deepStrictEqual(results.map(result => result.entryId), ['e1', 'e2']);
+  assert.ok(results[0].score > results[1].score);
+  assert.strictEqual(results[0].embedding, undefined);
+  assert.deepStrictEqual((await service.search('the cat sat', ['kb1'], { minScore: 0.99 })), []);
+});
+
+test("search re-embeds entries indexed with another model than the query's", async (t) => {
+  const chunks = useChunks(t);
+  const aiService = embedder();
+  const service = new KnowledgeService(aiService, { store: new MongoVectorStore() });
+  const entry = textEntry('e1', 'the cat sat on the mat');
+  await service.indexEntry(entry);
+
+  // A fallback provider now answers embedding requests
+  aiService.model = 'fallback-embedding';
+  const find = t.mock.method(KnowledgeEntry, 'find', async () => [entry]);
+
+  const results = await service.search('the cat sat', ['kb1'], { minScore: 0 });
+
+  assert.deepStrictEqual(find.mock.calls[0].arguments[0], {
+    knowledgeBaseId: { $in: ['kb1'] },
+    status: 'indexed',
+    embeddingModel: { $ne: 'mock:fallback-embedding' }
+  });
+  assert.strictEqual(entry.embeddingModel, 'mock:fallback-embedding');
+  assert.deepStrictEqual(chunks().map(chunk => chunk.model), ['mock:fallback-embedding']);
+  assert.deepStrictEqual(results.map(result => result.entryId), ['e1']);
+});
+
+test('retrieve searches only enabled knowledge bases the user can read', async (t) => {
+  useChunks(t);
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(KnowledgeEntry, 'find', async () => []);
+  const service = new KnowledgeService(embedder(), { store: new MongoVectorStore() });
+  await service.indexEntry(textEntry('e1', 'the cat sat on the mat'));
+
+  const accessible = { knowledgeBases: [{ _id: 'kb1' }] };
+  const accessibleBy = t.mock.method(KnowledgeBase, 'accessibleBy', () => ({
+    where: (filter) => ({ select: async () => (filter.enabled ? accessible.knowledgeBases : []) })
+  }));
+
+  const results = await service.retrieve('the cat sat on the mat', { _id: 'user-1' });
+  assert.deepStrictEqual(results.map(result => result.entryId), ['e1']);
+  assert.deepStrictEqual(accessibleBy.mock.calls[0].arguments, ['user-1']);
+
+  accessible.knowledgeBases = [];
+  assert.deepStrictEqual(await service.retrieve('the cat', { _id: 'user-1' }), []);
+
+  accessibleBy.mock.mockImplementation(() => { throw new Error('connection lost'); });
+  assert.deepStrictEqual(await service.retrieve('the cat', { _id: 'user-1' }), []);
+});
\ No newline at end of file
@@ -0,0 +1,174 @@
+const Memory = require('../models/memory');
+const { cosineSimilarity, embeddingModelKey } = require('../utils/vectors');
+
+// Memories kept per user, suggested or confirmed
+const MAX_MEMORIES = parseInt(process.env.MEMORY_MAX_PER_USER) || 200;
+
+// Confirmed memories added to a chat turn's system prompt
+const PROMPT_LIMIT = parseInt(process.env.MEMORY_PROMPT_LIMIT) || 10;
+
+// Only messages where users talk about themselves are worth an extraction call
+const SELF_STATEMENT = /\b(i am|i'm|i've|i have|i like|i love|i prefer|i hate|i work|i live|i use|my|call me|remember)\b/i;
+
+// Extracts durable facts about users from their conversations, keeps them
+// once confirmed and picks the ones relevant to each new message.
+class MemoryService {
+  constructor(aiService, options = {}) {
+    this.aiService = aiService;
+    this.extractionModel = options.extractionModel || process.env.MEMORY_EXTRACTION_MODEL;
+  }
+
+  isEnabled(user) {
+    const preferences = (user && user.preferences) || {};
+    return process.env.MEMORY_ENABLED !== 'false' && !(preferences.memory && preferences.memory.enabled === false);
+  }
+
+  // Facts worth remembering from one exchange, saved as pending suggestions
+  // for the user to confirm. Resolves to the new memories.
+  async extract(user, { message, reply, conversationId, messageId }) {
+    if (!this.isEnabled(user) || !SELF_STATEMENT.test(message)) {
+      return [];
+    }
+
+    const known = await Memory.find({ userId: user._id }).select('content');
+    if (known.length >= MAX_MEMORIES) {
+      return [];
+    }
+
+    const candidates = await this.suggest(message, reply, known.map(memory => memory.content));
+    const seen = new Set(known.map(memory => memory.content.toLowerCase()));
+    const fresh = candidates
+      .filter(candidate => !seen.has(candidate.content.toLowerCase()))
+      .slice(0, MAX_MEMORIES - known.length);
+
+    return Promise.all(fresh.map(candidate => Memory.create({
+      userId: user._id,
+      content: candidate.content,
+      category: candidate.category,
+      source: { conversationId, messageId }
+    })));
+  }
+
+  // Single-shot extraction, e.g. MEMORY_EXTRACTION_MODEL=openai:gpt-4o-mini.
+  // Replies that are not a JSON array suggest nothing.
+  async suggest(message, reply, known = []) {
+    try {
+      const remembered = known.length > 0
+        ? `Already remembered:\n${known.map(content => `- ${content}`).join('\n')}\n\n`
+        : '';
+
+      const result = await this.aiService.complete([
+        {
+          role: 'system',
+          content: 'You pick out durable facts about the user worth remembering across conversations: preferences, personal details, work, projects and interests. ' +
+            'Skip one-off requests, questions, temporary states, anything already remembered, and secrets such as passwords, financial or health details. ' +
+            `Reply with JSON only: an array like [{"content": "Prefers metric units", "category": "preference"}] with categories ${Memory.CATEGORIES.join(', ')}, or [] when there is nothing to remember.`
+        },
+        {
+          role: 'user',
+          content: `${remembered}User: ${message}\nRAI: ${reply}`
+        }
+      ], {
+        ...this.aiService.resolveModel(this.extractionModel),
+        maxTokens: 300,
+        temperature: 0,
+        task: 'memory'
+      });
+
+      const json = result.content.match(/\[[\s\S]*\]/);
+      const parsed = JSON.parse(json ? json[0] : result.content);
+      if (!Array.isArray(parsed)) {
+        return [];
+      }
+
+      return parsed
+        .filter(item => item && typeof item.content === 'string' && item.content.trim())
+        .map(item => ({
+          content: item.content.trim().slice(0, 300),
+          category: Memory.CATEGORIES.includes(item.category) ? item.category : 'other'
+        }));
+    } catch (error) {
+      console.error('Memory extraction failed:', error.message);
+      return [];
+    }
+  }
+
+  // Stores a memory the user asked for directly, already confirmed
+  async remember(user, content, category = 'other') {
+    const memory = new Memory({ userId: user._id, content, category, status: 'confirmed' });
+    await this.embed([memory]);
+    await memory.save();
+    return memory;
+  }
+
+  async confirm(memory) {
+    memory.status = 'confirmed';
+    await this.embed([memory]);
+    await memory.save();
+    return memory;
+  }
+
+  // Embeds memories in one call. Failures are logged and leave them without
+  // an embedding; relevant() embeds them again when it next needs to.
+  async embed(memories) {
+    if (memories.length === 0) return;
+
+    try {
+      const result = await this.aiService.generateEmbeddings(memories.map(memory => memory.content));
+      memories.forEach((memory, index) => {
+        memory.embedding = result.embeddings[index];
+        memory.embeddingModel = embeddingModelKey(result.metadata);
+      });
+    } catch (error) {
+      console.error('Error embedding memories:', error.message);
+    }
+  }
+
+  // Confirmed memories for a chat turn. With more than PROMPT_LIMIT, the
+  // ones most similar to the message are picked. Memories embedded with a
+  // model other than the one the message got are embedded again first.
+  async relevant(user, message) {
+    try {
+      if (!this.isEnabled(user)) {
+        return [];
+      }
+
+      let memories = await Memory.find({ userId: user._id, status: 'confirmed' })
+        .select('+embedding')
+        .sort({ updatedAt: -1 })
+        .limit(MAX_MEMORIES);
+
+      if (memories.length > PROMPT_LIMIT) {
+        const result = await this.aiService.generateEmbeddings([message]);
+        const model = embeddingModelKey(result.metadata);
+
+        const stale = memories.filter(memory => memory.embeddingModel !== model);
+        if (stale.length > 0) {
+          await this.embed(stale);
+          await Promise.all(stale.map(memory => memory.save()));
+        }
+
+        const query = result.embeddings[0];
+        memories = memories
+          .map(memory => ({
+            memory,
+            score: memory.embeddingModel === model ? cosineSimilarity(query, memory.embedding) : -1
+          }))
+          .sort((a, b) => b.score - a.score)
+          .slice(0, PROMPT_LIMIT)
+          .map(entry => entry.memory);
+      }
+
+      if (memories.length > 0) {
+        await Memory.updateMany({ _id: { $in: memories.map(memory => memory._id) } }, { lastUsedAt: new Date() });
+      }
+
+      return memories.map(memory => memory.content);
+    } catch (error) {
+      console.error('Error loading memories:', error.message);
+      return [];
+    }
+  }
+}
+
+module.exports = MemoryService;
\ No newline at end of file
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Memory = require('../models/memory');
+const MemoryService = require('./memoryService');
+const MockProvider = require('./providers/mockProvider');
+
+const user = { _id: 'user-1', preferences: {} };
+
+// Completes with a fixed reply and embeds with the mock provider's
+// deterministic vectors under whichever model is set
+function fakeAIService(reply = '[]') {
+  const provider = new MockProvider();
+  return {
+    reply,
+    model: 'mock-embedding',
+    completions: [],
+    embeddings: [],
+    resolveModel: (aiModel) => (aiModel ? { provider: 'openai', model: aiModel.split(':')[1] } : {}),
+    async complete(messages, options) {
+      this.completions.push({ messages, options });
+      return { content: this.reply };
+    },
+    async generateEmbeddings(input) {
+      this.embeddings.push(input);
+      const { embeddings } = await provider.embed(input);
+      return { embeddings, metadata: { provider: 'mock', model: this.model } };
+    }
+  };
+}
+
+// Confirmed memories as Memory.find returns them, each embedded with model
+async function confirmedMemories(contents, model = 'mock:mock-embedding') {
+  const { embeddings } = await new MockProvider().embed(contents);
+  return contents.map((content, index) => ({
+    _id: content.toLowerCase().replace(/\W+/g, '-'),
+    content,
+    embedding: embeddings[index],
+    embeddingModel: model,
+    saves: 0,
+    save() {
+      this.saves++;
+      return Promise.resolve(this);
+    }
+  }));
+}
+
+function useConfirmed(t, memories) {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    limit: async () => memories
+  };
+  t.mock.method(Memory, 'find', () => chain);
+  return t.mock.method(Memory, 'updateMany', async () => ({}));
+}
+
+test('only messages where users talk about themselves are sent for extraction', async (t) => {
+  const find = t.mock.method(Memory, 'find', () => ({ select: async () => [] }));
+  const aiService = fakeAIService();
+  const service = new MemoryService(aiService);
+
+  assert.deepStrictEqual(await service.extract(user, { message: 'What is the capital of France?', reply: 'Paris.' }), []);
+  assert.deepStrictEqual(await service.extract({ _id: 'user-2', preferences: { memory: { enabled: false } } }, { message: 'I live in Oslo', reply: 'Nice!' }), []);
+  assert.strictEqual(find.mock.callCount(), 0);
+  assert.deepStrictEqual(aiService.completions, []);
+});
+
+test('saves new facts as pending suggestions, skipping known ones', async (t) => {
+  t.mock.method(Memory, 'find', () => ({ select: async () => [{ content: 'Lives in Oslo' }] }));
+  const create = t.mock.method(Memory, 'create', async (doc) => doc);
+  const aiService = fakeAIService('Sure: [{"content": "lives in oslo", "category": "personal"}, {"content": " Works as a nurse ", "category": "job"}, {"content": ""}]');
+  const service = new MemoryService(aiService, { extractionModel: 'openai:gpt-4o-mini' });
+
+  const created = await service.extract(user, { message: "I'm a nurse in Oslo", reply: 'Thanks for sharing!', conversationId: 'c1', messageId: 'msg1' });
+
+  assert.deepStrictEqual(created, [{
+    userId: 'user-1',
+    content: 'Works as a nurse',
+    category: 'other',
+    source: { conversationId: 'c1', messageId: 'msg1' }
+  }]);
+  assert.strictEqual(create.mock.callCount(), 1);
+
+  const [{ messages, options }] = aiService.completions;
+  assert.strictEqual(messages[1].content, "Already remembered:\n- Lives in Oslo\n\nUser: I'm a nurse in Oslo\nRAI: Thanks for sharing!");
+  assert.strictEqual(options.model, 'gpt-4o-mini');
+  assert.strictEqual(options.temperature, 0);
+});
+
+test('replies that are not a JSON array suggest nothing', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const service = new MemoryService(fakeAIService('I could not find anything.'));
+
+  assert.deepStrictEqual(await service.suggest('I love jazz', 'Great taste!'), []);
+
+  service.aiService.reply = '{"content": "Loves jazz"}';
+  assert.deepStrictEqual(await service.suggest('I love jazz', 'Great taste!'), []);
+});
+
+test('remembered and confirmed memories are embedded and saved', async (t) => {
+  const save = t.mock.method(Memory.prototype, 'save', async function() { return this; });
+  const aiService = fakeAIService();
+  const service = new MemoryService(aiService);
+
+  const remembered = await service.remember(user, 'Prefers metric units', 'preference');
+  const pending = new Memory({ userId: '507f1f77bcf86cd799439011', content: 'Has a dog named Rex' });
+  await service.confirm(pending);
+
+  assert.strictEqual(remembered.status, 'confirmed');
+  assert.strictEqual(remembered.embeddingModel, 'mock:mock-embedding');
+  assert.ok(remembered.embedding.length > 0);
+  assert.strictEqual(pending.status, 'confirmed');
+  assert.strictEqual(pending.embeddingModel, 'mock:mock-embedding');
+  assert.deepStrictEqual(aiService.embeddings, [['Prefers metric units'], ['Has a dog named Rex']]);
+  assert.strictEqual(save.mock.callCount(), 2);
+});
+
+test('uses every confirmed memory while they fit the prompt', async (t) => {
+  const memories = await confirmedMemories(['Lives in Oslo', 'Prefers metric units']);
+  const updateMany = useConfirmed(t, memories);
+  const aiService = fakeAIService();
+
+  const relevant = await new MemoryService(aiService).relevant(user, 'What should I wear today?');
+
+  assert.deepStrictEqual(relevant, ['Lives in Oslo', 'Prefers metric units']);
+  assert.deepStrictEqual(aiService.embeddings, []);
+  assert.deepStrictEqual(updateMany.mock.calls[0].arguments[0], { _id: { $in: ['lives-in-oslo', 'prefers-metric-units'] } });
+});
+
+test('picks the most similar memories, re-embedding ones from another model', async (t) => {
+  const others = Array.from({ length: 11 }, (_, index) => `Unrelated hobby number ${index}`);
+  const memories = [
+    ...await confirmedMemories(others),
+    ...await confirmedMemories(['Lives in Oslo Norway'], 'openai:text-embedding-3-small')
+  ];
+  useConfirmed(t, memories);
+  const aiService = fakeAIService();
+
+  const relevant = await new MemoryService(aiService).relevant(user, 'Weather in Oslo Norway');
+
+  assert.strictEqual(relevant.length, 10);
+  assert.strictEqual(relevant[0], 'Lives in Oslo Norway');
+  assert.deepStrictEqual(aiService.embeddings, [['Weather in Oslo Norway'], ['Lives in Oslo Norway']]);
+  assert.strictEqual(memories[11].embeddingModel, 'mock:mock-embedding');
+  assert.strictEqual(memories[11].saves, 1);
+  assert.strictEqual(memories[0].saves, 0);
+});
+
+test('memory failures leave the reply without memories', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(Memory, 'find', () => { throw new Error('connection lost'); });
+
+  assert.deepStrictEqual(await new MemoryService(fakeAIService()).relevant(user, 'Hello'), []);
+});
\ No newline at end of file
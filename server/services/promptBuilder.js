@@ -0,0 +1,93 @@
+// Composes the system prompt for every AI call from the task being performed,
+// the user's preferences and the conversation's settings, so each provider
+// and capability speaks with the same voice.
+
+const TASK_PROMPTS = {
+  chat: 'You are RAI (Revolutionary AI Assistant), a comprehensive AI that combines the best features from Gemini, Siri, ChatGPT, and other leading AI platforms. You are helpful, creative, and can assist with any task. You have access to real-time information, can generate code, create images, and much more.',
+  code: 'You are RAI, an expert programmer. Generate clean, working code with appropriate comments. Always specify the programming language.',
+  translate: 'You are RAI, a professional translator. Translate accurately, preserving meaning, tone and formatting. Reply with the translation only.',
+  search: 'You are RAI, a research assistant. Answer from the web search results you are given and cite them; never invent sources or facts that are not in the results.',
+  summarize: 'You are RAI, an assistant that writes clear, faithful summaries capturing the key points of a text.',
+  document_analysis: 'You are RAI, an analyst who reads documents carefully and reports their key insights.',
+  voice: 'You are RAI, a voice assistant. Keep answers short, natural and easy to listen to.'
+};
+
+const PERSONALITIES = {
+  friendly: 'Be warm, encouraging and conversational.',
+  professional: 'Be concise, precise and formal. Keep answers well structured and avoid slang.',
+  creative: 'Be imaginative and expressive. Offer original ideas, vivid examples and alternatives.',
+  technical: 'Be rigorous and detailed. Use precise terminology and include specifics.'
+};
+
+const COMPLEXITY = {
+  beginner: 'Explain things simply, define any jargon and assume no prior knowledge.',
+  intermediate: 'Assume general familiarity with the topic and explain only less common concepts.',
+  advanced: 'Assume expert knowledge. Skip the basics and focus on depth and nuance.'
+};
+
+function languageName(code) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  } catch (error) {
+    return code;
+  }
+}
+
+// ISO 639-1 code for an English language name, e.g. "english" -> "en", as
+// Whisper reports detected languages by name
+let languageCodes = null;
+function languageCode(name) {
+  if (!name) return null;
+  if (/^[a-z]{2,3}$/i.test(name)) return name.toLowerCase();
+
+  if (!languageCodes) {
+    languageCodes = {};
+    const letters = 'abcdefghijklmnopqrstuvwxyz';
+    for (const first of letters) {
+      for (const second of letters) {
+        const code = first + second;
+        languageCodes[languageName(code).toLowerCase()] = code;
+      }
+    }
+  }
+
+  return languageCodes[name.toLowerCase()] || name.toLowerCase();
+}
+
+// memories: confirmed facts about the user relevant to this turn
+function buildSystemPrompt({ task = 'chat', user = null, conversation = null, memories = [] } = {}) {
+  const preferences = (user && user.preferences) || {};
+  const metadata = (conversation && conversation.metadata) || {};
+
+  const parts = [
+    TASK_PROMPTS[task] || TASK_PROMPTS.chat,
+    PERSONALITIES[preferences.aiPersonality] || PERSONALITIES.friendly
+  ];
+
+  if (COMPLEXITY[metadata.complexity]) {
+    parts.push(COMPLEXITY[metadata.complexity]);
+  }
+
+  // Translations follow the requested target language instead
+  if (preferences.language && task !== 'translate') {
+    parts.push(`Reply in ${languageName(preferences.language)} unless the user asks for another language.`);
+  }
+
+  if (memories.length > 0) {
+    parts.push(`What you know about the user from earlier conversations. Use it when relevant, without mentioning that you remember it unless asked:\n${memories.map(memory => `- ${memory}`).join('\n')}`);
+  }
+
+  if (metadata.customInstruction) {
+    parts.push(`Additional instructions for this conversation: ${metadata.customInstruction}`);
+  }
+
+  return parts.join('\n\n');
+}
+
+module.exports = {
+  buildSystemPrompt,
+  languageCode,
+  languageName,
+  PERSONALITIES,
+  TASK_PROMPTS
+};
\ No newline at end of file
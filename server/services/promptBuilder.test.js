@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildSystemPrompt, languageCode, languageName, PERSONALITIES, TASK_PROMPTS } = require('./promptBuilder');
+
+test('defaults to the chat prompt with a friendly personality', () => {
+  assert.strictEqual(buildSystemPrompt(), `${TASK_PROMPTS.chat}\n\n${PERSONALITIES.friendly}`);
+  assert.strictEqual(buildSystemPrompt({ task: 'unknown' }), buildSystemPrompt());
+});
+
+test('follows the task, personality, complexity and language in that order', () => {
+  const prompt = buildSystemPrompt({
+    task: 'code',
+    user: { preferences: { aiPersonality: 'technical', language: 'fr' } },
+    conversation: { metadata: { complexity: 'beginner', customInstruction: 'Use TypeScript.' } }
+  });
+
+  assert.deepStrictEqual(prompt.split('\n\n'), [
+    TASK_PROMPTS.code,
+    PERSONALITIES.technical,
+    'Explain things simply, define any jargon and assume no prior knowledge.',
+    'Reply in French unless the user asks for another language.',
+    'Additional instructions for this conversation: Use TypeScript.'
+  ]);
+});
+
+test('translations ignore the preferred reply language', () => {
+  const prompt = buildSystemPrompt({ task: 'translate', user: { preferences: { language: 'de' } } });
+
+  assert.ok(prompt.startsWith(TASK_PROMPTS.translate));
+  assert.doesNotMatch(prompt, /Reply in German/);
+});
+
+test('lists remembered facts about the user', () => {
+  const prompt = buildSystemPrompt({ memories: ['Lives in Oslo', 'Prefers metric units'] });
+
+  assert.match(prompt, /from earlier conversations[^\n]*\n- Lives in Oslo\n- Prefers metric units$/);
+  assert.doesNotMatch(buildSystemPrompt({ memories: [] }), /earlier conversations/);
+});
+
+test('names languages and maps names back to codes', () => {
+  assert.strictEqual(languageName('es'), 'Spanish');
+  assert.strictEqual(languageName('not a code'), 'not a code');
+
+  assert.strictEqual(languageCode('English'), 'en');
+  assert.strictEqual(languageCode('japanese'), 'ja');
+  assert.strictEqual(languageCode('DE'), 'de');
+  assert.strictEqual(languageCode('Klingon'), 'klingon');
+  assert.strictEqual(languageCode(null), null);
+});
\ No newline at end of file
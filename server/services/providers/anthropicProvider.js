@@ -0,0 +1,255 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+const { parseEventStream } = require('../../utils/sse');
+
+const API_BASE = 'https://api.anthropic.com';
+const API_VERSION = '2023-06-01';
+
+// Streamed tool input is accumulated JSON; a tool without arguments sends none
+function parseInput(json) {
+  try {
+    return JSON.parse(json || '{}');
+  } catch (error) {
+    return {};
+  }
+}
+
+class AnthropicProvider extends BaseProvider {
+  constructor(options = {}) {
+    super('anthropic', ['chat', 'vision', 'tools']);
+    this.maxImageDimension = 1568;
+
+    this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+    this.chatModel = options.chatModel || process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest';
+    this.baseURL = options.baseURL || process.env.ANTHROPIC_BASE_URL || API_BASE;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  async chat(messages, options = {}) {
+    const model = options.model || this.chatModel;
+
+    const response = await axios.post(
+      `${this.baseURL}/v1/messages`,
+      this.buildRequest(messages, options),
+      { headers: this.headers(), signal: options.signal }
+    );
+
+    const content = response.data.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      content,
+      model: response.data.model || model,
+      usage: response.data.usage
+    };
+  }
+
+  async chatStream(messages, options = {}, onToken) {
+    const model = options.model || this.chatModel;
+
+    const response = await axios.post(
+      `${this.baseURL}/v1/messages`,
+      { ...this.buildRequest(messages, options), stream: true },
+      { headers: this.headers(), responseType: 'stream', signal: options.signal }
+    );
+
+    let content = '';
+    let responseModel = model;
+    const usage = {};
+
+    for await (const { event, data } of parseEventStream(response.data)) {
+      const payload = JSON.parse(data);
+
+      if (event === 'message_start') {
+        responseModel = payload.message.model || responseModel;
+        Object.assign(usage, payload.message.usage);
+      } else if (event === 'content_block_delta' && payload.delta.type === 'text_delta') {
+        content += payload.delta.text;
+        onToken(payload.delta.text);
+      } else if (event === 'message_delta') {
+        Object.assign(usage, payload.usage);
+      } else if (event === 'error') {
+        throw new Error(payload.error.message);
+      }
+    }
+
+    return {
+      content,
+      model: responseModel,
+      usage
+    };
+  }
+
+  async chatWithTools(messages, tools, options = {}) {
+    const model = options.model || this.chatModel;
+
+    const response = await axios.post(
+      `${this.baseURL}/v1/messages`,
+      this.buildToolRequest(messages, tools, options),
+      { headers: this.headers(), signal: options.signal }
+    );
+
+    const blocks = response.data.content;
+
+    return {
+      content: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+      toolCalls: blocks
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} })),
+      model: response.data.model || model,
+      usage: response.data.usage
+    };
+  }
+
+  // tool_use blocks stream their input as partial JSON after the block starts
+  async chatStreamWithTools(messages, tools, options = {}, onToken) {
+    const model = options.model || this.chatModel;
+
+    const response = await axios.post(
+      `${this.baseURL}/v1/messages`,
+      { ...this.buildToolRequest(messages, tools, options), stream: true },
+      { headers: this.headers(), responseType: 'stream', signal: options.signal }
+    );
+
+    let content = '';
+    let responseModel = model;
+    const usage = {};
+    const calls = [];
+    const blocks = {};
+
+    for await (const { event, data } of parseEventStream(response.data)) {
+      const payload = JSON.parse(data);
+
+      if (event === 'message_start') {
+        responseModel = payload.message.model || responseModel;
+        Object.assign(usage, payload.message.usage);
+      } else if (event === 'content_block_start' && payload.content_block.type === 'tool_use') {
+        blocks[payload.index] = { id: payload.content_block.id, name: payload.content_block.name, input: '' };
+        calls.push(blocks[payload.index]);
+      } else if (event === 'content_block_delta' && payload.delta.type === 'text_delta') {
+        content += payload.delta.text;
+        onToken(payload.delta.text);
+      } else if (event === 'content_block_delta' && payload.delta.type === 'input_json_delta') {
+        blocks[payload.index].input += payload.delta.partial_json;
+      } else if (event === 'message_delta') {
+        Object.assign(usage, payload.usage);
+      } else if (event === 'error') {
+        throw new Error(payload.error.message);
+      }
+    }
+
+    return {
+      content,
+      toolCalls: calls.map(call => ({ id: call.id, name: call.name, arguments: parseInput(call.input) })),
+      model: responseModel,
+      usage
+    };
+  }
+
+  buildToolRequest(messages, tools, options = {}) {
+    return {
+      ...this.buildRequest(messages, options),
+      tools: tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters
+      }))
+    };
+  }
+
+  buildRequest(messages, options = {}) {
+    const { system, turns } = this.toMessages(messages);
+
+    const body = {
+      model: options.model || this.chatModel,
+      max_tokens: options.maxTokens || 1000,
+      temperature: options.temperature ?? 0.7,
+      messages: turns
+    };
+    if (system) {
+      body.system = system;
+    }
+
+    return body;
+  }
+
+  headers() {
+    return {
+      'x-api-key': this.apiKey,
+      'anthropic-version': API_VERSION,
+      'content-type': 'application/json'
+    };
+  }
+
+  // The Messages API takes the system prompt separately and requires turns to
+  // alternate user/assistant, starting with a user turn. Tool results are
+  // sent back as user turns.
+  toMessages(messages) {
+    const system = messages
+      .filter(msg => msg.role === 'system')
+      .map(msg => msg.content)
+      .join('\n\n');
+
+    const turns = [];
+    messages
+      .filter(msg => msg.role !== 'system')
+      .forEach(msg => {
+        const role = msg.role === 'assistant' ? 'assistant' : 'user';
+        const content = this.toContent(msg);
+        const previous = turns[turns.length - 1];
+
+        if (previous && previous.role === role) {
+          previous.content = typeof previous.content === 'string' && typeof content === 'string'
+            ? `${previous.content}\n\n${content}`
+            : [...this.toBlocks(previous.content), ...this.toBlocks(content)];
+        } else if (turns.length === 0 && role === 'assistant') {
+          // Drop assistant greetings that precede the first user turn
+          return;
+        } else {
+          turns.push({ role, content });
+        }
+      });
+
+    return { system, turns };
+  }
+
+  // Plain text stays a string; images, tool calls and results become content blocks
+  toContent(msg) {
+    if (msg.role === 'tool') {
+      return [{ type: 'tool_result', tool_use_id: msg.toolCallId, content: msg.content }];
+    }
+    if (msg.images && msg.images.length > 0) {
+      return [
+        ...msg.images.map(image => ({
+          type: 'image',
+          source: { type: 'base64', media_type: image.mimeType, data: image.data }
+        })),
+        { type: 'text', text: msg.content }
+      ];
+    }
+    if (!msg.toolCalls || msg.toolCalls.length === 0) {
+      return msg.content;
+    }
+
+    return [
+      ...(msg.content ? [{ type: 'text', text: msg.content }] : []),
+      ...msg.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments }))
+    ];
+  }
+
+  // Every Claude 3 and later model reads images
+  isVisionModel(model) {
+    return Boolean(model) && !/^claude-(2|instant)/.test(model);
+  }
+
+  toBlocks(content) {
+    return typeof content === 'string' ? [{ type: 'text', text: content }] : content;
+  }
+}
+
+module.exports = AnthropicProvider;
\ No newline at end of file
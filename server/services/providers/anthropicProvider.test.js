@@ -0,0 +1,190 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const AnthropicProvider = require('./anthropicProvider');
+
+// A local stand-in for the Messages API. Each test sets `reply` to answer the
+// next request; the parsed request bodies and headers are kept in `requests`.
+let server;
+let provider;
+let reply;
+const requests = [];
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      reply(res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  provider = new AnthropicProvider({
+    apiKey: 'test-key',
+    chatModel: 'claude-test',
+    baseURL: `http://127.0.0.1:${server.address().port}`
+  });
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => {
+  requests.length = 0;
+});
+
+const json = data => res => {
+  res.writeHead(200, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(data));
+};
+
+// Writes each event as its own chunk, the way the API streams them
+const events = list => res => {
+  res.writeHead(200, { 'content-type': 'text/event-stream' });
+  list.forEach(([event, data]) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+  res.end();
+};
+
+test('sends the system prompt separately with the API key and version', async () => {
+  reply = json({ model: 'claude-test', content: [{ type: 'text', text: 'Hi' }], usage: { input_tokens: 5, output_tokens: 1 } });
+
+  const result = await provider.chat([
+    { role: 'system', content: 'You are RAI.' },
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'Hello' }
+  ], { maxTokens: 50, temperature: 0 });
+
+  const [request] = requests;
+  assert.strictEqual(request.url, '/v1/messages');
+  assert.strictEqual(request.headers['x-api-key'], 'test-key');
+  assert.strictEqual(request.headers['anthropic-version'], '2023-06-01');
+  assert.deepStrictEqual(request.body, {
+    model: 'claude-test',
+    max_tokens: 50,
+    temperature: 0,
+    system: 'You are RAI.\n\nBe brief.',
+    messages: [{ role: 'user', content: 'Hello' }]
+  });
+  assert.deepStrictEqual(result, { content: 'Hi', model: 'claude-test', usage: { input_tokens: 5, output_tokens: 1 } });
+});
+
+test('merges consecutive turns of one role and drops a leading assistant turn', async () => {
+  reply = json({ content: [{ type: 'text', text: 'OK' }] });
+
+  await provider.chat([
+    { role: 'assistant', content: 'Welcome!' },
+    { role: 'user', content: 'First' },
+    { role: 'user', content: 'Second' },
+    { role: 'assistant', content: 'Answer' },
+    { role: 'user', content: 'Look', images: [{ mimeType: 'image/png', data: 'aGk=' }] },
+    { role: 'user', content: 'Also this' }
+  ]);
+
+  assert.strictEqual(requests[0].body.system, undefined);
+  assert.deepStrictEqual(requests[0].body.messages, [
+    { role: 'user', content: 'First\n\nSecond' },
+    { role: 'assistant', content: 'Answer' },
+    {
+      role: 'user',
+      content: [
+        { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'aGk=' } },
+        { type: 'text', text: 'Look' },
+        { type: 'text', text: 'Also this' }
+      ]
+    }
+  ]);
+});
+
+test('maps tools, tool calls and tool results to Messages API blocks', async () => {
+  reply = json({
+    model: 'claude-test',
+    content: [
+      { type: 'text', text: 'Checking.' },
+      { type: 'tool_use', id: 'toolu_2', name: 'calculator', input: { expression: '2+2' } }
+    ]
+  });
+
+  const result = await provider.chatWithTools([
+    { role: 'user', content: 'What is 2+2 and the weather?' },
+    { role: 'assistant', content: '', toolCalls: [{ id: 'toolu_1', name: 'weather', arguments: { city: 'Oslo' } }] },
+    { role: 'tool', toolCallId: 'toolu_1', content: 'Rain' }
+  ], [
+    { name: 'calculator', description: 'Evaluates math', parameters: { type: 'object', properties: { expression: { type: 'string' } } } }
+  ]);
+
+  const { body } = requests[0];
+  assert.deepStrictEqual(body.tools, [
+    { name: 'calculator', description: 'Evaluates math', input_schema: { type: 'object', properties: { expression: { type: 'string' } } } }
+  ]);
+  assert.deepStrictEqual(body.messages.slice(1), [
+    { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'weather', input: { city: 'Oslo' } }] },
+    { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: 'Rain' }] }
+  ]);
+  assert.strictEqual(result.content, 'Checking.');
+  assert.deepStrictEqual(result.toolCalls, [{ id: 'toolu_2', name: 'calculator', arguments: { expression: '2+2' } }]);
+});
+
+test('chatStream passes text deltas on as tokens and collects usage', async () => {
+  reply = events([
+    ['message_start', { type: 'message_start', message: { model: 'claude-streamed', usage: { input_tokens: 7 } } }],
+    ['content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }],
+    ['ping', { type: 'ping' }],
+    ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hel' } }],
+    ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'lo' } }],
+    ['content_block_stop', { type: 'content_block_stop', index: 0 }],
+    ['message_delta', { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 2 } }],
+    ['message_stop', { type: 'message_stop' }]
+  ]);
+
+  const tokens = [];
+  const result = await provider.chatStream([{ role: 'user', content: 'Hi' }], {}, token => tokens.push(token));
+
+  assert.strictEqual(requests[0].body.stream, true);
+  assert.deepStrictEqual(tokens, ['Hel', 'lo']);
+  assert.deepStrictEqual(result, { content: 'Hello', model: 'claude-streamed', usage: { input_tokens: 7, output_tokens: 2 } });
+});
+
+test('chatStream rejects on an error event', async () => {
+  reply = events([
+    ['message_start', { type: 'message_start', message: { model: 'claude-test', usage: {} } }],
+    ['error', { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }]
+  ]);
+
+  await assert.rejects(provider.chatStream([{ role: 'user', content: 'Hi' }], {}, () => {}), /Overloaded/);
+});
+
+test('chatStreamWithTools streams text and collects tool_use input', async () => {
+  reply = events([
+    ['message_start', { type: 'message_start', message: { model: 'claude-test', usage: { input_tokens: 9 } } }],
+    ['content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }],
+    ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Let me check.' } }],
+    ['content_block_stop', { type: 'content_block_stop', index: 0 }],
+    ['content_block_start', { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'calculator', input: {} } }],
+    ['content_block_delta', { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"expression": ' } }],
+    ['content_block_delta', { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"2+2"}' } }],
+    ['content_block_stop', { type: 'content_block_stop', index: 1 }],
+    ['content_block_start', { type: 'content_block_start', index: 2, content_block: { type: 'tool_use', id: 'toolu_2', name: 'current_time', input: {} } }],
+    ['content_block_stop', { type: 'content_block_stop', index: 2 }],
+    ['message_delta', { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 20 } }],
+    ['message_stop', { type: 'message_stop' }]
+  ]);
+
+  const tokens = [];
+  const result = await provider.chatStreamWithTools([{ role: 'user', content: 'What is 2+2?' }], [
+    { name: 'calculator', description: 'Evaluates math', parameters: { type: 'object', properties: {} } }
+  ], {}, token => tokens.push(token));
+
+  assert.strictEqual(requests[0].body.stream, true);
+  assert.strictEqual(requests[0].body.tools[0].name, 'calculator');
+  assert.deepStrictEqual(tokens, ['Let me check.']);
+  assert.deepStrictEqual(result, {
+    content: 'Let me check.',
+    toolCalls: [
+      { id: 'toolu_1', name: 'calculator', arguments: { expression: '2+2' } },
+      { id: 'toolu_2', name: 'current_time', arguments: {} }
+    ],
+    model: 'claude-test',
+    usage: { input_tokens: 9, output_tokens: 20 }
+  });
+});
\ No newline at end of file
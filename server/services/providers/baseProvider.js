@@ -0,0 +1,120 @@
+// Common interface for AI backends. Providers override the capability
+// methods they support and list them in `capabilities`.
+class BaseProvider {
+  constructor(name, capabilities = []) {
+    this.name = name;
+    this.capabilities = capabilities;
+    // Audio containers transcribe() accepts as-is; anything else is
+    // converted to 16 kHz mono WAV first
+    this.audioFormats = [];
+    // Longest text synthesize() accepts in one call; longer text is chunked
+    this.maxSpeechChars = 4000;
+    // Vision providers: model used for images when the chat model is
+    // text-only, and the longest side images are downscaled to
+    this.visionModel = null;
+    this.maxImageDimension = 2048;
+  }
+
+  supports(capability) {
+    return this.capabilities.includes(capability);
+  }
+
+  // Providers without credentials are skipped by the registry
+  isConfigured() {
+    return true;
+  }
+
+  // messages: [{ role: 'system' | 'user' | 'assistant', content }]
+  // Resolves to { content, model, usage }
+  async chat(messages, options = {}) {
+    throw new Error(`${this.name} does not support chat`);
+  }
+
+  // Streaming variant of chat. onToken is called with each text delta and the
+  // full result is resolved at the end. Falls back to a single delta.
+  async chatStream(messages, options = {}, onToken) {
+    const result = await this.chat(messages, options);
+    if (result.content) {
+      onToken(result.content);
+    }
+    return result;
+  }
+
+  // Chat with function calling. tools: [{ name, description, parameters }].
+  // Besides the roles above, messages may contain assistant turns with
+  // toolCalls: [{ id, name, arguments }] and { role: 'tool', toolCallId, name, content }
+  // results. Resolves to { content, toolCalls, model, usage }.
+  async chatWithTools(messages, tools, options = {}) {
+    throw new Error(`${this.name} does not support tool calling`);
+  }
+
+  // Streaming variant of chatWithTools. onToken is called with each text
+  // delta while tool calls are collected and resolved with the result.
+  // Falls back to a single delta.
+  async chatStreamWithTools(messages, tools, options = {}, onToken) {
+    const result = await this.chatWithTools(messages, tools, options);
+    if (result.content) {
+      onToken(result.content);
+    }
+    return result;
+  }
+
+  // Whether a chat model accepts images (messages with images: [{ mimeType, data }])
+  isVisionModel(model) {
+    return false;
+  }
+
+  // Chat model for a message with images: a selected model only if it can
+  // read them, otherwise the chat model or visionModel. Null means text-only.
+  resolveVisionModel(model) {
+    if (model) {
+      return this.isVisionModel(model) ? model : null;
+    }
+    return this.chatModel && this.isVisionModel(this.chatModel) ? this.chatModel : this.visionModel;
+  }
+
+  // Model ids this provider can serve
+  async listModels() {
+    return this.chatModel ? [this.chatModel] : [];
+  }
+
+  // Resolves to { images: [{ url, revisedPrompt }], model }
+  async generateImage(prompt, options = {}) {
+    throw new Error(`${this.name} does not support image generation`);
+  }
+
+  // image: PNG Buffer. Resolves like generateImage
+  async createImageVariation(image, options = {}) {
+    throw new Error(`${this.name} does not support image variations`);
+  }
+
+  // image and options.mask: PNG Buffers of the same size, the mask's
+  // transparent pixels marking the area to redraw. Resolves like generateImage
+  async editImage(prompt, image, options = {}) {
+    throw new Error(`${this.name} does not support image edits`);
+  }
+
+  // Model an image mode ('generate', 'variation' or 'edit') runs on, and the
+  // options it accepts: { model, modes, sizes, qualities, styles, maxImages }.
+  // null leaves validation to the provider's API.
+  imageSpec(mode, model) {
+    return null;
+  }
+
+  // Resolves to { embeddings: [[Number]], model }
+  async embed(input, options = {}) {
+    throw new Error(`${this.name} does not support embeddings`);
+  }
+
+  // audio: { buffer, format }. Resolves to { text, language, duration, model }
+  async transcribe(audio, options = {}) {
+    throw new Error(`${this.name} does not support transcription`);
+  }
+
+  // Resolves to { audio: Buffer, format: 'mp3' | 'wav', model }
+  async synthesize(text, options = {}) {
+    throw new Error(`${this.name} does not support speech synthesis`);
+  }
+}
+
+module.exports = BaseProvider;
\ No newline at end of file
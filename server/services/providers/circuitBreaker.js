@@ -0,0 +1,64 @@
+const RECENT_WINDOW = 50;
+
+// Tracks a provider's failures. After `threshold` consecutive failures the
+// breaker opens and the provider is skipped until `cooldown` ms have passed,
+// then a single trial request is let through (half-open).
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.threshold = options.threshold || 5;
+    this.cooldown = options.cooldown || 30000;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.recent = [];
+  }
+
+  canRequest(now = Date.now()) {
+    if (this.state === 'open' && now - this.openedAt >= this.cooldown) {
+      this.state = 'half_open';
+      return true;
+    }
+    return this.state !== 'open';
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.track(true);
+  }
+
+  recordFailure(error, now = Date.now()) {
+    this.consecutiveFailures += 1;
+    this.lastError = { message: error.message, at: new Date(now).toISOString() };
+    this.track(false);
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.threshold) {
+      this.state = 'open';
+      this.openedAt = now;
+    }
+  }
+
+  track(ok) {
+    this.recent.push(ok);
+    if (this.recent.length > RECENT_WINDOW) {
+      this.recent.shift();
+    }
+  }
+
+  stats() {
+    const failures = this.recent.filter(ok => !ok).length;
+
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldown).toISOString() : null,
+      recentRequests: this.recent.length,
+      recentErrorRate: this.recent.length > 0 ? failures / this.recent.length : 0,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
\ No newline at end of file
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CircuitBreaker = require('./circuitBreaker');
+
+const failure = new Error('upstream down');
+
+test('opens after the threshold of consecutive failures', () => {
+  const breaker = new CircuitBreaker({ threshold: 3, cooldown: 1000 });
+
+  breaker.recordFailure(failure, 0);
+  breaker.recordFailure(failure, 0);
+  assert.strictEqual(breaker.state, 'closed');
+  assert.strictEqual(breaker.canRequest(0), true);
+
+  breaker.recordFailure(failure, 0);
+  assert.strictEqual(breaker.state, 'open');
+  assert.strictEqual(breaker.canRequest(999), false);
+});
+
+test('a success in between resets the failure count', () => {
+  const breaker = new CircuitBreaker({ threshold: 2 });
+
+  breaker.recordFailure(failure);
+  breaker.recordSuccess();
+  breaker.recordFailure(failure);
+
+  assert.strictEqual(breaker.state, 'closed');
+  assert.strictEqual(breaker.consecutiveFailures, 1);
+});
+
+test('lets one trial request through after the cooldown', () => {
+  const breaker = new CircuitBreaker({ threshold: 1, cooldown: 1000 });
+  breaker.recordFailure(failure, 0);
+
+  assert.strictEqual(breaker.canRequest(1000), true);
+  assert.strictEqual(breaker.state, 'half_open');
+
+  breaker.recordSuccess();
+  assert.strictEqual(breaker.state, 'closed');
+  assert.strictEqual(breaker.canRequest(1000), true);
+});
+
+test('a failed trial request opens the breaker again', () => {
+  const breaker = new CircuitBreaker({ threshold: 5, cooldown: 1000 });
+  for (let index = 0; index < 5; index++) {
+    breaker.recordFailure(failure, 0);
+  }
+  breaker.canRequest(1000);
+
+  breaker.recordFailure(failure, 1000);
+  assert.strictEqual(breaker.state, 'open');
+  assert.strictEqual(breaker.canRequest(1500), false);
+  assert.strictEqual(breaker.canRequest(2000), true);
+});
+
+test('stats report the state, retry time and recent error rate', () => {
+  const breaker = new CircuitBreaker({ threshold: 2, cooldown: 1000 });
+  breaker.recordSuccess();
+  breaker.recordSuccess();
+  breaker.recordFailure(failure, 0);
+  breaker.recordFailure(failure, 0);
+
+  assert.deepStrictEqual(breaker.stats(), {
+    state: 'open',
+    consecutiveFailures: 2,
+    retryAt: new Date(1000).toISOString(),
+    recentRequests: 4,
+    recentErrorRate: 0.5,
+    lastError: { message: 'upstream down', at: new Date(0).toISOString() }
+  });
+});
+
+test('keeps only the most recent 50 requests for the error rate', () => {
+  const breaker = new CircuitBreaker({ threshold: 100 });
+  for (let index = 0; index < 50; index++) {
+    breaker.recordFailure(failure);
+  }
+  for (let index = 0; index < 25; index++) {
+    breaker.recordSuccess();
+  }
+
+  const stats = breaker.stats();
+  assert.strictEqual(stats.recentRequests, 50);
+  assert.strictEqual(stats.recentErrorRate, 0.5);
+});
\ No newline at end of file
@@ -0,0 +1,225 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+const { parseEventStream } = require('../../utils/sse');
+
+const API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
+
+class GeminiProvider extends BaseProvider {
+  constructor(options = {}) {
+    super('gemini', ['chat', 'vision', 'embeddings', 'tools']);
+    this.maxImageDimension = 3072;
+
+    this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+    this.chatModel = options.chatModel || process.env.GEMINI_MODEL || 'gemini-pro';
+    this.visionModel = options.visionModel || process.env.GEMINI_VISION_MODEL || 'gemini-1.5-flash';
+    this.embeddingModel = options.embeddingModel || process.env.GEMINI_EMBEDDING_MODEL || 'embedding-001';
+    this.baseURL = options.baseURL || API_BASE;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  async chat(messages, options = {}) {
+    const model = options.model || this.chatModel;
+    const url = `${this.baseURL}/models/${model}:generateContent?key=${this.apiKey}`;
+
+    const response = await axios.post(url, this.buildRequest(messages, options), {
+      signal: options.signal
+    });
+
+    return {
+      content: response.data.candidates[0].content.parts[0].text,
+      model,
+      usage: response.data.usageMetadata
+    };
+  }
+
+  async chatStream(messages, options = {}, onToken) {
+    const model = options.model || this.chatModel;
+    const url = `${this.baseURL}/models/${model}:streamGenerateContent?alt=sse&key=${this.apiKey}`;
+
+    const response = await axios.post(url, this.buildRequest(messages, options), {
+      responseType: 'stream',
+      signal: options.signal
+    });
+
+    let content = '';
+    let usage;
+    for await (const { data } of parseEventStream(response.data)) {
+      const payload = JSON.parse(data);
+      const candidate = payload.candidates && payload.candidates[0];
+      const text = candidate && candidate.content
+        ? candidate.content.parts.map(part => part.text || '').join('')
+        : '';
+
+      usage = payload.usageMetadata || usage;
+      if (text) {
+        content += text;
+        onToken(text);
+      }
+    }
+
+    return {
+      content,
+      model,
+      usage
+    };
+  }
+
+  // Function calling needs Gemini's native multi-turn contents instead of the
+  // flattened transcript
+  async chatWithTools(messages, tools, options = {}) {
+    const model = options.model || this.chatModel;
+    const url = `${this.baseURL}/models/${model}:generateContent?key=${this.apiKey}`;
+
+    const response = await axios.post(url, {
+      contents: this.toContents(messages),
+      tools: [{
+        functionDeclarations: tools.map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }))
+      }],
+      generationConfig: {
+        maxOutputTokens: options.maxTokens || 1000,
+        temperature: options.temperature ?? 0.7
+      }
+    }, { signal: options.signal });
+
+    const parts = response.data.candidates[0].content.parts || [];
+
+    return {
+      content: parts.map(part => part.text || '').join(''),
+      // Gemini doesn't assign call ids, results are matched by name
+      toolCalls: parts
+        .filter(part => part.functionCall)
+        .map((part, index) => ({
+          id: `${part.functionCall.name}_${index}`,
+          name: part.functionCall.name,
+          arguments: part.functionCall.args || {}
+        })),
+      model,
+      usage: response.data.usageMetadata
+    };
+  }
+
+  toContents(messages) {
+    const system = messages
+      .filter(msg => msg.role === 'system')
+      .map(msg => msg.content)
+      .join('\n\n');
+
+    const contents = [];
+    messages
+      .filter(msg => msg.role !== 'system')
+      .forEach(msg => {
+        const role = msg.role === 'assistant' ? 'model' : 'user';
+        const parts = this.toParts(msg);
+        const previous = contents[contents.length - 1];
+
+        if (previous && previous.role === role) {
+          previous.parts.push(...parts);
+        } else {
+          contents.push({ role, parts });
+        }
+      });
+
+    // System instructions ride along with the first user turn
+    const firstUser = contents.find(content => content.role === 'user');
+    if (system && firstUser) {
+      firstUser.parts.unshift({ text: system });
+    }
+
+    return contents;
+  }
+
+  toParts(msg) {
+    if (msg.role === 'tool') {
+      let response;
+      try {
+        response = JSON.parse(msg.content);
+      } catch (error) {
+        response = msg.content;
+      }
+      return [{ functionResponse: { name: msg.name, response: { name: msg.name, content: response } } }];
+    }
+
+    return [
+      ...(msg.content ? [{ text: msg.content }] : []),
+      ...(msg.toolCalls || []).map(call => ({ functionCall: { name: call.name, args: call.arguments } }))
+    ];
+  }
+
+  // Images of the current message follow the transcript as inline data
+  buildRequest(messages, options = {}) {
+    const current = messages[messages.length - 1];
+    const images = (current && current.images) || [];
+
+    return {
+      contents: [{
+        parts: [
+          { text: this.buildPrompt(messages) },
+          ...images.map(image => ({ inlineData: { mimeType: image.mimeType, data: image.data } }))
+        ]
+      }],
+      generationConfig: {
+        maxOutputTokens: options.maxTokens || 1000,
+        temperature: options.temperature ?? 0.7
+      }
+    };
+  }
+
+  // Gemini gets the conversation flattened into a single transcript prompt
+  buildPrompt(messages) {
+    let prompt = '';
+
+    messages
+      .filter(msg => msg.role === 'system')
+      .forEach(msg => {
+        prompt += `${msg.content}\n\n`;
+      });
+
+    const turns = messages.filter(msg => msg.role !== 'system');
+    const history = turns.slice(0, -1);
+    const current = turns[turns.length - 1];
+
+    if (history.length > 0) {
+      prompt += `Previous conversation:\n`;
+      history.forEach(msg => {
+        prompt += `${msg.role === 'user' ? 'User' : 'RAI'}: ${msg.content}\n`;
+      });
+      prompt += '\n';
+    }
+
+    prompt += `User: ${current ? current.content : ''}\nRAI:`;
+
+    return prompt;
+  }
+
+  // gemini-pro (1.0) is text-only; gemini-pro-vision, 1.5 and later read images
+  isVisionModel(model) {
+    return /^gemini-(pro-vision|1\.5|[2-9]|exp)/.test(model || '');
+  }
+
+  async embed(input, options = {}) {
+    const model = options.model || this.embeddingModel;
+    const url = `${this.baseURL}/models/${model}:batchEmbedContents?key=${this.apiKey}`;
+    const texts = Array.isArray(input) ? input : [input];
+
+    const response = await axios.post(url, {
+      requests: texts.map(text => ({
+        model: `models/${model}`,
+        content: { parts: [{ text }] }
+      }))
+    }, { signal: options.signal });
+
+    return {
+      embeddings: response.data.embeddings.map(item => item.values),
+      model
+    };
+  }
+}
+
+module.exports = GeminiProvider;
\ No newline at end of file
@@ -0,0 +1,94 @@
+const ProviderRegistry = require('./providerRegistry');
+const OpenAIProvider = require('./openaiProvider');
+const GeminiProvider = require('./geminiProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const MockProvider = require('./mockProvider');
+const SelfHostedProvider = require('./selfHostedProvider');
+const WhisperCppProvider = require('./whisperCppProvider');
+const LocalSpeechProvider = require('./localSpeechProvider');
+
+const CAPABILITIES = ['chat', 'tools', 'vision', 'image', 'embeddings', 'transcription', 'speech'];
+
+// Read fallback order from AI_<CAPABILITY>_PROVIDERS, e.g.
+// AI_CHAT_PROVIDERS=openai,anthropic,gemini. Tool calling and vision follow
+// the chat order unless AI_TOOLS_PROVIDERS or AI_VISION_PROVIDERS is set.
+function loadPolicy(env = process.env) {
+  const policy = {};
+
+  CAPABILITIES.forEach(capability => {
+    const value = env[`AI_${capability.toUpperCase()}_PROVIDERS`];
+    if (value) {
+      policy[capability] = value.split(',').map(name => name.trim()).filter(Boolean);
+    }
+  });
+
+  if (!policy.tools && policy.chat) {
+    policy.tools = policy.chat;
+  }
+  if (!policy.vision && policy.chat) {
+    policy.vision = policy.chat;
+  }
+
+  return policy;
+}
+
+// Timeouts, retries and circuit breaker settings. Per-provider timeouts are
+// read from AI_PROVIDER_TIMEOUT_<NAME>, e.g. AI_PROVIDER_TIMEOUT_OPENAI=30000
+function loadResilience(env = process.env) {
+  const resilience = { timeouts: {} };
+  const settings = {
+    timeout: 'AI_PROVIDER_TIMEOUT',
+    retries: 'AI_PROVIDER_RETRIES',
+    breakerThreshold: 'AI_BREAKER_THRESHOLD',
+    breakerCooldown: 'AI_BREAKER_COOLDOWN'
+  };
+
+  Object.entries(settings).forEach(([key, name]) => {
+    if (env[name] !== undefined && env[name] !== '') {
+      resilience[key] = parseInt(env[name]);
+    }
+  });
+
+  Object.keys(env)
+    .filter(name => name.startsWith('AI_PROVIDER_TIMEOUT_'))
+    .forEach(name => {
+      resilience.timeouts[name.slice('AI_PROVIDER_TIMEOUT_'.length).toLowerCase()] = parseInt(env[name]);
+    });
+
+  return resilience;
+}
+
+function createProviderRegistry(env = process.env) {
+  // AI_MOCK=true swaps every backend for the offline mock provider
+  if (env.AI_MOCK === 'true') {
+    return new ProviderRegistry({}, loadResilience(env)).register(new MockProvider());
+  }
+
+  return new ProviderRegistry(loadPolicy(env), loadResilience(env))
+    .register(new OpenAIProvider())
+    .register(new GeminiProvider())
+    .register(new AnthropicProvider())
+    .register(new SelfHostedProvider())
+    .register(new WhisperCppProvider())
+    .register(new LocalSpeechProvider());
+}
+
+// Registry shared by every AIService so breaker state is tracked process-wide
+let sharedRegistry = null;
+
+function getProviderRegistry() {
+  if (!sharedRegistry) {
+    sharedRegistry = createProviderRegistry();
+  }
+  return sharedRegistry;
+}
+
+module.exports = {
+  CAPABILITIES,
+  createProviderRegistry,
+  getProviderRegistry,
+  loadPolicy,
+  loadResilience,
+  MockProvider,
+  ProviderRegistry
+};
\ No newline at end of file
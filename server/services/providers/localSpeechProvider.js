@@ -0,0 +1,67 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BaseProvider = require('./baseProvider');
+
+// Offline text-to-speech through espeak-ng or piper, selected with
+// LOCAL_TTS_ENGINE=espeak|piper. piper also needs PIPER_MODEL (an .onnx voice).
+class LocalSpeechProvider extends BaseProvider {
+  constructor(options = {}) {
+    super('localtts', ['speech']);
+
+    this.engine = options.engine || process.env.LOCAL_TTS_ENGINE;
+    this.espeakPath = options.espeakPath || process.env.ESPEAK_PATH || 'espeak-ng';
+    this.piperPath = options.piperPath || process.env.PIPER_PATH || 'piper';
+    this.piperModel = options.piperModel || process.env.PIPER_MODEL;
+    this.maxSpeechChars = 2000;
+  }
+
+  isConfigured() {
+    if (this.engine === 'piper') return Boolean(this.piperModel);
+    return this.engine === 'espeak';
+  }
+
+  async listModels() {
+    return this.engine === 'piper' && this.piperModel ? [path.basename(this.piperModel)] : [this.engine].filter(Boolean);
+  }
+
+  async synthesize(text, options = {}) {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'rai-tts-'));
+    const outputPath = path.join(directory, 'speech.wav');
+
+    try {
+      if (this.engine === 'piper') {
+        await this.run(this.piperPath, ['--model', this.piperModel, '--output_file', outputPath], text, options.signal);
+      } else {
+        // espeak voices are named by language code, e.g. "en" or "fr"
+        const voice = options.language || 'en';
+        await this.run(this.espeakPath, ['-v', voice, '-w', outputPath, '--stdin'], text, options.signal);
+      }
+
+      return {
+        audio: await fs.promises.readFile(outputPath),
+        format: 'wav',
+        model: this.engine === 'piper' ? path.basename(this.piperModel) : 'espeak'
+      };
+    } finally {
+      await fs.promises.rm(directory, { recursive: true, force: true });
+    }
+  }
+
+  run(binary, args, input, signal) {
+    return new Promise((resolve, reject) => {
+      const child = execFile(binary, args, { signal, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error) {
+          error.message = `${this.engine} failed: ${(stderr || error.message).toString().trim().split('\n').pop()}`;
+          return reject(error);
+        }
+        resolve(stdout);
+      });
+      child.stdin.on('error', () => {});
+      child.stdin.end(input);
+    });
+  }
+}
+
+module.exports = LocalSpeechProvider;
\ No newline at end of file
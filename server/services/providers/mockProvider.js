@@ -0,0 +1,280 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const BaseProvider = require('./baseProvider');
+
+const EMBEDDING_DIMENSIONS = 64;
+
+// Offline provider with deterministic, scriptable output for local development
+// and tests. A script looks like:
+//
+// {
+//   "latency": 0,
+//   "chat": [{ "match": "^hello", "reply": "Hi there!" }],
+//   "image": [{ "match": "cat", "url": "/uploads/cat.png" }],
+//   "tools": [{ "match": "time", "tool": "current_time", "arguments": {} }],
+//   "transcription": "Set a timer for five minutes",
+//   "errors": [{ "capability": "chat", "match": "fail", "message": "Injected failure" }]
+// }
+class MockProvider extends BaseProvider {
+  constructor(options = {}) {
+    super('mock', ['chat', 'vision', 'image', 'embeddings', 'tools', 'transcription', 'speech']);
+    this.audioFormats = ['flac', 'm4a', 'mp3', 'ogg', 'wav', 'webm'];
+    this.visionModel = 'mock-chat';
+
+    const scriptPath = options.scriptPath || process.env.AI_MOCK_SCRIPT;
+    this.script = options.script || (scriptPath ? JSON.parse(fs.readFileSync(scriptPath, 'utf8')) : {});
+    this.latency = options.latency ?? this.script.latency ?? (parseInt(process.env.AI_MOCK_LATENCY) || 0);
+  }
+
+  async chat(messages, options = {}) {
+    const prompt = this.lastUserMessage(messages);
+    await this.simulate('chat', prompt);
+
+    return {
+      content: this.describeImages(messages) + this.reply(prompt, options),
+      model: 'mock-chat',
+      usage: {
+        prompt_tokens: this.countWords(messages.map(msg => msg.content).join(' ')),
+        completion_tokens: 0
+      }
+    };
+  }
+
+  async chatStream(messages, options = {}, onToken) {
+    const prompt = this.lastUserMessage(messages);
+    await this.simulate('chat', prompt);
+
+    const content = this.describeImages(messages) + this.reply(prompt, options);
+    await this.streamTokens(content, onToken);
+
+    return {
+      content,
+      model: 'mock-chat'
+    };
+  }
+
+  // Calls a scripted tool on the first round, then answers with the results
+  async chatWithTools(messages, tools, options = {}) {
+    const prompt = this.lastUserMessage(messages);
+    await this.simulate('chat', prompt);
+
+    const lastUser = messages.map(msg => msg.role).lastIndexOf('user');
+    const results = messages.slice(lastUser + 1).filter(msg => msg.role === 'tool');
+
+    if (results.length > 0) {
+      return {
+        content: `Mock reply using ${results.map(result => `${result.name}: ${result.content}`).join('; ')}`,
+        toolCalls: [],
+        model: 'mock-chat'
+      };
+    }
+
+    const scripted = this.findScripted('tools', prompt);
+    if (scripted && tools.some(tool => tool.name === scripted.tool)) {
+      return {
+        content: '',
+        toolCalls: [{ id: 'mock_call_0', name: scripted.tool, arguments: scripted.arguments || {} }],
+        model: 'mock-chat'
+      };
+    }
+
+    return {
+      content: this.reply(prompt, options),
+      toolCalls: [],
+      model: 'mock-chat'
+    };
+  }
+
+  async chatStreamWithTools(messages, tools, options = {}, onToken) {
+    const result = await this.chatWithTools(messages, tools, options);
+    await this.streamTokens(result.content, onToken);
+    return result;
+  }
+
+  // Word by word, spread over the configured latency
+  async streamTokens(content, onToken) {
+    const tokens = content.match(/\S+\s*|\s+/g) || [];
+    for (const token of tokens) {
+      onToken(token);
+      await this.delay(this.latency / Math.max(tokens.length, 1));
+    }
+  }
+
+  async generateImage(prompt, options = {}) {
+    await this.simulate('image', prompt);
+
+    const scripted = this.findScripted('image', prompt);
+    const count = options.n || 1;
+    const images = [];
+
+    for (let i = 0; i < count; i++) {
+      images.push({
+        url: scripted ? scripted.url : this.placeholderImage(prompt, i),
+        revisedPrompt: scripted && scripted.revisedPrompt ? scripted.revisedPrompt : `Mock rendering of: ${prompt}`
+      });
+    }
+
+    return {
+      images,
+      model: 'mock-image'
+    };
+  }
+
+  async createImageVariation(image, options = {}) {
+    const seed = crypto.createHash('md5').update(image).digest('hex');
+    return this.generateImage(`variation of ${seed}`, options);
+  }
+
+  async editImage(prompt, image, options = {}) {
+    return this.generateImage(`edit: ${prompt}`, options);
+  }
+
+  imageSpec(mode, model) {
+    return {
+      model: 'mock-image',
+      modes: ['generate', 'variation', 'edit'],
+      sizes: ['256x256', '512x512', '1024x1024', '1792x1024', '1024x1792'],
+      qualities: ['standard', 'hd'],
+      styles: ['vivid', 'natural'],
+      maxImages: 4
+    };
+  }
+
+  async embed(input, options = {}) {
+    const texts = Array.isArray(input) ? input : [input];
+    await this.simulate('embeddings', texts.join(' '));
+
+    return {
+      embeddings: texts.map(text => this.hashEmbedding(text)),
+      model: 'mock-embedding'
+    };
+  }
+
+  async transcribe(audio, options = {}) {
+    await this.simulate('transcription', '');
+
+    return {
+      text: this.script.transcription || `Mock transcription of ${audio.buffer.length} bytes of ${audio.format} audio`,
+      language: options.language || 'en',
+      model: 'mock-transcription'
+    };
+  }
+
+  // Silent 8 kHz WAV lasting roughly as long as the text would take to read
+  async synthesize(text, options = {}) {
+    await this.simulate('speech', text);
+
+    const rate = 8000;
+    const samples = Math.max(1, Math.round(this.countWords(text) * 0.3 * rate));
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + samples * 2, 4);
+    header.write('WAVEfmt ', 8);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(rate, 24);
+    header.writeUInt32LE(rate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(samples * 2, 40);
+
+    return {
+      audio: Buffer.concat([header, Buffer.alloc(samples * 2)]),
+      format: 'wav',
+      model: 'mock-speech'
+    };
+  }
+
+  isVisionModel(model) {
+    return true;
+  }
+
+  // Prefix acknowledging the images attached to the current message
+  describeImages(messages) {
+    const images = messages[messages.length - 1].images || [];
+    if (images.length === 0) return '';
+
+    const sizes = images.map(image => `${image.mimeType}, ${Buffer.from(image.data, 'base64').length} bytes`);
+    return `(I see ${images.length} image${images.length === 1 ? '' : 's'}: ${sizes.join('; ')}) `;
+  }
+
+  reply(prompt, options = {}) {
+    const scripted = this.findScripted('chat', prompt);
+    if (scripted) {
+      const groups = prompt.match(new RegExp(scripted.match, 'i')) || [];
+      return scripted.reply.replace(/\$(\d)/g, (_, index) => groups[index] || '');
+    }
+
+    if (options.task === 'code') {
+      return [
+        '```javascript',
+        `// Mock code for: ${prompt.slice(0, 80)}`,
+        'function mockSolution() {',
+        '  return 42;',
+        '}',
+        '```'
+      ].join('\n');
+    }
+
+    return `Mock reply to: ${prompt}`;
+  }
+
+  findScripted(capability, prompt) {
+    return (this.script[capability] || []).find(entry =>
+      new RegExp(entry.match, 'i').test(prompt)
+    );
+  }
+
+  // Wait for the configured latency and throw any scripted error
+  async simulate(capability, prompt) {
+    await this.delay(this.latency);
+
+    const injected = (this.script.errors || []).find(entry =>
+      (!entry.capability || entry.capability === capability) &&
+      new RegExp(entry.match || '.*', 'i').test(prompt)
+    );
+
+    if (injected) {
+      const error = new Error(injected.message || `Mock ${capability} error`);
+      error.status = injected.status;
+      throw error;
+    }
+  }
+
+  lastUserMessage(messages) {
+    const users = messages.filter(msg => msg.role === 'user');
+    return users.length > 0 ? users[users.length - 1].content : '';
+  }
+
+  countWords(text) {
+    return text.split(/\s+/).filter(Boolean).length;
+  }
+
+  // Bag-of-words hashed into a fixed size unit vector, so similar texts
+  // produce similar embeddings
+  hashEmbedding(text) {
+    const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+
+    text.toLowerCase().split(/\W+/).filter(Boolean).forEach(word => {
+      const hash = crypto.createHash('md5').update(word).digest();
+      vector[hash[0] % EMBEDDING_DIMENSIONS] += 1;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+  }
+
+  placeholderImage(prompt, index) {
+    const hue = crypto.createHash('md5').update(`${prompt}:${index}`).digest()[0] * 360 / 256;
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256"><rect width="256" height="256" fill="hsl(${Math.round(hue)},60%,60%)"/></svg>`;
+    return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+  }
+
+  delay(ms) {
+    return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+  }
+}
+
+module.exports = MockProvider;
\ No newline at end of file
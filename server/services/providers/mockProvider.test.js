@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MockProvider = require('./mockProvider');
+const { createProviderRegistry } = require('./index');
+
+// AIService loads sharp for image handling; its end-to-end test only runs
+// where sharp is installed
+let sharpAvailable = true;
+try {
+  require('sharp');
+} catch (error) {
+  sharpAvailable = false;
+}
+
+const script = {
+  chat: [{ match: '^my name is (\\w+)', reply: 'Nice to meet you, $1!' }],
+  tools: [{ match: 'time', tool: 'current_time', arguments: { timezone: 'UTC' } }],
+  errors: [{ capability: 'chat', match: 'reject me', message: 'Scripted rejection', status: 400 }]
+};
+
+const user = content => [{ role: 'user', content }];
+
+test('AI_MOCK=true replaces every backend with the mock provider', async () => {
+  const registry = createProviderRegistry({ AI_MOCK: 'true' });
+
+  assert.deepStrictEqual(registry.list().map(provider => provider.name), ['mock']);
+  const result = await registry.run('chat', (provider, signal) => provider.chat(user('Hello'), { signal }));
+  assert.strictEqual(result.content, 'Mock reply to: Hello');
+  assert.strictEqual(result.provider, 'mock');
+  assert.deepStrictEqual(result.attempts, []);
+});
+
+test('scripted replies fill in groups from the match', async () => {
+  const provider = new MockProvider({ script });
+
+  const result = await provider.chat(user('My name is Ada'));
+  assert.strictEqual(result.content, 'Nice to meet you, Ada!');
+});
+
+test('chatStream sends the reply word by word', async () => {
+  const provider = new MockProvider({ script });
+  const tokens = [];
+
+  const result = await provider.chatStream(user('Stream this please'), {}, token => tokens.push(token));
+  assert.deepStrictEqual(tokens, ['Mock ', 'reply ', 'to: ', 'Stream ', 'this ', 'please']);
+  assert.strictEqual(tokens.join(''), result.content);
+});
+
+test('calls the scripted tool, then answers with its result', async () => {
+  const provider = new MockProvider({ script });
+  const tools = [{ name: 'current_time', description: 'Current time', parameters: {} }];
+
+  const first = await provider.chatWithTools(user('What time is it?'), tools);
+  assert.deepStrictEqual(first.toolCalls, [{ id: 'mock_call_0', name: 'current_time', arguments: { timezone: 'UTC' } }]);
+
+  const second = await provider.chatWithTools([
+    ...user('What time is it?'),
+    { role: 'assistant', content: '', toolCalls: first.toolCalls },
+    { role: 'tool', toolCallId: 'mock_call_0', name: 'current_time', content: '12:00' }
+  ], tools);
+  assert.strictEqual(second.content, 'Mock reply using current_time: 12:00');
+  assert.deepStrictEqual(second.toolCalls, []);
+});
+
+test('embeddings are deterministic unit vectors that rank similar texts closer', async () => {
+  const provider = new MockProvider();
+  const { embeddings } = await provider.embed(['the cat sat', 'the cat sat down', 'stock market news']);
+  const [again] = (await provider.embed('the cat sat')).embeddings;
+  const dot = (a, b) => a.reduce((sum, value, index) => sum + value * b[index], 0);
+
+  assert.deepStrictEqual(again, embeddings[0]);
+  assert.ok(Math.abs(dot(embeddings[0], embeddings[0]) - 1) < 1e-9);
+  assert.ok(dot(embeddings[0], embeddings[1]) > dot(embeddings[0], embeddings[2]));
+});
+
+test('injected errors fail the call with their status', async () => {
+  const registry = createProviderRegistry({ AI_MOCK: 'true' });
+  registry.list()[0].script = script;
+
+  await assert.rejects(
+    registry.run('chat', (provider, signal) => provider.chat(user('please reject me'), { signal })),
+    error => error.message === 'Scripted rejection' && error.status === 400 && error.attempts.length === 1
+  );
+});
+
+test('AIService answers end to end without network access', { skip: !sharpAvailable && 'sharp is not installed' }, async () => {
+  process.env.AI_MOCK = 'true';
+  const AIService = require('../aiService');
+  const aiService = new AIService();
+  const tokens = [];
+
+  const result = await aiService.generateCompletion(user('Hello there'), { onToken: token => tokens.push(token) });
+  assert.strictEqual(result.content, 'Mock reply to: Hello there');
+  assert.strictEqual(tokens.join(''), result.content);
+  assert.strictEqual(result.metadata.provider, 'mock');
+});
\ No newline at end of file
@@ -0,0 +1,326 @@
+const OpenAI = require('openai');
+const { toFile } = require('openai');
+const BaseProvider = require('./baseProvider');
+
+// Image options per model; variations are only offered by dall-e-2
+const IMAGE_MODELS = {
+  'dall-e-2': {
+    modes: ['generate', 'variation', 'edit'],
+    sizes: ['256x256', '512x512', '1024x1024'],
+    qualities: ['standard'],
+    styles: [],
+    maxImages: 10
+  },
+  'dall-e-3': {
+    modes: ['generate'],
+    sizes: ['1024x1024', '1792x1024', '1024x1792'],
+    qualities: ['standard', 'hd'],
+    styles: ['vivid', 'natural'],
+    maxImages: 1
+  },
+  'gpt-image-1': {
+    modes: ['generate', 'edit'],
+    sizes: ['1024x1024', '1536x1024', '1024x1536'],
+    qualities: ['low', 'medium', 'high'],
+    styles: [],
+    maxImages: 10
+  }
+};
+
+// gpt-image-1 only returns base64 data
+function imageResult(response, model) {
+  return {
+    images: response.data.map(image => ({
+      url: image.url || `data:image/png;base64,${image.b64_json}`,
+      revisedPrompt: image.revised_prompt
+    })),
+    model
+  };
+}
+
+function parseArguments(json) {
+  try {
+    return JSON.parse(json || '{}');
+  } catch (error) {
+    return {};
+  }
+}
+
+class OpenAIProvider extends BaseProvider {
+  constructor(options = {}) {
+    super('openai', ['chat', 'vision', 'image', 'embeddings', 'tools', 'transcription', 'speech']);
+    this.audioFormats = ['flac', 'm4a', 'mp3', 'ogg', 'wav', 'webm'];
+
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.chatModel = options.chatModel || process.env.OPENAI_MODEL || 'gpt-4';
+    this.visionModel = options.visionModel || process.env.OPENAI_VISION_MODEL || 'gpt-4o';
+    this.imageModel = options.imageModel || process.env.OPENAI_IMAGE_MODEL || 'dall-e-3';
+    this.imageEditModel = options.imageEditModel || process.env.OPENAI_IMAGE_EDIT_MODEL || 'dall-e-2';
+    this.embeddingModel = options.embeddingModel || process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+    this.transcriptionModel = options.transcriptionModel || process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1';
+    this.speechModel = options.speechModel || process.env.OPENAI_TTS_MODEL || 'tts-1';
+    this.speechVoice = options.speechVoice || process.env.OPENAI_TTS_VOICE || 'alloy';
+
+    this.client = new OpenAI({
+      apiKey: this.apiKey || 'missing',
+      baseURL: options.baseURL,
+      // Retries and timeouts are handled by the provider registry
+      maxRetries: 0
+    });
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  async chat(messages, options = {}) {
+    const model = options.model || this.chatModel;
+    const completion = await this.client.chat.completions.create({
+      model,
+      messages: this.toMessages(messages),
+      max_tokens: options.maxTokens || 1000,
+      temperature: options.temperature ?? 0.7
+    }, { signal: options.signal });
+
+    return {
+      content: completion.choices[0].message.content,
+      model: completion.model || model,
+      usage: completion.usage
+    };
+  }
+
+  async chatStream(messages, options = {}, onToken) {
+    const model = options.model || this.chatModel;
+    const stream = await this.client.chat.completions.create({
+      model,
+      messages: this.toMessages(messages),
+      max_tokens: options.maxTokens || 1000,
+      temperature: options.temperature ?? 0.7,
+      stream: true
+    }, { signal: options.signal });
+
+    let content = '';
+    let responseModel = model;
+    for await (const chunk of stream) {
+      responseModel = chunk.model || responseModel;
+      const delta = chunk.choices[0] && chunk.choices[0].delta.content;
+      if (delta) {
+        content += delta;
+        onToken(delta);
+      }
+    }
+
+    return {
+      content,
+      model: responseModel
+    };
+  }
+
+  async chatWithTools(messages, tools, options = {}) {
+    const model = options.model || this.chatModel;
+    const completion = await this.client.chat.completions.create({
+      model,
+      messages: this.toMessages(messages),
+      tools: tools.map(tool => ({ type: 'function', function: tool })),
+      max_tokens: options.maxTokens || 1000,
+      temperature: options.temperature ?? 0.7
+    }, { signal: options.signal });
+
+    const message = completion.choices[0].message;
+
+    return {
+      content: message.content || '',
+      toolCalls: (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: parseArguments(call.function.arguments)
+      })),
+      model: completion.model || model,
+      usage: completion.usage
+    };
+  }
+
+  // Tool calls arrive as fragments keyed by index: the id and name first,
+  // then the JSON arguments in pieces
+  async chatStreamWithTools(messages, tools, options = {}, onToken) {
+    const model = options.model || this.chatModel;
+    const stream = await this.client.chat.completions.create({
+      model,
+      messages: this.toMessages(messages),
+      tools: tools.map(tool => ({ type: 'function', function: tool })),
+      max_tokens: options.maxTokens || 1000,
+      temperature: options.temperature ?? 0.7,
+      stream: true
+    }, { signal: options.signal });
+
+    let content = '';
+    let responseModel = model;
+    const calls = [];
+    for await (const chunk of stream) {
+      responseModel = chunk.model || responseModel;
+      const delta = chunk.choices[0] && chunk.choices[0].delta;
+      if (!delta) continue;
+
+      if (delta.content) {
+        content += delta.content;
+        onToken(delta.content);
+      }
+      (delta.tool_calls || []).forEach(fragment => {
+        const call = calls[fragment.index] || (calls[fragment.index] = { id: '', name: '', arguments: '' });
+        if (fragment.id) call.id = fragment.id;
+        if (fragment.function && fragment.function.name) call.name += fragment.function.name;
+        if (fragment.function && fragment.function.arguments) call.arguments += fragment.function.arguments;
+      });
+    }
+
+    return {
+      content,
+      toolCalls: calls.filter(Boolean).map(call => ({ ...call, arguments: parseArguments(call.arguments) })),
+      model: responseModel
+    };
+  }
+
+  // Map tool calls and results into the chat completions message format
+  toMessages(messages) {
+    return messages.map(msg => {
+      if (msg.role === 'tool') {
+        return { role: 'tool', tool_call_id: msg.toolCallId, content: msg.content };
+      }
+      if (msg.toolCalls && msg.toolCalls.length > 0) {
+        return {
+          role: 'assistant',
+          content: msg.content || null,
+          tool_calls: msg.toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+          }))
+        };
+      }
+      if (msg.images && msg.images.length > 0) {
+        return {
+          role: msg.role,
+          content: [
+            { type: 'text', text: msg.content },
+            ...msg.images.map(image => ({
+              type: 'image_url',
+              image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+            }))
+          ]
+        };
+      }
+      return { role: msg.role, content: msg.content };
+    });
+  }
+
+  isVisionModel(model) {
+    return /^(gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-4-vision|gpt-5|chatgpt-4o|o1|o3|o4)/.test(model || '');
+  }
+
+  async listModels() {
+    const models = [];
+    for await (const model of this.client.models.list()) {
+      models.push(model.id);
+    }
+    return models;
+  }
+
+  async generateImage(prompt, options = {}) {
+    const model = options.model || this.imageModel;
+    const response = await this.client.images.generate({
+      model,
+      prompt,
+      n: options.n || 1,
+      size: options.size || '1024x1024',
+      quality: options.quality,
+      style: options.style
+    }, { signal: options.signal });
+
+    return imageResult(response, model);
+  }
+
+  async createImageVariation(image, options = {}) {
+    const model = 'dall-e-2';
+    const response = await this.client.images.createVariation({
+      model,
+      image: await toFile(image, 'image.png'),
+      n: options.n || 1,
+      size: options.size || '1024x1024'
+    }, { signal: options.signal });
+
+    return imageResult(response, model);
+  }
+
+  async editImage(prompt, image, options = {}) {
+    const model = options.model || this.imageEditModel;
+    const response = await this.client.images.edit({
+      model,
+      prompt,
+      image: await toFile(image, 'image.png'),
+      mask: options.mask ? await toFile(options.mask, 'mask.png') : undefined,
+      n: options.n || 1,
+      size: options.size || '1024x1024',
+      quality: options.quality
+    }, { signal: options.signal });
+
+    return imageResult(response, model);
+  }
+
+  imageSpec(mode, model) {
+    if (!model) {
+      model = mode === 'variation' ? 'dall-e-2' : mode === 'edit' ? this.imageEditModel : this.imageModel;
+    }
+    return IMAGE_MODELS[model] ? { model, ...IMAGE_MODELS[model] } : null;
+  }
+
+  async embed(input, options = {}) {
+    const model = options.model || this.embeddingModel;
+    // The SDK asks for base64 unless told otherwise, which self-hosted
+    // servers that always answer with floats don't honor
+    const response = await this.client.embeddings.create({
+      model,
+      input,
+      encoding_format: 'float'
+    }, { signal: options.signal });
+
+    return {
+      embeddings: response.data.map(item => item.embedding),
+      model
+    };
+  }
+
+  async transcribe(audio, options = {}) {
+    const model = options.model || this.transcriptionModel;
+    const response = await this.client.audio.transcriptions.create({
+      file: await toFile(audio.buffer, `audio.${audio.format}`),
+      model,
+      language: options.language,
+      response_format: 'verbose_json'
+    }, { signal: options.signal });
+
+    return {
+      text: response.text,
+      language: response.language,
+      duration: response.duration,
+      model
+    };
+  }
+
+  async synthesize(text, options = {}) {
+    const model = options.model || this.speechModel;
+    const response = await this.client.audio.speech.create({
+      model,
+      voice: options.voice || this.speechVoice,
+      input: text,
+      response_format: 'mp3'
+    }, { signal: options.signal });
+
+    return {
+      audio: Buffer.from(await response.arrayBuffer()),
+      format: 'mp3',
+      model
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
\ No newline at end of file
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const OpenAIProvider = require('./openaiProvider');
+
+// A local stand-in for the chat completions API that streams `chunks`
+let server;
+let provider;
+let chunks;
+const requests = [];
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push(JSON.parse(body));
+      res.writeHead(200, { 'content-type': 'text/event-stream' });
+      chunks.forEach(chunk => res.write(`data: ${JSON.stringify(chunk)}\n\n`));
+      res.end('data: [DONE]\n\n');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  provider = new OpenAIProvider({
+    apiKey: 'test-key',
+    chatModel: 'gpt-test',
+    baseURL: `http://127.0.0.1:${server.address().port}/v1`
+  });
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => {
+  requests.length = 0;
+});
+
+const delta = (values, model = 'gpt-test') => ({ model, choices: [{ index: 0, delta: values }] });
+
+test('chatStreamWithTools streams a reply that calls no tools', async () => {
+  chunks = [delta({ role: 'assistant', content: '' }), delta({ content: 'Four' }), delta({ content: '.' })];
+
+  const tokens = [];
+  const result = await provider.chatStreamWithTools([{ role: 'user', content: '2+2?' }], [
+    { name: 'calculator', description: 'Evaluates math', parameters: { type: 'object', properties: {} } }
+  ], {}, token => tokens.push(token));
+
+  assert.strictEqual(requests[0].stream, true);
+  assert.deepStrictEqual(requests[0].tools, [
+    { type: 'function', function: { name: 'calculator', description: 'Evaluates math', parameters: { type: 'object', properties: {} } } }
+  ]);
+  assert.deepStrictEqual(tokens, ['Four', '.']);
+  assert.deepStrictEqual(result, { content: 'Four.', toolCalls: [], model: 'gpt-test' });
+});
+
+test('chatStreamWithTools assembles tool calls from their fragments', async () => {
+  chunks = [
+    delta({ role: 'assistant', content: null, tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'calculator', arguments: '' } }] }),
+    delta({ tool_calls: [{ index: 0, function: { arguments: '{"expr' } }] }),
+    delta({ tool_calls: [{ index: 0, function: { arguments: 'ession":"2+2"}' } }] }),
+    delta({ tool_calls: [{ index: 1, id: 'call_2', type: 'function', function: { name: 'current_time', arguments: '{}' } }] })
+  ];
+
+  const tokens = [];
+  const result = await provider.chatStreamWithTools([{ role: 'user', content: '2+2 and the time?' }], [], {}, token => tokens.push(token));
+
+  assert.deepStrictEqual(tokens, []);
+  assert.deepStrictEqual(result.toolCalls, [
+    { id: 'call_1', name: 'calculator', arguments: { expression: '2+2' } },
+    { id: 'call_2', name: 'current_time', arguments: {} }
+  ]);
+});
\ No newline at end of file
@@ -0,0 +1,200 @@
+const CircuitBreaker = require('./circuitBreaker');
+const { isClientError, isProviderFailure, isRetryable, retryDelay } = require('./retry');
+
+const DEFAULT_RESILIENCE = {
+  timeout: 60000,
+  retries: 2,
+  retryDelay: 500,
+  maxRetryAfter: 30000,
+  breakerThreshold: 5,
+  breakerCooldown: 30000,
+  timeouts: {}
+};
+
+// Holds the available AI providers and walks them in fallback order for
+// each capability (chat, image, embeddings).
+class ProviderRegistry {
+  constructor(policy = {}, resilience = {}) {
+    this.providers = new Map();
+    this.breakers = new Map();
+    this.policy = policy;
+    this.resilience = { ...DEFAULT_RESILIENCE, ...resilience };
+  }
+
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    this.breakers.set(provider.name, new CircuitBreaker({
+      threshold: this.resilience.breakerThreshold,
+      cooldown: this.resilience.breakerCooldown
+    }));
+    return this;
+  }
+
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  // Set the preferred provider order for a capability
+  setOrder(capability, names) {
+    this.policy[capability] = names;
+    return this;
+  }
+
+  // Providers able to serve a capability, in fallback order. Providers not
+  // named in the policy keep their registration order after the named ones.
+  resolve(capability, preferred = null) {
+    const order = [...(preferred ? [preferred] : []), ...(this.policy[capability] || [])];
+    const ordered = [];
+
+    order.forEach(name => {
+      const provider = this.providers.get(name);
+      if (provider && !ordered.includes(provider)) {
+        ordered.push(provider);
+      }
+    });
+
+    if (!this.policy[capability]) {
+      this.list().forEach(provider => {
+        if (!ordered.includes(provider)) {
+          ordered.push(provider);
+        }
+      });
+    }
+
+    return ordered.filter(provider => provider.supports(capability));
+  }
+
+  // Run `invoke(provider, signal, onChunk)` against each provider in order
+  // until one succeeds. Every provider that was passed over is recorded with
+  // the reason. Streaming calls report each chunk through onChunk.
+  // options.signal cancels the call, e.g. when the client disconnects.
+  async run(capability, invoke, options = {}) {
+    const attempts = [];
+
+    for (const provider of this.resolve(capability, options.provider)) {
+      const breaker = this.breakers.get(provider.name);
+
+      if (!provider.isConfigured()) {
+        attempts.push({ provider: provider.name, reason: 'not configured' });
+        continue;
+      }
+      if (!breaker.canRequest()) {
+        attempts.push({ provider: provider.name, reason: 'circuit open' });
+        continue;
+      }
+
+      try {
+        const result = await this.attemptWithRetry(provider, invoke, options.signal);
+        breaker.recordSuccess();
+        return { ...result, provider: provider.name, attempts };
+      } catch (error) {
+        if (isProviderFailure(error)) {
+          breaker.recordFailure(error);
+        }
+        attempts.push({ provider: provider.name, reason: error.message });
+
+        // Partial output was already delivered, so another provider can't
+        // take over; a client error would fail the same way everywhere
+        if (error.noFallback || isClientError(error)) {
+          error.attempts = attempts;
+          throw error;
+        }
+      }
+    }
+
+    const error = new Error(`No AI provider available for ${capability}`);
+    error.attempts = attempts;
+    throw error;
+  }
+
+  // Retry 429s, 5xx and network errors with backoff, honoring Retry-After
+  async attemptWithRetry(provider, invoke, signal) {
+    const { retries, maxRetryAfter } = this.resilience;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.attempt(provider, invoke, signal);
+      } catch (error) {
+        const delay = retryDelay(error, attempt, this.resilience.retryDelay);
+        if (attempt >= retries || !isRetryable(error) || delay > maxRetryAfter) {
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  // A single call, aborted once the provider's timeout elapses. Each chunk
+  // a streaming call reports restarts the clock, so the timeout bounds the
+  // wait for the first token and every gap after it, not the whole reply.
+  // A stream that stalls after output reached the client is not retried,
+  // and neither is a call cancelled through `signal`.
+  async attempt(provider, invoke, signal) {
+    const timeout = this.resilience.timeouts[provider.name] || this.resilience.timeout;
+    const controller = new AbortController();
+    let timer;
+    let streamed = false;
+    let settled = false;
+    let fail;
+
+    const timedOut = new Promise((resolve, reject) => {
+      fail = reject;
+    });
+
+    const arm = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const error = new Error(streamed
+          ? `${provider.name} stopped streaming for ${timeout}ms`
+          : `${provider.name} timed out after ${timeout}ms`);
+        error.code = 'ETIMEDOUT';
+        error.noFallback = streamed;
+        fail(error);
+        controller.abort();
+      }, timeout);
+    };
+
+    // Chunks a call sends after it was given up on don't restart the clock
+    const onChunk = () => {
+      streamed = true;
+      if (!settled) arm();
+    };
+
+    const cancel = () => {
+      const error = new Error('Request cancelled');
+      error.name = 'AbortError';
+      error.noFallback = true;
+      fail(error);
+      controller.abort();
+    };
+
+    arm();
+    if (signal) {
+      if (signal.aborted) cancel();
+      signal.addEventListener('abort', cancel);
+    }
+    try {
+      return await Promise.race([invoke(provider, controller.signal, onChunk), timedOut]);
+    } finally {
+      settled = true;
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', cancel);
+    }
+  }
+
+  // Breaker state and recent error rates for the /health endpoint
+  health() {
+    return this.list().map(provider => ({
+      name: provider.name,
+      configured: provider.isConfigured(),
+      capabilities: provider.capabilities,
+      breaker: this.breakers.get(provider.name).stats()
+    }));
+  }
+}
+
+module.exports = ProviderRegistry;
\ No newline at end of file
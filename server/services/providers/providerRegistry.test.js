@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ProviderRegistry = require('./providerRegistry');
+
+const fakeProvider = (name) => ({
+  name,
+  capabilities: ['chat'],
+  supports: capability => capability === 'chat',
+  isConfigured: () => true
+});
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Emits `count` chunks `gap` ms apart, then resolves with the joined text
+const stream = (count, gap) => async (provider, signal, onChunk) => {
+  let content = '';
+  for (let index = 0; index < count; index++) {
+    await wait(gap);
+    if (signal.aborted) throw new Error('aborted');
+    onChunk();
+    content += index;
+  }
+  return { content };
+};
+
+test('a stream longer than the timeout finishes while chunks keep arriving', async () => {
+  const registry = new ProviderRegistry({}, { timeout: 50, retries: 0 });
+  registry.register(fakeProvider('a'));
+
+  const result = await registry.run('chat', stream(6, 20));
+  assert.strictEqual(result.content, '012345');
+  assert.strictEqual(result.provider, 'a');
+});
+
+test('no first token within the timeout falls back to the next provider', async () => {
+  const registry = new ProviderRegistry({}, { timeout: 30, retries: 0 });
+  registry.register(fakeProvider('slow')).register(fakeProvider('fast'));
+
+  const result = await registry.run('chat', (provider, signal, onChunk) => (
+    provider.name === 'slow' ? stream(1, 100)(provider, signal, onChunk) : stream(1, 1)(provider, signal, onChunk)
+  ));
+  assert.strictEqual(result.provider, 'fast');
+  assert.match(result.attempts[0].reason, /timed out after 30ms/);
+});
+
+test('a stream that stalls after its first chunk is neither retried nor handed over', async () => {
+  const registry = new ProviderRegistry({}, { timeout: 30, retries: 2, retryDelay: 1 });
+  registry.register(fakeProvider('a')).register(fakeProvider('b'));
+  let calls = 0;
+
+  await assert.rejects(
+    registry.run('chat', async (provider, signal, onChunk) => {
+      calls += 1;
+      onChunk();
+      await wait(100);
+      return { content: 'late' };
+    }),
+    error => error.noFallback === true && /stopped streaming for 30ms/.test(error.message)
+  );
+  assert.strictEqual(calls, 1);
+});
+
+test('a cancelled call aborts the provider without retry or fallback', async () => {
+  const registry = new ProviderRegistry({}, { timeout: 1000, retries: 2, retryDelay: 1 });
+  registry.register(fakeProvider('a')).register(fakeProvider('b'));
+  const controller = new AbortController();
+  const providers = [];
+  let providerSignal;
+
+  setTimeout(() => controller.abort(), 20);
+  await assert.rejects(
+    registry.run('chat', (provider, signal, onChunk) => {
+      providers.push(provider.name);
+      providerSignal = signal;
+      return stream(10, 10)(provider, signal, onChunk);
+    }, { signal: controller.signal }),
+    error => error.name === 'AbortError' && error.noFallback === true
+  );
+  assert.deepStrictEqual(providers, ['a']);
+  assert.strictEqual(providerSignal.aborted, true);
+  assert.strictEqual(registry.breakers.get('a').stats().consecutiveFailures, 0);
+});
+
+test('retryable errors are retried before falling back', async () => {
+  const registry = new ProviderRegistry({}, { retries: 1, retryDelay: 1 });
+  registry.register(fakeProvider('a')).register(fakeProvider('b'));
+  const calls = [];
+
+  const result = await registry.run('chat', async (provider) => {
+    calls.push(provider.name);
+    if (provider.name === 'a') {
+      const error = new Error('overloaded');
+      error.status = 529;
+      throw error;
+    }
+    return { content: 'ok' };
+  });
+
+  assert.deepStrictEqual(calls, ['a', 'a', 'b']);
+  assert.strictEqual(result.provider, 'b');
+});
+
+const failing = (status, message = 'failed') => async () => {
+  const error = new Error(message);
+  error.status = status;
+  throw error;
+};
+
+test('client errors are rethrown without fallback and leave the breaker closed', async () => {
+  const registry = new ProviderRegistry({}, { retries: 2, retryDelay: 1, breakerThreshold: 2 });
+  registry.register(fakeProvider('a')).register(fakeProvider('b'));
+  const calls = [];
+
+  for (let index = 0; index < 3; index++) {
+    await assert.rejects(
+      registry.run('chat', async (provider) => {
+        calls.push(provider.name);
+        return failing(404, 'The model `bogus` does not exist')();
+      }),
+      error => error.status === 404 && error.attempts.length === 1
+    );
+  }
+
+  assert.deepStrictEqual(calls, ['a', 'a', 'a']);
+  assert.strictEqual(registry.health()[0].breaker.state, 'closed');
+});
+
+test('requests a provider cannot serve fall back without counting against it', async () => {
+  const registry = new ProviderRegistry({}, { retries: 0, breakerThreshold: 1 });
+  registry.register(fakeProvider('a')).register(fakeProvider('b'));
+
+  const result = await registry.run('chat', async (provider) => {
+    if (provider.name === 'a') throw new Error('a has no model that reads images');
+    return { content: 'ok' };
+  });
+
+  assert.strictEqual(result.provider, 'b');
+  assert.strictEqual(registry.health()[0].breaker.state, 'closed');
+});
+
+test('server errors and timeouts open the breaker', async () => {
+  const registry = new ProviderRegistry({}, { timeout: 10, retries: 0, breakerThreshold: 2 });
+  registry.register(fakeProvider('a'));
+
+  await assert.rejects(registry.run('chat', failing(500)));
+  await assert.rejects(registry.run('chat', stream(1, 50)));
+
+  const [health] = registry.health();
+  assert.strictEqual(health.breaker.state, 'open');
+  assert.strictEqual(health.breaker.consecutiveFailures, 2);
+  await assert.rejects(registry.run('chat', stream(1, 1)), error => error.attempts[0].reason === 'circuit open');
+});
\ No newline at end of file
@@ -0,0 +1,65 @@
+const RETRYABLE_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNABORTED', 'EAI_AGAIN'];
+
+// HTTP status from either an OpenAI SDK error or an axios error
+function errorStatus(error) {
+  return error.status || (error.response && error.response.status);
+}
+
+function isRetryable(error) {
+  if (error.noFallback) return false;
+
+  const status = errorStatus(error);
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+// Failures that say something about the provider's health: rate limits,
+// server errors, timeouts and dropped connections. Client errors and
+// requests the provider can't serve, such as an unknown model, don't count.
+function isProviderFailure(error) {
+  const status = errorStatus(error);
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+// A 4xx other than 429: the request itself is wrong, so no other attempt helps
+function isClientError(error) {
+  const status = errorStatus(error);
+  return Boolean(status) && status >= 400 && status < 500 && status !== 429;
+}
+
+// Retry-After in milliseconds, accepting seconds or an HTTP date
+function retryAfter(error) {
+  const headers = error.headers || (error.response && error.response.headers);
+  if (!headers) return null;
+
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff unless the server told us how long to wait
+function retryDelay(error, attempt, baseDelay = 500) {
+  const delay = retryAfter(error);
+  return delay !== null ? delay : baseDelay * Math.pow(2, attempt);
+}
+
+module.exports = {
+  errorStatus,
+  isClientError,
+  isProviderFailure,
+  isRetryable,
+  retryAfter,
+  retryDelay
+};
\ No newline at end of file
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { errorStatus, isClientError, isProviderFailure, isRetryable, retryAfter, retryDelay } = require('./retry');
+
+// The OpenAI SDK puts status and headers on the error; axios puts them on error.response
+const sdkError = (status, headers) => Object.assign(new Error('sdk'), { status, headers: new Headers(headers) });
+const axiosError = (status, headers = {}) => Object.assign(new Error('axios'), { response: { status, headers } });
+const codeError = code => Object.assign(new Error(code), { code });
+
+test('reads the status from SDK and axios errors', () => {
+  assert.strictEqual(errorStatus(sdkError(429)), 429);
+  assert.strictEqual(errorStatus(axiosError(503)), 503);
+  assert.strictEqual(errorStatus(new Error('plain')), undefined);
+});
+
+test('retries rate limits, server errors and transient network errors', () => {
+  assert.strictEqual(isRetryable(sdkError(429)), true);
+  assert.strictEqual(isRetryable(axiosError(500)), true);
+  assert.strictEqual(isRetryable(axiosError(529)), true);
+  assert.strictEqual(isRetryable(codeError('ECONNRESET')), true);
+  assert.strictEqual(isRetryable(codeError('ETIMEDOUT')), true);
+});
+
+test('does not retry client errors, unknown errors or errors marked noFallback', () => {
+  assert.strictEqual(isRetryable(axiosError(400)), false);
+  assert.strictEqual(isRetryable(sdkError(401)), false);
+  assert.strictEqual(isRetryable(codeError('ENOTFOUND')), false);
+  assert.strictEqual(isRetryable(new Error('plain')), false);
+  assert.strictEqual(isRetryable(Object.assign(codeError('ETIMEDOUT'), { noFallback: true })), false);
+});
+
+test('reads Retry-After as seconds or as an HTTP date', () => {
+  assert.strictEqual(retryAfter(sdkError(429, { 'retry-after': '2' })), 2000);
+  assert.strictEqual(retryAfter(axiosError(429, { 'retry-after': '0.5' })), 500);
+
+  const date = new Date(Date.now() + 10000).toUTCString();
+  const delay = retryAfter(axiosError(503, { 'retry-after': date }));
+  assert.ok(delay > 8000 && delay <= 10000, `unexpected delay ${delay}`);
+
+  assert.strictEqual(retryAfter(axiosError(503, { 'retry-after': new Date(0).toUTCString() })), 0);
+  assert.strictEqual(retryAfter(axiosError(503, { 'retry-after': 'soon' })), null);
+  assert.strictEqual(retryAfter(axiosError(503)), null);
+  assert.strictEqual(retryAfter(codeError('ECONNRESET')), null);
+});
+
+test('backs off exponentially unless the server says how long to wait', () => {
+  assert.strictEqual(retryDelay(codeError('ECONNRESET'), 0), 500);
+  assert.strictEqual(retryDelay(codeError('ECONNRESET'), 2), 2000);
+  assert.strictEqual(retryDelay(axiosError(500), 1, 100), 200);
+  assert.strictEqual(retryDelay(axiosError(429, { 'retry-after': '3' }), 2), 3000);
+});
+
+test('only rate limits, server errors and network failures count against a provider', () => {
+  assert.strictEqual(isProviderFailure(sdkError(429)), true);
+  assert.strictEqual(isProviderFailure(axiosError(502)), true);
+  assert.strictEqual(isProviderFailure(codeError('ETIMEDOUT')), true);
+  assert.strictEqual(isProviderFailure(Object.assign(codeError('ETIMEDOUT'), { noFallback: true })), true);
+  assert.strictEqual(isProviderFailure(axiosError(404)), false);
+  assert.strictEqual(isProviderFailure(new Error('has no model that reads images')), false);
+});
+
+test('client errors are 4xx responses other than 429', () => {
+  assert.strictEqual(isClientError(sdkError(400)), true);
+  assert.strictEqual(isClientError(axiosError(404)), true);
+  assert.strictEqual(isClientError(sdkError(429)), false);
+  assert.strictEqual(isClientError(axiosError(500)), false);
+  assert.strictEqual(isClientError(codeError('ECONNRESET')), false);
+});
\ No newline at end of file
@@ -0,0 +1,40 @@
+const OpenAIProvider = require('./openaiProvider');
+
+// Any server speaking the OpenAI chat completions protocol, such as Ollama,
+// the llama.cpp server or vLLM.
+class SelfHostedProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    const baseURL = options.baseURL || process.env.SELFHOSTED_AI_BASE_URL;
+    const chatModel = options.chatModel || process.env.SELFHOSTED_AI_MODEL;
+    const embeddingModel = options.embeddingModel || process.env.SELFHOSTED_AI_EMBEDDING_MODEL;
+    // A multimodal model served alongside the chat model, e.g. llava
+    const visionModel = options.visionModel || process.env.SELFHOSTED_AI_VISION_MODEL;
+
+    super({
+      apiKey: options.apiKey || process.env.SELFHOSTED_AI_API_KEY || 'not-needed',
+      chatModel,
+      embeddingModel,
+      visionModel,
+      baseURL
+    });
+
+    this.name = 'selfhosted';
+    this.capabilities = ['chat', 'tools'];
+    if (embeddingModel) this.capabilities.push('embeddings');
+    if (visionModel) this.capabilities.push('vision');
+    this.visionModel = visionModel || null;
+    this.baseURL = baseURL;
+    // Not OpenAI's default model: without its own model the server is unused
+    this.chatModel = chatModel;
+  }
+
+  isVisionModel(model) {
+    return Boolean(model) && model === this.visionModel;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseURL && this.chatModel);
+  }
+}
+
+module.exports = SelfHostedProvider;
\ No newline at end of file
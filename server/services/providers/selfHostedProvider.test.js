@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const SelfHostedProvider = require('./selfHostedProvider');
+
+// A local stand-in for an OpenAI-compatible server such as Ollama. Answers
+// are looked up by path; requests are kept with their auth header.
+let server;
+let baseURL;
+const requests = [];
+const answers = {
+  '/v1/chat/completions': { model: 'llama3', choices: [{ index: 0, message: { role: 'assistant', content: 'Hi from llama' } }] },
+  '/v1/embeddings': { data: [{ embedding: [0.1, 0.2] }, { embedding: [0.3, 0.4] }] },
+  '/v1/models': { object: 'list', data: [{ id: 'llama3' }, { id: 'llava' }] }
+};
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, authorization: req.headers.authorization, body: body ? JSON.parse(body) : null });
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(answers[req.url]));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => {
+  requests.length = 0;
+});
+
+test('needs a base URL and a model to be configured', () => {
+  assert.strictEqual(new SelfHostedProvider({ baseURL: '', chatModel: 'llama3' }).isConfigured(), false);
+  assert.strictEqual(new SelfHostedProvider({ baseURL, chatModel: '' }).isConfigured(), false);
+  assert.strictEqual(new SelfHostedProvider({ baseURL, chatModel: 'llama3' }).isConfigured(), true);
+});
+
+test('offers embeddings and vision only when their models are set', () => {
+  const plain = new SelfHostedProvider({ baseURL, chatModel: 'llama3' });
+  const full = new SelfHostedProvider({ baseURL, chatModel: 'llama3', embeddingModel: 'nomic-embed-text', visionModel: 'llava' });
+
+  assert.strictEqual(plain.name, 'selfhosted');
+  assert.deepStrictEqual(plain.capabilities, ['chat', 'tools']);
+  assert.deepStrictEqual(full.capabilities, ['chat', 'tools', 'embeddings', 'vision']);
+  assert.strictEqual(full.isVisionModel('llava'), true);
+  assert.strictEqual(full.isVisionModel('llama3'), false);
+  assert.strictEqual(plain.isVisionModel(undefined), false);
+});
+
+test('sends chat completions to the configured server and model', async () => {
+  const provider = new SelfHostedProvider({ baseURL, chatModel: 'llama3' });
+
+  const result = await provider.chat([{ role: 'user', content: 'Hello' }], { maxTokens: 20, temperature: 0 });
+
+  assert.strictEqual(requests[0].url, '/v1/chat/completions');
+  assert.strictEqual(requests[0].authorization, 'Bearer not-needed');
+  assert.deepStrictEqual(requests[0].body, {
+    model: 'llama3',
+    messages: [{ role: 'user', content: 'Hello' }],
+    max_tokens: 20,
+    temperature: 0
+  });
+  assert.strictEqual(result.content, 'Hi from llama');
+  assert.strictEqual(result.model, 'llama3');
+});
+
+test('embeds with the embedding model and lists the served models', async () => {
+  const provider = new SelfHostedProvider({ baseURL, chatModel: 'llama3', embeddingModel: 'nomic-embed-text', apiKey: 'secret' });
+
+  const result = await provider.embed(['a', 'b']);
+  const models = await provider.listModels();
+
+  assert.strictEqual(requests[0].body.model, 'nomic-embed-text');
+  assert.deepStrictEqual(requests[0].body.input, ['a', 'b']);
+  assert.strictEqual(requests[0].authorization, 'Bearer secret');
+  assert.deepStrictEqual(result, { embeddings: [[0.1, 0.2], [0.3, 0.4]], model: 'nomic-embed-text' });
+  assert.deepStrictEqual(models, ['llama3', 'llava']);
+});
\ No newline at end of file
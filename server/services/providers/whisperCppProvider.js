@@ -0,0 +1,73 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BaseProvider = require('./baseProvider');
+
+// Offline speech-to-text through a local whisper.cpp build, e.g.
+// WHISPER_CPP_PATH=/opt/whisper.cpp/build/bin/whisper-cli
+// WHISPER_CPP_MODEL=/opt/whisper.cpp/models/ggml-base.bin
+// whisper.cpp only reads 16 kHz WAV, so every input is normalized first.
+class WhisperCppProvider extends BaseProvider {
+  constructor(options = {}) {
+    super('whispercpp', ['transcription']);
+
+    this.binary = options.binary || process.env.WHISPER_CPP_PATH;
+    this.model = options.model || process.env.WHISPER_CPP_MODEL;
+    this.threads = options.threads || parseInt(process.env.WHISPER_CPP_THREADS) || 2;
+  }
+
+  isConfigured() {
+    return Boolean(this.binary && this.model);
+  }
+
+  async listModels() {
+    return this.model ? [path.basename(this.model)] : [];
+  }
+
+  async transcribe(audio, options = {}) {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'rai-whisper-'));
+    const inputPath = path.join(directory, 'audio.wav');
+    const outputBase = path.join(directory, 'transcript');
+
+    try {
+      await fs.promises.writeFile(inputPath, audio.buffer);
+      await this.run([
+        '-m', this.model,
+        '-f', inputPath,
+        '-l', options.language || 'auto',
+        '-t', String(this.threads),
+        '-oj',
+        '-of', outputBase,
+        '-np'
+      ], options.signal);
+
+      const output = JSON.parse(await fs.promises.readFile(`${outputBase}.json`, 'utf8'));
+      const segments = output.transcription || [];
+      const last = segments[segments.length - 1];
+
+      return {
+        text: segments.map(segment => segment.text).join('').trim(),
+        language: output.result && output.result.language,
+        duration: last && last.offsets ? last.offsets.to / 1000 : undefined,
+        model: path.basename(this.model)
+      };
+    } finally {
+      await fs.promises.rm(directory, { recursive: true, force: true });
+    }
+  }
+
+  run(args, signal) {
+    return new Promise((resolve, reject) => {
+      execFile(this.binary, args, { signal, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error) {
+          error.message = `whisper.cpp failed: ${(stderr || error.message).toString().trim().split('\n').pop()}`;
+          return reject(error);
+        }
+        resolve(stdout);
+      });
+    });
+  }
+}
+
+module.exports = WhisperCppProvider;
\ No newline at end of file
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WhisperCppProvider = require('./whisperCppProvider');
+
+// A stand-in for whisper-cli that records its arguments and writes the JSON
+// transcript whisper.cpp produces for -oj
+const FAKE_WHISPER = `#!/usr/bin/env node
+const fs = require('fs');
+const args = process.argv.slice(2);
+const arg = flag => args[args.indexOf(flag) + 1];
+fs.writeFileSync(process.env.FAKE_WHISPER_LOG, JSON.stringify({ args, audio: fs.readFileSync(arg('-f'), 'utf8') }));
+if (arg('-l') === 'xx') {
+  process.stderr.write('loading model\\nerror: unknown language xx\\n');
+  process.exit(1);
+}
+fs.writeFileSync(arg('-of') + '.json', JSON.stringify({
+  result: { language: 'en' },
+  transcription: [
+    { text: ' Hello', offsets: { from: 0, to: 900 } },
+    { text: ' world.', offsets: { from: 900, to: 2140 } }
+  ]
+}));
+`;
+
+let directory;
+let provider;
+const log = () => JSON.parse(fs.readFileSync(process.env.FAKE_WHISPER_LOG, 'utf8'));
+
+test.before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-whisper-'));
+  const binary = path.join(directory, 'whisper-cli');
+  fs.writeFileSync(binary, FAKE_WHISPER, { mode: 0o755 });
+  process.env.FAKE_WHISPER_LOG = path.join(directory, 'log.json');
+  provider = new WhisperCppProvider({ binary, model: '/models/ggml-base.bin', threads: 4 });
+});
+
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+test('needs both the binary and the model', () => {
+  assert.strictEqual(new WhisperCppProvider({ binary: '/bin/whisper' }).isConfigured(), false);
+  assert.strictEqual(provider.isConfigured(), true);
+  assert.deepStrictEqual(provider.capabilities, ['transcription']);
+});
+
+test('joins the transcript segments and reports language and duration', async () => {
+  const result = await provider.transcribe({ buffer: Buffer.from('RIFF audio') }, { language: 'en' });
+
+  assert.deepStrictEqual(result, { text: 'Hello world.', language: 'en', duration: 2.14, model: 'ggml-base.bin' });
+  const { args, audio } = log();
+  assert.strictEqual(audio, 'RIFF audio');
+  assert.deepStrictEqual(args.slice(0, 2), ['-m', '/models/ggml-base.bin']);
+  assert.deepStrictEqual(args.slice(4, 8), ['-l', 'en', '-t', '4']);
+});
+
+test('detects the language unless one is given', async () => {
+  await provider.transcribe({ buffer: Buffer.from('x') });
+
+  const { args } = log();
+  assert.strictEqual(args[args.indexOf('-l') + 1], 'auto');
+});
+
+test('reports the last line whisper.cpp printed when it fails', async () => {
+  await assert.rejects(
+    provider.transcribe({ buffer: Buffer.from('x') }, { language: 'xx' }),
+    { message: 'whisper.cpp failed: error: unknown language xx' }
+  );
+});
\ No newline at end of file
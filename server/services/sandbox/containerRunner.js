@@ -0,0 +1,148 @@
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+
+// Limits for engine commands outside a run: answering `version` or
+// `image inspect`, and pulling an image
+const CHECK_TIMEOUT = 5000;
+const PULL_TIMEOUT = 10 * 60 * 1000;
+
+// Runs a snippet in a throwaway container: no network, a read-only root
+// filesystem with a small noexec /tmp, an unprivileged uid, no capabilities,
+// and memory, process and CPU limits enforced by the kernel. The snippet is
+// piped to the interpreter on stdin, so nothing from the host is mounted.
+// CODE_EXECUTION_OCI_RUNTIME adds a stronger runtime such as gVisor (runsc).
+class ContainerRunner {
+  constructor({ image, command }, options = {}) {
+    this.image = image;
+    this.command = command;
+    this.engine = options.engine || process.env.CODE_EXECUTION_ENGINE || 'docker';
+    this.ociRuntime = options.ociRuntime || process.env.CODE_EXECUTION_OCI_RUNTIME;
+  }
+
+  // Resolves to true when the engine answers and the image is present;
+  // checked once. A missing image is pulled in the background so the pull
+  // never counts against a run's timeout, and the runner becomes available
+  // once it is done.
+  isAvailable() {
+    if (!this.availability) {
+      this.availability = this.checkAvailability();
+    }
+    return this.availability;
+  }
+
+  async checkAvailability() {
+    if (!await this.engineCommand(['version'], CHECK_TIMEOUT)) {
+      return false;
+    }
+    if (await this.engineCommand(['image', 'inspect', this.image], CHECK_TIMEOUT)) {
+      return true;
+    }
+
+    this.pulling = this.engineCommand(['pull', this.image], PULL_TIMEOUT).then((pulled) => {
+      this.pulling = null;
+      if (pulled) {
+        this.availability = Promise.resolve(true);
+      } else {
+        console.error(`Error pulling sandbox image ${this.image}`);
+      }
+    });
+    return false;
+  }
+
+  // Resolves to whether an engine command exits with 0 within timeoutMs
+  engineCommand(args, timeoutMs) {
+    return new Promise((resolve) => {
+      const child = spawn(this.engine, args, { stdio: 'ignore' });
+      const timer = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+
+      child.on('error', () => {
+        clearTimeout(timer);
+        resolve(false);
+      });
+      child.on('close', (exitCode) => {
+        clearTimeout(timer);
+        resolve(exitCode === 0);
+      });
+    });
+  }
+
+  containerArgs(name, { memoryMb }) {
+    return [
+      'run', '--rm', '-i',
+      // The image was pulled by isAvailable(), outside the run's timeout
+      '--pull', 'never',
+      '--name', name,
+      '--network', 'none',
+      '--read-only',
+      '--tmpfs', '/tmp:rw,noexec,nosuid,size=16m',
+      '--workdir', '/tmp',
+      '--env', 'HOME=/tmp',
+      '--user', '65534:65534',
+      '--cap-drop', 'ALL',
+      '--security-opt', 'no-new-privileges',
+      '--pids-limit', '64',
+      '--memory', `${memoryMb}m`,
+      '--memory-swap', `${memoryMb}m`,
+      '--cpus', '1',
+      '--ulimit', 'nofile=64:64',
+      ...(this.ociRuntime ? ['--runtime', this.ociRuntime] : []),
+      this.image,
+      ...this.command
+    ];
+  }
+
+  run(code, { timeoutMs, memoryMb, onOutput }) {
+    return new Promise((resolve) => {
+      const name = `rai-sandbox-${crypto.randomUUID()}`;
+      let status = 'ok';
+      let settled = false;
+
+      // The engine client gets the server's environment for its own
+      // configuration; the container only sees HOME
+      const child = spawn(this.engine, this.containerArgs(name, { memoryMb }), {
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+
+      const finish = (exitCode) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        resolve({ status, exitCode });
+      };
+
+      // Killing the client alone would leave the container running
+      const timer = setTimeout(() => {
+        status = 'timeout';
+        onOutput('stderr', `Execution timed out after ${timeoutMs}ms\n`);
+        spawn(this.engine, ['kill', name], { stdio: 'ignore' }).on('error', () => {});
+        child.kill('SIGKILL');
+      }, timeoutMs);
+
+      child.stdout.setEncoding('utf8');
+      child.stderr.setEncoding('utf8');
+      child.stdout.on('data', data => onOutput('stdout', data));
+      child.stderr.on('data', data => onOutput('stderr', data));
+
+      child.on('error', (error) => {
+        status = 'error';
+        onOutput('stderr', `${error.message}\n`);
+        finish(null);
+      });
+
+      child.on('close', (exitCode) => {
+        if (status === 'ok' && exitCode === 137) {
+          status = 'memory_limit';
+          onOutput('stderr', `Memory limit of ${memoryMb}MB exceeded\n`);
+        } else if (status === 'ok' && exitCode !== 0) {
+          status = 'error';
+        }
+        finish(status === 'timeout' ? null : exitCode);
+      });
+
+      child.stdin.on('error', () => {});
+      child.stdin.end(code);
+    });
+  }
+}
+
+module.exports = ContainerRunner;
\ No newline at end of file
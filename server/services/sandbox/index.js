@@ -0,0 +1,92 @@
+const JavaScriptRunner = require('./javascriptRunner');
+const PythonRunner = require('./pythonRunner');
+const { normalizeLanguage } = require('../codeParser');
+
+function loadLimits(env = process.env) {
+  return {
+    timeoutMs: parseInt(env.CODE_EXECUTION_TIMEOUT, 10) || 5000,
+    memoryMb: parseInt(env.CODE_EXECUTION_MEMORY_MB, 10) || 128,
+    maxOutput: parseInt(env.CODE_EXECUTION_MAX_OUTPUT, 10) || 64 * 1024
+  };
+}
+
+// Runs code snippets in the sandbox for their language and collects the
+// output into an executionResult. Output beyond maxOutput is dropped.
+class CodeRunner {
+  constructor(options = {}) {
+    this.limits = { ...loadLimits(), ...options.limits };
+    this.runners = options.runners || {
+      javascript: new JavaScriptRunner(),
+      python: new PythonRunner()
+    };
+  }
+
+  async supports(language) {
+    const runner = this.runners[normalizeLanguage(language)];
+    return Boolean(runner && await runner.isAvailable());
+  }
+
+  // onOutput(stream, data) receives stdout/stderr as it is produced
+  async run(language, code, options = {}) {
+    const name = normalizeLanguage(language);
+    if (!await this.supports(name)) {
+      if (this.runners[name] && this.runners[name].pulling) {
+        throw new Error(`The ${name} sandbox is still being set up, try again in a minute`);
+      }
+      throw new Error(`Running ${language || 'this'} code is not supported`);
+    }
+
+    const output = { stdout: '', stderr: '' };
+    let size = 0;
+    let truncated = false;
+
+    const collect = (stream, data) => {
+      if (truncated) return;
+
+      const chunk = data.slice(0, this.limits.maxOutput - size);
+      truncated = chunk.length < data.length;
+      size += chunk.length;
+      output[stream] += chunk;
+
+      if (chunk && options.onOutput) {
+        options.onOutput(stream, chunk);
+      }
+    };
+
+    const startedAt = Date.now();
+    const result = await this.runners[name].run(code, { ...this.limits, onOutput: collect });
+
+    return {
+      language: name,
+      stdout: output.stdout,
+      stderr: output.stderr,
+      exitCode: result.exitCode,
+      status: result.status,
+      durationMs: Date.now() - startedAt,
+      truncated,
+      ranAt: new Date()
+    };
+  }
+}
+
+let sharedRunner;
+
+// The first call starts checking the runners, and pulling their images,
+// so they are ready by the time code is first run
+function getCodeRunner() {
+  if (!sharedRunner) {
+    sharedRunner = new CodeRunner();
+    if (process.env.CODE_EXECUTION_ENABLED === 'true') {
+      Object.values(sharedRunner.runners).forEach(runner => runner.isAvailable());
+    }
+  }
+  return sharedRunner;
+}
+
+module.exports = {
+  CodeRunner,
+  getCodeRunner,
+  JavaScriptRunner,
+  loadLimits,
+  PythonRunner
+};
\ No newline at end of file
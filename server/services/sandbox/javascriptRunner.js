@@ -0,0 +1,14 @@
+const ContainerRunner = require('./containerRunner');
+
+// Runs JavaScript with Node in a container. The snippet is read as an ES
+// module so it can use top-level await.
+class JavaScriptRunner extends ContainerRunner {
+  constructor(options = {}) {
+    super({
+      image: options.image || process.env.CODE_EXECUTION_NODE_IMAGE || 'node:20-alpine',
+      command: ['node', '--input-type=module', '-']
+    }, options);
+  }
+}
+
+module.exports = JavaScriptRunner;
\ No newline at end of file
@@ -0,0 +1,14 @@
+const ContainerRunner = require('./containerRunner');
+
+// Runs Python in a container, in isolated mode (-I) so no user site-packages
+// or PYTHON* variables apply
+class PythonRunner extends ContainerRunner {
+  constructor(options = {}) {
+    super({
+      image: options.image || process.env.CODE_EXECUTION_PYTHON_IMAGE || 'python:3.12-alpine',
+      command: ['python3', '-I', '-']
+    }, options);
+  }
+}
+
+module.exports = PythonRunner;
\ No newline at end of file
@@ -0,0 +1,30 @@
+const fs = require('fs');
+
+// Offline search over a local JSON index of { url, title, description }
+// documents, for development and tests
+class FixtureBackend {
+  constructor(options = {}) {
+    this.name = 'fixture';
+    const path = options.path || process.env.SEARCH_FIXTURE_PATH;
+    this.documents = options.documents || (path ? JSON.parse(fs.readFileSync(path, 'utf8')) : []);
+  }
+
+  isConfigured() {
+    return this.documents.length > 0;
+  }
+
+  async search(query) {
+    const terms = query.toLowerCase().split(/\W+/).filter(Boolean);
+
+    return this.documents
+      .map(doc => {
+        const text = `${doc.title} ${doc.description}`.toLowerCase();
+        return { doc, matches: terms.filter(term => text.includes(term)).length };
+      })
+      .filter(entry => entry.matches > 0)
+      .sort((a, b) => b.matches - a.matches)
+      .map(entry => ({ ...entry.doc }));
+  }
+}
+
+module.exports = FixtureBackend;
\ No newline at end of file
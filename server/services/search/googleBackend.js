@@ -0,0 +1,35 @@
+const axios = require('axios');
+
+const API_URL = 'https://www.googleapis.com/customsearch/v1';
+
+// Google Programmable Search (Custom Search JSON API) or a compatible API
+class GoogleBackend {
+  constructor(options = {}) {
+    this.name = 'google';
+    this.apiKey = options.apiKey || process.env.GOOGLE_CSE_KEY;
+    this.engineId = options.engineId || process.env.GOOGLE_CSE_ID;
+    this.baseURL = options.baseURL || process.env.GOOGLE_CSE_URL || API_URL;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey && this.engineId);
+  }
+
+  async search(query, options = {}) {
+    const response = await axios.get(this.baseURL, {
+      params: { key: this.apiKey, cx: this.engineId, q: query, num: 10, hl: options.language },
+      timeout: options.timeout || 10000
+    });
+
+    return (response.data.items || []).map(item => ({
+      url: item.link,
+      title: item.title,
+      description: item.snippet || '',
+      image: item.pagemap && item.pagemap.cse_image && item.pagemap.cse_image[0]
+        ? item.pagemap.cse_image[0].src
+        : undefined
+    }));
+  }
+}
+
+module.exports = GoogleBackend;
\ No newline at end of file
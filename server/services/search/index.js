@@ -0,0 +1,60 @@
+const SearxngBackend = require('./searxngBackend');
+const GoogleBackend = require('./googleBackend');
+const FixtureBackend = require('./fixtureBackend');
+
+const BACKENDS = {
+  searxng: SearxngBackend,
+  google: GoogleBackend,
+  fixture: FixtureBackend
+};
+
+const STOP_WORDS = new Set(['the', 'a', 'an', 'of', 'and', 'or', 'to', 'in', 'on', 'for', 'is', 'what', 'about', 'latest', 'search', 'find']);
+
+function normalizeUrl(url) {
+  return url.replace(/^https?:\/\/(www\.)?/, '').replace(/[#?].*$/, '').replace(/\/$/, '').toLowerCase();
+}
+
+// Re-rank backend results by how many query terms they mention, keeping the
+// backend's own order as a tie breaker, and drop duplicate URLs.
+function rankResults(query, results, limit = 5) {
+  const terms = query.toLowerCase().split(/\W+/).filter(term => term && !STOP_WORDS.has(term));
+  const seen = new Set();
+
+  return results
+    .filter(result => {
+      if (!result.url || seen.has(normalizeUrl(result.url))) return false;
+      seen.add(normalizeUrl(result.url));
+      return true;
+    })
+    .map((result, rank) => {
+      const text = `${result.title} ${result.description}`.toLowerCase();
+      const overlap = terms.filter(term => text.includes(term)).length;
+      return { result, score: overlap / Math.max(terms.length, 1) + 1 / (rank + 2) };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(entry => entry.result);
+}
+
+function createSearchBackend(env = process.env) {
+  const Backend = BACKENDS[env.SEARCH_BACKEND];
+  return Backend ? new Backend() : null;
+}
+
+let sharedBackend;
+
+function getSearchBackend() {
+  if (sharedBackend === undefined) {
+    sharedBackend = createSearchBackend();
+  }
+  return sharedBackend;
+}
+
+module.exports = {
+  createSearchBackend,
+  FixtureBackend,
+  getSearchBackend,
+  GoogleBackend,
+  rankResults,
+  SearxngBackend
+};
\ No newline at end of file
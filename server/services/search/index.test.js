@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSearchBackend, FixtureBackend, rankResults } = require('./index');
+
+const documents = [
+  { url: 'https://nodejs.org/en/blog', title: 'Node.js blog', description: 'Announcements from the team' },
+  { url: 'https://example.com/weather', title: 'Weather in Oslo', description: 'Forecast for the week' },
+  { url: 'https://nodejs.org/en/blog/release', title: 'Node.js release schedule', description: 'Node release notes' }
+];
+
+test('the fixture backend ranks documents by matching terms', async () => {
+  const backend = new FixtureBackend({ documents });
+
+  const results = await backend.search('Node release notes');
+  assert.deepStrictEqual(results.map(result => result.url), [
+    'https://nodejs.org/en/blog/release',
+    'https://nodejs.org/en/blog'
+  ]);
+  assert.deepStrictEqual(await backend.search('quantum physics'), []);
+});
+
+test('the fixture backend loads its index from a JSON file', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'index.json');
+  fs.writeFileSync(file, JSON.stringify(documents));
+
+  const backend = new FixtureBackend({ path: file });
+  assert.strictEqual(backend.isConfigured(), true);
+  assert.strictEqual((await backend.search('oslo weather'))[0].title, 'Weather in Oslo');
+  assert.strictEqual(new FixtureBackend({ documents: [] }).isConfigured(), false);
+});
+
+test('SEARCH_BACKEND picks the backend', () => {
+  assert.strictEqual(createSearchBackend({}), null);
+  assert.strictEqual(createSearchBackend({ SEARCH_BACKEND: 'bing' }), null);
+  assert.ok(createSearchBackend({ SEARCH_BACKEND: 'fixture' }) instanceof FixtureBackend);
+});
+
+test('results are re-ranked by query overlap and deduplicated by URL', () => {
+  const results = rankResults('latest weather in Oslo', [
+    { url: 'https://nodejs.org/en/blog', title: 'Node.js blog', description: '' },
+    { url: 'https://www.example.com/weather/', title: 'Weather in Oslo', description: '' },
+    { url: 'http://example.com/weather#today', title: 'Weather in Oslo (copy)', description: '' },
+    { title: 'No link', description: 'Oslo weather' }
+  ]);
+
+  assert.deepStrictEqual(results.map(result => result.title), ['Weather in Oslo', 'Node.js blog']);
+});
+
+test('rankResults keeps at most `limit` results', () => {
+  const many = Array.from({ length: 8 }, (_, index) => ({ url: `https://example.com/${index}`, title: `Result ${index}`, description: '' }));
+
+  assert.strictEqual(rankResults('result', many).length, 5);
+  assert.strictEqual(rankResults('result', many, 2).length, 2);
+});
\ No newline at end of file
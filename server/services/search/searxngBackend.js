@@ -0,0 +1,29 @@
+const axios = require('axios');
+
+// SearXNG instance with the JSON output format enabled
+class SearxngBackend {
+  constructor(options = {}) {
+    this.name = 'searxng';
+    this.baseURL = options.baseURL || process.env.SEARXNG_URL;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseURL);
+  }
+
+  async search(query, options = {}) {
+    const response = await axios.get(`${this.baseURL.replace(/\/$/, '')}/search`, {
+      params: { q: query, format: 'json', language: options.language },
+      timeout: options.timeout || 10000
+    });
+
+    return (response.data.results || []).map(result => ({
+      url: result.url,
+      title: result.title,
+      description: result.content || '',
+      image: result.img_src || result.thumbnail
+    }));
+  }
+}
+
+module.exports = SearxngBackend;
\ No newline at end of file
@@ -0,0 +1,138 @@
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  log: Math.log10,
+  ln: Math.log,
+  exp: Math.exp
+};
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+// Recursive descent evaluator for arithmetic expressions. Supports + - * / %
+// ^, parentheses, unary minus, the FUNCTIONS above and pi/e. No eval.
+function evaluate(expression) {
+  const tokens = expression.match(/\d*\.?\d+(?:e[+-]?\d+)?|[a-z]+|[-+*/%^()]/gi) || [];
+  if (tokens.join('') !== expression.replace(/\s+/g, '')) {
+    throw new Error('Expression contains unsupported characters');
+  }
+
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  function expect(token) {
+    if (next() !== token) {
+      throw new Error(`Expected "${token}"`);
+    }
+  }
+
+  function parseExpression() {
+    let value = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      value = next() === '+' ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  }
+
+  function parseTerm() {
+    let value = parseUnary();
+    while (peek() === '*' || peek() === '/' || peek() === '%') {
+      const operator = next();
+      const right = parseUnary();
+      if (operator === '*') value *= right;
+      else if (operator === '/') value /= right;
+      else value %= right;
+    }
+    return value;
+  }
+
+  function parseUnary() {
+    if (peek() === '-') {
+      next();
+      return -parseUnary();
+    }
+    if (peek() === '+') {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  }
+
+  // Exponentiation binds tighter than unary minus and is right associative
+  function parsePower() {
+    const base = parsePrimary();
+    if (peek() === '^') {
+      next();
+      return Math.pow(base, parseUnary());
+    }
+    return base;
+  }
+
+  function parsePrimary() {
+    const token = next();
+    if (token === undefined) {
+      throw new Error('Unexpected end of expression');
+    }
+
+    if (token === '(') {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+
+    if (/^[\d.]/.test(token)) {
+      return parseFloat(token);
+    }
+
+    const name = token.toLowerCase();
+    if (FUNCTIONS[name]) {
+      expect('(');
+      const value = parseExpression();
+      expect(')');
+      return FUNCTIONS[name](value);
+    }
+    if (CONSTANTS[name] !== undefined) {
+      return CONSTANTS[name];
+    }
+
+    throw new Error(`Unknown symbol "${token}"`);
+  }
+
+  const result = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${peek()}"`);
+  }
+  return result;
+}
+
+module.exports = {
+  name: 'calculator',
+  description: 'Evaluate an arithmetic expression. Supports + - * / % ^, parentheses, sqrt, abs, round, floor, ceil, sin, cos, tan, log, ln, exp, pi and e.',
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: {
+        type: 'string',
+        description: 'The expression to evaluate, e.g. "(3 + 4) * sqrt(16)"'
+      }
+    },
+    required: ['expression']
+  },
+  handler: async ({ expression }) => {
+    const result = evaluate(expression);
+    if (!Number.isFinite(result)) {
+      throw new Error('Result is not a finite number');
+    }
+    return { expression, result };
+  },
+  evaluate
+};
\ No newline at end of file
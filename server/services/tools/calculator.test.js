@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const calculator = require('./calculator');
+
+const { evaluate } = calculator;
+
+test('follows operator precedence and parentheses', () => {
+  assert.strictEqual(evaluate('2 + 3 * 4'), 14);
+  assert.strictEqual(evaluate('(2 + 3) * 4'), 20);
+  assert.strictEqual(evaluate('10 - 4 - 3'), 3);
+  assert.strictEqual(evaluate('12 / 4 / 3'), 1);
+  assert.strictEqual(evaluate('10 % 4 + 1'), 3);
+});
+
+test('powers are right associative and bind tighter than unary minus', () => {
+  assert.strictEqual(evaluate('2^3^2'), 512);
+  assert.strictEqual(evaluate('-2^2'), -4);
+  assert.strictEqual(evaluate('(-2)^2'), 4);
+  assert.strictEqual(evaluate('2^-1'), 0.5);
+  assert.strictEqual(evaluate('--3'), 3);
+  assert.strictEqual(evaluate('+3'), 3);
+});
+
+test('reads decimals and scientific notation', () => {
+  assert.strictEqual(evaluate('.5 + 1.25'), 1.75);
+  assert.strictEqual(evaluate('2e3'), 2000);
+  assert.strictEqual(evaluate('1.5e-2'), 0.015);
+});
+
+test('supports functions and constants in any case', () => {
+  assert.strictEqual(evaluate('(3 + 4) * sqrt(16)'), 28);
+  assert.strictEqual(evaluate('abs(-3) + round(2.5) + floor(2.9) + ceil(2.1)'), 11);
+  assert.strictEqual(evaluate('log(1000)'), 3);
+  assert.strictEqual(evaluate('ln(e)'), 1);
+  assert.strictEqual(evaluate('exp(0) + cos(0) + sin(0)'), 2);
+  assert.strictEqual(evaluate('PI'), Math.PI);
+  assert.strictEqual(evaluate('SQRT(9)'), 3);
+});
+
+test('rejects characters outside the grammar', () => {
+  assert.throws(() => evaluate('1; process.exit()'), /unsupported characters/);
+  assert.throws(() => evaluate('2 & 3'), /unsupported characters/);
+  assert.throws(() => evaluate('[1]'), /unsupported characters/);
+});
+
+test('reports malformed expressions', () => {
+  assert.throws(() => evaluate(''), /Unexpected end of expression/);
+  assert.throws(() => evaluate('2 +'), /Unexpected end of expression/);
+  assert.throws(() => evaluate('(1 + 2'), /Expected "\)"/);
+  assert.throws(() => evaluate('1 + 2)'), /Unexpected "\)"/);
+  assert.throws(() => evaluate('1 2'), /Unexpected "2"/);
+  assert.throws(() => evaluate('sqrt 4'), /Expected "\("/);
+  assert.throws(() => evaluate('foo(2)'), /Unknown symbol "foo"/);
+});
+
+test('the handler returns the result and refuses non-finite ones', async () => {
+  assert.deepStrictEqual(await calculator.handler({ expression: '6 * 7' }), { expression: '6 * 7', result: 42 });
+  await assert.rejects(calculator.handler({ expression: '1 / 0' }), /not a finite number/);
+  await assert.rejects(calculator.handler({ expression: 'sqrt(-1)' }), /not a finite number/);
+});
\ No newline at end of file
@@ -0,0 +1,27 @@
+module.exports = {
+  name: 'current_time',
+  description: 'Get the current date and time, optionally in a specific IANA time zone such as "Europe/Paris".',
+  parameters: {
+    type: 'object',
+    properties: {
+      timeZone: {
+        type: 'string',
+        description: 'IANA time zone name. Defaults to UTC.'
+      }
+    }
+  },
+  handler: async ({ timeZone = 'UTC' }) => {
+    const now = new Date();
+    const formatted = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      dateStyle: 'full',
+      timeStyle: 'long'
+    }).format(now);
+
+    return {
+      iso: now.toISOString(),
+      timeZone,
+      formatted
+    };
+  }
+};
\ No newline at end of file
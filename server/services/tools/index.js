@@ -0,0 +1,29 @@
+const ToolRegistry = require('./toolRegistry');
+
+const BUILT_IN_TOOLS = [
+  require('./currentTime'),
+  require('./calculator'),
+  require('./unitConversion'),
+  require('./searchConversations')
+];
+
+function createToolRegistry() {
+  const registry = new ToolRegistry();
+  BUILT_IN_TOOLS.forEach(tool => registry.register(tool));
+  return registry;
+}
+
+let sharedRegistry = null;
+
+function getToolRegistry() {
+  if (!sharedRegistry) {
+    sharedRegistry = createToolRegistry();
+  }
+  return sharedRegistry;
+}
+
+module.exports = {
+  createToolRegistry,
+  getToolRegistry,
+  ToolRegistry
+};
\ No newline at end of file
@@ -0,0 +1,34 @@
+const Conversation = require('../../models/conversation');
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  name: 'search_conversations',
+  description: "Search the current user's past conversations by title, last message or tag.",
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Text to search for' },
+      limit: { type: 'integer', description: 'Maximum number of results (default 5)' }
+    },
+    required: ['query']
+  },
+  handler: async ({ query, limit = 5 }, context) => {
+    if (!context.userId) {
+      throw new Error('No user to search conversations for');
+    }
+
+    const conversations = await Conversation.search(context.userId, escapeRegex(query))
+      .limit(Math.min(limit, 20));
+
+    return conversations.map(conversation => ({
+      id: conversation._id,
+      title: conversation.title,
+      lastMessage: conversation.lastMessage,
+      tags: conversation.tags,
+      updatedAt: conversation.updatedAt
+    }));
+  }
+};
\ No newline at end of file
@@ -0,0 +1,89 @@
+// Tools the assistant can call. Each tool declares a JSON schema for its
+// arguments and a handler that receives the parsed arguments and a context
+// ({ userId, conversationId }).
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  register(tool) {
+    if (!tool.name || typeof tool.handler !== 'function') {
+      throw new Error('Tools need a name and a handler');
+    }
+    this.tools.set(tool.name, tool);
+    return this;
+  }
+
+  get(name) {
+    return this.tools.get(name);
+  }
+
+  // Provider-neutral definitions: { name, description, parameters }
+  definitions() {
+    return Array.from(this.tools.values()).map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters || { type: 'object', properties: {} }
+    }));
+  }
+
+  // Run a tool, returning { result } or { error } so the model can recover
+  async execute(name, args = {}, context = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      return { error: `Unknown tool: ${name}` };
+    }
+
+    const problem = validate(args, tool.parameters);
+    if (problem) {
+      return { error: problem };
+    }
+
+    try {
+      return { result: await tool.handler(args, context) };
+    } catch (error) {
+      console.error(`Error running tool ${name}:`, error);
+      return { error: error.message };
+    }
+  }
+}
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value)
+};
+
+// Checks required properties, primitive types and enums of a flat schema
+function validate(args, schema = {}) {
+  if (!TYPE_CHECKS.object(args)) {
+    return 'Arguments must be an object';
+  }
+
+  const properties = schema.properties || {};
+
+  for (const name of schema.required || []) {
+    if (args[name] === undefined) {
+      return `Missing required argument: ${name}`;
+    }
+  }
+
+  for (const [name, value] of Object.entries(args)) {
+    const property = properties[name];
+    if (!property) continue;
+
+    if (property.type && TYPE_CHECKS[property.type] && !TYPE_CHECKS[property.type](value)) {
+      return `Argument ${name} must be of type ${property.type}`;
+    }
+    if (property.enum && !property.enum.includes(value)) {
+      return `Argument ${name} must be one of: ${property.enum.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = ToolRegistry;
\ No newline at end of file
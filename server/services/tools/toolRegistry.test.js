@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ToolRegistry = require('./toolRegistry');
+const calculator = require('./calculator');
+
+const echo = {
+  name: 'echo',
+  description: 'Returns its arguments',
+  parameters: {
+    type: 'object',
+    properties: {
+      text: { type: 'string' },
+      times: { type: 'integer' },
+      ratio: { type: 'number' },
+      loud: { type: 'boolean' },
+      tags: { type: 'array' },
+      options: { type: 'object' },
+      unit: { type: 'string', enum: ['metric', 'imperial'] }
+    },
+    required: ['text']
+  },
+  handler: async (args, context) => ({ args, context })
+};
+
+const registry = new ToolRegistry().register(echo).register(calculator);
+
+test('runs a tool with valid arguments and passes the context on', async () => {
+  const args = { text: 'hi', times: 2, ratio: 0.5, loud: false, tags: [], options: {}, unit: 'metric' };
+
+  assert.deepStrictEqual(await registry.execute('echo', args, { userId: 'u1' }), { result: { args, context: { userId: 'u1' } } });
+  assert.deepStrictEqual(await registry.execute('calculator', { expression: '2^10' }), { result: { expression: '2^10', result: 1024 } });
+});
+
+test('rejects arguments that are not an object', async () => {
+  for (const args of [null, 'text', ['text']]) {
+    assert.deepStrictEqual(await registry.execute('echo', args), { error: 'Arguments must be an object' });
+  }
+});
+
+test('reports missing required arguments', async () => {
+  assert.deepStrictEqual(await registry.execute('echo', { times: 1 }), { error: 'Missing required argument: text' });
+  assert.deepStrictEqual(await registry.execute('calculator', {}), { error: 'Missing required argument: expression' });
+});
+
+test('checks argument types', async () => {
+  const cases = [
+    [{ text: 42 }, 'Argument text must be of type string'],
+    [{ text: 'a', times: 1.5 }, 'Argument times must be of type integer'],
+    [{ text: 'a', ratio: Infinity }, 'Argument ratio must be of type number'],
+    [{ text: 'a', loud: 'yes' }, 'Argument loud must be of type boolean'],
+    [{ text: 'a', tags: {} }, 'Argument tags must be of type array'],
+    [{ text: 'a', options: [] }, 'Argument options must be of type object'],
+    [{ text: 'a', options: null }, 'Argument options must be of type object']
+  ];
+
+  for (const [args, error] of cases) {
+    assert.deepStrictEqual(await registry.execute('echo', args), { error });
+  }
+});
+
+test('checks enums and ignores arguments the schema does not describe', async () => {
+  assert.deepStrictEqual(await registry.execute('echo', { text: 'a', unit: 'kelvin' }), { error: 'Argument unit must be one of: metric, imperial' });
+  assert.deepStrictEqual(await registry.execute('echo', { text: 'a', extra: 1 }), { result: { args: { text: 'a', extra: 1 }, context: {} } });
+});
+
+test('returns handler failures and unknown tools as errors', async (t) => {
+  t.mock.method(console, 'error', () => {});
+
+  assert.deepStrictEqual(await registry.execute('calculator', { expression: '1 +' }), { error: 'Unexpected end of expression' });
+  assert.deepStrictEqual(await registry.execute('weather', {}), { error: 'Unknown tool: weather' });
+});
\ No newline at end of file
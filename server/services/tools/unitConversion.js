@@ -0,0 +1,52 @@
+// Factors to each dimension's base unit (meter, kilogram, liter, second, m/s)
+const UNITS = {
+  length: { m: 1, km: 1000, cm: 0.01, mm: 0.001, mi: 1609.344, yd: 0.9144, ft: 0.3048, in: 0.0254 },
+  mass: { kg: 1, g: 0.001, mg: 0.000001, t: 1000, lb: 0.45359237, oz: 0.028349523125 },
+  volume: { l: 1, ml: 0.001, gal: 3.785411784, qt: 0.946352946, pt: 0.473176473, cup: 0.2365882365, floz: 0.0295735295625 },
+  time: { s: 1, ms: 0.001, min: 60, h: 3600, day: 86400, week: 604800 },
+  speed: { 'm/s': 1, 'km/h': 1 / 3.6, mph: 0.44704, knot: 0.514444 }
+};
+
+const TEMPERATURE = {
+  c: { toKelvin: value => value + 273.15, fromKelvin: value => value - 273.15 },
+  f: { toKelvin: value => (value - 32) * 5 / 9 + 273.15, fromKelvin: value => (value - 273.15) * 9 / 5 + 32 },
+  k: { toKelvin: value => value, fromKelvin: value => value }
+};
+
+function convert(value, from, to) {
+  const source = from.toLowerCase();
+  const target = to.toLowerCase();
+
+  if (TEMPERATURE[source] && TEMPERATURE[target]) {
+    return TEMPERATURE[target].fromKelvin(TEMPERATURE[source].toKelvin(value));
+  }
+
+  for (const units of Object.values(UNITS)) {
+    if (units[source] !== undefined && units[target] !== undefined) {
+      return value * units[source] / units[target];
+    }
+  }
+
+  throw new Error(`Cannot convert from ${from} to ${to}`);
+}
+
+module.exports = {
+  name: 'convert_units',
+  description: 'Convert a value between units of length, mass, volume, time, speed or temperature (c, f, k).',
+  parameters: {
+    type: 'object',
+    properties: {
+      value: { type: 'number', description: 'The value to convert' },
+      from: { type: 'string', description: 'Source unit, e.g. "km", "lb", "f"' },
+      to: { type: 'string', description: 'Target unit, e.g. "mi", "kg", "c"' }
+    },
+    required: ['value', 'from', 'to']
+  },
+  handler: async ({ value, from, to }) => ({
+    value,
+    from,
+    to,
+    result: Number(convert(value, from, to).toPrecision(12))
+  }),
+  convert
+};
\ No newline at end of file
@@ -0,0 +1,165 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MIME_FORMATS = {
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/aac': 'm4a',
+  'audio/flac': 'flac',
+  'audio/x-flac': 'flac'
+};
+
+const FFMPEG = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE = process.env.FFPROBE_PATH || 'ffprobe';
+const TOOL_TIMEOUT = 60000;
+
+function run(binary, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    execFile(binary, args, { timeout: TOOL_TIMEOUT, maxBuffer: 1024 * 1024, ...options }, (error, stdout, stderr) => {
+      if (error) {
+        error.message = `${path.basename(binary)} failed: ${(stderr || error.message).toString().trim().split('\n').pop()}`;
+        return reject(error);
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+// Identify the container from its magic bytes, falling back to the MIME type
+function detectAudioFormat(buffer, mimeType) {
+  const ascii = (start, end) => buffer.toString('ascii', start, end);
+  const baseType = (mimeType || '').split(';')[0].trim().toLowerCase();
+
+  if (buffer.length < 12) return MIME_FORMATS[baseType] || null;
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'wav';
+  if (ascii(0, 4) === 'OggS') return 'ogg';
+  if (ascii(0, 4) === 'fLaC') return 'flac';
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) return 'webm';
+  if (ascii(4, 8) === 'ftyp') return 'm4a';
+  if (ascii(0, 3) === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) return 'mp3';
+
+  return MIME_FORMATS[baseType] || null;
+}
+
+// Duration of a PCM WAV file from its fmt and data chunks
+function wavDuration(buffer) {
+  let offset = 12;
+  let byteRate;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+
+    if (id === 'fmt ') {
+      byteRate = buffer.readUInt32LE(offset + 16);
+    } else if (id === 'data' && byteRate) {
+      return Math.min(size, buffer.length - offset - 8) / byteRate;
+    }
+    offset += 8 + size + (size % 2);
+  }
+
+  return null;
+}
+
+// Already 16 kHz mono 16-bit PCM, the input whisper.cpp expects
+function isNormalizedWav(buffer) {
+  return buffer.length >= 36 &&
+    buffer.readUInt16LE(20) === 1 &&
+    buffer.readUInt16LE(22) === 1 &&
+    buffer.readUInt32LE(24) === 16000 &&
+    buffer.readUInt16LE(34) === 16;
+}
+
+async function withTempFile(buffer, extension, callback) {
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'rai-audio-'));
+  const filePath = path.join(directory, `input.${extension}`);
+
+  try {
+    await fs.promises.writeFile(filePath, buffer);
+    return await callback(filePath, directory);
+  } finally {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+}
+
+// Duration in seconds, or null when it can't be determined (no ffprobe, or
+// a stream without a duration header such as MediaRecorder WebM)
+async function audioDuration(buffer, format) {
+  if (format === 'wav') {
+    return wavDuration(buffer);
+  }
+
+  try {
+    const output = await withTempFile(buffer, format, filePath =>
+      run(FFPROBE, ['-v', 'error', '-show_entries', 'format=duration', '-of', 'csv=p=0', filePath])
+    );
+    const duration = parseFloat(output);
+    return Number.isFinite(duration) ? duration : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Normalize any supported input to 16 kHz mono 16-bit PCM WAV
+async function toWav(buffer, format) {
+  if (format === 'wav' && isNormalizedWav(buffer)) {
+    return buffer;
+  }
+
+  return withTempFile(buffer, format, async (filePath, directory) => {
+    const outputPath = path.join(directory, 'output.wav');
+    try {
+      await run(FFMPEG, ['-v', 'error', '-y', '-i', filePath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', outputPath]);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Converting ${format} audio requires ffmpeg (set FFMPEG_PATH)`);
+      }
+      throw error;
+    }
+    return fs.promises.readFile(outputPath);
+  });
+}
+
+// Joins PCM WAV files that share one format (e.g. chunks from the same TTS
+// engine) by appending their data chunks under the first file's header
+function concatWav(buffers) {
+  if (buffers.length === 1) return buffers[0];
+
+  const dataOf = (buffer) => {
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+      const id = buffer.toString('ascii', offset, offset + 4);
+      const size = buffer.readUInt32LE(offset + 4);
+      if (id === 'data') {
+        return { start: offset, data: buffer.subarray(offset + 8, Math.min(offset + 8 + size, buffer.length)) };
+      }
+      offset += 8 + size + (size % 2);
+    }
+    throw new Error('WAV file has no data chunk');
+  };
+
+  const first = dataOf(buffers[0]);
+  const data = Buffer.concat(buffers.map(buffer => dataOf(buffer).data));
+  const header = Buffer.from(buffers[0].subarray(0, first.start + 8));
+  header.writeUInt32LE(header.length - 8 + data.length, 4);
+  header.writeUInt32LE(data.length, first.start + 4);
+
+  return Buffer.concat([header, data]);
+}
+
+module.exports = {
+  audioDuration,
+  concatWav,
+  detectAudioFormat,
+  toWav,
+  wavDuration
+};
\ No newline at end of file
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { audioDuration, concatWav, detectAudioFormat, toWav, wavDuration } = require('./audio');
+
+// A PCM WAV file holding `seconds` of silence
+function wav(seconds, { sampleRate = 16000, channels = 1 } = {}) {
+  const byteRate = sampleRate * channels * 2;
+  const data = Buffer.alloc(Math.round(seconds * byteRate));
+  const header = Buffer.alloc(44);
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(byteRate, 28);
+  header.writeUInt16LE(channels * 2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+
+  return Buffer.concat([header, data]);
+}
+
+const padded = (head) => Buffer.concat([Buffer.from(head), Buffer.alloc(16)]);
+
+test('detects the container from its magic bytes', () => {
+  assert.strictEqual(detectAudioFormat(wav(0.1)), 'wav');
+  assert.strictEqual(detectAudioFormat(padded('OggS')), 'ogg');
+  assert.strictEqual(detectAudioFormat(padded('fLaC')), 'flac');
+  assert.strictEqual(detectAudioFormat(padded([0x1a, 0x45, 0xdf, 0xa3])), 'webm');
+  assert.strictEqual(detectAudioFormat(padded([0, 0, 0, 0x20, 0x66, 0x74, 0x79, 0x70])), 'm4a');
+  assert.strictEqual(detectAudioFormat(padded('ID3')), 'mp3');
+  assert.strictEqual(detectAudioFormat(padded([0xff, 0xfb])), 'mp3');
+});
+
+test('falls back to the MIME type, ignoring parameters', () => {
+  assert.strictEqual(detectAudioFormat(Buffer.alloc(16), 'audio/webm;codecs=opus'), 'webm');
+  assert.strictEqual(detectAudioFormat(Buffer.from('tiny'), 'audio/x-m4a'), 'm4a');
+  assert.strictEqual(detectAudioFormat(Buffer.alloc(16), 'video/mp4'), null);
+  assert.strictEqual(detectAudioFormat(Buffer.alloc(16)), null);
+});
+
+test('reads the duration of WAV files from their header', async () => {
+  assert.strictEqual(wavDuration(wav(1.5)), 1.5);
+  assert.strictEqual(wavDuration(wav(2, { sampleRate: 44100, channels: 2 })), 2);
+  assert.strictEqual(await audioDuration(wav(0.25), 'wav'), 0.25);
+
+  // A truncated upload only counts the bytes that arrived
+  assert.strictEqual(wavDuration(wav(1).subarray(0, 44 + 16000)), 0.5);
+});
+
+test('16 kHz mono WAV is passed to transcription unchanged', async () => {
+  const audio = wav(0.5);
+
+  assert.strictEqual(await toWav(audio, 'wav'), audio);
+});
+
+test('joins WAV chunks under one header', () => {
+  const joined = concatWav([wav(0.5), wav(0.25), wav(1)]);
+
+  assert.strictEqual(wavDuration(joined), 1.75);
+  assert.strictEqual(joined.readUInt32LE(4), joined.length - 8);
+  assert.strictEqual(joined.readUInt32LE(40), joined.length - 44);
+
+  const single = wav(0.1);
+  assert.strictEqual(concatWav([single]), single);
+  assert.throws(() => concatWav([single, Buffer.from('RIFF....WAVEjunk')]), /no data chunk/);
+});
\ No newline at end of file
@@ -0,0 +1,331 @@
+const crypto = require('crypto');
+const path = require('path');
+const mammoth = require('mammoth');
+const pdfParse = require('pdf-parse');
+const { countTokens } = require('./tokens');
+const { saveUpload } = require('./uploads');
+
+const MAX_DOCUMENT_BYTES = parseInt(process.env.DOCUMENT_MAX_BYTES) || 20 * 1024 * 1024;
+// Extracted text limit, which keeps a document's chunks within one MongoDB record
+const MAX_DOCUMENT_CHARS = parseInt(process.env.DOCUMENT_MAX_CHARS) || 1000000;
+const CHUNK_TOKENS = parseInt(process.env.DOCUMENT_CHUNK_TOKENS) || 1500;
+
+// Supported formats by extension, with the MIME types browsers report for them
+const DOCUMENT_FORMATS = {
+  pdf: ['application/pdf'],
+  docx: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  txt: ['text/plain'],
+  csv: ['text/csv', 'application/csv'],
+  md: ['text/markdown', 'text/x-markdown']
+};
+
+// Oversized paragraphs are split at line, then sentence, then word boundaries
+const SPLIT_SEPARATORS = [
+  { pattern: /\n+/, join: '\n' },
+  { pattern: /(?<=[.!?])\s+/, join: ' ' },
+  { pattern: /\s+/, join: ' ' }
+];
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' };
+
+function documentError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function documentHash(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Format of an upload from its extension, or its MIME type when it has none
+function documentFormat(filename, mimeType) {
+  const extension = path.extname(filename || '').slice(1).toLowerCase();
+  if (extension) {
+    const format = extension === 'markdown' ? 'md' : extension;
+    return DOCUMENT_FORMATS[format] ? format : null;
+  }
+  return Object.keys(DOCUMENT_FORMATS).find(format => DOCUMENT_FORMATS[format].includes(mimeType)) || null;
+}
+
+function decodeText(buffer) {
+  return buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+function paragraphs(text) {
+  return text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+}
+
+// Each page is read separately so its paragraphs keep their page number
+async function parsePdf(buffer) {
+  const pages = [];
+  const result = await pdfParse(buffer, {
+    pagerender: async (pageData) => {
+      const content = await pageData.getTextContent();
+      let lastY;
+      let text = '';
+      for (const item of content.items) {
+        const y = item.transform[5];
+        if (lastY !== undefined && y !== lastY) text += '\n';
+        text += item.str;
+        lastY = y;
+      }
+      pages[pageData.pageNumber - 1] = text;
+      return text;
+    }
+  });
+
+  const segments = [];
+  pages.forEach((text, index) => {
+    paragraphs(text || '').forEach(paragraph => segments.push({ text: paragraph, page: index + 1 }));
+  });
+  if (segments.length === 0) {
+    throw documentError('The PDF has no extractable text. Scanned documents are not supported.');
+  }
+
+  return { pageCount: result.numpages, segments };
+}
+
+// Paragraphs grouped under their nearest heading. Headings inside code
+// fences are left alone.
+function parseMarkdown(text) {
+  const segments = [];
+  let section;
+  let lines = [];
+  let fenced = false;
+
+  const flush = () => {
+    paragraphs(lines.join('\n')).forEach(paragraph => segments.push({ text: paragraph, section }));
+    lines = [];
+  };
+
+  for (const line of text.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) fenced = !fenced;
+
+    const heading = !fenced && /^(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      flush();
+      section = heading[2];
+    }
+    lines.push(line);
+  }
+  flush();
+
+  return { segments };
+}
+
+// Word documents are converted to HTML so headings survive, then read as markdown
+async function parseDocx(buffer) {
+  const { value: html } = await mammoth.convertToHtml({ buffer });
+  const stripTags = (fragment) => fragment.replace(/<[^>]+>/g, '');
+
+  const text = html
+    .replace(/<h([1-6])[^>]*>(.*?)<\/h\1>/gs, (match, level, inner) => `\n\n${'#'.repeat(level)} ${stripTags(inner)}\n\n`)
+    .replace(/<\/t[dh]>/g, '\t')
+    .replace(/<\/(p|li|tr|table)>/g, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (match, entity) => HTML_ENTITIES[entity]);
+
+  return parseMarkdown(text);
+}
+
+// One segment per record; quoted fields may span lines. The header row is
+// repeated at the top of every chunk so each can be read on its own.
+function parseCsv(text) {
+  const records = [];
+  let pending = [];
+  let quoted = false;
+
+  for (const line of text.split('\n')) {
+    pending.push(line);
+    if ((line.match(/"/g) || []).length % 2 === 1) quoted = !quoted;
+    if (!quoted) {
+      records.push(pending.join('\n'));
+      pending = [];
+    }
+  }
+  if (pending.length > 0) records.push(pending.join('\n'));
+
+  const [header, ...rows] = records;
+  return {
+    header,
+    segments: rows
+      .map((row, index) => ({ text: row, row: index + 2 }))
+      .filter(segment => segment.text.trim())
+  };
+}
+
+async function parseDocument(buffer, format) {
+  switch (format) {
+    case 'pdf':
+      return parsePdf(buffer);
+    case 'docx':
+      return parseDocx(buffer);
+    case 'md':
+      return parseMarkdown(decodeText(buffer));
+    case 'csv':
+      return parseCsv(decodeText(buffer));
+    default:
+      return { segments: paragraphs(decodeText(buffer)).map(text => ({ text })) };
+  }
+}
+
+function splitText(text, maxTokens, separators = SPLIT_SEPARATORS) {
+  if (countTokens(text) <= maxTokens) return [text];
+
+  if (separators.length === 0) {
+    const size = Math.max(1, Math.floor(text.length * maxTokens / countTokens(text)));
+    const pieces = [];
+    for (let start = 0; start < text.length; start += size) {
+      pieces.push(text.slice(start, start + size));
+    }
+    return pieces;
+  }
+
+  const [separator, ...rest] = separators;
+  const pieces = [];
+  let current = '';
+  for (const part of text.split(separator.pattern)) {
+    if (!part.trim()) continue;
+
+    const candidate = current ? current + separator.join + part : part;
+    if (countTokens(candidate) <= maxTokens) {
+      current = candidate;
+      continue;
+    }
+
+    if (current) pieces.push(current);
+    const split = splitText(part, maxTokens, rest);
+    current = split.pop();
+    pieces.push(...split);
+  }
+  if (current) pieces.push(current);
+
+  return pieces;
+}
+
+// Packs segments into chunks of at most maxTokens. A chunk never spans two
+// sections and records the pages or rows it covers.
+function chunkSegments(segments, options = {}) {
+  const header = options.header || '';
+  const separator = header ? '\n' : '\n\n';
+  const maxTokens = Math.max((options.maxTokens || CHUNK_TOKENS) - countTokens(header), 100);
+  const chunks = [];
+  let current = null;
+
+  const close = () => {
+    if (!current) return;
+    const text = [header, ...current.parts].filter(Boolean).join(separator);
+    chunks.push({
+      index: chunks.length,
+      text,
+      tokens: countTokens(text),
+      section: current.section,
+      pageStart: current.pageStart,
+      pageEnd: current.pageEnd,
+      rowStart: current.rowStart,
+      rowEnd: current.rowEnd
+    });
+    current = null;
+  };
+
+  for (const segment of segments) {
+    for (const piece of splitText(segment.text, maxTokens)) {
+      const tokens = countTokens(piece);
+      if (current && (current.section !== segment.section || current.tokens + tokens > maxTokens)) {
+        close();
+      }
+
+      if (!current) {
+        current = {
+          parts: [],
+          tokens: 0,
+          section: segment.section,
+          pageStart: segment.page,
+          rowStart: segment.row
+        };
+      }
+      current.parts.push(piece);
+      current.tokens += tokens;
+      current.pageEnd = segment.page;
+      current.rowEnd = segment.row;
+    }
+  }
+  close();
+
+  return chunks;
+}
+
+// Chunks for text that was not uploaded, e.g. a document pasted into a message
+function chunkText(text) {
+  return chunkSegments(paragraphs(text.replace(/\r\n?/g, '\n')).map(paragraph => ({ text: paragraph })));
+}
+
+// Citation label for a chunk, e.g. "p. 3", "pp. 3-4, Scope" or "rows 2-120"
+function chunkReference(chunk) {
+  const range = (singular, plural, start, end) => (end && end !== start ? `${plural} ${start}-${end}` : `${singular} ${start}`);
+  const parts = [];
+
+  if (chunk.pageStart) parts.push(range('p.', 'pp.', chunk.pageStart, chunk.pageEnd));
+  if (chunk.rowStart) parts.push(range('row', 'rows', chunk.rowStart, chunk.rowEnd));
+  if (chunk.section) parts.push(chunk.section);
+
+  return parts.join(', ') || `part ${chunk.index + 1}`;
+}
+
+// Parses and chunks an uploaded document, then stores the original under
+// uploads/documents named by its SHA-256. Nothing is stored for files that
+// cannot be read.
+async function storeDocument(buffer, { name, mimeType } = {}) {
+  const format = documentFormat(name, mimeType);
+  if (!format) {
+    throw documentError(`Supported documents are ${Object.keys(DOCUMENT_FORMATS).map(type => type.toUpperCase()).join(', ')}`);
+  }
+  if (buffer.length > MAX_DOCUMENT_BYTES) {
+    throw documentError(`Documents are limited to ${Math.round(MAX_DOCUMENT_BYTES / 1024 / 1024)} MB`);
+  }
+
+  let parsed;
+  try {
+    parsed = await parseDocument(buffer, format);
+  } catch (error) {
+    if (error.status) throw error;
+    console.error('Error parsing document:', error);
+    throw documentError(`The ${format.toUpperCase()} file could not be read`);
+  }
+
+  const characters = parsed.segments.reduce((sum, segment) => sum + segment.text.length, 0);
+  if (characters === 0) {
+    throw documentError('The document has no readable text');
+  }
+  if (characters > MAX_DOCUMENT_CHARS) {
+    throw documentError(`Documents are limited to ${MAX_DOCUMENT_CHARS} characters of text`);
+  }
+
+  const chunks = chunkSegments(parsed.segments, { header: parsed.header });
+  const hash = documentHash(buffer);
+  const { url } = await saveUpload('documents', `${hash}.${format}`, buffer);
+
+  return {
+    url,
+    hash,
+    format,
+    pageCount: parsed.pageCount,
+    characters,
+    sections: [...new Set(chunks.map(chunk => chunk.section).filter(Boolean))],
+    chunks
+  };
+}
+
+module.exports = {
+  chunkReference,
+  chunkSegments,
+  chunkText,
+  DOCUMENT_FORMATS,
+  documentError,
+  documentFormat,
+  documentHash,
+  parseCsv,
+  splitText,
+  storeDocument
+};
\ No newline at end of file
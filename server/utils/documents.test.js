@@ -0,0 +1,228 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rai-documents-'));
+process.env.UPLOAD_PATH = uploadDir;
+
+const { chunkReference, chunkSegments, chunkText, documentFormat, parseCsv, splitText, storeDocument } = require('./documents');
+const { countTokens } = require('./tokens');
+
+test.after(() => fs.rmSync(uploadDir, { recursive: true, force: true }));
+
+// Without a model, tokens are counted at 3.5 characters each, so 175
+// characters make 50 tokens
+const words = count => Array.from({ length: count }, () => 'word').join(' ');
+const block = letter => letter.repeat(175);
+
+test('parseCsv keeps the header apart and numbers rows from 2', () => {
+  assert.deepStrictEqual(parseCsv('name,city\nAda,London\n\nGrace,Arlington'), {
+    header: 'name,city',
+    segments: [
+      { text: 'Ada,London', row: 2 },
+      { text: 'Grace,Arlington', row: 4 }
+    ]
+  });
+});
+
+test('parseCsv keeps quoted fields that span lines in one row', () => {
+  const { segments } = parseCsv('name,notes\nAda,"First line\nsecond line"\nGrace,"Said ""hi"""\nLinus,plain');
+
+  assert.deepStrictEqual(segments, [
+    { text: 'Ada,"First line\nsecond line"', row: 2 },
+    { text: 'Grace,"Said ""hi"""', row: 3 },
+    { text: 'Linus,plain', row: 4 }
+  ]);
+});
+
+test('parseCsv keeps an unterminated quoted field as the last row', () => {
+  const { segments } = parseCsv('name,notes\nAda,"never closed\nstill open');
+
+  assert.deepStrictEqual(segments, [{ text: 'Ada,"never closed\nstill open', row: 2 }]);
+});
+
+test('splitText leaves text that fits alone', () => {
+  assert.deepStrictEqual(splitText('Short enough.', 10), ['Short enough.']);
+});
+
+test('splitText splits at lines before sentences', () => {
+  assert.deepStrictEqual(splitText('First line here.\nSecond line here.', 6), ['First line here.', 'Second line here.']);
+  assert.deepStrictEqual(
+    splitText('First sentence here. Second sentence here. Third one.', 8),
+    ['First sentence here.', 'Second sentence here.', 'Third one.']
+  );
+});
+
+test('splitText falls back to words, then to fixed-size pieces', () => {
+  assert.deepStrictEqual(splitText('One two. Three four. Five six.', 3), ['One two.', 'Three', 'four.', 'Five six.']);
+  assert.deepStrictEqual(splitText('x'.repeat(35), 2), Array(5).fill('x'.repeat(7)));
+});
+
+test('splitText never returns a piece over the limit', () => {
+  const text = `${words(300)}\n\n${'y'.repeat(500)}. ${words(50)}`;
+
+  const pieces = splitText(text, 40);
+  assert.ok(pieces.length > 1);
+  pieces.forEach(piece => assert.ok(countTokens(piece) <= 40, `${countTokens(piece)} tokens`));
+});
+
+test('chunkSegments packs segments up to the token limit', () => {
+  const segments = ['a', 'b', 'c', 'd', 'e'].map(letter => ({ text: block(letter) }));
+
+  const chunks = chunkSegments(segments, { maxTokens: 120 });
+
+  assert.deepStrictEqual(chunks.map(chunk => chunk.text), [
+    `${block('a')}\n\n${block('b')}`,
+    `${block('c')}\n\n${block('d')}`,
+    block('e')
+  ]);
+  assert.deepStrictEqual(chunks.map(chunk => chunk.index), [0, 1, 2]);
+  chunks.forEach(chunk => assert.strictEqual(chunk.tokens, countTokens(chunk.text)));
+});
+
+test('chunkSegments starts a new chunk at each section and records pages', () => {
+  const chunks = chunkSegments([
+    { text: 'Intro', section: 'Overview', page: 1 },
+    { text: 'More intro', section: 'Overview', page: 2 },
+    { text: 'Details', section: 'Scope', page: 2 },
+    { text: 'Even more', section: 'Scope', page: 3 }
+  ]);
+
+  assert.deepStrictEqual(chunks.map(({ text, section, pageStart, pageEnd }) => ({ text, section, pageStart, pageEnd })), [
+    { text: 'Intro\n\nMore intro', section: 'Overview', pageStart: 1, pageEnd: 2 },
+    { text: 'Details\n\nEven more', section: 'Scope', pageStart: 2, pageEnd: 3 }
+  ]);
+});
+
+test('chunkSegments splits an oversized segment across chunks', () => {
+  const chunks = chunkSegments([{ text: words(200), page: 4 }], { maxTokens: 100 });
+
+  assert.ok(chunks.length > 1);
+  chunks.forEach(chunk => {
+    assert.ok(chunk.tokens <= 100, `${chunk.tokens} tokens`);
+    assert.strictEqual(chunk.pageStart, 4);
+    assert.strictEqual(chunk.pageEnd, 4);
+  });
+  assert.strictEqual(chunks.map(chunk => chunk.text).join(' '), words(200));
+});
+
+test('chunkSegments repeats the CSV header in every chunk and records rows', () => {
+  const header = 'name,notes';
+  const rows = ['a', 'b', 'c'].map((letter, index) => ({ text: block(letter), row: index + 2 }));
+
+  const chunks = chunkSegments(rows, { header, maxTokens: 123 });
+
+  assert.deepStrictEqual(chunks.map(({ text, rowStart, rowEnd }) => ({ text, rowStart, rowEnd })), [
+    { text: `${header}\n${block('a')}\n${block('b')}`, rowStart: 2, rowEnd: 3 },
+    { text: `${header}\n${block('c')}`, rowStart: 4, rowEnd: 4 }
+  ]);
+});
+
+test('chunkSegments returns no chunks for no segments', () => {
+  assert.deepStrictEqual(chunkSegments([]), []);
+});
+
+// A minimal PDF with one line of Helvetica text per page. It is padded past
+// 4 KB: pdf-parse's bundled pdf.js misreads smaller files, which Node
+// allocates from its shared buffer pool.
+function pdf(pages) {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((page, index) => `${4 + index * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  pages.forEach((text, index) => {
+    const stream = text ? `BT /F1 12 Tf 20 250 Td (${text}) Tj ET` : '';
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 300 300] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + index * 2} 0 R >>`);
+    objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+  });
+
+  let body = `%PDF-1.4\n%${' '.repeat(4096)}\n`;
+  const offsets = objects.map((object, index) => {
+    const offset = body.length;
+    body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = body.length;
+  body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  body += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(body, 'latin1');
+}
+
+test('documentFormat prefers the extension over the MIME type', () => {
+  assert.strictEqual(documentFormat('Report.PDF', 'application/octet-stream'), 'pdf');
+  assert.strictEqual(documentFormat('notes.markdown'), 'md');
+  assert.strictEqual(documentFormat('data', 'application/csv'), 'csv');
+  assert.strictEqual(documentFormat('photo.png', 'text/plain'), null);
+  assert.strictEqual(documentFormat('', 'image/png'), null);
+});
+
+test('chunkReference names pages, rows and sections', () => {
+  assert.strictEqual(chunkReference({ index: 0, pageStart: 3, pageEnd: 3 }), 'p. 3');
+  assert.strictEqual(chunkReference({ index: 0, pageStart: 3, pageEnd: 4, section: 'Scope' }), 'pp. 3-4, Scope');
+  assert.strictEqual(chunkReference({ index: 0, rowStart: 2, rowEnd: 120 }), 'rows 2-120');
+  assert.strictEqual(chunkReference({ index: 4 }), 'part 5');
+});
+
+test('chunkText chunks pasted text by paragraph', () => {
+  const chunks = chunkText('First paragraph.\r\n\r\nSecond paragraph.');
+
+  assert.strictEqual(chunks.length, 1);
+  assert.strictEqual(chunks[0].text, 'First paragraph.\n\nSecond paragraph.');
+});
+
+test('storeDocument reads PDF pages and keeps their numbers', async () => {
+  const buffer = pdf(['Hello from page one', 'Goodbye from page two']);
+
+  const stored = await storeDocument(buffer, { name: 'letter.pdf', mimeType: 'application/pdf' });
+
+  assert.strictEqual(stored.format, 'pdf');
+  assert.strictEqual(stored.pageCount, 2);
+  assert.strictEqual(stored.url, `/uploads/documents/${stored.hash}.pdf`);
+  assert.deepStrictEqual(fs.readFileSync(path.join(uploadDir, 'documents', `${stored.hash}.pdf`)), buffer);
+  assert.strictEqual(stored.chunks.length, 1);
+  assert.strictEqual(stored.chunks[0].text, 'Hello from page one\n\nGoodbye from page two');
+  assert.strictEqual(chunkReference(stored.chunks[0]), 'pp. 1-2');
+});
+
+test('storeDocument refuses PDFs without text', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  await assert.rejects(
+    storeDocument(pdf(['']), { name: 'scan.pdf' }),
+    { status: 400, message: 'The PDF has no extractable text. Scanned documents are not supported.' }
+  );
+  await assert.rejects(storeDocument(Buffer.from('not a pdf'), { name: 'broken.pdf' }), error => {
+    return error.status === 400 && error.message === 'The PDF file could not be read';
+  });
+});
+
+test('storeDocument groups markdown under headings outside code fences', async () => {
+  const markdown = [
+    '# Setup',
+    '',
+    'Install the tools.',
+    '',
+    '```sh',
+    '# not a heading',
+    '```',
+    '',
+    '## Usage',
+    '',
+    'Run the app.'
+  ].join('\n');
+
+  const stored = await storeDocument(Buffer.from(markdown), { name: 'README.md' });
+
+  assert.deepStrictEqual(stored.sections, ['Setup', 'Usage']);
+  assert.deepStrictEqual(stored.chunks.map(chunk => chunk.section), ['Setup', 'Usage']);
+  assert.match(stored.chunks[0].text, /# not a heading/);
+});
+
+test('storeDocument rejects unsupported and empty documents', async () => {
+  await assert.rejects(storeDocument(Buffer.from('x'), { name: 'photo.png' }), { status: 400, message: 'Supported documents are PDF, DOCX, TXT, CSV, MD' });
+  await assert.rejects(storeDocument(Buffer.from('﻿ \n\n '), { name: 'empty.txt' }), { status: 400, message: 'The document has no readable text' });
+});
\ No newline at end of file
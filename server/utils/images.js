@@ -0,0 +1,147 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { saveUpload, UPLOAD_DIR, uploadPath } = require('./uploads');
+
+const MAX_IMAGE_BYTES = parseInt(process.env.IMAGE_MAX_BYTES) || 20 * 1024 * 1024;
+const THUMBNAIL_SIZE = parseInt(process.env.IMAGE_THUMBNAIL_SIZE) || 256;
+const DOWNLOAD_TIMEOUT = 30000;
+
+function imageError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Raw bytes of an image given as a data: URL, an /uploads URL or a remote URL
+async function loadImage(source) {
+  if (Buffer.isBuffer(source)) {
+    return source;
+  }
+
+  const dataUrl = /^data:image\/[\w.+-]+;base64,(.*)$/s.exec(source || '');
+  if (dataUrl) {
+    return Buffer.from(dataUrl[1], 'base64');
+  }
+
+  const localPath = uploadPath(source);
+  if (localPath) {
+    return fs.promises.readFile(localPath);
+  }
+
+  if (!/^https?:\/\//.test(source || '')) {
+    throw imageError('Unsupported image source');
+  }
+
+  const response = await axios.get(source, {
+    responseType: 'arraybuffer',
+    timeout: DOWNLOAD_TIMEOUT,
+    maxContentLength: MAX_IMAGE_BYTES
+  });
+  return Buffer.from(response.data);
+}
+
+// Converts an image to WebP with a thumbnail under uploads/images. Files are
+// named by the SHA-256 of the source bytes, so storing the same image twice
+// reuses the first copy. Resolves to { url, thumbnailUrl, width, height, hash }.
+async function storeImage(source) {
+  const original = await loadImage(source);
+  if (original.length > MAX_IMAGE_BYTES) {
+    throw imageError(`Images are limited to ${Math.round(MAX_IMAGE_BYTES / 1024 / 1024)} MB`);
+  }
+
+  const hash = crypto.createHash('sha256').update(original).digest('hex');
+  const filename = `${hash}.webp`;
+  const thumbnailName = `${hash}.thumb.webp`;
+  const filePath = path.join(UPLOAD_DIR, 'images', filename);
+
+  try {
+    const image = sharp(original);
+    const { width, height } = await image.metadata();
+
+    if (!fs.existsSync(filePath)) {
+      const converted = await image.clone().webp({ quality: 90 }).toBuffer();
+      const thumbnail = await image.clone()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+
+      await saveUpload('images', thumbnailName, thumbnail);
+      await saveUpload('images', filename, converted);
+    }
+
+    return {
+      url: `/uploads/images/${filename}`,
+      thumbnailUrl: `/uploads/images/${thumbnailName}`,
+      width,
+      height,
+      hash
+    };
+  } catch (error) {
+    if (/unsupported image format|Input buffer/i.test(error.message)) {
+      throw imageError('The image could not be read');
+    }
+    throw error;
+  }
+}
+
+// RGBA PNG for image variation and edit APIs. square center-crops to the
+// shorter side; width and height resize exactly, e.g. to match a mask to
+// its image. Resolves to { buffer, width, height }.
+async function toPng(source, options = {}) {
+  const original = await loadImage(source);
+  if (original.length > MAX_IMAGE_BYTES) {
+    throw imageError(`Images are limited to ${Math.round(MAX_IMAGE_BYTES / 1024 / 1024)} MB`);
+  }
+
+  try {
+    let image = sharp(original);
+    if (options.width && options.height) {
+      image = image.resize(options.width, options.height, { fit: 'fill' });
+    } else if (options.square) {
+      const { width, height } = await image.metadata();
+      const side = Math.min(width, height, options.maxSize || Infinity);
+      image = image.resize(side, side, { fit: 'cover' });
+    }
+
+    const { data, info } = await image.ensureAlpha().png().toBuffer({ resolveWithObject: true });
+    return { buffer: data, width: info.width, height: info.height };
+  } catch (error) {
+    if (/unsupported image format|Input buffer/i.test(error.message)) {
+      throw imageError('The image could not be read');
+    }
+    throw error;
+  }
+}
+
+// Base64 JPEG for vision models, downscaled so its longest side is at most
+// maxDimension. Resolves to { mimeType, data }.
+async function toVisionInput(source, maxDimension) {
+  const original = await loadImage(source);
+
+  try {
+    const data = await sharp(original)
+      .rotate()
+      .resize(maxDimension, maxDimension, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 85 })
+      .toBuffer();
+
+    return { mimeType: 'image/jpeg', data: data.toString('base64') };
+  } catch (error) {
+    if (/unsupported image format|Input buffer/i.test(error.message)) {
+      throw imageError('The image could not be read');
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  imageError,
+  loadImage,
+  storeImage,
+  toPng,
+  toVisionInput
+};
\ No newline at end of file
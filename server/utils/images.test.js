@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Image conversion needs sharp, so these only run where it is installed
+let sharp = null;
+try {
+  sharp = require('sharp');
+} catch (error) {
+  sharp = null;
+}
+const skip = !sharp && 'sharp is not installed';
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rai-images-'));
+process.env.UPLOAD_PATH = uploadDir;
+process.env.IMAGE_THUMBNAIL_SIZE = '32';
+
+let images;
+test.before(() => {
+  if (!skip) images = require('./images');
+});
+
+test.after(() => fs.rmSync(uploadDir, { recursive: true, force: true }));
+
+const png = (width, height, background = '#3366ff') =>
+  sharp({ create: { width, height, channels: 3, background } }).png().toBuffer();
+
+test('stores images as WebP with a thumbnail named by their hash', { skip }, async () => {
+  const source = await png(120, 60);
+
+  const stored = await images.storeImage(`data:image/png;base64,${source.toString('base64')}`);
+
+  assert.match(stored.hash, /^[0-9a-f]{64}$/);
+  assert.strictEqual(stored.url, `/uploads/images/${stored.hash}.webp`);
+  assert.strictEqual(stored.thumbnailUrl, `/uploads/images/${stored.hash}.thumb.webp`);
+  assert.deepStrictEqual([stored.width, stored.height], [120, 60]);
+
+  const full = await sharp(path.join(uploadDir, 'images', `${stored.hash}.webp`)).metadata();
+  const thumbnail = await sharp(path.join(uploadDir, 'images', `${stored.hash}.thumb.webp`)).metadata();
+  assert.deepStrictEqual([full.format, full.width, full.height], ['webp', 120, 60]);
+  assert.deepStrictEqual([thumbnail.format, thumbnail.width, thumbnail.height], ['webp', 32, 16]);
+});
+
+test('storing the same bytes again reuses the first copy', { skip }, async () => {
+  const source = await png(40, 40, '#00aa00');
+  const first = await images.storeImage(source);
+  const filePath = path.join(uploadDir, 'images', `${first.hash}.webp`);
+  const written = fs.statSync(filePath).mtimeMs;
+
+  const second = await images.storeImage(source);
+
+  assert.deepStrictEqual(second, first);
+  assert.strictEqual(fs.statSync(filePath).mtimeMs, written);
+  assert.notStrictEqual((await images.storeImage(await png(40, 40, '#aa0000'))).hash, first.hash);
+});
+
+test('loads stored images back from their /uploads URL', { skip }, async () => {
+  const stored = await images.storeImage(await png(10, 10));
+
+  const bytes = await images.loadImage(stored.url);
+
+  assert.strictEqual((await sharp(bytes).metadata()).format, 'webp');
+});
+
+test('rejects sources that are not images with a 400', { skip }, async () => {
+  await assert.rejects(images.storeImage(Buffer.from('not an image')), { status: 400, message: 'The image could not be read' });
+  await assert.rejects(images.loadImage('file:///etc/passwd'), { status: 400, message: 'Unsupported image source' });
+  await assert.rejects(images.loadImage('/uploads/../server/index.js'), { status: 400 });
+});
+
+test('prepares square PNGs and downscaled JPEGs for providers', { skip }, async () => {
+  const source = await png(300, 200);
+
+  const square = await images.toPng(source, { square: true });
+  const fitted = await images.toPng(source, { width: 64, height: 64 });
+  const vision = await images.toVisionInput(source, 150);
+
+  assert.deepStrictEqual([square.width, square.height], [200, 200]);
+  assert.strictEqual((await sharp(square.buffer).metadata()).channels, 4);
+  assert.deepStrictEqual([fitted.width, fitted.height], [64, 64]);
+  assert.strictEqual(vision.mimeType, 'image/jpeg');
+  const resized = await sharp(Buffer.from(vision.data, 'base64')).metadata();
+  assert.deepStrictEqual([resized.format, resized.width, resized.height], ['jpeg', 150, 100]);
+});
\ No newline at end of file
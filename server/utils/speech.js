@@ -0,0 +1,60 @@
+// Text preparation for speech synthesis
+
+// Reply markdown read aloud: code blocks, link targets, citation markers and
+// formatting characters are dropped, keeping the words around them
+function speakableText(markdown) {
+  return (markdown || '')
+    .replace(/```[\s\S]*?(```|$)/g, ' (code omitted) ')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/\[\d+\]/g, '')
+    .replace(/https?:\/\/\S+/g, 'link')
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+    .replace(/[*_~]{1,3}([^*_~\n]+)[*_~]{1,3}/g, '$1')
+    .replace(/^\s*[-*_]{3,}\s*$/gm, '')
+    .replace(/\|/g, ' ')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ ([.,;:!?])/g, '$1')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+// Splits text into chunks of at most maxChars, breaking after sentences where
+// possible, then at spaces, and only mid-word for unbroken runs
+function splitForSpeech(text, maxChars) {
+  const sentences = text.match(/[^.!?\n]+(?:[.!?]+["')\]]*|\n|$)\s*/g) || [];
+  const chunks = [];
+  let current = '';
+
+  const push = (piece) => {
+    if (current && (current + piece).length > maxChars) {
+      chunks.push(current.trim());
+      current = '';
+    }
+    current += piece;
+  };
+
+  for (const sentence of sentences) {
+    if (sentence.length <= maxChars) {
+      push(sentence);
+      continue;
+    }
+
+    for (const word of sentence.split(/(?<=\s)/)) {
+      for (let start = 0; start < word.length; start += maxChars) {
+        push(word.slice(start, start + maxChars));
+      }
+    }
+  }
+  if (current.trim()) {
+    chunks.push(current.trim());
+  }
+
+  return chunks.filter(Boolean);
+}
+
+module.exports = {
+  speakableText,
+  splitForSpeech
+};
\ No newline at end of file
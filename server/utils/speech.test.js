@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { speakableText, splitForSpeech } = require('./speech');
+
+test('reads markdown aloud without its syntax', () => {
+  const markdown = [
+    '# Title',
+    '',
+    'Use **bold** and `npm i` [docs](https://example.com/docs) [1].',
+    '',
+    '```js',
+    'code()',
+    '```',
+    '- item one',
+    'See https://example.com now.'
+  ].join('\n');
+
+  assert.strictEqual(speakableText(markdown), 'Title\nUse bold and npm i docs.\n(code omitted)\nitem one\nSee link now.');
+  assert.strictEqual(speakableText(null), '');
+});
+
+test('an unterminated code block is skipped to the end', () => {
+  assert.strictEqual(speakableText('Here it is:\n```python\nprint(1)'), 'Here it is:\n(code omitted)');
+});
+
+test('chunks break after sentences when they fit', () => {
+  assert.deepStrictEqual(splitForSpeech('One two. Three four five! Six?', 12), ['One two.', 'Three four', 'five! Six?']);
+  assert.deepStrictEqual(splitForSpeech('Short. Text.', 100), ['Short. Text.']);
+});
+
+test('long words are split so no chunk exceeds the limit', () => {
+  const chunks = splitForSpeech('abcdefghijklmnop qr', 6);
+
+  assert.deepStrictEqual(chunks, ['abcdef', 'ghijkl', 'mnop', 'qr']);
+  assert.ok(chunks.every(chunk => chunk.length <= 6));
+  assert.deepStrictEqual(splitForSpeech('', 10), []);
+});
\ No newline at end of file
@@ -0,0 +1,42 @@
+const { StringDecoder } = require('string_decoder');
+
+// Parse a text/event-stream body into { event, data } records
+async function* parseEventStream(stream) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += decoder.write(chunk).replace(/\r\n/g, '\n');
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const record = parseRecord(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (record) {
+        yield record;
+      }
+    }
+  }
+
+  const record = parseRecord(buffer + decoder.end());
+  if (record) {
+    yield record;
+  }
+}
+
+function parseRecord(block) {
+  let event = 'message';
+  const data = [];
+
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      data.push(line.slice(5).replace(/^ /, ''));
+    }
+  });
+
+  return data.length > 0 ? { event, data: data.join('\n') } : null;
+}
+
+module.exports = { parseEventStream };
\ No newline at end of file
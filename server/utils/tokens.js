@@ -0,0 +1,57 @@
+// Approximate token counting per model family. Ratios are averages for
+// English text and are good enough for budgeting context windows.
+const MODEL_PROFILES = [
+  { match: /^(gpt-4o|gpt-4\.1|gpt-4-turbo|o\d)/, charsPerToken: 4, contextWindow: 128000 },
+  { match: /^gpt-4/, charsPerToken: 4, contextWindow: 8192 },
+  { match: /^gpt-3\.5/, charsPerToken: 4, contextWindow: 16385 },
+  { match: /^claude/, charsPerToken: 3.5, contextWindow: 200000 },
+  { match: /^gemini-1\.5/, charsPerToken: 4, contextWindow: 1000000 },
+  { match: /^gemini/, charsPerToken: 4, contextWindow: 32768 }
+];
+
+const DEFAULT_PROFILE = { charsPerToken: 3.5, contextWindow: 4096 };
+
+// Role markers and separators each chat message adds on top of its content
+const MESSAGE_OVERHEAD = 4;
+
+function profileFor(model = '') {
+  return MODEL_PROFILES.find(profile => profile.match.test(model)) || DEFAULT_PROFILE;
+}
+
+function countTokens(text, model) {
+  if (!text) return 0;
+  return Math.ceil(text.length / profileFor(model).charsPerToken);
+}
+
+function countMessageTokens(text, model) {
+  return countTokens(text, model) + MESSAGE_OVERHEAD;
+}
+
+function contextWindow(model) {
+  return profileFor(model).contextWindow;
+}
+
+// Providers report usage in different shapes (OpenAI prompt_tokens,
+// Anthropic input_tokens, Gemini promptTokenCount). Fall back to estimates
+// from the text when a provider reports nothing, e.g. while streaming.
+function normalizeUsage(usage, { messages = [], content = '', model } = {}) {
+  const reported = usage || {};
+  const promptTokens = reported.prompt_tokens ?? reported.input_tokens ?? reported.promptTokenCount;
+  const completionTokens = reported.completion_tokens ?? reported.output_tokens ?? reported.candidatesTokenCount;
+
+  const normalized = {
+    promptTokens: promptTokens ?? messages.reduce((sum, msg) => sum + countMessageTokens(msg.content, model), 0),
+    completionTokens: completionTokens || countTokens(content, model),
+    estimated: promptTokens === undefined || !completionTokens
+  };
+  normalized.totalTokens = normalized.promptTokens + normalized.completionTokens;
+
+  return normalized;
+}
+
+module.exports = {
+  contextWindow,
+  countMessageTokens,
+  countTokens,
+  normalizeUsage
+};
\ No newline at end of file
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+
+// Root for user and generated files, served under /uploads
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_PATH || path.join(__dirname, '../../uploads'));
+
+// Writes a file below UPLOAD_DIR and returns its path and public URL
+async function saveUpload(folder, filename, data) {
+  const directory = path.join(UPLOAD_DIR, folder);
+  await fs.promises.mkdir(directory, { recursive: true });
+
+  const filePath = path.join(directory, filename);
+  await fs.promises.writeFile(filePath, data);
+
+  return {
+    filePath,
+    url: `/uploads/${folder}/${filename}`
+  };
+}
+
+// Maps an /uploads URL back to its file, or null for anything outside UPLOAD_DIR
+function uploadPath(url) {
+  if (!url || !url.startsWith('/uploads/')) return null;
+
+  const filePath = path.resolve(UPLOAD_DIR, url.slice('/uploads/'.length));
+  return filePath.startsWith(UPLOAD_DIR + path.sep) ? filePath : null;
+}
+
+module.exports = {
+  saveUpload,
+  UPLOAD_DIR,
+  uploadPath
+};
\ No newline at end of file
@@ -0,0 +1,22 @@
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Embeddings are only comparable within one provider and model, so they are
+// stored with "<provider>:<model>" from the embedding call's metadata
+function embeddingModelKey(metadata) {
+  return `${metadata.provider}:${metadata.model}`;
+}
+
+module.exports = {
+  cosineSimilarity,
+  embeddingModelKey
+};
\ No newline at end of file